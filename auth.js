@@ -1,13 +1,8 @@
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
-const { RateLimiterMemory } = require('rate-limiter-flexible');
+const { identity } = require('./auth/identity');
 
-// Rate limiter for login attempts
-const loginLimiter = new RateLimiterMemory({
-    keyGenerator: (req) => req.ip,
-    points: 5, // Number of attempts
-    duration: 900, // Per 15 minutes
-});
+// Password and token helpers kept for older callers - login, sessions, tokens
+// and role checks live in auth/identity.js
 
 // Hash password utility
 const hashPassword = async (password) => {
@@ -20,104 +15,15 @@ const verifyPassword = async (password, hashedPassword) => {
     return await bcrypt.compare(password, hashedPassword);
 };
 
-// Generate JWT token
-const generateToken = (user) => {
-    return jwt.sign(
-        { 
-            id: user.id, 
-            username: user.username,
-            role: user.role || 'admin'
-        },
-        process.env.JWT_SECRET,
-        { expiresIn: '24h' }
-    );
-};
-
-// Verify JWT token middleware
-const verifyToken = (req, res, next) => {
-    const token = req.headers.authorization?.split(' ')[1] || 
-                  req.headers['x-access-token'] || 
-                  req.query.token;
-
-    if (!token) {
-        return res.status(401).json({ 
-            success: false, 
-            message: 'Access denied. No token provided.' 
-        });
-    }
-
-    try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        req.user = decoded;
-        next();
-    } catch (error) {
-        return res.status(403).json({ 
-            success: false, 
-            message: 'Invalid token.' 
-        });
-    }
-};
-
-// Admin authentication endpoint
-const authenticateAdmin = async (req, res) => {
-    try {
-        // Rate limiting
-        await loginLimiter.consume(req.ip);
-
-        const { username, password } = req.body;
+// Generate an access token for a users row
+const generateToken = (user) => identity.issueAccessToken(user);
 
-        if (!username || !password) {
-            return res.status(400).json({
-                success: false,
-                message: 'Username and password are required'
-            });
-        }
-
-        // Check against environment variables
-        const validUsername = process.env.ADMIN_USERNAME || 'admin';
-        const validPassword = process.env.ADMIN_PASSWORD || 'mystore123';
-
-        if (username === validUsername && password === validPassword) {
-            const user = {
-                id: 1,
-                username: validUsername,
-                role: 'admin'
-            };
-
-            const token = generateToken(user);
-
-            res.json({
-                success: true,
-                token: token,
-                user: {
-                    id: user.id,
-                    username: user.username,
-                    role: user.role
-                },
-                message: 'Login successful'
-            });
-        } else {
-            res.status(401).json({
-                success: false,
-                message: 'Invalid credentials'
-            });
-        }
-    } catch (rejRes) {
-        // Rate limit exceeded
-        const secs = Math.round(rejRes.msBeforeNext / 1000) || 1;
-        res.set('Retry-After', String(secs));
-        res.status(429).json({
-            success: false,
-            message: `Too many login attempts. Try again in ${secs} seconds.`
-        });
-    }
-};
+// Require a logged-in user (session cookie or bearer token)
+const verifyToken = identity.requireAuth;
 
 module.exports = {
     hashPassword,
     verifyPassword,
     generateToken,
-    verifyToken,
-    authenticateAdmin,
-    loginLimiter
-};
\ No newline at end of file
+    verifyToken
+};
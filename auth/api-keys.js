@@ -0,0 +1,247 @@
+const crypto = require('crypto');
+const { ApiKey, SubscriptionUsage, User } = require('../database/models');
+const VintageSubscriptionService = require('../services/VintageSubscriptionService');
+const { identity } = require('./identity');
+
+// What a key may be used for
+const API_KEY_SCOPES = ['items:read', 'items:write', 'crosspost', 'analytics:read'];
+
+const KEY_PREFIX = 'vck_';
+const DEFAULT_RATE_LIMIT = 60; // requests per minute
+const MAX_RATE_LIMIT = 600;
+const MAX_KEYS_PER_USER = 10;
+
+class ApiKeyError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'ApiKeyError';
+        this.status = status;
+    }
+}
+
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function parseScopes(value) {
+    try {
+        return Array.isArray(value) ? value : JSON.parse(value || '[]');
+    } catch (error) {
+        return [];
+    }
+}
+
+// Personal API keys for Premium sellers, so they can script listings from their own tools.
+// A key acts as its owner (same req.user as a login) but only within its scopes.
+class ApiKeyService {
+    constructor(options = {}) {
+        this.models = options.models || { ApiKey, SubscriptionUsage, User };
+        this.subscriptions = options.subscriptions || new VintageSubscriptionService();
+
+        // Fixed one-minute windows per key id
+        this.windows = new Map();
+    }
+
+    async hasApiAccess(userId) {
+        const access = await this.subscriptions.checkSubscriptionLimit(userId, 'api_access');
+        return !!access.allowed;
+    }
+
+    // Key fields that are safe to show - the key itself is only returned once, on create/rotate
+    describe(key) {
+        return {
+            id: key.id,
+            name: key.name,
+            prefix: key.key_prefix,
+            scopes: parseScopes(key.scopes),
+            rateLimitPerMinute: key.rate_limit_per_minute,
+            lastUsedAt: key.last_used_at || null,
+            createdAt: key.created_at
+        };
+    }
+
+    validate({ name, scopes, rateLimitPerMinute }) {
+        if (!name || !String(name).trim()) {
+            throw new ApiKeyError('Key name is required');
+        }
+        if (!Array.isArray(scopes) || scopes.length === 0) {
+            throw new ApiKeyError(`At least one scope is required (${API_KEY_SCOPES.join(', ')})`);
+        }
+
+        const unknown = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+        if (unknown.length > 0) {
+            throw new ApiKeyError(`Unknown scope(s): ${unknown.join(', ')}`);
+        }
+
+        const rateLimit = rateLimitPerMinute === undefined ? DEFAULT_RATE_LIMIT : parseInt(rateLimitPerMinute);
+        if (!rateLimit || rateLimit < 1 || rateLimit > MAX_RATE_LIMIT) {
+            throw new ApiKeyError(`Rate limit must be between 1 and ${MAX_RATE_LIMIT} requests per minute`);
+        }
+
+        return { name: String(name).trim().slice(0, 100), scopes: [...new Set(scopes)], rateLimit };
+    }
+
+    async create(userId, options = {}) {
+        const { ApiKey } = this.models;
+        const { name, scopes, rateLimit } = this.validate(options);
+
+        if (!await this.hasApiAccess(userId)) {
+            throw new ApiKeyError('API keys are included with the Premium tier', 403);
+        }
+        if ((await ApiKey.getByUser(userId)).length >= MAX_KEYS_PER_USER) {
+            throw new ApiKeyError(`You can have up to ${MAX_KEYS_PER_USER} active keys - revoke one first`, 409);
+        }
+
+        const key = KEY_PREFIX + crypto.randomBytes(24).toString('hex');
+        const stored = await ApiKey.create({
+            user_id: userId,
+            name,
+            key_prefix: key.slice(0, KEY_PREFIX.length + 8),
+            key_hash: hashKey(key),
+            scopes,
+            rate_limit_per_minute: rateLimit
+        });
+
+        console.log(`🔑 API key "${name}" created for user ${userId} (${scopes.join(', ')})`);
+        return { key, apiKey: this.describe(stored) };
+    }
+
+    async list(userId) {
+        const keys = await this.models.ApiKey.getByUser(userId);
+        return keys.map(key => this.describe(key));
+    }
+
+    async getOwnKey(userId, keyId) {
+        const key = await this.models.ApiKey.findById(keyId);
+        if (!key || key.user_id !== userId || key.revoked_at) {
+            throw new ApiKeyError('API key not found', 404);
+        }
+        return key;
+    }
+
+    async rename(userId, keyId, name) {
+        const key = await this.getOwnKey(userId, keyId);
+        if (!name || !String(name).trim()) {
+            throw new ApiKeyError('Key name is required');
+        }
+
+        await this.models.ApiKey.rename(key.id, String(name).trim().slice(0, 100));
+        return this.describe({ ...key, name: String(name).trim().slice(0, 100) });
+    }
+
+    // Issues a replacement with the same name, scopes and limit, then revokes the old key
+    async rotate(userId, keyId) {
+        const key = await this.getOwnKey(userId, keyId);
+        const replacement = await this.create(userId, {
+            name: key.name,
+            scopes: parseScopes(key.scopes),
+            rateLimitPerMinute: key.rate_limit_per_minute
+        });
+
+        await this.models.ApiKey.revoke(key.id);
+        this.windows.delete(key.id);
+        return replacement;
+    }
+
+    async revoke(userId, keyId) {
+        const key = await this.getOwnKey(userId, keyId);
+        await this.models.ApiKey.revoke(key.id);
+        this.windows.delete(key.id);
+        console.log(`🔑 API key "${key.name}" revoked for user ${userId}`);
+    }
+
+    keyFromRequest(req) {
+        if (req.headers['x-api-key']) return req.headers['x-api-key'];
+
+        const header = req.headers.authorization || '';
+        if (header.startsWith(`Bearer ${KEY_PREFIX}`)) return header.slice(7).trim();
+        return null;
+    }
+
+    // Counts the request against the key's per-minute budget
+    consume(key) {
+        const now = Date.now();
+        let window = this.windows.get(key.id);
+        if (!window || now - window.start >= 60 * 1000) {
+            window = { start: now, count: 0 };
+            this.windows.set(key.id, window);
+        }
+
+        window.count++;
+        return {
+            allowed: window.count <= key.rate_limit_per_minute,
+            limit: key.rate_limit_per_minute,
+            remaining: Math.max(0, key.rate_limit_per_minute - window.count),
+            resetInSeconds: Math.ceil((window.start + 60 * 1000 - now) / 1000)
+        };
+    }
+
+    recordUsage(key, scope) {
+        const { ApiKey, SubscriptionUsage } = this.models;
+        Promise.all([
+            ApiKey.touch(key.id),
+            SubscriptionUsage.increment(key.user_id, `api:${scope}`)
+        ]).catch(error => console.error('❌ Failed to record API key usage:', error.message));
+    }
+
+    // Lets requests that carry an API key with `scope` through as the key's owner.
+    // Requests without a key fall through to the usual session/token checks.
+    accept(scope, { methods = null } = {}) {
+        return async (req, res, next) => {
+            const presented = this.keyFromRequest(req);
+            if (!presented) return next();
+
+            try {
+                const key = await this.models.ApiKey.findByHash(hashKey(presented));
+                if (!key || key.revoked_at) {
+                    return res.status(401).json({ success: false, error: 'Invalid API key' });
+                }
+                if ((methods && !methods.includes(req.method)) || !parseScopes(key.scopes).includes(scope)) {
+                    return res.status(403).json({ success: false, error: `This API key does not have the ${scope} scope for this endpoint` });
+                }
+
+                const usage = this.consume(key);
+                res.set({
+                    'X-RateLimit-Limit': String(usage.limit),
+                    'X-RateLimit-Remaining': String(usage.remaining)
+                });
+                if (!usage.allowed) {
+                    res.set('Retry-After', String(usage.resetInSeconds));
+                    return res.status(429).json({ success: false, error: 'API key rate limit exceeded', retryAfter: usage.resetInSeconds });
+                }
+
+                const user = await this.models.User.findById(key.user_id);
+                if (!user) {
+                    return res.status(401).json({ success: false, error: 'Invalid API key' });
+                }
+                // Keys stop working if the seller drops below Premium
+                if (!await this.hasApiAccess(user.id)) {
+                    return res.status(403).json({ success: false, error: 'API access requires the Premium tier' });
+                }
+
+                // Keys are a seller feature; one an admin made still gets no admin-only routes
+                const owner = identity.toIdentity(user, 'api_key');
+                if (owner.role === 'admin') owner.role = 'seller';
+
+                req.user = { ...owner, apiKeyId: key.id, scopes: parseScopes(key.scopes) };
+                this.recordUsage(key, scope);
+                next();
+
+            } catch (error) {
+                console.error('❌ API key check failed:', error);
+                res.status(500).json({ success: false, error: 'Failed to verify API key' });
+            }
+        };
+    }
+}
+
+// Shared API key service for the app
+const apiKeys = new ApiKeyService();
+
+module.exports = {
+    ApiKeyService,
+    ApiKeyError,
+    API_KEY_SCOPES,
+    apiKeys,
+    acceptApiKey: (scope, options) => apiKeys.accept(scope, options)
+};
@@ -0,0 +1,325 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { User, RefreshToken } = require('../database/models');
+
+// Roles from least to most privileged - a role passes every check for the roles below it
+const ROLES = ['buyer', 'seller', 'admin'];
+
+// Rows created before roles were split still say 'user'
+function normalizeRole(role) {
+    return ROLES.includes(role) ? role : 'buyer';
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Compares digests so the time taken doesn't depend on where the strings differ
+function safeEqual(a, b) {
+    const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+    return crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+function sendAuthError(res, status, error, message) {
+    return res.status(status).json({ success: false, error, message });
+}
+
+// One identity for every router: browsers authenticate with the session cookie,
+// API clients with a bearer access token (plus a refresh token to renew it).
+// Either way the request ends up with the same req.user:
+//   { id, username, email, role, authMethod: 'session' | 'token' }
+class IdentityService {
+    constructor(options = {}) {
+        // Models can be swapped out in tests
+        this.models = options.models || { User, RefreshToken };
+
+        this.authenticate = this.authenticate.bind(this);
+        this.requireAuth = this.requireAuth.bind(this);
+    }
+
+    // Read on use - this module is loaded before dotenv runs
+    get secret() {
+        return process.env.JWT_SECRET;
+    }
+
+    get accessTokenTtl() {
+        return process.env.ACCESS_TOKEN_TTL || '1h';
+    }
+
+    get refreshTokenDays() {
+        return parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+    }
+
+    get sessionTimeout() {
+        return (parseInt(process.env.SESSION_TIMEOUT_HOURS) || 24) * 60 * 60 * 1000;
+    }
+
+    toIdentity(user, authMethod) {
+        return {
+            id: user.id,
+            username: user.username,
+            email: user.email || null,
+            role: normalizeRole(user.role),
+            authMethod: authMethod
+        };
+    }
+
+    hasRole(user, role) {
+        return !!user && ROLES.indexOf(normalizeRole(user.role)) >= ROLES.indexOf(role);
+    }
+
+    get adminUsername() {
+        return process.env.ADMIN_USERNAME || 'admin';
+    }
+
+    get adminEmail() {
+        return process.env.ADMIN_EMAIL || `${this.adminUsername}@vintagecrib.com`;
+    }
+
+    // The admin from .env (ADMIN_USERNAME + ADMIN_PASSWORD_HASH) can always log in;
+    // the first login stores it in the users table so it gets a real id
+    async matchesEnvAdmin(login, password) {
+        if (login !== this.adminUsername) return false;
+
+        if (process.env.ADMIN_PASSWORD_HASH) {
+            return bcrypt.compare(password, process.env.ADMIN_PASSWORD_HASH);
+        }
+        return !!process.env.ADMIN_PASSWORD && safeEqual(password, process.env.ADMIN_PASSWORD);
+    }
+
+    async provisionEnvAdmin(login, password) {
+        const { User } = this.models;
+        const existing = await User.findByUsername(login);
+
+        // Never promote a row someone else created under the admin's name -
+        // their sessions and refresh tokens would become admin ones
+        if (existing && normalizeRole(existing.role) !== 'admin') {
+            console.error(`🚨 .env admin login refused: user ${existing.id} already holds the username '${login}' without the admin role`);
+            return null;
+        }
+
+        const passwordHash = process.env.ADMIN_PASSWORD_HASH || await bcrypt.hash(password, 12);
+        if (!existing) {
+            return User.create({
+                username: login,
+                email: this.adminEmail,
+                password_hash: passwordHash,
+                role: 'admin'
+            });
+        }
+
+        await User.setPasswordHash(existing.id, passwordHash);
+        return { ...existing, password_hash: passwordHash };
+    }
+
+    // The .env admin's username and email can't be claimed by sign-ups
+    isReserved(username, email) {
+        return String(username).toLowerCase() === this.adminUsername.toLowerCase()
+            || String(email).toLowerCase() === this.adminEmail.toLowerCase();
+    }
+
+    // Returns the users row for valid credentials, otherwise null
+    async verifyCredentials(login, password) {
+        const user = await this.models.User.findByLogin(login);
+
+        if (user && user.password_hash && await bcrypt.compare(password, user.password_hash).catch(() => false)) {
+            return user;
+        }
+        if (await this.matchesEnvAdmin(login, password)) {
+            return this.provisionEnvAdmin(login, password);
+        }
+        return null;
+    }
+
+    async register({ username, email, password }) {
+        const { User } = this.models;
+
+        if (this.isReserved(username, email)) {
+            const error = new Error('That username or email is reserved');
+            error.status = 409;
+            throw error;
+        }
+        if (await User.findByUsername(username) || await User.findByLogin(email)) {
+            const error = new Error('Username or email is already registered');
+            error.status = 409;
+            throw error;
+        }
+
+        return User.create({
+            username,
+            email,
+            password_hash: await bcrypt.hash(password, 12),
+            role: 'buyer'
+        });
+    }
+
+    issueAccessToken(user) {
+        return jwt.sign(
+            {
+                id: user.id,
+                username: user.username,
+                email: user.email || null,
+                role: normalizeRole(user.role),
+                type: 'access'
+            },
+            this.secret,
+            { expiresIn: this.accessTokenTtl, subject: String(user.id) }
+        );
+    }
+
+    async issueTokens(user) {
+        const refreshToken = crypto.randomBytes(48).toString('hex');
+        const expiresAt = new Date(Date.now() + this.refreshTokenDays * 24 * 60 * 60 * 1000);
+
+        await this.models.RefreshToken.create({
+            user_id: user.id,
+            token_hash: hashToken(refreshToken),
+            expires_at: expiresAt.toISOString()
+        });
+
+        return {
+            tokenType: 'Bearer',
+            accessToken: this.issueAccessToken(user),
+            expiresIn: this.accessTokenTtl,
+            refreshToken: refreshToken,
+            refreshTokenExpiresAt: expiresAt
+        };
+    }
+
+    // Swaps a refresh token for a new pair. Reusing a rotated token revokes every
+    // token of that user, since it means the token has leaked.
+    async refresh(refreshToken) {
+        const { User, RefreshToken } = this.models;
+        const stored = refreshToken ? await RefreshToken.findByHash(hashToken(refreshToken)) : null;
+
+        if (!stored) return null;
+        if (stored.revoked_at) {
+            await RefreshToken.revokeAllForUser(stored.user_id);
+            console.log(`🚨 Reused refresh token for user ${stored.user_id} - revoked all of their refresh tokens`);
+            return null;
+        }
+        if (new Date(stored.expires_at) < new Date()) return null;
+
+        const user = await User.findById(stored.user_id);
+        if (!user || !await RefreshToken.revoke(stored.id)) return null;
+
+        return { user, tokens: await this.issueTokens(user) };
+    }
+
+    async revokeRefreshToken(refreshToken) {
+        const stored = refreshToken ? await this.models.RefreshToken.findByHash(hashToken(refreshToken)) : null;
+        if (stored) {
+            await this.models.RefreshToken.revoke(stored.id);
+        }
+    }
+
+    // Log the user into the browser session; regenerating stops session fixation
+    startSession(req, user) {
+        return new Promise((resolve, reject) => {
+            if (!req.session) return resolve();
+
+            req.session.regenerate(error => {
+                if (error) return reject(error);
+
+                req.session.userId = user.id;
+                req.session.loginTime = Date.now();
+                req.session.lastAccess = Date.now();
+                resolve();
+            });
+        });
+    }
+
+    endSession(req) {
+        return new Promise((resolve, reject) => {
+            if (!req.session) return resolve();
+            req.session.destroy(error => (error ? reject(error) : resolve()));
+        });
+    }
+
+    bearerToken(req) {
+        const header = req.headers.authorization || '';
+        if (header.startsWith('Bearer ')) return header.slice(7).trim();
+        return req.headers['x-access-token'] || null;
+    }
+
+    // Resolves req.user when the request carries credentials; never rejects on its own.
+    // A bad bearer token is remembered in req.authError for requireAuth to report.
+    async authenticate(req, res, next) {
+        if (req.user || req.identityChecked) return next();
+        req.identityChecked = true;
+
+        const token = this.bearerToken(req);
+        if (token) {
+            try {
+                const claims = jwt.verify(token, this.secret);
+                if (claims.type && claims.type !== 'access') throw new Error('Not an access token');
+                req.user = this.toIdentity(claims, 'token');
+                return next();
+            } catch (error) {
+                // Pages that send a stale token alongside a valid cookie still get in below
+                req.authError = error.name === 'TokenExpiredError' ? 'token_expired' : 'invalid_token';
+            }
+        }
+
+        const session = req.session;
+        if (session && session.userId) {
+            if (session.lastAccess && Date.now() - session.lastAccess > this.sessionTimeout) {
+                req.authError = 'session_expired';
+                return session.destroy(() => next());
+            }
+
+            try {
+                // Looked up every time so role changes and deleted users apply immediately
+                const user = await this.models.User.findById(session.userId);
+                if (user) {
+                    session.lastAccess = Date.now();
+                    req.user = this.toIdentity(user, 'session');
+                    delete req.authError;
+                }
+            } catch (error) {
+                console.error('❌ Session user lookup failed:', error.message);
+            }
+        }
+        next();
+    }
+
+    requireAuth(req, res, next) {
+        this.authenticate(req, res, () => {
+            if (req.user) return next();
+
+            if (req.authError === 'invalid_token') {
+                return sendAuthError(res, 403, 'Invalid token', 'Invalid token.');
+            }
+            if (req.authError === 'token_expired') {
+                return sendAuthError(res, 401, 'Token expired', 'Access token expired - use your refresh token');
+            }
+            if (req.authError === 'session_expired') {
+                return sendAuthError(res, 401, 'Session expired', 'Your session has expired, please log in again');
+            }
+            return sendAuthError(res, 401, 'Authentication required', 'Please log in to access this resource');
+        });
+    }
+
+    // requireRole('seller') lets sellers and admins through
+    requireRole(...roles) {
+        return (req, res, next) => {
+            this.requireAuth(req, res, () => {
+                if (roles.some(role => this.hasRole(req.user, role))) return next();
+                return sendAuthError(res, 403, 'Forbidden', `This action requires the ${roles.join(' or ')} role`);
+            });
+        };
+    }
+}
+
+// Shared identity layer for the app
+const identity = new IdentityService();
+
+module.exports = {
+    IdentityService,
+    ROLES,
+    normalizeRole,
+    identity,
+    requireAuth: identity.requireAuth,
+    requireRole: (...roles) => identity.requireRole(...roles)
+};
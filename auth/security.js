@@ -96,10 +96,20 @@ class SecurityManager {
     getValidationSchemas() {
         return {
             login: Joi.object({
-                username: Joi.string().alphanum().min(3).max(30).required(),
+                // Username or email address
+                username: Joi.alternatives().try(
+                    Joi.string().alphanum().min(3).max(30),
+                    Joi.string().email()
+                ).required(),
                 password: Joi.string().min(6).max(100).required()
             }),
 
+            register: Joi.object({
+                username: Joi.string().alphanum().min(3).max(30).required(),
+                email: Joi.string().email().required(),
+                password: Joi.string().min(8).max(100).required()
+            }),
+
             productImport: Joi.object({
                 url: Joi.string().uri().required(),
                 maxItems: Joi.number().integer().min(1).max(100).optional()
@@ -114,34 +124,13 @@ class SecurityManager {
                 name: Joi.string().min(1).max(500).optional(),
                 price: Joi.number().positive().max(999999.99).optional(),
                 description: Joi.string().max(5000).optional(),
-                category: Joi.string().valid('electronics', 'clothing', 'collectibles', 'home', 'other').optional()
+                category: Joi.string().valid('electronics', 'clothing', 'collectibles', 'home', 'other').optional(),
+                // Optimistic-lock version for PUT, as an alternative to If-Match
+                version: Joi.number().integer().min(1).optional()
             })
         };
     }
 
-    // Middleware for authentication
-    requireAuth(req, res, next) {
-        if (!req.session || !req.session.isAuthenticated) {
-            return res.status(401).json({
-                error: 'Authentication required',
-                message: 'Please log in to access this resource'
-            });
-        }
-
-        // Check session timeout
-        if (req.session.lastAccess && Date.now() - req.session.lastAccess > this.sessionTimeout * 60 * 60 * 1000) {
-            req.session.destroy();
-            return res.status(401).json({
-                error: 'Session expired',
-                message: 'Your session has expired, please log in again'
-            });
-        }
-
-        // Update last access time
-        req.session.lastAccess = Date.now();
-        next();
-    }
-
     // Input validation middleware
     validateInput(schema) {
         return (req, res, next) => {
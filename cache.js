@@ -1,20 +1,131 @@
-const Redis = require('ioredis');
+const crypto = require('crypto');
+
+// Read-through cache for API responses and other expensive reads.
+// Uses Redis when REDIS_URL is set and an in-process memory store otherwise
+// (or after Redis errors), so it works with no Redis present.
+//
+// - Tags: entries are stored with tags like 'products' or 'vintage_items', and
+//   invalidate(tag) bumps the tag's version - anything stored under an older
+//   version is treated as a miss. Writes call it next to catalogSearch.invalidate().
+// - Stale-while-revalidate: after ttl seconds an entry is stale; for staleTtl
+//   more seconds it is still served while one background refresh runs.
+// - respond() sends a cached JSON body with an ETag, answering If-None-Match
+//   with 304, and an X-Cache header (HIT / STALE / MISS).
+
+const ENTRY_PREFIX = 'cache:entry:';
+const TAG_PREFIX = 'cache:tag:';
+
+class MemoryStore {
+    constructor(maxItems) {
+        this.items = new Map(); // insertion order doubles as least-recently-used order
+        this.tags = new Map();
+        this.maxItems = maxItems;
+    }
+
+    async get(key) {
+        const item = this.items.get(key);
+        if (!item) return null;
+
+        if (item.expiry <= Date.now()) {
+            this.items.delete(key);
+            return null;
+        }
+        this.items.delete(key);
+        this.items.set(key, item);
+        return item.value;
+    }
+
+    async set(key, value, ttl) {
+        if (!this.items.has(key) && this.items.size >= this.maxItems) {
+            this.items.delete(this.items.keys().next().value);
+        }
+        this.items.delete(key);
+        this.items.set(key, { value, expiry: Date.now() + ttl * 1000 });
+    }
+
+    async del(key) {
+        this.items.delete(key);
+    }
+
+    async clear() {
+        this.items.clear();
+    }
+
+    async tagVersions(tags) {
+        return tags.map(tag => this.tags.get(tag) || 0);
+    }
+
+    async bumpTag(tag) {
+        this.tags.set(tag, (this.tags.get(tag) || 0) + 1);
+    }
+
+    get size() {
+        return this.items.size;
+    }
+}
+
+class RedisStore {
+    constructor(redis) {
+        this.redis = redis;
+    }
+
+    async get(key) {
+        const value = await this.redis.get(key);
+        return value ? JSON.parse(value) : null;
+    }
+
+    async set(key, value, ttl) {
+        await this.redis.setex(key, Math.ceil(ttl), JSON.stringify(value));
+    }
+
+    async del(key) {
+        await this.redis.del(key);
+    }
+
+    // Only our own keys - the Redis instance may be shared
+    async clear() {
+        let cursor = '0';
+        do {
+            const [next, keys] = await this.redis.scan(cursor, 'MATCH', 'cache:*', 'COUNT', 500);
+            if (keys.length > 0) await this.redis.del(...keys);
+            cursor = next;
+        } while (cursor !== '0');
+    }
+
+    async tagVersions(tags) {
+        if (tags.length === 0) return [];
+        const versions = await this.redis.mget(tags.map(tag => TAG_PREFIX + tag));
+        return versions.map(version => parseInt(version) || 0);
+    }
+
+    async bumpTag(tag) {
+        await this.redis.incr(TAG_PREFIX + tag);
+    }
+}
 
 class CacheManager {
-    constructor() {
+    constructor(options = {}) {
+        this.memory = new MemoryStore(options.maxMemoryItems || 1000);
         this.redis = null;
-        this.memoryCache = new Map();
-        this.maxMemoryItems = 1000;
-        this.defaultTTL = 300; // 5 minutes
-        
-        this.initializeRedis();
+        this.redisStore = null;
+        this.defaultTTL = options.defaultTTL || 300; // 5 minutes
+        this.defaultStaleTTL = options.defaultStaleTTL || 3600;
+        this.refreshing = new Map(); // key -> in-flight load, so a burst of misses loads once
+        this.stats = { hits: 0, misses: 0, stale: 0, refreshes: 0, refreshErrors: 0, invalidations: 0, errors: 0 };
+        this.byName = {};
+
+        const redisUrl = options.redisUrl !== undefined ? options.redisUrl : process.env.REDIS_URL;
+        if (redisUrl) {
+            this.initializeRedis(redisUrl);
+        } else {
+            console.log('💾 REDIS_URL not set, using memory cache only');
+        }
     }
 
-    async initializeRedis() {
+    async initializeRedis(redisUrl) {
         try {
-            const redisUrl = process.env.REDIS_URL || 'redis://localhost:6379';
-            
-            this.redis = new Redis(redisUrl, {
+            const Redis = require('ioredis');
+            const redis = new Redis(redisUrl, {
                 maxRetriesPerRequest: 3,
                 retryDelayOnFailover: 100,
                 lazyConnect: true,
@@ -22,10 +133,12 @@ class CacheManager {
                 commandTimeout: 3000
             });
 
-            await this.redis.ping();
+            await redis.ping();
+            this.redis = redis;
+            this.redisStore = new RedisStore(redis);
             console.log('✅ Redis cache connected successfully');
-            
-            this.redis.on('error', (error) => {
+
+            redis.on('error', (error) => {
                 console.warn('⚠️ Redis error, falling back to memory cache:', error.message);
                 this.redis = null;
             });
@@ -36,22 +149,34 @@ class CacheManager {
         }
     }
 
+    get store() {
+        return this.redis ? this.redisStore : this.memory;
+    }
+
+    // Runs fn against the active store, dropping to memory if Redis fails mid-request
+    async withStore(fn) {
+        try {
+            return await fn(this.store);
+        } catch (error) {
+            this.stats.errors++;
+            if (!this.redis) throw error;
+
+            console.warn('⚠️ Redis cache error, falling back to memory cache:', error.message);
+            this.redis = null;
+            return fn(this.memory);
+        }
+    }
+
+    count(name, field) {
+        this.stats[field]++;
+        const counters = this.byName[name] || (this.byName[name] = { hits: 0, misses: 0, stale: 0 });
+        counters[field]++;
+    }
+
     // Get from cache
     async get(key) {
         try {
-            if (this.redis) {
-                const value = await this.redis.get(key);
-                return value ? JSON.parse(value) : null;
-            } else {
-                // Fallback to memory cache
-                const item = this.memoryCache.get(key);
-                if (item && item.expiry > Date.now()) {
-                    return item.value;
-                } else if (item) {
-                    this.memoryCache.delete(key);
-                }
-                return null;
-            }
+            return await this.withStore(store => store.get(key));
         } catch (error) {
             console.warn('Cache get error:', error.message);
             return null;
@@ -61,21 +186,7 @@ class CacheManager {
     // Set to cache
     async set(key, value, ttl = this.defaultTTL) {
         try {
-            if (this.redis) {
-                await this.redis.setex(key, ttl, JSON.stringify(value));
-            } else {
-                // Fallback to memory cache
-                if (this.memoryCache.size >= this.maxMemoryItems) {
-                    // Remove oldest items
-                    const firstKey = this.memoryCache.keys().next().value;
-                    this.memoryCache.delete(firstKey);
-                }
-                
-                this.memoryCache.set(key, {
-                    value,
-                    expiry: Date.now() + (ttl * 1000)
-                });
-            }
+            await this.withStore(store => store.set(key, value, ttl));
         } catch (error) {
             console.warn('Cache set error:', error.message);
         }
@@ -84,11 +195,7 @@ class CacheManager {
     // Delete from cache
     async del(key) {
         try {
-            if (this.redis) {
-                await this.redis.del(key);
-            } else {
-                this.memoryCache.delete(key);
-            }
+            await this.withStore(store => store.del(key));
         } catch (error) {
             console.warn('Cache delete error:', error.message);
         }
@@ -97,89 +204,136 @@ class CacheManager {
     // Clear all cache
     async clear() {
         try {
-            if (this.redis) {
-                await this.redis.flushall();
-            } else {
-                this.memoryCache.clear();
-            }
+            await this.withStore(store => store.clear());
         } catch (error) {
             console.warn('Cache clear error:', error.message);
         }
     }
 
-    // Cache middleware for Express
-    middleware(ttl = this.defaultTTL) {
-        return async (req, res, next) => {
-            // Only cache GET requests
-            if (req.method !== 'GET') {
-                return next();
-            }
-
-            const key = `cache:${req.originalUrl}`;
-            
-            try {
-                const cached = await this.get(key);
-                if (cached) {
-                    res.setHeader('X-Cache', 'HIT');
-                    return res.json(cached);
-                }
-
-                // Override res.json to cache the response
-                const originalJson = res.json;
-                res.json = function(body) {
-                    // Cache successful responses only
-                    if (res.statusCode === 200) {
-                        cache.set(key, body, ttl).catch(console.warn);
-                    }
-                    res.setHeader('X-Cache', 'MISS');
-                    return originalJson.call(this, body);
-                };
-
-                next();
-            } catch (error) {
-                console.warn('Cache middleware error:', error.message);
-                next();
-            }
-        };
+    // Drops every entry stored with any of the tags
+    async invalidate(...tags) {
+        const list = tags.flat().filter(Boolean);
+        this.stats.invalidations += list.length;
+        try {
+            await this.withStore(store => Promise.all(list.map(tag => store.bumpTag(tag))));
+        } catch (error) {
+            console.warn('Cache invalidate error:', error.message);
+        }
     }
 
-    // Get cache stats
-    async getStats() {
+    async readEntry(key) {
+        const entry = await this.get(ENTRY_PREFIX + key);
+        if (!entry) return null;
+
         try {
-            if (this.redis) {
-                const info = await this.redis.info('memory');
-                return {
-                    type: 'redis',
-                    connected: true,
-                    memory: info
-                };
-            } else {
-                return {
-                    type: 'memory',
-                    connected: true,
-                    size: this.memoryCache.size,
-                    maxSize: this.maxMemoryItems
-                };
-            }
+            const versions = await this.withStore(store => store.tagVersions(entry.tags));
+            const current = entry.tags.every((tag, index) => versions[index] === entry.tagVersions[index]);
+            return current ? entry : null;
         } catch (error) {
-            return {
-                type: 'error',
-                connected: false,
-                error: error.message
+            return null;
+        }
+    }
+
+    // Loads and stores a fresh entry; concurrent calls for the same key share one load
+    refresh(key, options, loader) {
+        if (this.refreshing.has(key)) return this.refreshing.get(key);
+
+        const { ttl = this.defaultTTL, staleTtl = this.defaultStaleTTL, tags = [] } = options;
+        const run = (async () => {
+            // Versions are read before loading, so a write that lands mid-load invalidates the result
+            const tagVersions = await this.withStore(store => store.tagVersions(tags)).catch(() => tags.map(() => -1));
+            const body = JSON.stringify(await loader());
+            const entry = {
+                body,
+                etag: `"${crypto.createHash('sha1').update(body).digest('base64url')}"`,
+                tags,
+                tagVersions,
+                storedAt: Date.now(),
+                freshUntil: Date.now() + ttl * 1000
             };
+            await this.set(ENTRY_PREFIX + key, entry, ttl + staleTtl);
+            return entry;
+        })();
+
+        this.refreshing.set(key, run);
+        run.catch(() => {}).then(() => this.refreshing.delete(key));
+        return run;
+    }
+
+    // { body (JSON string), etag, status: 'HIT' | 'STALE' | 'MISS' }
+    // options: ttl, staleTtl (seconds), tags, name (for hit/miss stats)
+    async lookup(key, options, loader) {
+        const name = options.name || key.split(':')[0];
+        const entry = await this.readEntry(key);
+
+        if (entry && Date.now() < entry.freshUntil) {
+            this.count(name, 'hits');
+            return { ...entry, status: 'HIT' };
+        }
+
+        if (entry) {
+            this.count(name, 'stale');
+            this.stats.refreshes++;
+            this.refresh(key, options, loader).catch(error => {
+                this.stats.refreshErrors++;
+                console.warn(`⚠️ Background cache refresh failed for ${key}:`, error.message);
+            });
+            return { ...entry, status: 'STALE' };
+        }
+
+        this.count(name, 'misses');
+        return { ...(await this.refresh(key, options, loader)), status: 'MISS' };
+    }
+
+    // Read-through for code that wants the value itself
+    async remember(key, options, loader) {
+        const entry = await this.lookup(key, options, loader);
+        return JSON.parse(entry.body);
+    }
+
+    // Sends the cached JSON for an Express route; errors from loader propagate to the route
+    async respond(req, res, key, options, loader) {
+        const entry = await this.lookup(key, options, loader);
+
+        // Browsers may keep a copy but must revalidate it with If-None-Match
+        res.set({
+            'Cache-Control': 'no-cache',
+            'ETag': entry.etag,
+            'X-Cache': entry.status
+        });
+
+        if (req.fresh) {
+            return res.status(304).end();
         }
+        res.type('application/json').send(entry.body);
+    }
+
+    // Get cache stats
+    async getStats() {
+        const lookups = this.stats.hits + this.stats.misses + this.stats.stale;
+        return {
+            type: this.redis ? 'redis' : 'memory',
+            connected: true,
+            size: this.redis ? null : this.memory.size,
+            maxSize: this.redis ? null : this.memory.maxItems,
+            ...this.stats,
+            hitRate: lookups > 0 ? Math.round(((this.stats.hits + this.stats.stale) / lookups) * 1000) / 1000 : 0,
+            byName: this.byName
+        };
     }
 
     // Close connections
     async close() {
         if (this.redis) {
             await this.redis.quit();
+            this.redis = null;
         }
-        this.memoryCache.clear();
+        this.memory.clear();
     }
 }
 
 // Create singleton instance
 const cache = new CacheManager();
 
-module.exports = cache;
\ No newline at end of file
+module.exports = cache;
+module.exports.CacheManager = CacheManager;
@@ -1,12 +1,63 @@
 const express = require('express');
 const { VintageItem, VintageSeller, User, CrossPost, Order } = require('./models');
+const SalePropagationService = require('../services/SalePropagationService');
+const { liveEvents } = require('../services/LiveEvents');
+const { catalogSearch } = require('../services/search');
+const responseCache = require('../cache');
+const { wishlistService, WishlistError } = require('../services/WishlistService');
 
 const router = express.Router();
+const salePropagation = new SalePropagationService();
 
 // =============================================================================
 // VINTAGE ITEMS API (Multi-seller products)
 // =============================================================================
 
+/**
+ * @openapi
+ * /api/db/items:
+ *   get:
+ *     tags: [Database]
+ *     summary: List published vintage items
+ *     parameters:
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/offset'
+ *       - name: category
+ *         in: query
+ *         schema:
+ *           type: string
+ *       - name: seller_id
+ *         in: query
+ *         schema:
+ *           type: integer
+ *       - name: search
+ *         in: query
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Items
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 items:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/VintageItem'
+ *                 count:
+ *                   type: integer
+ *                 filters:
+ *                   type: object
+ *                   additionalProperties: true
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
 // Get all published items (public endpoint)
 router.get('/items', async (req, res) => {
     try {
@@ -31,6 +82,33 @@ router.get('/items', async (req, res) => {
     }
 });
 
+/**
+ * @openapi
+ * /api/db/items/{id}:
+ *   get:
+ *     tags: [Database]
+ *     summary: Get an item (counts as a view)
+ *     parameters:
+ *       - $ref: '#/components/parameters/id'
+ *     responses:
+ *       200:
+ *         description: Item
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 item:
+ *                   $ref: '#/components/schemas/VintageItem'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
 // Get single item details
 router.get('/items/:id', async (req, res) => {
     try {
@@ -49,6 +127,43 @@ router.get('/items/:id', async (req, res) => {
     }
 });
 
+/**
+ * @openapi
+ * /api/db/items:
+ *   post:
+ *     tags: [Database]
+ *     summary: Create an item for any seller
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/VintageItemInput'
+ *               - type: object
+ *                 required: [title, price, seller_id]
+ *                 properties:
+ *                   seller_id:
+ *                     type: integer
+ *     responses:
+ *       201:
+ *         description: Item created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 item:
+ *                   $ref: '#/components/schemas/VintageItem'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
 // Create new item (requires authentication)
 router.post('/items', async (req, res) => {
     try {
@@ -63,6 +178,8 @@ router.post('/items', async (req, res) => {
         }
         
         const item = await VintageItem.create(itemData);
+        catalogSearch.invalidate(); // reindex on next search
+        responseCache.invalidate('vintage_items');
         res.status(201).json({ success: true, item });
     } catch (error) {
         console.error('Error creating item:', error);
@@ -70,24 +187,116 @@ router.post('/items', async (req, res) => {
     }
 });
 
+/**
+ * @openapi
+ * /api/db/items/{id}:
+ *   put:
+ *     tags: [Database]
+ *     summary: Update an item
+ *     description: Marking an item sold delists it from the other marketplaces.
+ *     parameters:
+ *       - $ref: '#/components/parameters/id'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/VintageItemInput'
+ *               - type: object
+ *                 properties:
+ *                   sold_on:
+ *                     type: string
+ *                     description: Marketplace the item sold on
+ *     responses:
+ *       200:
+ *         description: Item updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 item:
+ *                   $ref: '#/components/schemas/VintageItem'
+ *                 salePropagation:
+ *                   type: object
+ *                   nullable: true
+ *                   additionalProperties: true
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
 // Update item
 router.put('/items/:id', async (req, res) => {
     try {
         const updates = req.body;
+        const soldOn = updates.sold_on || null;
         delete updates.id; // Don't allow ID updates
+        delete updates.sold_on;
         
-        const item = await VintageItem.update(req.params.id, updates);
-        if (!item) {
+        const before = await VintageItem.findById(req.params.id);
+        if (!before) {
             return res.status(404).json({ error: 'Item not found' });
         }
         
-        res.json({ success: true, item });
+        const item = await VintageItem.update(req.params.id, updates);
+        catalogSearch.invalidate();
+        responseCache.invalidate('vintage_items');
+
+        if (updates.price !== undefined && parseFloat(updates.price) !== parseFloat(before.price)) {
+            liveEvents.publish('item.price_changed', {
+                itemId: before.id,
+                name: before.title,
+                from: parseFloat(before.price),
+                to: parseFloat(updates.price)
+            });
+        }
+        
+        // Sold just now: delist it from the other platforms
+        let salePropagationResult = null;
+        const after = { ...before, ...updates };
+        if (salePropagation.isNewSale(before, after)) {
+            salePropagationResult = await salePropagation.propagateSale(after, { soldOn });
+            liveEvents.publish('sold', {
+                source: 'vintage',
+                itemId: after.id,
+                name: after.title,
+                price: after.price,
+                soldOn: soldOn,
+                delisted: salePropagationResult.results
+            });
+        }
+        
+        res.json({ success: true, item, salePropagation: salePropagationResult });
     } catch (error) {
         console.error('Error updating item:', error);
         res.status(500).json({ error: 'Failed to update item' });
     }
 });
 
+/**
+ * @openapi
+ * /api/db/items/{id}:
+ *   delete:
+ *     tags: [Database]
+ *     summary: Delete an item
+ *     parameters:
+ *       - $ref: '#/components/parameters/id'
+ *     responses:
+ *       200:
+ *         $ref: '#/components/responses/Success'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
 // Delete item
 router.delete('/items/:id', async (req, res) => {
     try {
@@ -95,6 +304,8 @@ router.delete('/items/:id', async (req, res) => {
         if (!item) {
             return res.status(404).json({ error: 'Item not found' });
         }
+        catalogSearch.invalidate();
+        responseCache.invalidate('vintage_items');
         
         res.json({ success: true, message: 'Item deleted successfully' });
     } catch (error) {
@@ -103,7 +314,46 @@ router.delete('/items/:id', async (req, res) => {
     }
 });
 
-// Like/unlike item
+/**
+ * @openapi
+ * /api/db/items/{id}/like:
+ *   post:
+ *     tags: [Database]
+ *     summary: Add an item to, or remove it from, a user's wishlist
+ *     parameters:
+ *       - $ref: '#/components/parameters/id'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [user_id]
+ *             properties:
+ *               user_id:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Wishlist toggled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 liked:
+ *                   type: boolean
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+// Like/unlike item (adds to / removes from the user's wishlist)
 router.post('/items/:id/like', async (req, res) => {
     try {
         // In a real app, you'd get user_id from authenticated session
@@ -112,9 +362,12 @@ router.post('/items/:id/like', async (req, res) => {
             return res.status(400).json({ error: 'user_id required' });
         }
         
-        const result = await VintageItem.toggleLike(req.params.id, user_id);
+        const result = await wishlistService.toggle(parseInt(user_id), parseInt(req.params.id));
         res.json({ success: true, ...result });
     } catch (error) {
+        if (error instanceof WishlistError) {
+            return res.status(error.status).json({ error: error.message });
+        }
         console.error('Error toggling like:', error);
         res.status(500).json({ error: 'Failed to toggle like' });
     }
@@ -124,6 +377,36 @@ router.post('/items/:id/like', async (req, res) => {
 // SELLERS API
 // =============================================================================
 
+/**
+ * @openapi
+ * /api/db/sellers:
+ *   get:
+ *     tags: [Database]
+ *     summary: List sellers
+ *     parameters:
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/offset'
+ *     responses:
+ *       200:
+ *         description: Sellers
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 sellers:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/VintageSeller'
+ *                 count:
+ *                   type: integer
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
 // Get all sellers
 router.get('/sellers', async (req, res) => {
     try {
@@ -137,6 +420,40 @@ router.get('/sellers', async (req, res) => {
     }
 });
 
+/**
+ * @openapi
+ * /api/db/sellers/{id}:
+ *   get:
+ *     tags: [Database]
+ *     summary: Get a seller with their 20 newest items
+ *     parameters:
+ *       - $ref: '#/components/parameters/id'
+ *     responses:
+ *       200:
+ *         description: Seller
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 seller:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/VintageSeller'
+ *                     - type: object
+ *                       properties:
+ *                         items:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/VintageItem'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
 // Get seller profile
 router.get('/sellers/:id', async (req, res) => {
     try {
@@ -158,6 +475,49 @@ router.get('/sellers/:id', async (req, res) => {
     }
 });
 
+/**
+ * @openapi
+ * /api/db/sellers:
+ *   post:
+ *     tags: [Database]
+ *     summary: Create a seller profile for a user
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [user_id, store_name]
+ *             properties:
+ *               user_id:
+ *                 type: integer
+ *               store_name:
+ *                 type: string
+ *               bio:
+ *                 type: string
+ *               instagram_handle:
+ *                 type: string
+ *               subscription_tier:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Seller created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 seller:
+ *                   $ref: '#/components/schemas/VintageSeller'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
 // Create seller profile
 router.post('/sellers', async (req, res) => {
     try {
@@ -181,6 +541,33 @@ router.post('/sellers', async (req, res) => {
 // CROSS-PLATFORM POSTING API
 // =============================================================================
 
+/**
+ * @openapi
+ * /api/db/items/{id}/cross-posts:
+ *   get:
+ *     tags: [Database]
+ *     summary: List an item's cross-posts
+ *     parameters:
+ *       - $ref: '#/components/parameters/id'
+ *     responses:
+ *       200:
+ *         description: Cross-posts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 posts:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CrossPost'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
 // Get cross-posts for an item
 router.get('/items/:id/cross-posts', async (req, res) => {
     try {
@@ -192,6 +579,47 @@ router.get('/items/:id/cross-posts', async (req, res) => {
     }
 });
 
+/**
+ * @openapi
+ * /api/db/items/{id}/cross-posts:
+ *   post:
+ *     tags: [Database]
+ *     summary: Record a listing made on another marketplace
+ *     parameters:
+ *       - $ref: '#/components/parameters/id'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [platform]
+ *             properties:
+ *               platform:
+ *                 type: string
+ *               external_id:
+ *                 type: string
+ *               external_url:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Cross-post recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 post:
+ *                   $ref: '#/components/schemas/CrossPost'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
 // Create cross-post
 router.post('/items/:id/cross-posts', async (req, res) => {
     try {
@@ -217,6 +645,46 @@ router.post('/items/:id/cross-posts', async (req, res) => {
     }
 });
 
+/**
+ * @openapi
+ * /api/db/cross-posts/{id}:
+ *   put:
+ *     tags: [Database]
+ *     summary: Update a cross-post's status
+ *     parameters:
+ *       - $ref: '#/components/parameters/id'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [status]
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [pending, success, failed, removal_pending, removed]
+ *               error_message:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Cross-post updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 post:
+ *                   $ref: '#/components/schemas/CrossPost'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
 // Update cross-post status
 router.put('/cross-posts/:id', async (req, res) => {
     try {
@@ -238,6 +706,44 @@ router.put('/cross-posts/:id', async (req, res) => {
 // MIGRATION HELPER - Convert existing JSON products to database
 // =============================================================================
 
+/**
+ * @openapi
+ * /api/db/migrate/json-to-db:
+ *   post:
+ *     tags: [Database]
+ *     summary: Copy data/products.json into vintage_items
+ *     description: Items are created as published under seller 1, which is created for the admin user if missing.
+ *     responses:
+ *       200:
+ *         description: Migration summary
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 migrated:
+ *                   type: integer
+ *                 errors:
+ *                   type: array
+ *                   description: First 10 failures
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       product:
+ *                         type: string
+ *                       error:
+ *                         type: string
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
 router.post('/migrate/json-to-db', async (req, res) => {
     try {
         const fs = require('fs');
@@ -314,6 +820,44 @@ router.post('/migrate/json-to-db', async (req, res) => {
 // ANALYTICS & STATS
 // =============================================================================
 
+/**
+ * @openapi
+ * /api/db/stats:
+ *   get:
+ *     tags: [Database]
+ *     summary: Marketplace totals
+ *     responses:
+ *       200:
+ *         description: Totals
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 stats:
+ *                   type: object
+ *                   properties:
+ *                     published_items:
+ *                       type: integer
+ *                     sold_items:
+ *                       type: integer
+ *                     total_sellers:
+ *                       type: integer
+ *                     total_users:
+ *                       type: integer
+ *                     avg_price:
+ *                       type: number
+ *                       nullable: true
+ *                     total_views:
+ *                       type: integer
+ *                       nullable: true
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
 // Get marketplace stats
 router.get('/stats', async (req, res) => {
     try {
@@ -36,6 +36,9 @@ async function testConnection() {
             const sqliteWorks = await sqlite.testConnection();
             if (sqliteWorks) {
                 console.log('✅ Using SQLite as fallback database');
+                await sqlite.upgradeSchema().catch(error => {
+                    console.error('❌ SQLite schema upgrade failed:', error.message);
+                });
                 // Replace the query function with SQLite version
                 module.exports.query = sqlite.query;
                 module.exports.initializeDatabase = sqlite.initializeDatabase;
@@ -116,6 +119,11 @@ async function query(text, params) {
     }
 }
 
+// Which backend queries currently go to (testConnection or query may have switched to SQLite)
+function databaseEngine() {
+    return module.exports.query !== query || !usingPostgreSQL ? 'sqlite' : 'postgresql';
+}
+
 // Transaction helper
 async function transaction(callback) {
     const client = await pool.connect();
@@ -144,5 +152,6 @@ module.exports = {
     query,
     transaction,
     testConnection,
-    initializeDatabase
+    initializeDatabase,
+    databaseEngine
 };
\ No newline at end of file
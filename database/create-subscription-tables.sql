@@ -67,7 +67,7 @@ CREATE TABLE IF NOT EXISTS subscription_notifications (
     
     CONSTRAINT valid_notification_type CHECK (notification_type IN (
         'limit_warning', 'limit_reached', 'subscription_expired', 
-        'upgrade_recommendation', 'feature_unlocked'
+        'upgrade_recommendation', 'feature_unlocked', 'renewal_reminder'
     ))
 );
 
@@ -73,7 +73,7 @@ async function initializeSubscriptionTables() {
                 
                 CONSTRAINT valid_notification_type CHECK (notification_type IN (
                     'limit_warning', 'limit_reached', 'subscription_expired', 
-                    'upgrade_recommendation', 'feature_unlocked'
+                    'upgrade_recommendation', 'feature_unlocked', 'renewal_reminder'
                 ))
             )`
         ];
@@ -99,6 +99,9 @@ async function initializeSubscriptionTables() {
         for (const indexSql of indexes) {
             await query(indexSql);
         }
+
+        // Tables this script created before (CREATE ... IF NOT EXISTS skipped them)
+        await require('./sqlite-connection').upgradeSchema();
         
         // Insert default free subscriptions for existing users
         await query(`
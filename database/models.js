@@ -1,9 +1,9 @@
-const { query, transaction } = require('./connection');
+const { query } = require('./connection');
 
 // User model
 class User {
     static async create(userData) {
-        const { username, email, password_hash, role = 'user' } = userData;
+        const { username, email, password_hash, role = 'buyer' } = userData;
         const result = await query(
             'INSERT INTO users (username, email, password_hash, role) VALUES ($1, $2, $3, $4) RETURNING *',
             [username, email, password_hash, role]
@@ -25,6 +25,368 @@ class User {
         const result = await query('SELECT * FROM users WHERE username = $1', [username]);
         return result.rows[0];
     }
+
+    // Login accepts either the username or the email address
+    static async findByLogin(login) {
+        const result = await query('SELECT * FROM users WHERE username = $1 OR email = $2', [login, login]);
+        return result.rows[0];
+    }
+
+    static async setRole(id, role) {
+        await query('UPDATE users SET role = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2', [role, id]);
+    }
+
+    static async setPasswordHash(id, password_hash) {
+        await query('UPDATE users SET password_hash = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2', [password_hash, id]);
+    }
+}
+
+// Refresh token model (rotated on every use)
+class RefreshToken {
+    static async create({ user_id, token_hash, expires_at }) {
+        await query(
+            'INSERT INTO refresh_tokens (user_id, token_hash, expires_at) VALUES ($1, $2, $3)',
+            [user_id, token_hash, expires_at]
+        );
+    }
+
+    static async findByHash(token_hash) {
+        const result = await query('SELECT * FROM refresh_tokens WHERE token_hash = $1', [token_hash]);
+        return result.rows[0];
+    }
+
+    // True only for the request that actually revoked it
+    static async revoke(id) {
+        const result = await query(
+            'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE id = $1 AND revoked_at IS NULL',
+            [id]
+        );
+        return result.rowCount === 1;
+    }
+
+    static async revokeAllForUser(user_id) {
+        await query(
+            'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND revoked_at IS NULL',
+            [user_id]
+        );
+    }
+}
+
+class ApiKey {
+    static async create({ user_id, name, key_prefix, key_hash, scopes, rate_limit_per_minute }) {
+        const result = await query(
+            `INSERT INTO api_keys (user_id, name, key_prefix, key_hash, scopes, rate_limit_per_minute)
+             VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+            [user_id, name, key_prefix, key_hash, JSON.stringify(scopes), rate_limit_per_minute]
+        );
+        return result.rows[0];
+    }
+
+    static async findByHash(key_hash) {
+        const result = await query('SELECT * FROM api_keys WHERE key_hash = $1', [key_hash]);
+        return result.rows[0];
+    }
+
+    static async findById(id) {
+        const result = await query('SELECT * FROM api_keys WHERE id = $1', [id]);
+        return result.rows[0];
+    }
+
+    static async getByUser(user_id) {
+        const result = await query(
+            'SELECT * FROM api_keys WHERE user_id = $1 AND revoked_at IS NULL ORDER BY created_at DESC',
+            [user_id]
+        );
+        return result.rows;
+    }
+
+    static async rename(id, name) {
+        await query('UPDATE api_keys SET name = $1 WHERE id = $2', [name, id]);
+    }
+
+    // True only for the request that actually revoked it
+    static async revoke(id) {
+        const result = await query(
+            'UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP WHERE id = $1 AND revoked_at IS NULL',
+            [id]
+        );
+        return result.rowCount === 1;
+    }
+
+    static async touch(id) {
+        await query('UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = $1', [id]);
+    }
+}
+
+class SubscriptionUsage {
+    // One row per user, feature and month (YYYY-MM)
+    static async increment(user_id, feature, month_year = new Date().toISOString().slice(0, 7)) {
+        await query(
+            `INSERT INTO subscription_usage (user_id, feature, usage_count, month_year)
+             VALUES ($1, $2, 1, $3)
+             ON CONFLICT (user_id, feature, month_year)
+             DO UPDATE SET usage_count = subscription_usage.usage_count + 1, last_used = CURRENT_TIMESTAMP`,
+            [user_id, feature, month_year]
+        );
+    }
+
+    static async getByUser(user_id, month_year = new Date().toISOString().slice(0, 7)) {
+        const result = await query(
+            'SELECT feature, usage_count, last_used FROM subscription_usage WHERE user_id = $1 AND month_year = $2 ORDER BY feature',
+            [user_id, month_year]
+        );
+        return result.rows;
+    }
+}
+
+class UserSubscription {
+    static async findByUser(user_id) {
+        const result = await query('SELECT * FROM user_subscriptions WHERE user_id = $1', [user_id]);
+        return result.rows[0];
+    }
+
+    // Active subscriptions past their expiry (now is an ISO string). Subscriptions
+    // with a running billing account are left to the billing job.
+    static async getLapsed(now) {
+        const result = await query(
+            `SELECT us.*
+             FROM user_subscriptions us
+             LEFT JOIN subscription_billing sb ON sb.user_id = us.user_id AND sb.status IN ('active', 'past_due')
+             WHERE us.status = 'active' AND us.expires_at IS NOT NULL AND us.expires_at < $1 AND sb.user_id IS NULL`,
+            [now]
+        );
+        return result.rows;
+    }
+
+    // Active subscriptions expiring in [from, to), with their billing account if any
+    static async getExpiring(from, to) {
+        const result = await query(
+            `SELECT us.*, sb.status AS billing_status, sb.period_end, sb.price AS billing_price,
+                    sb.cycle, sb.cancel_at_period_end
+             FROM user_subscriptions us
+             LEFT JOIN subscription_billing sb ON sb.user_id = us.user_id
+             WHERE us.status = 'active' AND us.expires_at >= $1 AND us.expires_at < $2
+             ORDER BY us.expires_at`,
+            [from, to]
+        );
+        return result.rows;
+    }
+}
+
+// Snapshot of the tier terms a user was granted (see services/Entitlements.js)
+class SubscriptionEntitlement {
+    static async findByUser(user_id) {
+        const result = await query('SELECT * FROM subscription_entitlements WHERE user_id = $1', [user_id]);
+        return result.rows[0];
+    }
+
+    static async save(user_id, { tier, version, terms }) {
+        await query(
+            `INSERT INTO subscription_entitlements (user_id, tier, version, terms, granted_at)
+             VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
+             ON CONFLICT (user_id) DO UPDATE SET
+                tier = excluded.tier, version = excluded.version, terms = excluded.terms, granted_at = excluded.granted_at`,
+            [user_id, tier, version, JSON.stringify(terms)]
+        );
+    }
+}
+
+// Paid subscriptions: billing period, cycle and saved payment method (one row per user)
+class BillingAccount {
+    static async findByUser(user_id) {
+        const result = await query('SELECT * FROM subscription_billing WHERE user_id = $1', [user_id]);
+        return result.rows[0];
+    }
+
+    // Starting (or restarting after a cancellation) a paid subscription
+    static async open({ user_id, tier, cycle, price, provider, payment_method, period_start, period_end }) {
+        await query(
+            `INSERT INTO subscription_billing (user_id, tier, cycle, price, status, provider, payment_method, period_start, period_end)
+             VALUES ($1, $2, $3, $4, 'active', $5, $6, $7, $8)
+             ON CONFLICT (user_id) DO UPDATE SET
+                tier = excluded.tier, cycle = excluded.cycle, price = excluded.price, status = 'active', provider = excluded.provider,
+                payment_method = excluded.payment_method, period_start = excluded.period_start,
+                period_end = excluded.period_end, cancel_at_period_end = FALSE, updated_at = CURRENT_TIMESTAMP`,
+            [user_id, tier, cycle, price, provider, payment_method, period_start, period_end]
+        );
+        return this.findByUser(user_id);
+    }
+
+    static async update(user_id, updates) {
+        const fields = [];
+        const values = [];
+
+        Object.keys(updates).forEach(key => {
+            if (['tier', 'cycle', 'price', 'status', 'payment_method', 'period_start', 'period_end', 'cancel_at_period_end', 'credit_balance'].includes(key)) {
+                values.push(updates[key]);
+                fields.push(`${key} = $${values.length}`);
+            }
+        });
+        if (fields.length === 0) return this.findByUser(user_id);
+
+        values.push(user_id);
+        await query(
+            `UPDATE subscription_billing SET ${fields.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE user_id = $${values.length}`,
+            values
+        );
+        return this.findByUser(user_id);
+    }
+
+    // Active subscriptions whose period has ended (now is an ISO string)
+    static async getDueForRenewal(now) {
+        const result = await query(
+            "SELECT * FROM subscription_billing WHERE status = 'active' AND period_end <= $1 ORDER BY period_end",
+            [now]
+        );
+        return result.rows;
+    }
+}
+
+class Invoice {
+    // Numbered VC-000001, ... from the row id
+    static async create({ user_id, reason, currency = 'usd', subtotal, credit_applied = 0, total, period_start = null, period_end = null, provider = null }) {
+        const result = await query(
+            `INSERT INTO invoices (user_id, reason, status, currency, subtotal, credit_applied, total, period_start, period_end, provider)
+             VALUES ($1, $2, 'open', $3, $4, $5, $6, $7, $8, $9) RETURNING *`,
+            [user_id, reason, currency, subtotal, credit_applied, total, period_start, period_end, provider]
+        );
+        const invoice = result.rows[0];
+        await query('UPDATE invoices SET number = $1 WHERE id = $2', [`VC-${String(invoice.id).padStart(6, '0')}`, invoice.id]);
+        return this.findById(invoice.id);
+    }
+
+    static async findById(id) {
+        const result = await query('SELECT * FROM invoices WHERE id = $1', [id]);
+        return result.rows[0];
+    }
+
+    static async getByUser(user_id, limit = 50) {
+        const result = await query(
+            'SELECT * FROM invoices WHERE user_id = $1 ORDER BY created_at DESC, id DESC LIMIT $2',
+            [user_id, limit]
+        );
+        return result.rows;
+    }
+
+    static async findOpenByUser(user_id) {
+        const result = await query(
+            "SELECT * FROM invoices WHERE user_id = $1 AND status = 'open' ORDER BY id DESC LIMIT 1",
+            [user_id]
+        );
+        return result.rows[0];
+    }
+
+    // Open invoices whose next dunning retry is due (now is an ISO string)
+    static async getDueForRetry(now) {
+        const result = await query(
+            "SELECT * FROM invoices WHERE status = 'open' AND next_attempt_at IS NOT NULL AND next_attempt_at <= $1 ORDER BY next_attempt_at",
+            [now]
+        );
+        return result.rows;
+    }
+
+    static async getRecent(status = null, limit = 50) {
+        const params = status ? [status, limit] : [limit];
+        const result = await query(
+            `SELECT i.*, u.username, u.email
+             FROM invoices i
+             LEFT JOIN users u ON i.user_id = u.id
+             ${status ? 'WHERE i.status = $1' : ''}
+             ORDER BY i.created_at DESC, i.id DESC
+             LIMIT $${params.length}`,
+            params
+        );
+        return result.rows;
+    }
+
+    static async update(id, updates) {
+        const fields = [];
+        const values = [];
+
+        Object.keys(updates).forEach(key => {
+            if (['status', 'provider', 'provider_payment_id', 'attempt_count', 'next_attempt_at', 'last_error', 'paid_at'].includes(key)) {
+                values.push(updates[key]);
+                fields.push(`${key} = $${values.length}`);
+            }
+        });
+        if (fields.length === 0) return this.findById(id);
+
+        values.push(id);
+        await query(
+            `UPDATE invoices SET ${fields.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = $${values.length}`,
+            values
+        );
+        return this.findById(id);
+    }
+}
+
+class InvoiceLineItem {
+    static async create(invoice_id, { description, tier = null, amount, proration = false, period_start = null, period_end = null }) {
+        const result = await query(
+            `INSERT INTO invoice_line_items (invoice_id, description, tier, amount, proration, period_start, period_end)
+             VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+            [invoice_id, description, tier, amount, proration, period_start, period_end]
+        );
+        return result.rows[0];
+    }
+
+    static async getByInvoice(invoice_id) {
+        const result = await query('SELECT * FROM invoice_line_items WHERE invoice_id = $1 ORDER BY id', [invoice_id]);
+        return result.rows;
+    }
+}
+
+// Subscription inbox: expiry, renewal reminders and item-limit warnings
+class SubscriptionNotification {
+    static async create({ user_id, notification_type, message }) {
+        const result = await query(
+            `INSERT INTO subscription_notifications (user_id, notification_type, message)
+             VALUES ($1, $2, $3) RETURNING *`,
+            [user_id, notification_type, message]
+        );
+        return result.rows[0];
+    }
+
+    static async findLatest(user_id, notification_type) {
+        const result = await query(
+            `SELECT * FROM subscription_notifications
+             WHERE user_id = $1 AND notification_type = $2
+             ORDER BY created_at DESC, id DESC LIMIT 1`,
+            [user_id, notification_type]
+        );
+        return result.rows[0];
+    }
+
+    static async getByUser(user_id, { unreadOnly = false, limit = 50 } = {}) {
+        const params = unreadOnly ? [user_id, false, limit] : [user_id, limit];
+        const result = await query(
+            `SELECT * FROM subscription_notifications
+             WHERE user_id = $1 ${unreadOnly ? 'AND is_read = $2' : ''}
+             ORDER BY created_at DESC, id DESC
+             LIMIT $${params.length}`,
+            params
+        );
+        return result.rows;
+    }
+
+    static async countUnread(user_id) {
+        const result = await query(
+            'SELECT COUNT(*) as count FROM subscription_notifications WHERE user_id = $1 AND is_read = $2',
+            [user_id, false]
+        );
+        return parseInt(result.rows[0].count) || 0;
+    }
+
+    // id is optional - without it every notification of the user is updated
+    static async setRead(user_id, id = null, is_read = true) {
+        const result = id === null
+            ? await query('UPDATE subscription_notifications SET is_read = $1 WHERE user_id = $2', [is_read, user_id])
+            : await query(
+                'UPDATE subscription_notifications SET is_read = $1 WHERE user_id = $2 AND id = $3',
+                [is_read, user_id, id]
+            );
+        return result.rowCount || 0;
+    }
 }
 
 // Vintage Seller model
@@ -80,6 +442,33 @@ class VintageSeller {
         );
         return result.rows[0];
     }
+
+    static async getUserIds() {
+        const result = await query('SELECT user_id FROM vintage_sellers ORDER BY user_id');
+        return result.rows.map(row => row.user_id);
+    }
+
+    // Stores with a public portfolio, last changed when they or a live listing were
+    static async getSitemapEntries() {
+        const result = await query(
+            `SELECT vs.store_name, vs.updated_at, MAX(vi.updated_at) AS items_updated_at
+             FROM vintage_sellers vs
+             LEFT JOIN vintage_items vi ON vi.seller_id = vs.id AND vi.status = 'published'
+             WHERE vs.store_name IS NOT NULL AND vs.store_name <> ''
+             GROUP BY vs.id, vs.store_name, vs.updated_at
+             ORDER BY vs.id`
+        );
+        return result.rows;
+    }
+
+    // Display copy of the user's subscription tier
+    static async setSubscriptionTier(seller_id, subscription_tier) {
+        await query(
+            'UPDATE vintage_sellers SET subscription_tier = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+            [subscription_tier, seller_id]
+        );
+        return VintageSeller.findById(seller_id);
+    }
 }
 
 // Vintage Item model
@@ -122,6 +511,18 @@ class VintageItem {
         return result.rows;
     }
 
+    // Listings that count towards a seller's subscription item limit
+    static async countListedByUser(user_id) {
+        const result = await query(
+            `SELECT COUNT(*) AS count
+             FROM vintage_items vi
+             JOIN vintage_sellers vs ON vi.seller_id = vs.id
+             WHERE vs.user_id = $1 AND vi.status IN ('draft', 'published', 'reserved')`,
+            [user_id]
+        );
+        return parseInt(result.rows[0]?.count || 0);
+    }
+
     static async getPublished(limit = 50, offset = 0, filters = {}) {
         let whereClause = "WHERE status = 'published'";
         let params = [limit, offset];
@@ -146,7 +547,7 @@ class VintageItem {
         }
 
         const result = await query(
-            `SELECT vi.*, vs.store_name, vs.profile_image as seller_image, u.username as seller_username
+            `SELECT vi.*, vs.store_name, vs.is_verified, vs.profile_image as seller_image, u.username as seller_username
              FROM vintage_items vi
              JOIN vintage_sellers vs ON vi.seller_id = vs.id
              JOIN users u ON vs.user_id = u.id
@@ -158,6 +559,28 @@ class VintageItem {
         return result.rows;
     }
 
+    // Every live listing, without the columns a sitemap doesn't need
+    static async getSitemapEntries() {
+        const result = await query(
+            `SELECT id, category, updated_at, created_at FROM vintage_items
+             WHERE status = 'published'
+             ORDER BY id`
+        );
+        return result.rows;
+    }
+
+    // Drafts and live listings of every seller (for duplicate checks)
+    static async getUnsold(limit = 5000) {
+        const result = await query(
+            `SELECT * FROM vintage_items
+             WHERE status IN ('draft', 'published', 'reserved')
+             ORDER BY created_at DESC
+             LIMIT $1`,
+            [limit]
+        );
+        return result.rows;
+    }
+
     static async update(id, updates) {
         const fields = Object.keys(updates);
         const values = Object.values(updates);
@@ -171,6 +594,15 @@ class VintageItem {
         return result.rows[0];
     }
 
+    // Only moves the item if it is still in fromStatus, so two buyers can't reserve the same piece
+    static async changeStatus(id, fromStatus, toStatus) {
+        const result = await query(
+            'UPDATE vintage_items SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 AND status = $3',
+            [toStatus, id, fromStatus]
+        );
+        return result.rowCount === 1;
+    }
+
     static async delete(id) {
         const result = await query('DELETE FROM vintage_items WHERE id = $1 RETURNING *', [id]);
         return result.rows[0];
@@ -179,40 +611,6 @@ class VintageItem {
     static async incrementViews(id) {
         await query('UPDATE vintage_items SET views = views + 1 WHERE id = $1', [id]);
     }
-
-    static async toggleLike(item_id, user_id) {
-        return await transaction(async (client) => {
-            // Check if already liked
-            const existing = await client.query(
-                'SELECT id FROM user_favorites WHERE item_id = $1 AND user_id = $2',
-                [item_id, user_id]
-            );
-
-            if (existing.rows.length > 0) {
-                // Unlike
-                await client.query(
-                    'DELETE FROM user_favorites WHERE item_id = $1 AND user_id = $2',
-                    [item_id, user_id]
-                );
-                await client.query(
-                    'UPDATE vintage_items SET likes = likes - 1 WHERE id = $1',
-                    [item_id]
-                );
-                return { liked: false };
-            } else {
-                // Like
-                await client.query(
-                    'INSERT INTO user_favorites (item_id, user_id) VALUES ($1, $2)',
-                    [item_id, user_id]
-                );
-                await client.query(
-                    'UPDATE vintage_items SET likes = likes + 1 WHERE id = $1',
-                    [item_id]
-                );
-                return { liked: true };
-            }
-        });
-    }
 }
 
 // Cross Post model
@@ -238,45 +636,737 @@ class CrossPost {
         );
         return result.rows[0];
     }
-}
 
-// Order model
-class Order {
-    static async create(orderData) {
-        const { buyer_id, seller_id, item_id, total_amount, platform, external_order_id, shipping_address } = orderData;
+    static async findById(id) {
+        const result = await query('SELECT * FROM cross_posts WHERE id = $1', [id]);
+        return result.rows[0];
+    }
+
+    static async getFailedBySeller(seller_id, platform = null) {
+        const params = [seller_id];
+        let platformClause = '';
+        if (platform) {
+            params.push(platform);
+            platformClause = ' AND cp.platform = $2';
+        }
+
         const result = await query(
-            `INSERT INTO orders (buyer_id, seller_id, item_id, total_amount, platform, external_order_id, shipping_address)
-             VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
-            [buyer_id, seller_id, item_id, total_amount, platform, external_order_id, shipping_address]
+            `SELECT cp.* FROM cross_posts cp
+             JOIN vintage_items vi ON cp.item_id = vi.id
+             WHERE vi.seller_id = $1 AND cp.status = 'failed'${platformClause}
+             ORDER BY cp.updated_at`,
+            params
         );
-        return result.rows[0];
+        return result.rows;
     }
 
-    static async findById(id) {
+    static async findByExternalId(platform, external_id) {
         const result = await query(
-            `SELECT o.*, vi.title as item_title, vs.store_name, u1.username as buyer_username, u2.username as seller_username
-             FROM orders o
-             JOIN vintage_items vi ON o.item_id = vi.id
-             JOIN vintage_sellers vs ON o.seller_id = vs.id
-             JOIN users u1 ON o.buyer_id = u1.id
-             JOIN users u2 ON vs.user_id = u2.id
-             WHERE o.id = $1`,
-            [id]
+            'SELECT * FROM cross_posts WHERE platform = $1 AND external_id = $2 ORDER BY posted_at DESC',
+            [platform, String(external_id)]
         );
         return result.rows[0];
     }
 
-    static async getByUser(user_id, type = 'buyer', limit = 50, offset = 0) {
-        const field = type === 'buyer' ? 'buyer_id' : 'seller_id';
+    // Move a cross post to a new status and record the change in cross_post_events
+    static async transition(crossPost, status, action, message = null) {
+        if (crossPost.id) {
+            await query(
+                'UPDATE cross_posts SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+                [status, crossPost.id]
+            );
+        }
+
+        await query(
+            `INSERT INTO cross_post_events (cross_post_id, item_id, platform, from_status, to_status, action, message)
+             VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+            [crossPost.id || null, crossPost.item_id, crossPost.platform, crossPost.status || null, status, action, message]
+        );
+
+        return { ...crossPost, status };
+    }
+
+    static async getEvents(item_id) {
         const result = await query(
-            `SELECT o.*, vi.title as item_title, vi.images[1] as item_image, vs.store_name
-             FROM orders o
-             JOIN vintage_items vi ON o.item_id = vi.id
-             JOIN vintage_sellers vs ON o.seller_id = vs.id
-             WHERE o.${field} = $1
-             ORDER BY o.created_at DESC
-             LIMIT $2 OFFSET $3`,
-            [user_id, limit, offset]
+            'SELECT * FROM cross_post_events WHERE item_id = $1 ORDER BY created_at, id',
+            [item_id]
+        );
+        return result.rows;
+    }
+}
+
+// Delist task model - manual "remove this listing" work for a seller
+class DelistTask {
+    static async create(taskData) {
+        const { item_id, cross_post_id = null, platform, reason = null, open_url = null, instructions = [] } = taskData;
+        const result = await query(
+            `INSERT INTO delist_tasks (item_id, cross_post_id, platform, reason, open_url, instructions)
+             VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+            [item_id, cross_post_id, platform, reason, open_url, JSON.stringify(instructions)]
+        );
+        return result.rows[0];
+    }
+
+    static async findById(id) {
+        const result = await query('SELECT * FROM delist_tasks WHERE id = $1', [id]);
+        return result.rows[0];
+    }
+
+    // seller_id is optional - admins see every seller's tasks
+    static async findOpen(seller_id = null, limit = 50) {
+        let whereClause = "WHERE dt.status = 'queued'";
+        const params = [];
+
+        if (seller_id) {
+            params.push(seller_id);
+            whereClause += ` AND vi.seller_id = $${params.length}`;
+        }
+        params.push(limit);
+
+        const result = await query(
+            `SELECT dt.*, vi.title as item_title, vi.seller_id
+             FROM delist_tasks dt
+             JOIN vintage_items vi ON dt.item_id = vi.id
+             ${whereClause}
+             ORDER BY dt.created_at
+             LIMIT $${params.length}`,
+            params
+        );
+        return result.rows;
+    }
+
+    static async complete(id) {
+        await query(
+            "UPDATE delist_tasks SET status = 'completed', completed_at = CURRENT_TIMESTAMP WHERE id = $1",
+            [id]
+        );
+        return this.findById(id);
+    }
+}
+
+// Order model
+class Order {
+    static async create(orderData) {
+        const { buyer_id, seller_id, item_id, total_amount, platform, external_order_id, shipping_address } = orderData;
+        const result = await query(
+            `INSERT INTO orders (buyer_id, seller_id, item_id, total_amount, platform, external_order_id, shipping_address)
+             VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+            [buyer_id, seller_id, item_id, total_amount, platform, external_order_id, shipping_address]
+        );
+        return result.rows[0];
+    }
+
+    static async findById(id) {
+        const result = await query(
+            `SELECT o.*, vi.title as item_title, vs.store_name, vs.user_id as seller_user_id,
+                    u1.username as buyer_username, u2.username as seller_username
+             FROM orders o
+             JOIN vintage_items vi ON o.item_id = vi.id
+             JOIN vintage_sellers vs ON o.seller_id = vs.id
+             JOIN users u1 ON o.buyer_id = u1.id
+             JOIN users u2 ON vs.user_id = u2.id
+             WHERE o.id = $1`,
+            [id]
+        );
+        return result.rows[0];
+    }
+
+    static async getByUser(user_id, type = 'buyer', limit = 50, offset = 0) {
+        const field = type === 'buyer' ? 'buyer_id' : 'seller_id';
+        const result = await query(
+            `SELECT o.*, vi.title as item_title, vi.images as item_images, vs.store_name
+             FROM orders o
+             JOIN vintage_items vi ON o.item_id = vi.id
+             JOIN vintage_sellers vs ON o.seller_id = vs.id
+             WHERE o.${field} = $1
+             ORDER BY o.created_at DESC
+             LIMIT $2 OFFSET $3`,
+            [user_id, limit, offset]
+        );
+        return result.rows;
+    }
+
+    static async getPending() {
+        const result = await query("SELECT * FROM orders WHERE status = 'pending' ORDER BY created_at");
+        return result.rows;
+    }
+
+    static async findPendingByItem(item_id) {
+        const result = await query(
+            "SELECT * FROM orders WHERE item_id = $1 AND status = 'pending' ORDER BY created_at DESC",
+            [item_id]
+        );
+        return result.rows[0];
+    }
+
+    // Conditional on the current status so concurrent requests can't both move the order
+    static async updateStatus(id, fromStatus, toStatus, fields = {}) {
+        const columns = Object.keys(fields);
+        const setClause = ['status = $1', ...columns.map((column, index) => `${column} = $${index + 2}`)].join(', ');
+        const params = [toStatus, ...Object.values(fields), id, fromStatus];
+
+        const result = await query(
+            `UPDATE orders SET ${setClause}, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $${params.length - 1} AND status = $${params.length}`,
+            params
+        );
+        return result.rowCount === 1;
+    }
+
+    static async addEvent(order_id, from_status, to_status, message = null) {
+        await query(
+            'INSERT INTO order_events (order_id, from_status, to_status, message) VALUES ($1, $2, $3, $4)',
+            [order_id, from_status, to_status, message]
+        );
+    }
+
+    static async getEvents(order_id) {
+        const result = await query(
+            'SELECT * FROM order_events WHERE order_id = $1 ORDER BY created_at, id',
+            [order_id]
+        );
+        return result.rows;
+    }
+}
+
+class Payment {
+    static async create(paymentData) {
+        const { order_id, provider, provider_payment_id, amount, status = 'requires_confirmation' } = paymentData;
+        const result = await query(
+            `INSERT INTO payments (order_id, provider, provider_payment_id, amount, status)
+             VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+            [order_id, provider, provider_payment_id, amount, status]
+        );
+        return result.rows[0];
+    }
+
+    static async findLatestByOrder(order_id) {
+        const result = await query(
+            'SELECT * FROM payments WHERE order_id = $1 ORDER BY created_at DESC, id DESC',
+            [order_id]
+        );
+        return result.rows[0];
+    }
+
+    static async updateStatus(id, status, error_message = null) {
+        await query(
+            'UPDATE payments SET status = $1, error_message = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $3',
+            [status, error_message, id]
+        );
+    }
+}
+
+class WebhookEndpoint {
+    static async create({ user_id, url, description = null, event_types, secret }) {
+        const result = await query(
+            `INSERT INTO webhook_endpoints (user_id, url, description, event_types, secret)
+             VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+            [user_id, url, description, JSON.stringify(event_types), secret]
+        );
+        return result.rows[0];
+    }
+
+    static async findById(id) {
+        const result = await query('SELECT * FROM webhook_endpoints WHERE id = $1', [id]);
+        return result.rows[0];
+    }
+
+    static async getByUser(user_id) {
+        const result = await query(
+            'SELECT * FROM webhook_endpoints WHERE user_id = $1 ORDER BY created_at DESC',
+            [user_id]
+        );
+        return result.rows;
+    }
+
+    // Active endpoints with their owner's role - admin endpoints receive every seller's events
+    static async getActive() {
+        const result = await query(
+            `SELECT we.*, u.role as owner_role
+             FROM webhook_endpoints we
+             JOIN users u ON we.user_id = u.id
+             WHERE we.active = $1`,
+            [true]
+        );
+        return result.rows;
+    }
+
+    static async update(id, updates) {
+        const fields = [];
+        const values = [];
+
+        Object.keys(updates).forEach(key => {
+            if (['url', 'description', 'event_types', 'secret', 'active'].includes(key)) {
+                values.push(key === 'event_types' ? JSON.stringify(updates[key]) : updates[key]);
+                fields.push(`${key} = $${values.length}`);
+            }
+        });
+        if (fields.length === 0) return this.findById(id);
+
+        values.push(id);
+        await query(
+            `UPDATE webhook_endpoints SET ${fields.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = $${values.length}`,
+            values
+        );
+        return this.findById(id);
+    }
+
+    static async delete(id) {
+        await query('DELETE FROM webhook_deliveries WHERE endpoint_id = $1', [id]);
+        await query('DELETE FROM webhook_endpoints WHERE id = $1', [id]);
+    }
+}
+
+class WebhookDelivery {
+    static async create({ endpoint_id, event_id, event_type, payload, replay_of = null }) {
+        const result = await query(
+            `INSERT INTO webhook_deliveries (endpoint_id, event_id, event_type, payload, replay_of)
+             VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+            [endpoint_id, event_id, event_type, payload, replay_of]
+        );
+        return result.rows[0];
+    }
+
+    static async findById(id) {
+        const result = await query('SELECT * FROM webhook_deliveries WHERE id = $1', [id]);
+        return result.rows[0];
+    }
+
+    static async getByEndpoint(endpoint_id, limit = 50) {
+        const result = await query(
+            'SELECT * FROM webhook_deliveries WHERE endpoint_id = $1 ORDER BY created_at DESC, id DESC LIMIT $2',
+            [endpoint_id, limit]
+        );
+        return result.rows;
+    }
+
+    // status is optional - admins see every endpoint's deliveries
+    static async getRecent(status = null, limit = 50) {
+        let whereClause = '';
+        const params = [];
+
+        if (status) {
+            params.push(status);
+            whereClause = `WHERE wd.status = $${params.length}`;
+        }
+        params.push(limit);
+
+        const result = await query(
+            `SELECT wd.*, we.url, we.user_id
+             FROM webhook_deliveries wd
+             JOIN webhook_endpoints we ON wd.endpoint_id = we.id
+             ${whereClause}
+             ORDER BY wd.created_at DESC, wd.id DESC
+             LIMIT $${params.length}`,
+            params
+        );
+        return result.rows;
+    }
+
+    static async recordAttempt(id, { status, response_status = null, response_body = null, error = null, duration_ms = null }) {
+        await query(
+            `UPDATE webhook_deliveries
+             SET status = $1, response_status = $2, response_body = $3, error = $4, duration_ms = $5,
+                 attempts = attempts + 1, last_attempt_at = CURRENT_TIMESTAMP,
+                 delivered_at = CASE WHEN $6 = 'succeeded' THEN CURRENT_TIMESTAMP ELSE delivered_at END
+             WHERE id = $7`,
+            [status, response_status, response_body, error, duration_ms, status, id]
+        );
+    }
+}
+
+class Image {
+    static async create(imageData) {
+        const {
+            owner_type, owner_id, storage_key, original_name = null, original_file, mime_type = null,
+            width = null, height = null, bytes = null, variants = [], alt_text = null, uploaded_by = null
+        } = imageData;
+
+        const result = await query(
+            `INSERT INTO images
+             (owner_type, owner_id, storage_key, original_name, original_file, mime_type, width, height, bytes, variants, alt_text, uploaded_by)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12) RETURNING *`,
+            [owner_type, String(owner_id), storage_key, original_name, original_file, mime_type,
+             width, height, bytes, JSON.stringify(variants), alt_text, uploaded_by]
+        );
+        return result.rows[0];
+    }
+
+    static async findById(id) {
+        const result = await query('SELECT * FROM images WHERE id = $1', [id]);
+        return result.rows[0];
+    }
+
+    // owner_id is optional - without it every image of that owner type is returned
+    static async getByOwner(owner_type, owner_id = null, limit = 500) {
+        const params = [owner_type];
+        let whereClause = 'WHERE owner_type = $1';
+
+        if (owner_id !== null && owner_id !== undefined) {
+            params.push(String(owner_id));
+            whereClause += ` AND owner_id = $${params.length}`;
+        }
+        params.push(limit);
+
+        const result = await query(
+            `SELECT * FROM images ${whereClause} ORDER BY created_at, id LIMIT $${params.length}`,
+            params
+        );
+        return result.rows;
+    }
+
+    static async delete(id) {
+        await query('DELETE FROM images WHERE id = $1', [id]);
+    }
+}
+
+class ImageHash {
+    static async findByUrl(image_url) {
+        const result = await query('SELECT * FROM image_hashes WHERE image_url = $1', [image_url]);
+        return result.rows[0];
+    }
+
+    static async save(image_url, hash) {
+        await query(
+            `INSERT INTO image_hashes (image_url, hash) VALUES ($1, $2)
+             ON CONFLICT (image_url) DO UPDATE SET hash = excluded.hash`,
+            [image_url, hash]
+        );
+    }
+}
+
+// Saved-search alert recipients - a user account or a bare email address
+class AlertSubscriber {
+    static async create({ user_id = null, email = null, frequency = 'daily', token, confirmed_at = null }) {
+        const result = await query(
+            `INSERT INTO alert_subscribers (user_id, email, frequency, token, confirmed_at)
+             VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+            [user_id, email, frequency, token, confirmed_at]
+        );
+        return result.rows[0];
+    }
+
+    static async findById(id) {
+        const result = await query('SELECT * FROM alert_subscribers WHERE id = $1', [id]);
+        return result.rows[0];
+    }
+
+    static async findByToken(token) {
+        const result = await query('SELECT * FROM alert_subscribers WHERE token = $1', [token]);
+        return result.rows[0];
+    }
+
+    static async findByUser(user_id) {
+        const result = await query('SELECT * FROM alert_subscribers WHERE user_id = $1', [user_id]);
+        return result.rows[0];
+    }
+
+    // Email-only subscriber (no account) for this address
+    static async findGuestByEmail(email) {
+        const result = await query(
+            'SELECT * FROM alert_subscribers WHERE user_id IS NULL AND LOWER(email) = LOWER($1)',
+            [email]
+        );
+        return result.rows[0];
+    }
+
+    static async update(id, updates) {
+        const fields = [];
+        const values = [];
+
+        Object.keys(updates).forEach(key => {
+            if (['email', 'frequency', 'confirmed_at', 'last_digest_at', 'unsubscribed_at'].includes(key)) {
+                values.push(updates[key]);
+                fields.push(`${key} = $${values.length}`);
+            }
+        });
+        if (fields.length === 0) return this.findById(id);
+
+        values.push(id);
+        await query(
+            `UPDATE alert_subscribers SET ${fields.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = $${values.length}`,
+            values
+        );
+        return this.findById(id);
+    }
+
+    // Confirmed, still-subscribed recipients with matches that haven't been sent yet
+    static async getWithPendingMatches() {
+        const result = await query(
+            `SELECT DISTINCT sub.*
+             FROM alert_subscribers sub
+             JOIN saved_searches ss ON ss.subscriber_id = sub.id
+             JOIN saved_search_matches m ON m.saved_search_id = ss.id
+             WHERE m.notified_at IS NULL AND sub.confirmed_at IS NOT NULL AND sub.unsubscribed_at IS NULL`
+        );
+        return result.rows;
+    }
+}
+
+class SavedSearch {
+    static async create({ subscriber_id, name = null, filters, alert_types, token }) {
+        const result = await query(
+            `INSERT INTO saved_searches (subscriber_id, name, filters, alert_types, token)
+             VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+            [subscriber_id, name, JSON.stringify(filters), JSON.stringify(alert_types), token]
+        );
+        return result.rows[0];
+    }
+
+    static async findById(id) {
+        const result = await query('SELECT * FROM saved_searches WHERE id = $1', [id]);
+        return result.rows[0];
+    }
+
+    static async findByToken(token) {
+        const result = await query('SELECT * FROM saved_searches WHERE token = $1', [token]);
+        return result.rows[0];
+    }
+
+    static async getBySubscriber(subscriber_id) {
+        const result = await query(
+            'SELECT * FROM saved_searches WHERE subscriber_id = $1 ORDER BY created_at DESC, id DESC',
+            [subscriber_id]
+        );
+        return result.rows;
+    }
+
+    // Searches that should be matched: active, and their subscriber confirmed and subscribed
+    static async getActive() {
+        const result = await query(
+            `SELECT ss.*
+             FROM saved_searches ss
+             JOIN alert_subscribers sub ON ss.subscriber_id = sub.id
+             WHERE ss.active = $1 AND sub.confirmed_at IS NOT NULL AND sub.unsubscribed_at IS NULL`,
+            [true]
+        );
+        return result.rows;
+    }
+
+    static async update(id, updates) {
+        const fields = [];
+        const values = [];
+
+        Object.keys(updates).forEach(key => {
+            if (['name', 'filters', 'alert_types', 'active', 'last_matched_at'].includes(key)) {
+                values.push(['filters', 'alert_types'].includes(key) ? JSON.stringify(updates[key]) : updates[key]);
+                fields.push(`${key} = $${values.length}`);
+            }
+        });
+        if (fields.length === 0) return this.findById(id);
+
+        values.push(id);
+        await query(
+            `UPDATE saved_searches SET ${fields.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = $${values.length}`,
+            values
+        );
+        return this.findById(id);
+    }
+
+    static async delete(id) {
+        await query('DELETE FROM saved_search_matches WHERE saved_search_id = $1', [id]);
+        await query('DELETE FROM saved_searches WHERE id = $1', [id]);
+    }
+}
+
+class SavedSearchMatch {
+    // Returns the new row, or undefined when the same alert was already recorded
+    static async record({ saved_search_id, listing_id, reason, title, price, previous_price = null, url = null, image = null }) {
+        const result = await query(
+            `INSERT INTO saved_search_matches (saved_search_id, listing_id, reason, title, price, previous_price, url, image)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+             ON CONFLICT (saved_search_id, listing_id, reason, price) DO NOTHING
+             RETURNING *`,
+            [saved_search_id, listing_id, reason, title, price, previous_price, url, image]
+        );
+        // SQLite's RETURNING emulation can hand back an unrelated row when nothing was inserted
+        return result.rowCount > 0 ? result.rows[0] : undefined;
+    }
+
+    static async getPendingForSubscriber(subscriber_id) {
+        const result = await query(
+            `SELECT m.*, ss.name as search_name, ss.filters as search_filters, ss.token as search_token
+             FROM saved_search_matches m
+             JOIN saved_searches ss ON m.saved_search_id = ss.id
+             WHERE ss.subscriber_id = $1 AND m.notified_at IS NULL
+             ORDER BY m.saved_search_id, m.created_at, m.id`,
+            [subscriber_id]
+        );
+        return result.rows;
+    }
+
+    static async markNotified(ids) {
+        if (ids.length === 0) return;
+        const placeholders = ids.map((id, index) => `$${index + 1}`).join(', ');
+        await query(
+            `UPDATE saved_search_matches SET notified_at = CURRENT_TIMESTAMP WHERE id IN (${placeholders})`,
+            ids
+        );
+    }
+}
+
+class ListingSnapshot {
+    static async getAll() {
+        const result = await query('SELECT * FROM listing_snapshots');
+        return result.rows;
+    }
+
+    static async save({ listing_id, price, available }) {
+        await query(
+            `INSERT INTO listing_snapshots (listing_id, price, available, updated_at)
+             VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
+             ON CONFLICT (listing_id) DO UPDATE SET
+                price = excluded.price, available = excluded.available, updated_at = excluded.updated_at`,
+            [listing_id, price, available]
+        );
+    }
+}
+
+class Notification {
+    static async create({ user_id, type, title, body = null, url = null, data = null }) {
+        const result = await query(
+            `INSERT INTO notifications (user_id, type, title, body, url, data)
+             VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+            [user_id, type, title, body, url, data === null ? null : JSON.stringify(data)]
+        );
+        return result.rows[0];
+    }
+
+    static async getByUser(user_id, { unreadOnly = false, limit = 50 } = {}) {
+        const result = await query(
+            `SELECT * FROM notifications
+             WHERE user_id = $1 ${unreadOnly ? 'AND read_at IS NULL' : ''}
+             ORDER BY created_at DESC, id DESC
+             LIMIT $2`,
+            [user_id, limit]
+        );
+        return result.rows;
+    }
+
+    static async countUnread(user_id) {
+        const result = await query(
+            'SELECT COUNT(*) as count FROM notifications WHERE user_id = $1 AND read_at IS NULL',
+            [user_id]
+        );
+        return parseInt(result.rows[0].count) || 0;
+    }
+
+    // id is optional - without it every unread notification of the user is marked
+    static async markRead(user_id, id = null) {
+        const result = id === null
+            ? await query('UPDATE notifications SET read_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND read_at IS NULL', [user_id])
+            : await query(
+                'UPDATE notifications SET read_at = COALESCE(read_at, CURRENT_TIMESTAMP) WHERE user_id = $1 AND id = $2',
+                [user_id, id]
+            );
+        return result.rowCount || 0;
+    }
+}
+
+// Wishlist entries (user_favorites); vintage_items.likes counts them
+class Favorite {
+    // Returns the new row, or undefined when the item was already on the wishlist
+    static async add(user_id, item_id) {
+        const result = await query(
+            `INSERT INTO user_favorites (user_id, item_id) VALUES ($1, $2)
+             ON CONFLICT (user_id, item_id) DO NOTHING
+             RETURNING *`,
+            [user_id, item_id]
+        );
+        if (result.rowCount === 0) return undefined;
+
+        await query('UPDATE vintage_items SET likes = likes + 1 WHERE id = $1', [item_id]);
+        return result.rows[0];
+    }
+
+    static async remove(user_id, item_id) {
+        const result = await query(
+            'DELETE FROM user_favorites WHERE user_id = $1 AND item_id = $2',
+            [user_id, item_id]
+        );
+        if (result.rowCount === 0) return false;
+
+        await query('UPDATE vintage_items SET likes = likes - 1 WHERE id = $1 AND likes > 0', [item_id]);
+        return true;
+    }
+
+    static async getByUser(user_id) {
+        const result = await query(
+            `SELECT vi.*, f.created_at as favorited_at, vs.store_name
+             FROM user_favorites f
+             JOIN vintage_items vi ON f.item_id = vi.id
+             LEFT JOIN vintage_sellers vs ON vi.seller_id = vs.id
+             WHERE f.user_id = $1
+             ORDER BY f.created_at DESC, f.id DESC`,
+            [user_id]
+        );
+        return result.rows;
+    }
+
+    // Users who have the item on their wishlist
+    static async getUsersForItem(item_id) {
+        const result = await query(
+            `SELECT u.id, u.username, u.email
+             FROM user_favorites f
+             JOIN users u ON f.user_id = u.id
+             WHERE f.item_id = $1`,
+            [item_id]
+        );
+        return result.rows;
+    }
+}
+
+class WishlistShare {
+    static async create(user_id, token) {
+        const result = await query(
+            'INSERT INTO wishlist_shares (user_id, token) VALUES ($1, $2) RETURNING *',
+            [user_id, token]
+        );
+        return result.rows[0];
+    }
+
+    static async findByUser(user_id) {
+        const result = await query('SELECT * FROM wishlist_shares WHERE user_id = $1', [user_id]);
+        return result.rows[0];
+    }
+
+    static async findByToken(token) {
+        const result = await query(
+            `SELECT ws.*, u.username
+             FROM wishlist_shares ws
+             JOIN users u ON ws.user_id = u.id
+             WHERE ws.token = $1`,
+            [token]
+        );
+        return result.rows[0];
+    }
+
+    static async deleteByUser(user_id) {
+        const result = await query('DELETE FROM wishlist_shares WHERE user_id = $1', [user_id]);
+        return result.rowCount > 0;
+    }
+}
+
+// Daily per-seller counters
+class SellerAnalytics {
+    static async increment(seller_id, field, amount = 1) {
+        if (!['views', 'likes', 'sales', 'listings_posted'].includes(field)) {
+            throw new Error(`Unknown seller analytics counter: ${field}`);
+        }
+
+        const date = new Date().toISOString().split('T')[0];
+        await query(
+            `INSERT INTO seller_analytics (seller_id, date, ${field}) VALUES ($1, $2, $3)
+             ON CONFLICT (seller_id, date) DO UPDATE SET ${field} = seller_analytics.${field} + excluded.${field}`,
+            [seller_id, date, amount]
+        );
+    }
+
+    static async getForSeller(seller_id, days = 30) {
+        const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+        const result = await query(
+            'SELECT * FROM seller_analytics WHERE seller_id = $1 AND date >= $2 ORDER BY date',
+            [seller_id, since]
         );
         return result.rows;
     }
@@ -284,8 +1374,31 @@ class Order {
 
 module.exports = {
     User,
+    RefreshToken,
+    ApiKey,
+    SubscriptionUsage,
+    UserSubscription,
+    SubscriptionEntitlement,
+    BillingAccount,
+    Invoice,
+    InvoiceLineItem,
+    SubscriptionNotification,
     VintageSeller,
     VintageItem,
     CrossPost,
-    Order
+    DelistTask,
+    Order,
+    Payment,
+    WebhookEndpoint,
+    WebhookDelivery,
+    Image,
+    ImageHash,
+    AlertSubscriber,
+    SavedSearch,
+    SavedSearchMatch,
+    ListingSnapshot,
+    Notification,
+    Favorite,
+    WishlistShare,
+    SellerAnalytics
 };
\ No newline at end of file
@@ -0,0 +1,409 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Product repository - per-record writes with optimistic version checks
+// Backends: 'json' (data/products.json, atomic temp file + rename) and 'sqlite'
+// Every price change is also appended to a per-product price history
+
+class VersionConflictError extends Error {
+    constructor(id, expectedVersion, currentVersion) {
+        super(`Product ${id} was modified by another request (expected version ${expectedVersion}, found ${currentVersion})`);
+        this.name = 'VersionConflictError';
+        this.status = 409;
+        this.productId = id;
+        this.expectedVersion = expectedVersion;
+        this.currentVersion = currentVersion;
+    }
+}
+
+// Records written before versioning existed count as version 1
+function versionOf(product) {
+    return product.version || 1;
+}
+
+function normalizeId(id) {
+    const numericId = parseFloat(id);
+    return Number.isNaN(numericId) ? id : numericId;
+}
+
+// Changes can be a plain object or a function that receives the current record
+function applyChanges(product, changes) {
+    const patch = typeof changes === 'function' ? changes({ ...product }) : changes;
+    if (!patch) return null;
+
+    const updated = { ...product, ...patch, id: product.id, version: versionOf(product) + 1 };
+
+    // Allow callers to remove fields by setting them to undefined
+    Object.keys(updated).forEach(key => {
+        if (updated[key] === undefined) delete updated[key];
+    });
+
+    return updated;
+}
+
+// History entry for a new listing or a price change; null when the price didn't move
+function priceChangeEntry(before, after, source) {
+    const oldPrice = before ? parseFloat(before.price) : null;
+    const newPrice = parseFloat(after.price);
+
+    if (Number.isNaN(newPrice) || (before && oldPrice === newPrice)) return null;
+
+    return {
+        productId: after.id,
+        oldPrice: Number.isNaN(oldPrice) ? null : oldPrice,
+        newPrice: newPrice,
+        source: source || 'unknown',
+        version: after.version,
+        timestamp: new Date().toISOString()
+    };
+}
+
+function checkVersion(product, expectedVersion) {
+    if (expectedVersion !== undefined && expectedVersion !== null &&
+        parseInt(expectedVersion) !== versionOf(product)) {
+        throw new VersionConflictError(product.id, parseInt(expectedVersion), versionOf(product));
+    }
+}
+
+// Write to a temp file next to the target, then rename over it
+async function writeJsonAtomic(filePath, data) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const tempFile = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+
+    try {
+        await fs.writeFile(tempFile, JSON.stringify(data, null, 2));
+        await fs.rename(tempFile, filePath);
+    } catch (error) {
+        await fs.unlink(tempFile).catch(() => {});
+        throw error;
+    }
+}
+
+// =============================================================================
+// JSON FILE BACKEND
+// =============================================================================
+
+class JsonProductStore {
+    constructor(filePath, historyFile) {
+        this.filePath = filePath;
+        this.historyFile = historyFile || path.join(path.dirname(filePath), 'price-history.json');
+        this.writeQueue = Promise.resolve();
+    }
+
+    async load() {
+        try {
+            const data = await fs.readFile(this.filePath, 'utf8');
+            return JSON.parse(data);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+
+            console.log('📁 Creating new products.json file');
+            await this.save([]);
+            return [];
+        }
+    }
+
+    save(products) {
+        return writeJsonAtomic(this.filePath, products);
+    }
+
+    async loadHistory() {
+        try {
+            return JSON.parse(await fs.readFile(this.historyFile, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            return {};
+        }
+    }
+
+    async appendHistory(entry) {
+        const history = await this.loadHistory();
+        const key = String(entry.productId);
+        history[key] = [...(history[key] || []), entry];
+        await writeJsonAtomic(this.historyFile, history);
+    }
+
+    // Serialize every read-modify-write so no two requests interleave
+    mutate(fn) {
+        const run = this.writeQueue.then(async () => {
+            const products = await this.load();
+            const { products: next, result, history } = await fn(products);
+            if (next) await this.save(next);
+            if (history) await this.appendHistory(history);
+            return result;
+        });
+
+        this.writeQueue = run.catch(() => {});
+        return run;
+    }
+
+    async getAll() {
+        await this.writeQueue;
+        return this.load();
+    }
+
+    async findById(id) {
+        const productId = normalizeId(id);
+        const products = await this.getAll();
+        return products.find(p => p.id === productId) || null;
+    }
+
+    async getPriceHistory(id) {
+        await this.writeQueue;
+        const history = await this.loadHistory();
+        return history[String(normalizeId(id))] || [];
+    }
+
+    create(product, options = {}) {
+        return this.mutate(products => {
+            const created = { ...product, version: 1 };
+            return {
+                products: [...products, created],
+                result: created,
+                history: priceChangeEntry(null, created, options.source)
+            };
+        });
+    }
+
+    update(id, changes, options = {}) {
+        const productId = normalizeId(id);
+
+        return this.mutate(products => {
+            const index = products.findIndex(p => p.id === productId);
+            if (index === -1) return { result: null };
+
+            checkVersion(products[index], options.expectedVersion);
+
+            const updated = applyChanges(products[index], changes);
+            if (!updated) return { result: products[index] };
+
+            const next = [...products];
+            next[index] = updated;
+            return {
+                products: next,
+                result: updated,
+                history: priceChangeEntry(products[index], updated, options.source)
+            };
+        });
+    }
+
+    delete(id, options = {}) {
+        const productId = normalizeId(id);
+
+        return this.mutate(products => {
+            const existing = products.find(p => p.id === productId);
+            if (!existing) return { result: null };
+
+            checkVersion(existing, options.expectedVersion);
+
+            return { products: products.filter(p => p.id !== productId), result: existing };
+        });
+    }
+
+    clear() {
+        return this.mutate(products => ({ products: [], result: products.length }));
+    }
+}
+
+// =============================================================================
+// SQLITE BACKEND
+// =============================================================================
+
+class SqliteProductStore {
+    constructor(options = {}) {
+        // Default to the shared app database; tests can pass their own handle
+        this.db = options.db || require('./sqlite-connection').db;
+        this.seedFile = options.seedFile;
+        this.ready = null;
+    }
+
+    run(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, function(err) {
+                if (err) reject(err);
+                else resolve({ changes: this.changes });
+            });
+        });
+    }
+
+    all(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows);
+            });
+        });
+    }
+
+    init() {
+        if (!this.ready) {
+            this.ready = (async () => {
+                await this.run(`
+                    CREATE TABLE IF NOT EXISTS products (
+                        id REAL PRIMARY KEY,
+                        data TEXT NOT NULL,
+                        version INTEGER NOT NULL DEFAULT 1,
+                        position INTEGER NOT NULL,
+                        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                    )
+                `);
+                await this.run(`
+                    CREATE TABLE IF NOT EXISTS price_history (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        product_id REAL NOT NULL,
+                        old_price REAL,
+                        new_price REAL NOT NULL,
+                        source TEXT NOT NULL,
+                        version INTEGER,
+                        changed_at DATETIME NOT NULL
+                    )
+                `);
+                await this.run('CREATE INDEX IF NOT EXISTS idx_price_history_product ON price_history(product_id)');
+
+                // First run on SQLite: pull in the existing products.json catalogue
+                const [{ count }] = await this.all('SELECT COUNT(*) as count FROM products');
+                if (count === 0 && this.seedFile) {
+                    const seed = await new JsonProductStore(this.seedFile).getAll().catch(() => []);
+                    for (const product of seed) {
+                        await this.insert(product);
+                    }
+                    if (seed.length > 0) {
+                        console.log(`📦 Migrated ${seed.length} products from JSON into SQLite`);
+                    }
+                }
+            })();
+        }
+        return this.ready;
+    }
+
+    rowToProduct(row) {
+        return { ...JSON.parse(row.data), id: row.id, version: row.version };
+    }
+
+    async insert(product) {
+        const created = { ...product, version: versionOf(product) };
+        await this.run(
+            `INSERT INTO products (id, data, version, position)
+             VALUES (?, ?, ?, (SELECT COALESCE(MAX(position), 0) + 1 FROM products))`,
+            [created.id, JSON.stringify(created), created.version]
+        );
+        return created;
+    }
+
+    async getAll() {
+        await this.init();
+        const rows = await this.all('SELECT * FROM products ORDER BY position');
+        return rows.map(row => this.rowToProduct(row));
+    }
+
+    async findById(id) {
+        await this.init();
+        const rows = await this.all('SELECT * FROM products WHERE id = ?', [normalizeId(id)]);
+        return rows.length > 0 ? this.rowToProduct(rows[0]) : null;
+    }
+
+    async recordPriceChange(entry) {
+        if (!entry) return;
+        await this.run(
+            `INSERT INTO price_history (product_id, old_price, new_price, source, version, changed_at)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [entry.productId, entry.oldPrice, entry.newPrice, entry.source, entry.version, entry.timestamp]
+        );
+    }
+
+    async getPriceHistory(id) {
+        await this.init();
+        const rows = await this.all(
+            'SELECT * FROM price_history WHERE product_id = ? ORDER BY changed_at, id',
+            [normalizeId(id)]
+        );
+        return rows.map(row => ({
+            productId: row.product_id,
+            oldPrice: row.old_price,
+            newPrice: row.new_price,
+            source: row.source,
+            version: row.version,
+            timestamp: row.changed_at
+        }));
+    }
+
+    async create(product, options = {}) {
+        await this.init();
+        const created = await this.insert({ ...product, version: 1 });
+        await this.recordPriceChange(priceChangeEntry(null, created, options.source));
+        return created;
+    }
+
+    async update(id, changes, options = {}) {
+        // Retry lost races only when the caller didn't pin a version
+        for (let attempt = 0; attempt < 5; attempt++) {
+            const current = await this.findById(id);
+            if (!current) return null;
+
+            checkVersion(current, options.expectedVersion);
+
+            const updated = applyChanges(current, changes);
+            if (!updated) return current;
+
+            const result = await this.run(
+                `UPDATE products SET data = ?, version = ?, updated_at = CURRENT_TIMESTAMP
+                 WHERE id = ? AND version = ?`,
+                [JSON.stringify(updated), updated.version, current.id, current.version]
+            );
+
+            if (result.changes === 1) {
+                await this.recordPriceChange(priceChangeEntry(current, updated, options.source));
+                return updated;
+            }
+            if (options.expectedVersion !== undefined && options.expectedVersion !== null) {
+                const latest = await this.findById(id);
+                throw new VersionConflictError(current.id, parseInt(options.expectedVersion), latest ? latest.version : null);
+            }
+        }
+
+        throw new Error(`Product ${id} is being updated too frequently, please retry`);
+    }
+
+    async delete(id, options = {}) {
+        const existing = await this.findById(id);
+        if (!existing) return null;
+
+        checkVersion(existing, options.expectedVersion);
+
+        const result = await this.run('DELETE FROM products WHERE id = ? AND version = ?', [existing.id, existing.version]);
+        if (result.changes === 0) {
+            const latest = await this.findById(id);
+            if (!latest) return null;
+            throw new VersionConflictError(existing.id, existing.version, latest.version);
+        }
+
+        return existing;
+    }
+
+    async clear() {
+        await this.init();
+        const result = await this.run('DELETE FROM products');
+        return result.changes;
+    }
+}
+
+// Pick the backend from PRODUCT_STORE (json by default)
+function createProductRepository(options = {}) {
+    const backend = options.backend || process.env.PRODUCT_STORE || 'json';
+
+    if (backend === 'sqlite') {
+        console.log('🗄️ Product repository: SQLite backend');
+        return new SqliteProductStore({ db: options.db, seedFile: options.filePath });
+    }
+
+    return new JsonProductStore(options.filePath);
+}
+
+module.exports = {
+    createProductRepository,
+    JsonProductStore,
+    SqliteProductStore,
+    VersionConflictError,
+    writeJsonAtomic
+};
@@ -0,0 +1,73 @@
+// In-place upgrades for SQLite files created by older versions of the schema.
+// CREATE TABLE IF NOT EXISTS leaves an existing table alone, so anything that
+// changes a table's definition needs an upgrade here as well.
+
+function get(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+    });
+}
+
+function exec(db, sql) {
+    return new Promise((resolve, reject) => {
+        db.exec(sql, err => (err ? reject(err) : resolve()));
+    });
+}
+
+// Rebuilds a table in one transaction: SQLite can't ALTER a constraint
+async function rebuildTable(db, table, createSql, columns, indexes = []) {
+    const list = columns.join(', ');
+    try {
+        await exec(db, `
+            BEGIN;
+            ALTER TABLE ${table} RENAME TO ${table}_old;
+            ${createSql};
+            INSERT INTO ${table} (${list}) SELECT ${list} FROM ${table}_old;
+            DROP TABLE ${table}_old;
+            ${indexes.map(index => `${index};`).join('\n')}
+            COMMIT;
+        `);
+    } catch (error) {
+        await exec(db, 'ROLLBACK').catch(() => {});
+        throw error;
+    }
+}
+
+const UPGRADES = [
+    {
+        // init-subscription-tables.js used to create subscription_notifications with a
+        // CHECK that predates 'renewal_reminder', so every renewal reminder failed to save.
+        // The rebuilt table matches sqlite-connection.js: types are checked in code.
+        name: 'subscription_notifications: allow renewal_reminder',
+        async needed(db) {
+            const table = await get(db, "SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'subscription_notifications'");
+            return !!table && /CHECK\s*\(\s*notification_type/i.test(table.sql) && !table.sql.includes("'renewal_reminder'");
+        },
+        apply: db => rebuildTable(db, 'subscription_notifications', `
+            CREATE TABLE subscription_notifications (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                notification_type TEXT NOT NULL,
+                message TEXT NOT NULL,
+                is_read BOOLEAN DEFAULT 0,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`,
+        ['id', 'user_id', 'notification_type', 'message', 'is_read', 'created_at'],
+        ['CREATE INDEX IF NOT EXISTS idx_subscription_notifications_user ON subscription_notifications(user_id, is_read)'])
+    }
+];
+
+// Applies whatever upgrades this database still needs; returns their names
+async function upgradeSchema(db) {
+    const applied = [];
+    for (const upgrade of UPGRADES) {
+        if (await upgrade.needed(db)) {
+            await upgrade.apply(db);
+            console.log(`✅ SQLite schema upgraded: ${upgrade.name}`);
+            applied.push(upgrade.name);
+        }
+    }
+    return applied;
+}
+
+module.exports = { upgradeSchema };
@@ -7,11 +7,35 @@ CREATE TABLE IF NOT EXISTS users (
     username VARCHAR(255) UNIQUE NOT NULL,
     email VARCHAR(255) UNIQUE NOT NULL,
     password_hash VARCHAR(255) NOT NULL,
-    role VARCHAR(50) DEFAULT 'user', -- 'user', 'seller', 'admin'
+    role VARCHAR(50) DEFAULT 'buyer', -- 'buyer', 'seller', 'admin' (legacy 'user' rows are buyers)
     created_at TIMESTAMP DEFAULT NOW(),
     updated_at TIMESTAMP DEFAULT NOW()
 );
 
+-- Refresh tokens for API clients (only a SHA-256 hash of the token is stored)
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Personal API keys for Premium sellers (only a SHA-256 hash of the key is stored)
+CREATE TABLE IF NOT EXISTS api_keys (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    key_prefix VARCHAR(20) NOT NULL, -- shown in the dashboard so keys can be told apart
+    key_hash VARCHAR(64) UNIQUE NOT NULL,
+    scopes TEXT NOT NULL, -- JSON array: items:read, items:write, crosspost, analytics:read
+    rate_limit_per_minute INTEGER DEFAULT 60,
+    last_used_at TIMESTAMP,
+    revoked_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
 -- Vintage sellers (multi-seller marketplace functionality)
 CREATE TABLE IF NOT EXISTS vintage_sellers (
     id SERIAL PRIMARY KEY,
@@ -43,7 +67,7 @@ CREATE TABLE IF NOT EXISTS vintage_items (
     condition VARCHAR(50), -- 'new', 'like_new', 'good', 'fair', 'poor'
     tags TEXT[], -- PostgreSQL array for tags
     images TEXT[] NOT NULL DEFAULT '{}', -- Array of image URLs
-    status VARCHAR(50) DEFAULT 'draft', -- 'draft', 'published', 'sold', 'archived'
+    status VARCHAR(50) DEFAULT 'draft', -- 'draft', 'published', 'reserved', 'sold', 'archived'
     published_to TEXT[] DEFAULT '{}', -- ['ebay', 'poshmark', 'depop', 'vintage_crib']
     views INTEGER DEFAULT 0,
     likes INTEGER DEFAULT 0,
@@ -60,12 +84,39 @@ CREATE TABLE IF NOT EXISTS cross_posts (
     platform VARCHAR(50) NOT NULL, -- 'ebay', 'poshmark', 'depop', 'vintage_crib'
     external_id VARCHAR(255), -- ID from the external platform
     external_url VARCHAR(500), -- Direct link to the listing
-    status VARCHAR(50) DEFAULT 'pending', -- 'pending', 'success', 'failed', 'removed'
+    status VARCHAR(50) DEFAULT 'pending', -- 'pending', 'success', 'failed', 'removal_pending', 'removed'
     error_message TEXT,
     posted_at TIMESTAMP DEFAULT NOW(),
     updated_at TIMESTAMP DEFAULT NOW()
 );
 
+-- Audit trail of cross_posts status changes (e.g. delisted after a sale elsewhere)
+CREATE TABLE IF NOT EXISTS cross_post_events (
+    id SERIAL PRIMARY KEY,
+    cross_post_id INTEGER REFERENCES cross_posts(id) ON DELETE SET NULL,
+    item_id INTEGER REFERENCES vintage_items(id) ON DELETE CASCADE,
+    platform VARCHAR(50) NOT NULL,
+    from_status VARCHAR(50),
+    to_status VARCHAR(50) NOT NULL,
+    action VARCHAR(50) NOT NULL, -- 'delisted', 'delist_queued', 'delist_failed', 'delist_confirmed'
+    message TEXT,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- "Remove this listing" tasks for platforms we can't delist through an API
+CREATE TABLE IF NOT EXISTS delist_tasks (
+    id SERIAL PRIMARY KEY,
+    item_id INTEGER REFERENCES vintage_items(id) ON DELETE CASCADE,
+    cross_post_id INTEGER REFERENCES cross_posts(id) ON DELETE SET NULL,
+    platform VARCHAR(50) NOT NULL,
+    status VARCHAR(50) DEFAULT 'queued', -- 'queued', 'completed'
+    reason TEXT,
+    open_url VARCHAR(500),
+    instructions TEXT, -- JSON array of steps
+    created_at TIMESTAMP DEFAULT NOW(),
+    completed_at TIMESTAMP
+);
+
 -- User favorites/likes
 CREATE TABLE IF NOT EXISTS user_favorites (
     id SERIAL PRIMARY KEY,
@@ -75,6 +126,14 @@ CREATE TABLE IF NOT EXISTS user_favorites (
     UNIQUE(user_id, item_id)
 );
 
+-- Public wishlist links: one per user, revoked by deleting the row
+CREATE TABLE IF NOT EXISTS wishlist_shares (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+    token VARCHAR(64) UNIQUE NOT NULL,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
 -- Order/transaction tracking
 CREATE TABLE IF NOT EXISTS orders (
     id SERIAL PRIMARY KEY,
@@ -91,6 +150,151 @@ CREATE TABLE IF NOT EXISTS orders (
     updated_at TIMESTAMP DEFAULT NOW()
 );
 
+-- Order status history (reserved, paid, shipped with tracking, ...)
+CREATE TABLE IF NOT EXISTS order_events (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER REFERENCES orders(id) ON DELETE CASCADE,
+    from_status VARCHAR(50),
+    to_status VARCHAR(50) NOT NULL,
+    message TEXT,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Payment attempts for an order, one row per provider payment
+CREATE TABLE IF NOT EXISTS payments (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER REFERENCES orders(id) ON DELETE CASCADE,
+    provider VARCHAR(50) NOT NULL,
+    provider_payment_id VARCHAR(255),
+    amount DECIMAL(10,2) NOT NULL,
+    status VARCHAR(50) DEFAULT 'requires_confirmation', -- 'requires_confirmation', 'succeeded', 'failed', 'refunded'
+    error_message TEXT,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Outbound webhooks: endpoints registered by sellers/admins and every delivery made to them
+CREATE TABLE IF NOT EXISTS webhook_endpoints (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    url TEXT NOT NULL,
+    description VARCHAR(255),
+    event_types TEXT NOT NULL, -- JSON array, e.g. ["item.sold", "crosspost.failed"]
+    secret VARCHAR(100) NOT NULL, -- HMAC signing secret shared with the receiver
+    active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id SERIAL PRIMARY KEY,
+    endpoint_id INTEGER REFERENCES webhook_endpoints(id) ON DELETE CASCADE,
+    event_id VARCHAR(100) NOT NULL,
+    event_type VARCHAR(50) NOT NULL,
+    payload TEXT NOT NULL,
+    status VARCHAR(20) DEFAULT 'pending', -- 'pending', 'retrying', 'succeeded', 'failed'
+    attempts INTEGER DEFAULT 0,
+    response_status INTEGER,
+    response_body TEXT,
+    error TEXT,
+    duration_ms INTEGER,
+    replay_of INTEGER REFERENCES webhook_deliveries(id),
+    created_at TIMESTAMP DEFAULT NOW(),
+    last_attempt_at TIMESTAMP,
+    delivered_at TIMESTAMP
+);
+
+-- Uploaded images for products and vintage items; variants is the JSON list of generated files
+CREATE TABLE IF NOT EXISTS images (
+    id SERIAL PRIMARY KEY,
+    owner_type VARCHAR(20) NOT NULL, -- 'product', 'vintage_item'
+    owner_id VARCHAR(50) NOT NULL,
+    storage_key VARCHAR(64) UNIQUE NOT NULL, -- directory under uploads/images/
+    original_name VARCHAR(255),
+    original_file VARCHAR(100) NOT NULL,
+    mime_type VARCHAR(50),
+    width INTEGER,
+    height INTEGER,
+    bytes INTEGER,
+    variants TEXT NOT NULL,
+    alt_text VARCHAR(255),
+    uploaded_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Perceptual (dHash) fingerprints of listing images, used to spot duplicate listings
+CREATE TABLE IF NOT EXISTS image_hashes (
+    id SERIAL PRIMARY KEY,
+    image_url TEXT UNIQUE NOT NULL,
+    hash VARCHAR(16) NOT NULL, -- 64-bit difference hash as hex
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Shoppers who get saved-search alerts: an account (user_id) or just an email address.
+-- token is the secret in confirm / manage / unsubscribe-all links.
+CREATE TABLE IF NOT EXISTS alert_subscribers (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    email VARCHAR(255),
+    frequency VARCHAR(20) DEFAULT 'daily', -- 'instant', 'daily', 'weekly'
+    token VARCHAR(64) UNIQUE NOT NULL,
+    confirmed_at TIMESTAMP, -- email-only subscribers confirm their address first
+    last_digest_at TIMESTAMP,
+    unsubscribed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS saved_searches (
+    id SERIAL PRIMARY KEY,
+    subscriber_id INTEGER REFERENCES alert_subscribers(id) ON DELETE CASCADE,
+    name VARCHAR(255),
+    filters TEXT NOT NULL, -- JSON: category, minPrice, maxPrice, condition, search, type
+    alert_types TEXT NOT NULL, -- JSON array of 'new', 'price_drop', 'back_in_stock'
+    token VARCHAR(64) UNIQUE NOT NULL, -- unsubscribe link for this search only
+    active BOOLEAN DEFAULT TRUE,
+    last_matched_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Listings that matched a saved search, waiting for (or included in) a digest
+CREATE TABLE IF NOT EXISTS saved_search_matches (
+    id SERIAL PRIMARY KEY,
+    saved_search_id INTEGER REFERENCES saved_searches(id) ON DELETE CASCADE,
+    listing_id VARCHAR(50) NOT NULL, -- search document id, e.g. 'product_12', 'vintage_5'
+    reason VARCHAR(20) NOT NULL, -- 'new', 'price_drop', 'back_in_stock'
+    title TEXT,
+    price DECIMAL(10,2),
+    previous_price DECIMAL(10,2),
+    url TEXT,
+    image TEXT,
+    created_at TIMESTAMP DEFAULT NOW(),
+    notified_at TIMESTAMP,
+    UNIQUE(saved_search_id, listing_id, reason, price)
+);
+
+-- Last seen price/availability of every listing, to spot new, cheaper and restocked ones
+CREATE TABLE IF NOT EXISTS listing_snapshots (
+    listing_id VARCHAR(50) PRIMARY KEY,
+    price DECIMAL(10,2),
+    available BOOLEAN DEFAULT TRUE,
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- In-app notifications for signed-in users
+CREATE TABLE IF NOT EXISTS notifications (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    type VARCHAR(50) NOT NULL,
+    title VARCHAR(255) NOT NULL,
+    body TEXT,
+    url TEXT,
+    data TEXT, -- JSON
+    read_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
 -- Seller analytics
 CREATE TABLE IF NOT EXISTS seller_analytics (
     id SERIAL PRIMARY KEY,
@@ -104,6 +308,108 @@ CREATE TABLE IF NOT EXISTS seller_analytics (
     UNIQUE(seller_id, date)
 );
 
+-- Subscriptions: the tier a user pays for (tier definitions live in config/entitlements.json)
+CREATE TABLE IF NOT EXISTS user_subscriptions (
+    user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    tier VARCHAR(20) NOT NULL DEFAULT 'free',
+    status VARCHAR(20) NOT NULL DEFAULT 'active', -- 'active', 'cancelled', 'expired', 'suspended'
+    started_at TIMESTAMP DEFAULT NOW(),
+    expires_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    upgraded_by_admin INTEGER REFERENCES users(id)
+);
+
+CREATE TABLE IF NOT EXISTS subscription_logs (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    old_tier VARCHAR(20),
+    new_tier VARCHAR(20) NOT NULL,
+    change_type VARCHAR(30) NOT NULL,
+    admin_id INTEGER REFERENCES users(id),
+    reason TEXT,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS subscription_revenue (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    tier VARCHAR(20) NOT NULL,
+    amount DECIMAL(10,2) NOT NULL,
+    payment_method VARCHAR(50) DEFAULT 'admin_granted',
+    transaction_id VARCHAR(100),
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- The tier terms a user signed up under, kept so later tier changes can grandfather them
+CREATE TABLE IF NOT EXISTS subscription_entitlements (
+    user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    tier VARCHAR(20) NOT NULL,
+    version INTEGER NOT NULL,
+    terms TEXT NOT NULL, -- JSON: price, maxItems, platforms, features
+    granted_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Billing for paid tiers: the current period of a subscription and how it is paid
+CREATE TABLE IF NOT EXISTS subscription_billing (
+    user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    tier VARCHAR(20) NOT NULL,
+    cycle VARCHAR(20) NOT NULL DEFAULT 'monthly', -- 'monthly', 'annual'
+    price DECIMAL(10,2) NOT NULL, -- per cycle, locked in when the plan was chosen
+    status VARCHAR(20) NOT NULL DEFAULT 'active', -- 'active', 'past_due', 'cancelled'
+    provider VARCHAR(50) NOT NULL,
+    payment_method VARCHAR(255),
+    period_start TIMESTAMP NOT NULL,
+    period_end TIMESTAMP NOT NULL,
+    cancel_at_period_end BOOLEAN DEFAULT FALSE,
+    credit_balance DECIMAL(10,2) DEFAULT 0.00,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS invoices (
+    id SERIAL PRIMARY KEY,
+    number VARCHAR(20) UNIQUE,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    reason VARCHAR(30) NOT NULL, -- 'subscription_create', 'subscription_cycle', 'subscription_update'
+    status VARCHAR(20) NOT NULL DEFAULT 'open', -- 'open', 'paid', 'void', 'uncollectible'
+    currency VARCHAR(3) NOT NULL DEFAULT 'usd',
+    subtotal DECIMAL(10,2) NOT NULL,
+    credit_applied DECIMAL(10,2) DEFAULT 0.00,
+    total DECIMAL(10,2) NOT NULL,
+    period_start TIMESTAMP,
+    period_end TIMESTAMP,
+    provider VARCHAR(50),
+    provider_payment_id VARCHAR(255),
+    attempt_count INTEGER DEFAULT 0,
+    next_attempt_at TIMESTAMP,
+    last_error TEXT,
+    paid_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS invoice_line_items (
+    id SERIAL PRIMARY KEY,
+    invoice_id INTEGER REFERENCES invoices(id) ON DELETE CASCADE,
+    description VARCHAR(255) NOT NULL,
+    tier VARCHAR(20),
+    amount DECIMAL(10,2) NOT NULL,
+    proration BOOLEAN DEFAULT FALSE,
+    period_start TIMESTAMP,
+    period_end TIMESTAMP
+);
+
+-- Subscription inbox (GET /api/subscriptions/notifications)
+CREATE TABLE IF NOT EXISTS subscription_notifications (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    notification_type VARCHAR(50) NOT NULL, -- 'limit_warning', 'limit_reached', 'subscription_expired', 'renewal_reminder'
+    message TEXT NOT NULL,
+    is_read BOOLEAN DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
 -- Create indexes for better performance
 CREATE INDEX IF NOT EXISTS idx_vintage_items_seller_id ON vintage_items(seller_id);
 CREATE INDEX IF NOT EXISTS idx_vintage_items_status ON vintage_items(status);
@@ -111,9 +417,34 @@ CREATE INDEX IF NOT EXISTS idx_vintage_items_category ON vintage_items(category)
 CREATE INDEX IF NOT EXISTS idx_vintage_items_created_at ON vintage_items(created_at DESC);
 CREATE INDEX IF NOT EXISTS idx_cross_posts_item_id ON cross_posts(item_id);
 CREATE INDEX IF NOT EXISTS idx_cross_posts_platform ON cross_posts(platform);
+CREATE INDEX IF NOT EXISTS idx_cross_post_events_item_id ON cross_post_events(item_id);
+CREATE INDEX IF NOT EXISTS idx_delist_tasks_status ON delist_tasks(status);
 CREATE INDEX IF NOT EXISTS idx_user_favorites_user_id ON user_favorites(user_id);
+CREATE INDEX IF NOT EXISTS idx_user_favorites_item_id ON user_favorites(item_id);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user_id ON refresh_tokens(user_id);
+CREATE INDEX IF NOT EXISTS idx_api_keys_user_id ON api_keys(user_id);
 CREATE INDEX IF NOT EXISTS idx_orders_buyer_id ON orders(buyer_id);
 CREATE INDEX IF NOT EXISTS idx_orders_seller_id ON orders(seller_id);
+CREATE INDEX IF NOT EXISTS idx_orders_item_id ON orders(item_id);
+CREATE INDEX IF NOT EXISTS idx_order_events_order_id ON order_events(order_id);
+CREATE INDEX IF NOT EXISTS idx_payments_order_id ON payments(order_id);
+CREATE INDEX IF NOT EXISTS idx_webhook_endpoints_user_id ON webhook_endpoints(user_id);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_endpoint_id ON webhook_deliveries(endpoint_id);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_status ON webhook_deliveries(status);
+CREATE INDEX IF NOT EXISTS idx_images_owner ON images(owner_type, owner_id);
+CREATE INDEX IF NOT EXISTS idx_alert_subscribers_user_id ON alert_subscribers(user_id);
+CREATE INDEX IF NOT EXISTS idx_saved_searches_subscriber_id ON saved_searches(subscriber_id);
+CREATE INDEX IF NOT EXISTS idx_saved_search_matches_pending ON saved_search_matches(saved_search_id, notified_at);
+CREATE INDEX IF NOT EXISTS idx_notifications_user_id ON notifications(user_id, read_at);
+CREATE INDEX IF NOT EXISTS idx_user_subscriptions_tier ON user_subscriptions(tier);
+CREATE INDEX IF NOT EXISTS idx_user_subscriptions_expires ON user_subscriptions(expires_at);
+CREATE INDEX IF NOT EXISTS idx_subscription_logs_user ON subscription_logs(user_id);
+CREATE INDEX IF NOT EXISTS idx_subscription_revenue_user ON subscription_revenue(user_id);
+CREATE INDEX IF NOT EXISTS idx_subscription_billing_period_end ON subscription_billing(period_end);
+CREATE INDEX IF NOT EXISTS idx_invoices_user_id ON invoices(user_id);
+CREATE INDEX IF NOT EXISTS idx_invoices_status ON invoices(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_invoice_line_items_invoice_id ON invoice_line_items(invoice_id);
+CREATE INDEX IF NOT EXISTS idx_subscription_notifications_user ON subscription_notifications(user_id, is_read);
 
 -- Insert sample data for testing (optional)
 INSERT INTO users (username, email, password_hash, role) VALUES 
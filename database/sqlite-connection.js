@@ -1,6 +1,7 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs');
+const { upgradeSchema } = require('./schema-upgrades');
 
 // SQLite connection for easy development/testing
 const dbPath = path.join(__dirname, '../data/vintage_crib.sqlite');
@@ -30,11 +31,35 @@ CREATE TABLE IF NOT EXISTS users (
     username TEXT UNIQUE NOT NULL,
     email TEXT UNIQUE NOT NULL,
     password_hash TEXT NOT NULL,
-    role TEXT DEFAULT 'user', -- 'user', 'seller', 'admin'
+    role TEXT DEFAULT 'buyer', -- 'buyer', 'seller', 'admin'
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Refresh tokens (hashed)
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    token_hash TEXT UNIQUE NOT NULL,
+    expires_at DATETIME NOT NULL,
+    revoked_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Personal API keys (hashed)
+CREATE TABLE IF NOT EXISTS api_keys (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    key_prefix TEXT NOT NULL,
+    key_hash TEXT UNIQUE NOT NULL,
+    scopes TEXT NOT NULL,
+    rate_limit_per_minute INTEGER DEFAULT 60,
+    last_used_at DATETIME,
+    revoked_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Vintage sellers
 CREATE TABLE IF NOT EXISTS vintage_sellers (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -66,7 +91,7 @@ CREATE TABLE IF NOT EXISTS vintage_items (
     condition TEXT, -- 'new', 'like_new', 'good', 'fair', 'poor'
     tags TEXT, -- JSON array as text
     images TEXT NOT NULL DEFAULT '[]', -- JSON array as text
-    status TEXT DEFAULT 'draft', -- 'draft', 'published', 'sold', 'archived'
+    status TEXT DEFAULT 'draft', -- 'draft', 'published', 'reserved', 'sold', 'archived'
     published_to TEXT DEFAULT '[]', -- JSON array as text
     views INTEGER DEFAULT 0,
     likes INTEGER DEFAULT 0,
@@ -89,6 +114,33 @@ CREATE TABLE IF NOT EXISTS cross_posts (
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Cross-post status audit trail
+CREATE TABLE IF NOT EXISTS cross_post_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    cross_post_id INTEGER REFERENCES cross_posts(id) ON DELETE SET NULL,
+    item_id INTEGER REFERENCES vintage_items(id) ON DELETE CASCADE,
+    platform TEXT NOT NULL,
+    from_status TEXT,
+    to_status TEXT NOT NULL,
+    action TEXT NOT NULL,
+    message TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Manual delisting tasks
+CREATE TABLE IF NOT EXISTS delist_tasks (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    item_id INTEGER REFERENCES vintage_items(id) ON DELETE CASCADE,
+    cross_post_id INTEGER REFERENCES cross_posts(id) ON DELETE SET NULL,
+    platform TEXT NOT NULL,
+    status TEXT DEFAULT 'queued',
+    reason TEXT,
+    open_url TEXT,
+    instructions TEXT, -- JSON array as text
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    completed_at DATETIME
+);
+
 -- User favorites
 CREATE TABLE IF NOT EXISTS user_favorites (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -98,6 +150,14 @@ CREATE TABLE IF NOT EXISTS user_favorites (
     UNIQUE(user_id, item_id)
 );
 
+-- Public wishlist links (one per user, revoked by deleting the row)
+CREATE TABLE IF NOT EXISTS wishlist_shares (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+    token TEXT UNIQUE NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Orders
 CREATE TABLE IF NOT EXISTS orders (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -114,12 +174,294 @@ CREATE TABLE IF NOT EXISTS orders (
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Order status history
+CREATE TABLE IF NOT EXISTS order_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    order_id INTEGER REFERENCES orders(id) ON DELETE CASCADE,
+    from_status TEXT,
+    to_status TEXT NOT NULL,
+    message TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Order payments
+CREATE TABLE IF NOT EXISTS payments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    order_id INTEGER REFERENCES orders(id) ON DELETE CASCADE,
+    provider TEXT NOT NULL,
+    provider_payment_id TEXT,
+    amount REAL NOT NULL,
+    status TEXT DEFAULT 'requires_confirmation',
+    error_message TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Outbound webhooks
+CREATE TABLE IF NOT EXISTS webhook_endpoints (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    url TEXT NOT NULL,
+    description TEXT,
+    event_types TEXT NOT NULL,
+    secret TEXT NOT NULL,
+    active BOOLEAN DEFAULT TRUE,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    endpoint_id INTEGER REFERENCES webhook_endpoints(id) ON DELETE CASCADE,
+    event_id TEXT NOT NULL,
+    event_type TEXT NOT NULL,
+    payload TEXT NOT NULL,
+    status TEXT DEFAULT 'pending',
+    attempts INTEGER DEFAULT 0,
+    response_status INTEGER,
+    response_body TEXT,
+    error TEXT,
+    duration_ms INTEGER,
+    replay_of INTEGER REFERENCES webhook_deliveries(id),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_attempt_at DATETIME,
+    delivered_at DATETIME
+);
+
+-- Uploaded images and their generated variants
+CREATE TABLE IF NOT EXISTS images (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    owner_type TEXT NOT NULL,
+    owner_id TEXT NOT NULL,
+    storage_key TEXT UNIQUE NOT NULL,
+    original_name TEXT,
+    original_file TEXT NOT NULL,
+    mime_type TEXT,
+    width INTEGER,
+    height INTEGER,
+    bytes INTEGER,
+    variants TEXT NOT NULL,
+    alt_text TEXT,
+    uploaded_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Perceptual (dHash) fingerprints of listing images, used to spot duplicate listings
+CREATE TABLE IF NOT EXISTS image_hashes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    image_url TEXT UNIQUE NOT NULL,
+    hash TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Saved-search alerts (see services/SavedSearchService.js)
+CREATE TABLE IF NOT EXISTS alert_subscribers (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    email TEXT,
+    frequency TEXT DEFAULT 'daily',
+    token TEXT UNIQUE NOT NULL,
+    confirmed_at DATETIME,
+    last_digest_at DATETIME,
+    unsubscribed_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS saved_searches (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    subscriber_id INTEGER REFERENCES alert_subscribers(id) ON DELETE CASCADE,
+    name TEXT,
+    filters TEXT NOT NULL,
+    alert_types TEXT NOT NULL,
+    token TEXT UNIQUE NOT NULL,
+    active BOOLEAN DEFAULT 1,
+    last_matched_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS saved_search_matches (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    saved_search_id INTEGER REFERENCES saved_searches(id) ON DELETE CASCADE,
+    listing_id TEXT NOT NULL,
+    reason TEXT NOT NULL,
+    title TEXT,
+    price DECIMAL(10,2),
+    previous_price DECIMAL(10,2),
+    url TEXT,
+    image TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    notified_at DATETIME,
+    UNIQUE(saved_search_id, listing_id, reason, price)
+);
+
+CREATE TABLE IF NOT EXISTS listing_snapshots (
+    listing_id TEXT PRIMARY KEY,
+    price DECIMAL(10,2),
+    available BOOLEAN DEFAULT 1,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS notifications (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    type TEXT NOT NULL,
+    title TEXT NOT NULL,
+    body TEXT,
+    url TEXT,
+    data TEXT,
+    read_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Seller analytics (daily counters)
+CREATE TABLE IF NOT EXISTS seller_analytics (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    seller_id INTEGER REFERENCES vintage_sellers(id) ON DELETE CASCADE,
+    date DATE NOT NULL,
+    views INTEGER DEFAULT 0,
+    likes INTEGER DEFAULT 0,
+    sales INTEGER DEFAULT 0,
+    revenue DECIMAL(10,2) DEFAULT 0.00,
+    listings_posted INTEGER DEFAULT 0,
+    UNIQUE(seller_id, date)
+);
+
+-- Subscriptions: the tier a user pays for (tier definitions live in config/entitlements.json)
+CREATE TABLE IF NOT EXISTS user_subscriptions (
+    user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    tier TEXT NOT NULL DEFAULT 'free',
+    status TEXT NOT NULL DEFAULT 'active', -- 'active', 'cancelled', 'expired', 'suspended'
+    started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    expires_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    upgraded_by_admin INTEGER REFERENCES users(id)
+);
+
+CREATE TABLE IF NOT EXISTS subscription_logs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    old_tier TEXT,
+    new_tier TEXT NOT NULL,
+    change_type TEXT NOT NULL,
+    admin_id INTEGER REFERENCES users(id),
+    reason TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS subscription_revenue (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    tier TEXT NOT NULL,
+    amount DECIMAL(10,2) NOT NULL,
+    payment_method TEXT DEFAULT 'admin_granted',
+    transaction_id TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- The tier terms a user signed up under, kept so later tier changes can grandfather them
+CREATE TABLE IF NOT EXISTS subscription_entitlements (
+    user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    tier TEXT NOT NULL,
+    version INTEGER NOT NULL,
+    terms TEXT NOT NULL, -- JSON: price, maxItems, platforms, features
+    granted_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Billing for paid tiers: the current period of a subscription and how it is paid
+CREATE TABLE IF NOT EXISTS subscription_billing (
+    user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    tier TEXT NOT NULL,
+    cycle TEXT NOT NULL DEFAULT 'monthly', -- 'monthly', 'annual'
+    price DECIMAL(10,2) NOT NULL, -- per cycle, locked in when the plan was chosen
+    status TEXT NOT NULL DEFAULT 'active', -- 'active', 'past_due', 'cancelled'
+    provider TEXT NOT NULL,
+    payment_method TEXT,
+    period_start DATETIME NOT NULL,
+    period_end DATETIME NOT NULL,
+    cancel_at_period_end BOOLEAN DEFAULT 0,
+    credit_balance DECIMAL(10,2) DEFAULT 0.00,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS invoices (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    number TEXT UNIQUE,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    reason TEXT NOT NULL, -- 'subscription_create', 'subscription_cycle', 'subscription_update'
+    status TEXT NOT NULL DEFAULT 'open', -- 'open', 'paid', 'void', 'uncollectible'
+    currency TEXT NOT NULL DEFAULT 'usd',
+    subtotal DECIMAL(10,2) NOT NULL,
+    credit_applied DECIMAL(10,2) DEFAULT 0.00,
+    total DECIMAL(10,2) NOT NULL,
+    period_start DATETIME,
+    period_end DATETIME,
+    provider TEXT,
+    provider_payment_id TEXT,
+    attempt_count INTEGER DEFAULT 0,
+    next_attempt_at DATETIME,
+    last_error TEXT,
+    paid_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS invoice_line_items (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    invoice_id INTEGER REFERENCES invoices(id) ON DELETE CASCADE,
+    description TEXT NOT NULL,
+    tier TEXT,
+    amount DECIMAL(10,2) NOT NULL,
+    proration BOOLEAN DEFAULT 0,
+    period_start DATETIME,
+    period_end DATETIME
+);
+
+-- Subscription inbox (GET /api/subscriptions/notifications)
+CREATE TABLE IF NOT EXISTS subscription_notifications (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    notification_type TEXT NOT NULL, -- 'limit_warning', 'limit_reached', 'subscription_expired', 'renewal_reminder'
+    message TEXT NOT NULL,
+    is_read BOOLEAN DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Create indexes
 CREATE INDEX IF NOT EXISTS idx_vintage_items_seller_id ON vintage_items(seller_id);
 CREATE INDEX IF NOT EXISTS idx_vintage_items_status ON vintage_items(status);
 CREATE INDEX IF NOT EXISTS idx_vintage_items_category ON vintage_items(category);
 CREATE INDEX IF NOT EXISTS idx_cross_posts_item_id ON cross_posts(item_id);
+CREATE INDEX IF NOT EXISTS idx_cross_post_events_item_id ON cross_post_events(item_id);
+CREATE INDEX IF NOT EXISTS idx_delist_tasks_status ON delist_tasks(status);
 CREATE INDEX IF NOT EXISTS idx_user_favorites_user_id ON user_favorites(user_id);
+CREATE INDEX IF NOT EXISTS idx_user_favorites_item_id ON user_favorites(item_id);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user_id ON refresh_tokens(user_id);
+CREATE INDEX IF NOT EXISTS idx_api_keys_user_id ON api_keys(user_id);
+CREATE INDEX IF NOT EXISTS idx_orders_buyer_id ON orders(buyer_id);
+CREATE INDEX IF NOT EXISTS idx_orders_seller_id ON orders(seller_id);
+CREATE INDEX IF NOT EXISTS idx_order_events_order_id ON order_events(order_id);
+CREATE INDEX IF NOT EXISTS idx_payments_order_id ON payments(order_id);
+CREATE INDEX IF NOT EXISTS idx_webhook_endpoints_user_id ON webhook_endpoints(user_id);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_endpoint_id ON webhook_deliveries(endpoint_id);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_status ON webhook_deliveries(status);
+CREATE INDEX IF NOT EXISTS idx_images_owner ON images(owner_type, owner_id);
+CREATE INDEX IF NOT EXISTS idx_alert_subscribers_user_id ON alert_subscribers(user_id);
+CREATE INDEX IF NOT EXISTS idx_saved_searches_subscriber_id ON saved_searches(subscriber_id);
+CREATE INDEX IF NOT EXISTS idx_saved_search_matches_pending ON saved_search_matches(saved_search_id, notified_at);
+CREATE INDEX IF NOT EXISTS idx_notifications_user_id ON notifications(user_id, read_at);
+CREATE INDEX IF NOT EXISTS idx_user_subscriptions_tier ON user_subscriptions(tier);
+CREATE INDEX IF NOT EXISTS idx_user_subscriptions_expires ON user_subscriptions(expires_at);
+CREATE INDEX IF NOT EXISTS idx_subscription_logs_user ON subscription_logs(user_id);
+CREATE INDEX IF NOT EXISTS idx_subscription_revenue_user ON subscription_revenue(user_id);
+CREATE INDEX IF NOT EXISTS idx_subscription_billing_period_end ON subscription_billing(period_end);
+CREATE INDEX IF NOT EXISTS idx_invoices_user_id ON invoices(user_id);
+CREATE INDEX IF NOT EXISTS idx_invoices_status ON invoices(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_invoice_line_items_invoice_id ON invoice_line_items(invoice_id);
+CREATE INDEX IF NOT EXISTS idx_subscription_notifications_user ON subscription_notifications(user_id, is_read);
 `;
 
 // Initialize database schema
@@ -223,5 +565,6 @@ module.exports = {
     db,
     query,
     testConnection: testSqliteConnection,
-    initializeDatabase: initializeSqliteDatabase
+    initializeDatabase: initializeSqliteDatabase,
+    upgradeSchema: () => upgradeSchema(db)
 };
\ No newline at end of file
@@ -0,0 +1,151 @@
+const fs = require('fs').promises;
+const { writeJsonAtomic } = require('./product-repository');
+
+// Persisted auto-sync runs (data/sync-runs.json)
+// Each run keeps a cursor into its item list so an interrupted run can resume
+
+const MAX_RUNS = 50;
+const FINISHED_ITEM_STATUSES = ['checked', 'sold', 'price_changed', 'failed', 'skipped'];
+
+class SyncRunStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.writeQueue = Promise.resolve();
+    }
+
+    async load() {
+        try {
+            const data = await fs.readFile(this.filePath, 'utf8');
+            return JSON.parse(data);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            return [];
+        }
+    }
+
+    // Serialize checkpoints so item results never overwrite each other
+    mutate(fn) {
+        const run = this.writeQueue.then(async () => {
+            const runs = await this.load();
+            const result = fn(runs);
+            await writeJsonAtomic(this.filePath, runs.slice(0, MAX_RUNS));
+            return result;
+        });
+
+        this.writeQueue = run.catch(() => {});
+        return run;
+    }
+
+    async list(limit = 20) {
+        await this.writeQueue;
+        const runs = await this.load();
+
+        // Listing leaves out the per-item detail
+        return runs.slice(0, limit).map(({ items, ...run }) => ({
+            ...run,
+            itemCounts: countItems(items || [])
+        }));
+    }
+
+    async get(runId) {
+        await this.writeQueue;
+        const runs = await this.load();
+        return runs.find(run => run.id === runId) || null;
+    }
+
+    async findInterrupted() {
+        await this.writeQueue;
+        const runs = await this.load();
+        return runs.filter(run => run.status === 'running');
+    }
+
+    // items: [{ productId, name, url }]
+    create({ type, items, parentRunId = null, phases = ['check', 'import'] }) {
+        const run = {
+            id: null,
+            type,
+            parentRunId,
+            status: 'running',
+            phases,
+            phase: phases[0],
+            cursor: 0,
+            startTime: new Date().toISOString(),
+            endTime: null,
+            resumedAt: [],
+            summary: null,
+            items: items.map(item => ({ ...item, status: 'pending' }))
+        };
+
+        return this.mutate(runs => {
+            // Two runs created in the same millisecond (a retry right after its parent) get distinct ids
+            let stamp = Date.now();
+            while (runs.some(r => r.id === `sync_${stamp}`)) stamp++;
+            run.id = `sync_${stamp}`;
+
+            runs.unshift(run);
+            return run;
+        });
+    }
+
+    // New check-only run over the failed items of a finished run; null when none failed
+    async createRetry(parentRun) {
+        const failed = (parentRun.items || []).filter(item => item.status === 'failed');
+        if (failed.length === 0) return null;
+
+        return this.create({
+            type: 'retry_failed',
+            parentRunId: parentRun.id,
+            phases: ['check'],
+            items: failed.map(({ productId, name, url }) => ({ productId, name, url }))
+        });
+    }
+
+    // Stamps an interrupted run as resumed; it carries on from its cursor and phase
+    resume(runId) {
+        return this.update(runId, run => ({ resumedAt: [...(run.resumedAt || []), new Date().toISOString()] }));
+    }
+
+    // Closes a run that could not start (e.g. another sync held the lock), so it
+    // isn't left 'running' until a restart. Runs with progress are left to resume.
+    cancelUnstarted(runId, reason) {
+        return this.update(runId, run => (run.status === 'running' && !run.summary
+            ? { status: 'cancelled', endTime: new Date().toISOString(), error: reason }
+            : {}));
+    }
+
+    // Apply changes to a run and return the saved copy
+    update(runId, changes) {
+        return this.mutate(runs => {
+            const run = runs.find(r => r.id === runId);
+            if (!run) throw new Error(`Sync run ${runId} not found`);
+
+            Object.assign(run, typeof changes === 'function' ? changes(run) : changes);
+            return run;
+        });
+    }
+
+    // Record one item's outcome and move the cursor past it
+    checkpointItem(runId, index, result, summary) {
+        return this.update(runId, run => {
+            run.items[index] = {
+                ...run.items[index],
+                ...result,
+                finishedAt: new Date().toISOString()
+            };
+            return { cursor: index + 1, summary };
+        });
+    }
+}
+
+function countItems(items) {
+    const counts = { total: items.length, pending: 0 };
+    FINISHED_ITEM_STATUSES.forEach(status => { counts[status] = 0; });
+
+    items.forEach(item => {
+        counts[item.status] = (counts[item.status] || 0) + 1;
+    });
+
+    return counts;
+}
+
+module.exports = { SyncRunStore, countItems };
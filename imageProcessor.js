@@ -23,21 +23,27 @@ class ImageProcessor {
     }
 
     // Multer configuration for file uploads
-    getMulterConfig() {
+    // options: directory (defaults to uploads/), prefix for the stored file name
+    getMulterConfig(options = {}) {
+        const directory = options.directory || this.uploadsDir;
+        const prefix = options.prefix || 'product';
+
         const storage = multer.diskStorage({
             destination: (req, file, cb) => {
-                cb(null, this.uploadsDir);
+                fs.mkdir(directory, { recursive: true })
+                    .then(() => cb(null, directory))
+                    .catch(error => cb(error));
             },
             filename: (req, file, cb) => {
                 const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-                const extension = path.extname(file.originalname);
-                cb(null, `product_${uniqueSuffix}${extension}`);
+                const extension = path.extname(file.originalname).toLowerCase();
+                cb(null, `${prefix}_${uniqueSuffix}${extension}`);
             }
         });
 
         const fileFilter = (req, file, cb) => {
-            // Accept only image files
-            if (file.mimetype.startsWith('image/')) {
+            // Accept only raster image files - SVGs can carry scripts
+            if (file.mimetype.startsWith('image/') && file.mimetype !== 'image/svg+xml') {
                 cb(null, true);
             } else {
                 cb(new Error('Only image files are allowed!'), false);
@@ -106,6 +112,7 @@ class ImageProcessor {
             }
 
             const result = await sharp(inputPath)
+                .rotate()
                 .resize(size, size, {
                     fit: 'cover',
                     position: 'center'
@@ -164,6 +171,33 @@ class ImageProcessor {
         }
     }
 
+    // Resize to a width and encode as webp, avif or jpeg (one responsive variant)
+    async createVariant(inputPath, outputPath, { width, format = 'webp', quality = 80 } = {}) {
+        let sharpInstance = sharp(inputPath)
+            .rotate() // apply EXIF orientation from phone photos
+            .resize({ width, withoutEnlargement: true });
+
+        switch (format) {
+            case 'avif':
+                sharpInstance = sharpInstance.avif({ quality: Math.max(quality - 20, 30) });
+                break;
+            case 'webp':
+                sharpInstance = sharpInstance.webp({ quality });
+                break;
+            default:
+                sharpInstance = sharpInstance.jpeg({ quality, mozjpeg: true });
+        }
+
+        const result = await sharpInstance.toFile(outputPath);
+        return {
+            path: outputPath,
+            format: format,
+            width: result.width,
+            height: result.height,
+            size: result.size
+        };
+    }
+
     // Get image info
     async getImageInfo(imagePath) {
         try {
@@ -1,5 +1,31 @@
 const winston = require('winston');
 const path = require('path');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Per-request context ({ requestId, ... }) that follows the request through
+// awaits into services and job handlers, so their log lines carry the same ID
+const requestContext = new AsyncLocalStorage();
+
+function getRequestId() {
+    const context = requestContext.getStore();
+    return context ? context.requestId : null;
+}
+
+// Runs fn with extra context fields on top of the current ones
+function runWithContext(fields, fn) {
+    return requestContext.run({ ...requestContext.getStore(), ...fields }, fn);
+}
+
+// Stamps every log entry with the current request (or job) ID
+const contextFormat = winston.format(info => {
+    const context = requestContext.getStore();
+    if (context) {
+        if (context.requestId && !info.requestId) info.requestId = context.requestId;
+        if (context.jobId && !info.jobId) info.jobId = context.jobId;
+    }
+    return info;
+});
 
 // Create logs directory if it doesn't exist
 const fs = require('fs');
@@ -10,6 +36,7 @@ if (!fs.existsSync(logsDir)) {
 
 // Custom format for better readability
 const customFormat = winston.format.combine(
+    contextFormat(),
     winston.format.timestamp({
         format: 'YYYY-MM-DD HH:mm:ss'
     }),
@@ -20,18 +47,20 @@ const customFormat = winston.format.combine(
 
 // Console format for development
 const consoleFormat = winston.format.combine(
+    contextFormat(),
     winston.format.colorize(),
     winston.format.timestamp({
         format: 'HH:mm:ss'
     }),
-    winston.format.printf(({ timestamp, level, message, stack }) => {
-        return `${timestamp} [${level}]: ${stack || message}`;
+    winston.format.printf(({ timestamp, level, message, stack, requestId }) => {
+        return `${timestamp} [${level}]${requestId ? ` [${requestId}]` : ''}: ${stack || message}`;
     })
 );
 
 // Create logger instance
 const logger = winston.createLogger({
     level: process.env.LOG_LEVEL || 'info',
+    silent: process.env.NODE_ENV === 'test',
     format: customFormat,
     defaultMeta: { 
         service: 'vintage-crib-api',
@@ -90,6 +119,7 @@ const customLogger = {
     // API request logging
     api: (req, res, responseTime) => {
         logger.http('API Request', {
+            requestId: req.id,
             method: req.method,
             url: req.originalUrl,
             ip: req.ip,
@@ -168,24 +198,26 @@ const customLogger = {
     }
 };
 
-// Express middleware for request logging
+// Express middleware for request logging. Gives each request an ID (the
+// caller's X-Request-Id if it sent a sane one), echoes it back in the response
+// and runs the rest of the pipeline inside requestContext.
 const requestLogger = (req, res, next) => {
     const startTime = Date.now();
-    
-    // Override res.end to capture response time
-    const originalEnd = res.end;
-    res.end = function(...args) {
-        const responseTime = Date.now() - startTime;
-        customLogger.api(req, res, responseTime);
-        originalEnd.apply(this, args);
-    };
-    
-    next();
+    const incoming = req.get('X-Request-Id');
+    req.id = incoming && /^[\w.:-]{1,100}$/.test(incoming) ? incoming : crypto.randomUUID();
+    res.setHeader('X-Request-Id', req.id);
+
+    res.on('finish', () => {
+        customLogger.api(req, res, Date.now() - startTime);
+    });
+
+    requestContext.run({ requestId: req.id }, next);
 };
 
 // Error handling middleware
 const errorLogger = (error, req, res, next) => {
     customLogger.error(error, {
+        requestId: req.id,
         method: req.method,
         url: req.originalUrl,
         ip: req.ip,
@@ -220,12 +252,15 @@ const cleanupOldLogs = () => {
     });
 };
 
-// Schedule cleanup every day
-setInterval(cleanupOldLogs, 24 * 60 * 60 * 1000);
+// Schedule cleanup every day (without keeping the process alive for it)
+setInterval(cleanupOldLogs, 24 * 60 * 60 * 1000).unref();
 
 module.exports = {
     logger,
     customLogger,
     requestLogger,
-    errorLogger
+    errorLogger,
+    requestContext,
+    getRequestId,
+    runWithContext
 };
\ No newline at end of file
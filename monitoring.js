@@ -1,6 +1,143 @@
 const os = require('os');
+const fs = require('fs').promises;
 const { customLogger } = require('./logger');
 
+// Minimal Prometheus text-format metrics (exposition format 0.0.4).
+// Label values are kept low-cardinality by the callers: route patterns, not URLs.
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+class Metric {
+    constructor(type, name, help, labelNames = []) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.series = new Map(); // label key -> { labels, ... }
+    }
+
+    seriesFor(labels = {}) {
+        const picked = {};
+        this.labelNames.forEach(name => {
+            picked[name] = labels[name] === undefined ? '' : String(labels[name]);
+        });
+
+        const key = JSON.stringify(picked);
+        if (!this.series.has(key)) {
+            this.series.set(key, this.createSeries(picked));
+        }
+        return this.series.get(key);
+    }
+
+    reset() {
+        this.series.clear();
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+        this.series.forEach(series => lines.push(...this.renderSeries(series)));
+        return lines.join('\n');
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help, labelNames) {
+        super('counter', name, help, labelNames);
+    }
+
+    createSeries(labels) {
+        return { labels, value: 0 };
+    }
+
+    inc(labels = {}, amount = 1) {
+        this.seriesFor(labels).value += amount;
+    }
+
+    get(labels = {}) {
+        return this.seriesFor(labels).value;
+    }
+
+    renderSeries(series) {
+        return [`${this.name}${formatLabels(series.labels)} ${series.value}`];
+    }
+}
+
+class Gauge extends Counter {
+    constructor(name, help, labelNames) {
+        super(name, help, labelNames);
+        this.type = 'gauge';
+    }
+
+    set(labels, value) {
+        this.seriesFor(labels).value = value;
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+        super('histogram', name, help, labelNames);
+        this.buckets = buckets;
+    }
+
+    createSeries(labels) {
+        return { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+    }
+
+    observe(labels, value) {
+        const series = this.seriesFor(labels);
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) series.counts[index]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    renderSeries(series) {
+        const lines = this.buckets.map((bound, index) =>
+            `${this.name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.counts[index]}`);
+        lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+        lines.push(`${this.name}_sum${formatLabels(series.labels)} ${Math.round(series.sum * 1e6) / 1e6}`);
+        lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+        return lines;
+    }
+}
+
+const HEALTH_RANK = { ok: 0, degraded: 1, down: 2 };
+const HEALTH_CHECK_TIMEOUT_MS = 5000;
+
+// Free space on the filesystem holding dir; degraded under 10% / 1 GB, down under 2% / 100 MB
+async function checkDiskSpace(dir) {
+    const stats = await fs.statfs(dir);
+    const total = stats.blocks * stats.bsize;
+    const free = stats.bavail * stats.bsize;
+    const freePercent = total > 0 ? Math.round((free / total) * 1000) / 10 : 0;
+
+    let status = 'ok';
+    if (freePercent < 2 || free < 100 * 1024 * 1024) {
+        status = 'down';
+    } else if (freePercent < 10 || free < 1024 * 1024 * 1024) {
+        status = 'degraded';
+    }
+
+    return {
+        status,
+        path: dir,
+        freeBytes: free,
+        totalBytes: total,
+        freePercent
+    };
+}
+
 class SystemMonitor {
     constructor() {
         this.metrics = {
@@ -14,6 +151,108 @@ class SystemMonitor {
         
         this.isMonitoring = false;
         this.monitoringInterval = null;
+        this.healthChecks = new Map();
+
+        this.registry = [];
+        this.httpDuration = this.register(new Histogram(
+            'http_request_duration_seconds', 'HTTP request latency by route', ['method', 'route', 'status_code']
+        ));
+        this.syncDuration = this.register(new Histogram(
+            'ebay_sync_duration_seconds', 'eBay sync run duration', ['type', 'status'], [1, 5, 15, 30, 60, 120, 300, 600, 1800, 3600]
+        ));
+        this.ebayBlocked = this.register(new Counter(
+            'ebay_blocked_requests_total', 'eBay requests answered with a bot-check page', ['source']
+        ));
+        this.crossPosts = this.register(new Counter(
+            'crosspost_results_total', 'Cross-post attempts by marketplace and outcome', ['platform', 'result']
+        ));
+        this.crossPostSuccessRate = this.register(new Gauge(
+            'crosspost_success_ratio', 'Share of successful cross-posts per marketplace since start', ['platform']
+        ));
+        this.collectors = [];
+    }
+
+    register(metric) {
+        this.registry.push(metric);
+        return metric;
+    }
+
+    // fn() returns extra metrics (fresh Gauge/Counter objects) at scrape time
+    addCollector(fn) {
+        this.collectors.push(fn);
+    }
+
+    recordCrossPost(platform, success) {
+        this.crossPosts.inc({ platform, result: success ? 'success' : 'failed' });
+        const succeeded = this.crossPosts.get({ platform, result: 'success' });
+        const failed = this.crossPosts.get({ platform, result: 'failed' });
+        this.crossPostSuccessRate.set({ platform }, succeeded / (succeeded + failed));
+    }
+
+    // Prometheus text exposition of every registered metric
+    async renderMetrics() {
+        const memory = process.memoryUsage();
+        const processGauges = [
+            new Gauge('process_resident_memory_bytes', 'Resident memory size in bytes'),
+            new Gauge('process_heap_used_bytes', 'V8 heap in use in bytes'),
+            new Gauge('process_uptime_seconds', 'Seconds since the process started')
+        ];
+        processGauges[0].set({}, memory.rss);
+        processGauges[1].set({}, memory.heapUsed);
+        processGauges[2].set({}, Math.round(process.uptime()));
+
+        const collected = [];
+        for (const collector of this.collectors) {
+            try {
+                collected.push(...await collector());
+            } catch (error) {
+                customLogger.error(error, { context: 'metrics collector' });
+            }
+        }
+
+        return [...this.registry, ...processGauges, ...collected].map(metric => metric.render()).join('\n') + '\n';
+    }
+
+    // fn() resolves to { status: 'ok' | 'degraded' | 'down', ...details }
+    addHealthCheck(name, fn) {
+        this.healthChecks.set(name, fn);
+    }
+
+    // Runs every component check; a check that throws or hangs counts as down
+    async getComponentHealth() {
+        const components = {};
+
+        await Promise.all([...this.healthChecks].map(async ([name, check]) => {
+            const started = Date.now();
+            let timer;
+            try {
+                const timeout = new Promise((resolve, reject) => {
+                    timer = setTimeout(() => reject(new Error(`Timed out after ${HEALTH_CHECK_TIMEOUT_MS}ms`)), HEALTH_CHECK_TIMEOUT_MS);
+                });
+                components[name] = { ...(await Promise.race([check(), timeout])) };
+            } catch (error) {
+                components[name] = { status: 'down', error: error.message };
+            } finally {
+                clearTimeout(timer);
+            }
+            components[name].latencyMs = Date.now() - started;
+        }));
+
+        const system = this.getHealthStatus();
+        components.system = {
+            status: system.status === 'healthy' ? 'ok' : system.status === 'warning' ? 'degraded' : 'down',
+            issues: system.issues,
+            ...system.metrics
+        };
+
+        const worst = Object.values(components)
+            .reduce((current, component) => HEALTH_RANK[component.status] > HEALTH_RANK[current] ? component.status : current, 'ok');
+
+        return {
+            status: worst,
+            timestamp: new Date().toISOString(),
+            components
+        };
     }
 
     // Start system monitoring
@@ -24,6 +263,7 @@ class SystemMonitor {
         this.monitoringInterval = setInterval(() => {
             this.collectSystemMetrics();
         }, intervalMs);
+        this.monitoringInterval.unref();
         
         customLogger.performance('SystemMonitor', 'Started', 'status');
     }
@@ -198,19 +438,20 @@ class SystemMonitor {
         };
     }
 
-    // Express middleware for monitoring
+    // Express middleware for monitoring. The route label is the matched route
+    // pattern (/api/products/:id), so IDs in URLs don't each become a series.
     middleware() {
         return (req, res, next) => {
-            const startTime = Date.now();
-            
-            // Override res.end to capture metrics
-            const originalEnd = res.end;
-            res.end = (...args) => {
-                const responseTime = Date.now() - startTime;
-                this.recordRequest(responseTime, res.statusCode);
-                originalEnd.apply(res, args);
-            };
-            
+            const startTime = process.hrtime.bigint();
+
+            res.on('finish', () => {
+                const seconds = Number(process.hrtime.bigint() - startTime) / 1e9;
+                const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+
+                this.recordRequest(Math.round(seconds * 1000), res.statusCode);
+                this.httpDuration.observe({ method: req.method, route, status_code: res.statusCode }, seconds);
+            });
+
             next();
         };
     }
@@ -225,6 +466,7 @@ class SystemMonitor {
             cpu: [],
             startTime: Date.now()
         };
+        this.registry.forEach(metric => metric.reset());
         customLogger.performance('MetricsReset', 'Metrics reset', 'status');
     }
 }
@@ -232,4 +474,9 @@ class SystemMonitor {
 // Create singleton instance
 const monitor = new SystemMonitor();
 
-module.exports = monitor;
\ No newline at end of file
+module.exports = monitor;
+module.exports.SystemMonitor = SystemMonitor;
+module.exports.Counter = Counter;
+module.exports.Gauge = Gauge;
+module.exports.Histogram = Histogram;
+module.exports.checkDiskSpace = checkDiskSpace;
\ No newline at end of file
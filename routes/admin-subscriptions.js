@@ -1,7 +1,9 @@
 const express = require('express');
-const { verifyToken, authenticateAdmin } = require('../auth');
+const { requireAuth, requireRole } = require('../auth/identity');
 const VintageSubscriptionService = require('../services/VintageSubscriptionService');
-const { User } = require('../database/models');
+const { entitlements, requireEntitlement } = require('../services/Entitlements');
+const { subscriptionScheduler } = require('../services/SubscriptionScheduler');
+const { SubscriptionNotification } = require('../database/models');
 const router = express.Router();
 
 const subscriptionService = new VintageSubscriptionService();
@@ -10,8 +12,182 @@ const subscriptionService = new VintageSubscriptionService();
 // ADMIN SUBSCRIPTION MANAGEMENT ROUTES
 // =============================================================================
 
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     Tier:
+ *       type: object
+ *       description: A tier from config/entitlements.json
+ *       properties:
+ *         id:
+ *           type: string
+ *         version:
+ *           type: integer
+ *         name:
+ *           type: string
+ *         price:
+ *           type: number
+ *           description: Monthly price
+ *         maxItems:
+ *           type: integer
+ *           description: -1 for unlimited
+ *         platforms:
+ *           type: array
+ *           items:
+ *             type: string
+ *         features:
+ *           type: array
+ *           items:
+ *             type: string
+ *         support:
+ *           type: string
+ *           nullable: true
+ *         description:
+ *           type: string
+ *     TierMap:
+ *       type: object
+ *       description: Tiers keyed by id, cheapest first
+ *       additionalProperties:
+ *         $ref: '#/components/schemas/Tier'
+ *     UserSubscription:
+ *       type: object
+ *       properties:
+ *         user_id:
+ *           type: integer
+ *         tier:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [active, cancelled, expired, suspended]
+ *         started_at:
+ *           type: string
+ *           format: date-time
+ *         expires_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         upgraded_by_admin:
+ *           type: integer
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *     LimitWarning:
+ *       type: object
+ *       nullable: true
+ *       description: Set once a seller lists 80% of their item limit
+ *       properties:
+ *         warning:
+ *           type: boolean
+ *         message:
+ *           type: string
+ *         currentCount:
+ *           type: integer
+ *         limit:
+ *           type: integer
+ *         tier:
+ *           type: string
+ *     SubscriptionDetails:
+ *       type: object
+ *       properties:
+ *         success:
+ *           type: boolean
+ *         subscription:
+ *           allOf:
+ *             - $ref: '#/components/schemas/UserSubscription'
+ *             - type: object
+ *               properties:
+ *                 tierDetails:
+ *                   $ref: '#/components/schemas/Tier'
+ *         entitlements:
+ *           $ref: '#/components/schemas/Entitlements'
+ *         recommendations:
+ *           type: array
+ *           description: Higher tiers with what they add
+ *           items:
+ *             allOf:
+ *               - $ref: '#/components/schemas/Tier'
+ *               - type: object
+ *                 properties:
+ *                   tierName:
+ *                     type: string
+ *                   benefits:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *         limitWarnings:
+ *           $ref: '#/components/schemas/LimitWarning'
+ *     TierChange:
+ *       type: object
+ *       required: [newTier]
+ *       properties:
+ *         newTier:
+ *           type: string
+ *         reason:
+ *           type: string
+ *
+ * /api/admin/subscriptions/analytics:
+ *   get:
+ *     tags: [Subscriptions, Admin]
+ *     summary: Tier distribution, revenue, conversion and recent plan changes (admin)
+ *     responses:
+ *       200:
+ *         description: Subscription analytics
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 analytics:
+ *                   type: object
+ *                   properties:
+ *                     tierDistribution:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           tier:
+ *                             type: string
+ *                           user_count:
+ *                             type: integer
+ *                     revenue:
+ *                       type: object
+ *                       properties:
+ *                         monthly:
+ *                           type: number
+ *                         monthlyTransactions:
+ *                           type: integer
+ *                         total:
+ *                           type: number
+ *                         totalTransactions:
+ *                           type: integer
+ *                     recentChanges:
+ *                       type: array
+ *                       description: subscription_logs rows with username and store name
+ *                       items:
+ *                         type: object
+ *                     conversion:
+ *                       type: object
+ *                       properties:
+ *                         paid_users:
+ *                           type: integer
+ *                         total_users:
+ *                           type: integer
+ *                         conversion_rate:
+ *                           type: number
+ *                     tiers:
+ *                       $ref: '#/components/schemas/TierMap'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
 // Get subscription analytics dashboard
-router.get('/admin/subscriptions/analytics', verifyToken, authenticateAdmin, async (req, res) => {
+router.get('/admin/subscriptions/analytics', requireRole('admin'), async (req, res) => {
     try {
         const analytics = await subscriptionService.getSubscriptionAnalytics();
         
@@ -29,8 +205,69 @@ router.get('/admin/subscriptions/analytics', verifyToken, authenticateAdmin, asy
     }
 });
 
+/**
+ * @openapi
+ * /api/admin/subscriptions/users:
+ *   get:
+ *     tags: [Subscriptions, Admin]
+ *     summary: Every user's subscription (admin)
+ *     parameters:
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/offset'
+ *       - name: tier
+ *         in: query
+ *         schema:
+ *           type: string
+ *       - name: status
+ *         in: query
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Subscriptions, most recently changed first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 subscriptions:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/UserSubscription'
+ *                       - type: object
+ *                         properties:
+ *                           username:
+ *                             type: string
+ *                           email:
+ *                             type: string
+ *                             nullable: true
+ *                           store_name:
+ *                             type: string
+ *                             nullable: true
+ *                           total_sales:
+ *                             type: integer
+ *                             nullable: true
+ *                           item_count:
+ *                             type: integer
+ *                           tierDetails:
+ *                             $ref: '#/components/schemas/Tier'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     limit:
+ *                       type: integer
+ *                     offset:
+ *                       type: integer
+ *                     hasMore:
+ *                       type: boolean
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
 // Get all user subscriptions for admin management
-router.get('/admin/subscriptions/users', verifyToken, authenticateAdmin, async (req, res) => {
+router.get('/admin/subscriptions/users', requireRole('admin'), async (req, res) => {
     try {
         const { limit = 50, offset = 0, tier = null, status = null } = req.query;
         
@@ -68,8 +305,41 @@ router.get('/admin/subscriptions/users', verifyToken, authenticateAdmin, async (
     }
 });
 
+/**
+ * @openapi
+ * /api/admin/subscriptions/{userId}/upgrade:
+ *   post:
+ *     tags: [Subscriptions, Admin]
+ *     summary: Move a user to a higher tier without billing them (admin)
+ *     parameters:
+ *       - $ref: '#/components/parameters/userId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TierChange'
+ *     responses:
+ *       200:
+ *         description: The updated subscription
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 subscription:
+ *                   $ref: '#/components/schemas/UserSubscription'
+ *                 message:
+ *                   type: string
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
 // Upgrade user subscription (Admin only)
-router.post('/admin/subscriptions/:userId/upgrade', verifyToken, authenticateAdmin, async (req, res) => {
+router.post('/admin/subscriptions/:userId/upgrade', requireRole('admin'), async (req, res) => {
     try {
         const { userId } = req.params;
         const { newTier, reason } = req.body;
@@ -111,8 +381,41 @@ router.post('/admin/subscriptions/:userId/upgrade', verifyToken, authenticateAdm
     }
 });
 
+/**
+ * @openapi
+ * /api/admin/subscriptions/{userId}/downgrade:
+ *   post:
+ *     tags: [Subscriptions, Admin]
+ *     summary: Move a user to a lower tier (admin)
+ *     parameters:
+ *       - $ref: '#/components/parameters/userId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TierChange'
+ *     responses:
+ *       200:
+ *         description: The updated subscription
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 subscription:
+ *                   $ref: '#/components/schemas/UserSubscription'
+ *                 message:
+ *                   type: string
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
 // Downgrade user subscription (Admin only)
-router.post('/admin/subscriptions/:userId/downgrade', verifyToken, authenticateAdmin, async (req, res) => {
+router.post('/admin/subscriptions/:userId/downgrade', requireRole('admin'), async (req, res) => {
     try {
         const { userId } = req.params;
         const { newTier, reason } = req.body;
@@ -155,8 +458,29 @@ router.post('/admin/subscriptions/:userId/downgrade', verifyToken, authenticateA
     }
 });
 
+/**
+ * @openapi
+ * /api/admin/subscriptions/tiers:
+ *   get:
+ *     tags: [Subscriptions, Admin]
+ *     summary: Every tier with its full configuration (admin)
+ *     responses:
+ *       200:
+ *         description: Tiers
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 tiers:
+ *                   $ref: '#/components/schemas/TierMap'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
 // Get subscription tiers and pricing
-router.get('/admin/subscriptions/tiers', verifyToken, authenticateAdmin, async (req, res) => {
+router.get('/admin/subscriptions/tiers', requireRole('admin'), async (req, res) => {
     try {
         const tiers = subscriptionService.getAllTiers();
         
@@ -174,23 +498,41 @@ router.get('/admin/subscriptions/tiers', verifyToken, authenticateAdmin, async (
     }
 });
 
+/**
+ * @openapi
+ * /api/admin/subscriptions/{userId}/details:
+ *   get:
+ *     tags: [Subscriptions, Admin]
+ *     summary: A user's subscription, entitlements, upgrade recommendations and limit warnings (admin)
+ *     parameters:
+ *       - $ref: '#/components/parameters/userId'
+ *     responses:
+ *       200:
+ *         description: Subscription details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SubscriptionDetails'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
 // Get user's current subscription and recommendations
-router.get('/admin/subscriptions/:userId/details', verifyToken, authenticateAdmin, async (req, res) => {
+router.get('/admin/subscriptions/:userId/details', requireRole('admin'), async (req, res) => {
     try {
         const { userId } = req.params;
         
         const subscription = await subscriptionService.getUserSubscription(userId);
-        const tierDetails = subscriptionService.getTierDetails(subscription.tier);
-        const recommendations = subscriptionService.getUpgradeRecommendations(subscription.tier);
+        const userEntitlements = await entitlements.forUser(subscription.user_id);
         const limitWarnings = await subscriptionService.checkAndNotifyLimits(userId);
         
         res.json({
             success: true,
             subscription: {
                 ...subscription,
-                tierDetails
+                tierDetails: subscriptionService.getTierDetails(subscription.tier)
             },
-            recommendations,
+            entitlements: userEntitlements,
+            recommendations: entitlements.recommendUpgrades(userEntitlements),
             limitWarnings
         });
         
@@ -203,8 +545,70 @@ router.get('/admin/subscriptions/:userId/details', verifyToken, authenticateAdmi
     }
 });
 
+/**
+ * @openapi
+ * /api/admin/subscriptions/bulk-action:
+ *   post:
+ *     tags: [Subscriptions, Admin]
+ *     summary: Upgrade or downgrade many users at once (admin)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [action, userIds]
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [upgrade, downgrade]
+ *               userIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *               newTier:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Per-user outcome
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       userId:
+ *                         type: integer
+ *                       success:
+ *                         type: boolean
+ *                       subscription:
+ *                         $ref: '#/components/schemas/UserSubscription'
+ *                       error:
+ *                         type: string
+ *                 summary:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                     successful:
+ *                       type: integer
+ *                     failed:
+ *                       type: integer
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
 // Bulk subscription operations
-router.post('/admin/subscriptions/bulk-action', verifyToken, authenticateAdmin, async (req, res) => {
+router.post('/admin/subscriptions/bulk-action', requireRole('admin'), async (req, res) => {
     try {
         const { action, userIds, newTier, reason } = req.body;
         const adminId = req.user.id;
@@ -273,23 +677,38 @@ router.post('/admin/subscriptions/bulk-action', verifyToken, authenticateAdmin,
 // USER SUBSCRIPTION INFO ROUTES (for frontend)
 // =============================================================================
 
-// Get current user's subscription
-router.get('/subscriptions/my-subscription', verifyToken, async (req, res) => {
+/**
+ * @openapi
+ * /api/subscriptions/my-subscription:
+ *   get:
+ *     tags: [Subscriptions]
+ *     summary: My subscription, entitlements (including grandfathered terms) and upgrade recommendations
+ *     responses:
+ *       200:
+ *         description: Subscription details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SubscriptionDetails'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+// Get current user's subscription (entitlements include any grandfathered terms)
+router.get('/subscriptions/my-subscription', requireAuth, requireEntitlement(), async (req, res) => {
     try {
         const userId = req.user.id;
         
         const subscription = await subscriptionService.getUserSubscription(userId);
-        const tierDetails = subscriptionService.getTierDetails(subscription.tier);
-        const recommendations = subscriptionService.getUpgradeRecommendations(subscription.tier);
         const limitWarnings = await subscriptionService.checkAndNotifyLimits(userId);
         
         res.json({
             success: true,
             subscription: {
                 ...subscription,
-                tierDetails
+                tierDetails: subscriptionService.getTierDetails(subscription.tier)
             },
-            recommendations,
+            entitlements: req.entitlements,
+            recommendations: entitlements.recommendUpgrades(req.entitlements),
             limitWarnings
         });
         
@@ -302,6 +721,48 @@ router.get('/subscriptions/my-subscription', verifyToken, async (req, res) => {
     }
 });
 
+/**
+ * @openapi
+ * /api/subscriptions/tiers:
+ *   get:
+ *     tags: [Subscriptions]
+ *     summary: Available tiers and pricing
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Tiers keyed by id
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 tiers:
+ *                   type: object
+ *                   additionalProperties:
+ *                     type: object
+ *                     properties:
+ *                       name:
+ *                         type: string
+ *                       price:
+ *                         type: number
+ *                       maxItems:
+ *                         type: integer
+ *                       crossPostPlatforms:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                       featuresIncluded:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                       description:
+ *                         type: string
+ *                       support:
+ *                         type: string
+ *                         nullable: true
+ */
 // Get available subscription tiers for upgrade
 router.get('/subscriptions/tiers', async (req, res) => {
     try {
@@ -313,8 +774,8 @@ router.get('/subscriptions/tiers', async (req, res) => {
                 name: tier.name,
                 price: tier.price,
                 maxItems: tier.maxItems,
-                crossPostPlatforms: tier.crossPostPlatforms,
-                featuresIncluded: tier.featuresIncluded,
+                crossPostPlatforms: tier.platforms,
+                featuresIncluded: tier.features,
                 description: tier.description,
                 support: tier.support
             };
@@ -335,13 +796,60 @@ router.get('/subscriptions/tiers', async (req, res) => {
     }
 });
 
+/**
+ * @openapi
+ * /api/subscriptions/check-limit:
+ *   post:
+ *     tags: [Subscriptions]
+ *     summary: Whether my plan allows an action
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [action]
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 example: create_item
+ *               currentCount:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: The answer, plus the limit or platforms where relevant
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 limitCheck:
+ *                   type: object
+ *                   properties:
+ *                     allowed:
+ *                       type: boolean
+ *                     limit:
+ *                       oneOf:
+ *                         - type: integer
+ *                         - type: string
+ *                           enum: [unlimited]
+ *                     current:
+ *                       type: integer
+ *                     platforms:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
 // Check subscription limits for specific action
-router.post('/subscriptions/check-limit', verifyToken, async (req, res) => {
+router.post('/subscriptions/check-limit', requireAuth, requireEntitlement(), async (req, res) => {
     try {
         const { action, currentCount } = req.body;
-        const userId = req.user.id;
         
-        const limitCheck = await subscriptionService.checkSubscriptionLimit(userId, action, currentCount);
+        const limitCheck = entitlements.checkAction(req.entitlements, action, currentCount);
         
         res.json({
             success: true,
@@ -357,4 +865,142 @@ router.post('/subscriptions/check-limit', verifyToken, async (req, res) => {
     }
 });
 
+/**
+ * @openapi
+ * /api/subscriptions/notifications:
+ *   get:
+ *     tags: [Subscriptions, Notifications]
+ *     summary: My subscription inbox - expiry notices, renewal reminders and item-limit warnings
+ *     parameters:
+ *       - name: unread
+ *         in: query
+ *         schema:
+ *           type: boolean
+ *       - name: limit
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Notifications, newest first, and the unread count
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 unread:
+ *                   type: integer
+ *                 notifications:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                       type:
+ *                         type: string
+ *                         enum: [subscription_expired, renewal_reminder, limit_warning, limit_reached, upgrade_recommendation, feature_unlocked]
+ *                       message:
+ *                         type: string
+ *                       read:
+ *                         type: boolean
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+// Subscription inbox: expiry notices, renewal reminders, item-limit warnings (?unread=true for unread only)
+router.get('/subscriptions/notifications', requireAuth, async (req, res) => {
+    try {
+        const inbox = await subscriptionScheduler.listNotifications(req.user.id, {
+            unreadOnly: req.query.unread === 'true',
+            limit: Math.min(parseInt(req.query.limit) || 50, 100)
+        });
+
+        res.json({
+            success: true,
+            ...inbox
+        });
+
+    } catch (error) {
+        console.error('Get subscription notifications error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load notifications'
+        });
+    }
+});
+
+/**
+ * @openapi
+ * /api/subscriptions/notifications/read-all:
+ *   post:
+ *     tags: [Subscriptions, Notifications]
+ *     summary: Mark my whole subscription inbox read
+ *     responses:
+ *       200:
+ *         description: How many were updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 updated:
+ *                   type: integer
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.post('/subscriptions/notifications/read-all', requireAuth, async (req, res) => {
+    try {
+        const updated = await SubscriptionNotification.setRead(req.user.id);
+        res.json({ success: true, updated });
+    } catch (error) {
+        console.error('Mark subscription notifications read error:', error);
+        res.status(500).json({ success: false, error: 'Failed to update notifications' });
+    }
+});
+
+/**
+ * @openapi
+ * /api/subscriptions/notifications/{id}/{state}:
+ *   post:
+ *     tags: [Subscriptions, Notifications]
+ *     summary: Mark a subscription notification read or unread
+ *     parameters:
+ *       - $ref: '#/components/parameters/id'
+ *       - name: state
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [read, unread]
+ *     responses:
+ *       200:
+ *         $ref: '#/components/responses/Success'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+// Mark one notification read or (with /unread) unread again
+router.post('/subscriptions/notifications/:id/:state(read|unread)', requireAuth, async (req, res) => {
+    try {
+        const updated = await SubscriptionNotification.setRead(req.user.id, parseInt(req.params.id), req.params.state === 'read');
+        if (updated === 0) {
+            return res.status(404).json({ success: false, error: 'Notification not found' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Update subscription notification error:', error);
+        res.status(500).json({ success: false, error: 'Failed to update notification' });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
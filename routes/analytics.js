@@ -1,15 +1,86 @@
 const express = require('express');
 const router = express.Router();
-const { verifyToken } = require('../auth');
+const { requireRole } = require('../auth/identity');
+const { acceptApiKey } = require('../auth/api-keys');
 const AnalyticsService = require('../services/AnalyticsService');
 const ABTestService = require('../services/ABTestService');
 
 const analyticsService = new AnalyticsService();
 const abTestService = new ABTestService();
 
-// Middleware for analytics routes
-router.use(verifyToken);
+// Premium sellers' API keys with analytics:read can use the read-only endpoints
+router.use(acceptApiKey('analytics:read', { methods: ['GET'] }));
 
+// Analytics are for sellers (and admins); admin-only routes add requireRole('admin')
+router.use(requireRole('seller'));
+
+/**
+ * @openapi
+ * components:
+ *   parameters:
+ *     days:
+ *       name: days
+ *       in: query
+ *       description: How many days back to look
+ *       schema:
+ *         type: integer
+ *         default: 30
+ *     testName:
+ *       name: testName
+ *       in: path
+ *       required: true
+ *       schema:
+ *         type: string
+ *   schemas:
+ *     AnalyticsResult:
+ *       type: object
+ *       properties:
+ *         success:
+ *           type: boolean
+ *         data:
+ *           type: object
+ *           additionalProperties: true
+ * /api/analytics/track:
+ *   post:
+ *     tags: [Analytics]
+ *     summary: Record an analytics event for one of the seller's items
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [eventType]
+ *             properties:
+ *               itemId:
+ *                 type: integer
+ *               eventType:
+ *                 type: string
+ *                 example: view
+ *               platform:
+ *                 type: string
+ *               metadata:
+ *                 type: object
+ *                 additionalProperties: true
+ *     responses:
+ *       200:
+ *         description: Event recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 eventId:
+ *                   type: integer
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
 // Track analytics event
 router.post('/track', async (req, res) => {
     try {
@@ -38,6 +109,33 @@ router.post('/track', async (req, res) => {
     }
 });
 
+/**
+ * @openapi
+ * /api/analytics/seller/dashboard:
+ *   get:
+ *     tags: [Analytics]
+ *     summary: Seller analytics dashboard
+ *     description: Also available to API keys with the analytics:read scope.
+ *     parameters:
+ *       - $ref: '#/components/parameters/days'
+ *     security:
+ *       - bearerAuth: []
+ *       - sessionCookie: []
+ *       - apiKey: []
+ *     responses:
+ *       200:
+ *         description: Seller analytics
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AnalyticsResult'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
 // Get seller analytics dashboard
 router.get('/seller/dashboard', async (req, res) => {
     try {
@@ -58,14 +156,31 @@ router.get('/seller/dashboard', async (req, res) => {
     }
 });
 
+/**
+ * @openapi
+ * /api/analytics/admin/dashboard:
+ *   get:
+ *     tags: [Analytics]
+ *     summary: Marketplace-wide analytics (admin)
+ *     parameters:
+ *       - $ref: '#/components/parameters/days'
+ *     responses:
+ *       200:
+ *         description: Admin analytics
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AnalyticsResult'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
 // Get admin analytics dashboard (admin only)
-router.get('/admin/dashboard', async (req, res) => {
+router.get('/admin/dashboard', requireRole('admin'), async (req, res) => {
     try {
-        // Check if user is admin
-        if (req.user.role !== 'admin') {
-            return res.status(403).json({ success: false, error: 'Admin access required' });
-        }
-        
         const days = parseInt(req.query.days) || 30;
         const result = await analyticsService.getAdminAnalytics(days);
         
@@ -81,6 +196,33 @@ router.get('/admin/dashboard', async (req, res) => {
     }
 });
 
+/**
+ * @openapi
+ * /api/analytics/item/{itemId}:
+ *   get:
+ *     tags: [Analytics]
+ *     summary: Performance analytics for one item
+ *     parameters:
+ *       - $ref: '#/components/parameters/itemId'
+ *       - $ref: '#/components/parameters/days'
+ *     security:
+ *       - bearerAuth: []
+ *       - sessionCookie: []
+ *       - apiKey: []
+ *     responses:
+ *       200:
+ *         description: Item analytics
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AnalyticsResult'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
 // Get item performance analytics
 router.get('/item/:itemId', async (req, res) => {
     try {
@@ -101,14 +243,65 @@ router.get('/item/:itemId', async (req, res) => {
     }
 });
 
+/**
+ * @openapi
+ * /api/analytics/ab-test/create:
+ *   post:
+ *     tags: [Analytics]
+ *     summary: Create an A/B test (admin)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [testName, testType, variants]
+ *             properties:
+ *               testName:
+ *                 type: string
+ *               testType:
+ *                 type: string
+ *                 example: title
+ *               variants:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   additionalProperties: true
+ *               itemIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *               sellerIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *               metadata:
+ *                 type: object
+ *                 additionalProperties: true
+ *               startDate:
+ *                 type: string
+ *                 format: date-time
+ *               endDate:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       200:
+ *         description: Test created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               additionalProperties: true
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
 // Create A/B test
-router.post('/ab-test/create', async (req, res) => {
+router.post('/ab-test/create', requireRole('admin'), async (req, res) => {
     try {
-        // Only admin can create A/B tests
-        if (req.user.role !== 'admin') {
-            return res.status(403).json({ success: false, error: 'Admin access required' });
-        }
-        
         const result = await analyticsService.createABTest(req.body);
         
         if (result.success) {
@@ -123,6 +316,33 @@ router.post('/ab-test/create', async (req, res) => {
     }
 });
 
+/**
+ * @openapi
+ * /api/analytics/ab-test/{testName}/results:
+ *   get:
+ *     tags: [Analytics]
+ *     summary: Results of an A/B test
+ *     parameters:
+ *       - $ref: '#/components/parameters/testName'
+ *     security:
+ *       - bearerAuth: []
+ *       - sessionCookie: []
+ *       - apiKey: []
+ *     responses:
+ *       200:
+ *         description: Per-variant results
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               additionalProperties: true
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
 // Get A/B test results
 router.get('/ab-test/:testName/results', async (req, res) => {
     try {
@@ -141,6 +361,61 @@ router.get('/ab-test/:testName/results', async (req, res) => {
     }
 });
 
+/**
+ * @openapi
+ * /api/analytics/platform-comparison:
+ *   get:
+ *     tags: [Analytics]
+ *     summary: Compare the seller's marketplaces with a recommendation for each
+ *     parameters:
+ *       - $ref: '#/components/parameters/days'
+ *     security:
+ *       - bearerAuth: []
+ *       - sessionCookie: []
+ *       - apiKey: []
+ *     responses:
+ *       200:
+ *         description: One entry per platform
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 comparison:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       platform:
+ *                         type: string
+ *                       performance:
+ *                         type: object
+ *                         properties:
+ *                           views:
+ *                             type: integer
+ *                           clicks:
+ *                             type: integer
+ *                           clickRate:
+ *                             type: number
+ *                           events:
+ *                             type: integer
+ *                       recommendation:
+ *                         type: object
+ *                         properties:
+ *                           level:
+ *                             type: string
+ *                             enum: [excellent, good, fair, poor]
+ *                           message:
+ *                             type: string
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
 // Get platform comparison
 router.get('/platform-comparison', async (req, res) => {
     try {
@@ -174,6 +449,31 @@ router.get('/platform-comparison', async (req, res) => {
     }
 });
 
+/**
+ * @openapi
+ * /api/analytics/ab-test/active:
+ *   get:
+ *     tags: [Analytics]
+ *     summary: List running A/B tests
+ *     security:
+ *       - bearerAuth: []
+ *       - sessionCookie: []
+ *       - apiKey: []
+ *     responses:
+ *       200:
+ *         description: Active tests
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               additionalProperties: true
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
 // Get active A/B tests
 router.get('/ab-test/active', async (req, res) => {
     try {
@@ -191,14 +491,27 @@ router.get('/ab-test/active', async (req, res) => {
     }
 });
 
+/**
+ * @openapi
+ * /api/analytics/ab-test/{testName}/stop:
+ *   post:
+ *     tags: [Analytics]
+ *     summary: Stop an A/B test (admin)
+ *     parameters:
+ *       - $ref: '#/components/parameters/testName'
+ *     responses:
+ *       200:
+ *         $ref: '#/components/responses/Success'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
 // Stop A/B test
-router.post('/ab-test/:testName/stop', async (req, res) => {
+router.post('/ab-test/:testName/stop', requireRole('admin'), async (req, res) => {
     try {
-        // Only admin can stop tests
-        if (req.user.role !== 'admin') {
-            return res.status(403).json({ success: false, error: 'Admin access required' });
-        }
-        
         const testName = req.params.testName;
         const result = await abTestService.stopTest(testName, 'admin_manual_stop');
         
@@ -214,6 +527,38 @@ router.post('/ab-test/:testName/stop', async (req, res) => {
     }
 });
 
+/**
+ * @openapi
+ * /api/analytics/ab-test/event:
+ *   post:
+ *     tags: [Analytics]
+ *     summary: Record an exposure or conversion for an A/B test
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [testId, eventType]
+ *             properties:
+ *               testId:
+ *                 type: string
+ *               eventType:
+ *                 type: string
+ *                 example: exposure
+ *               metadata:
+ *                 type: object
+ *                 additionalProperties: true
+ *     responses:
+ *       200:
+ *         $ref: '#/components/responses/Success'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
 // Record A/B test event
 router.post('/ab-test/event', async (req, res) => {
     try {
@@ -1,6 +1,8 @@
 const express = require('express');
-const { verifyToken } = require('../auth');
+const { requireAuth, requireRole } = require('../auth/identity');
 const UserVintageService = require('../services/UserVintageService');
+const { entitlements } = require('../services/Entitlements');
+const { BillingError } = require('../services/BillingService');
 const router = express.Router();
 
 // Initialize UserVintageService
@@ -10,28 +12,75 @@ const userVintageService = new UserVintageService();
 const vintageAccess = userVintageService.createVintageAccessMiddleware();
 const vintageProAccess = userVintageService.createVintageAccessMiddleware('cross_post_auto');
 const vintageBulkAccess = userVintageService.createVintageAccessMiddleware('bulk_tools');
+const vintageAnalyticsAccess = userVintageService.createVintageAccessMiddleware('analytics_advanced');
 
 // =============================================================================
 // USER REGISTRATION & ONBOARDING
 // =============================================================================
 
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     SellerStats:
+ *       type: object
+ *       description: Listing and sales counters for a seller
+ *       additionalProperties: true
+ * /api/auth/vintage/setup:
+ *   post:
+ *     tags: [Vintage]
+ *     summary: Create a vintage seller profile for the signed-in user
+ *     description: The tier comes from the user's subscription, not the request.
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               store_name:
+ *                 type: string
+ *               bio:
+ *                 type: string
+ *               instagram_handle:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Seller profile created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 seller:
+ *                   $ref: '#/components/schemas/VintageSeller'
+ *                 tier:
+ *                   $ref: '#/components/schemas/Entitlements'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
 // Create vintage seller profile for existing user
-router.post('/auth/vintage/setup', verifyToken, async (req, res) => {
+router.post('/auth/vintage/setup', requireAuth, async (req, res) => {
     try {
-        const { store_name, bio, instagram_handle, subscription_tier } = req.body;
+        // The tier comes from the user's subscription, not the request
+        const { store_name, bio, instagram_handle } = req.body;
+        const tier = await entitlements.forUser(req.user);
         
         const seller = await userVintageService.extendUserForVintage(req.user.id, {
             store_name,
             bio,
             instagram_handle,
-            subscription_tier: subscription_tier || 'free'
+            subscription_tier: tier.tier
         });
 
         res.json({
             success: true,
             message: 'Vintage seller profile created successfully',
             seller,
-            tier: userVintageService.subscriptionTiers[seller.subscription_tier]
+            tier
         });
 
     } catch (error) {
@@ -43,10 +92,42 @@ router.post('/auth/vintage/setup', verifyToken, async (req, res) => {
     }
 });
 
+/**
+ * @openapi
+ * /api/auth/vintage/status:
+ *   get:
+ *     tags: [Vintage]
+ *     summary: Check the signed-in user's vintage access, stats and the tier catalog
+ *     responses:
+ *       200:
+ *         description: Access status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 access:
+ *                   type: object
+ *                   additionalProperties: true
+ *                 stats:
+ *                   $ref: '#/components/schemas/SellerStats'
+ *                 subscriptionInfo:
+ *                   type: object
+ *                   properties:
+ *                     tiers:
+ *                       $ref: '#/components/schemas/TierMap'
+ *                     features:
+ *                       type: object
+ *                       additionalProperties: true
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
 // Check vintage access status
-router.get('/auth/vintage/status', verifyToken, async (req, res) => {
+router.get('/auth/vintage/status', requireAuth, async (req, res) => {
     try {
-        const accessCheck = await userVintageService.checkVintageAccess(req.user.id);
+        const accessCheck = await userVintageService.checkVintageAccess(req.user);
         const stats = await userVintageService.getUserStats(req.user.id);
 
         res.json({
@@ -66,6 +147,29 @@ router.get('/auth/vintage/status', verifyToken, async (req, res) => {
 // SUBSCRIPTION MANAGEMENT
 // =============================================================================
 
+/**
+ * @openapi
+ * /api/auth/vintage/tiers:
+ *   get:
+ *     tags: [Subscriptions]
+ *     summary: List the subscription tiers and features
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Tier catalog
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 tiers:
+ *                   $ref: '#/components/schemas/TierMap'
+ *                 features:
+ *                   type: object
+ *                   additionalProperties: true
+ */
 // Get available subscription tiers
 router.get('/auth/vintage/tiers', async (req, res) => {
     try {
@@ -82,8 +186,51 @@ router.get('/auth/vintage/tiers', async (req, res) => {
     }
 });
 
+/**
+ * @openapi
+ * /api/auth/vintage/upgrade:
+ *   post:
+ *     tags: [Subscriptions]
+ *     summary: Upgrade the signed-in seller's subscription
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [tier]
+ *             properties:
+ *               tier:
+ *                 type: string
+ *                 example: pro
+ *               paymentInfo:
+ *                 type: object
+ *                 additionalProperties: true
+ *     responses:
+ *       200:
+ *         description: Upgraded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 seller:
+ *                   $ref: '#/components/schemas/VintageSeller'
+ *                 tier:
+ *                   $ref: '#/components/schemas/Tier'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
 // Upgrade subscription
-router.post('/auth/vintage/upgrade', verifyToken, async (req, res) => {
+router.post('/auth/vintage/upgrade', requireRole('seller'), async (req, res) => {
     try {
         const { tier, paymentInfo } = req.body;
         
@@ -106,7 +253,7 @@ router.post('/auth/vintage/upgrade', verifyToken, async (req, res) => {
 
     } catch (error) {
         console.error('Upgrade error:', error);
-        res.status(400).json({ 
+        res.status(error instanceof BillingError ? error.status : 400).json({ 
             error: 'Upgrade failed',
             details: error.message 
         });
@@ -117,8 +264,43 @@ router.post('/auth/vintage/upgrade', verifyToken, async (req, res) => {
 // USER DASHBOARD & ANALYTICS
 // =============================================================================
 
+/**
+ * @openapi
+ * /api/auth/vintage/dashboard:
+ *   get:
+ *     tags: [Vintage]
+ *     summary: Seller dashboard with stats, recent items and tier details
+ *     responses:
+ *       200:
+ *         description: Dashboard
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 user:
+ *                   $ref: '#/components/schemas/User'
+ *                 seller:
+ *                   $ref: '#/components/schemas/VintageSeller'
+ *                 stats:
+ *                   $ref: '#/components/schemas/SellerStats'
+ *                 recentItems:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/VintageItem'
+ *                 tierInfo:
+ *                   $ref: '#/components/schemas/Tier'
+ *                 accessLevel:
+ *                   $ref: '#/components/schemas/Entitlements'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
 // Get user dashboard with vintage-specific data
-router.get('/auth/vintage/dashboard', verifyToken, vintageAccess, async (req, res) => {
+router.get('/auth/vintage/dashboard', requireRole('seller'), vintageAccess, async (req, res) => {
     try {
         const stats = await userVintageService.getUserStats(req.user.id);
         const { VintageItem } = require('../database/models');
@@ -127,7 +309,7 @@ router.get('/auth/vintage/dashboard', verifyToken, vintageAccess, async (req, re
         const recentItems = await VintageItem.getBySeller(req.seller.id, 5, 0);
         
         // Get subscription info
-        const tierInfo = userVintageService.subscriptionTiers[req.seller.subscription_tier];
+        const tierInfo = userVintageService.getSubscriptionInfo().tiers[req.entitlements.tier];
 
         res.json({
             success: true,
@@ -149,25 +331,70 @@ router.get('/auth/vintage/dashboard', verifyToken, vintageAccess, async (req, re
     }
 });
 
+/**
+ * @openapi
+ * /api/auth/vintage/analytics:
+ *   get:
+ *     tags: [Analytics]
+ *     summary: Per-platform, 30-day and category analytics for the seller
+ *     description: Needs the analytics_advanced feature.
+ *     responses:
+ *       200:
+ *         description: Seller analytics
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 analytics:
+ *                   type: object
+ *                   properties:
+ *                     platformStats:
+ *                       type: object
+ *                       additionalProperties:
+ *                         type: object
+ *                         properties:
+ *                           items:
+ *                             type: integer
+ *                           revenue:
+ *                             type: number
+ *                           views:
+ *                             type: integer
+ *                     recentActivity:
+ *                       type: object
+ *                       properties:
+ *                         itemsListed:
+ *                           type: integer
+ *                         itemsSold:
+ *                           type: integer
+ *                         revenue:
+ *                           type: number
+ *                     topPerformers:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/VintageItem'
+ *                     categoryBreakdown:
+ *                       type: object
+ *                       additionalProperties:
+ *                         type: object
+ *                         properties:
+ *                           count:
+ *                             type: integer
+ *                           revenue:
+ *                             type: number
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
 // Get detailed analytics (Pro+ only)
-router.get('/auth/vintage/analytics', verifyToken, async (req, res) => {
+router.get('/auth/vintage/analytics', requireRole('seller'), vintageAnalyticsAccess, async (req, res) => {
     try {
-        const accessCheck = await userVintageService.checkVintageAccess(
-            req.user.id, 
-            'analytics_advanced'
-        );
-
-        if (!accessCheck.hasAccess) {
-            return res.status(403).json({
-                error: 'Advanced analytics requires Pro subscription',
-                currentTier: accessCheck.currentTier,
-                requiredTier: accessCheck.requiredTier
-            });
-        }
-
         // Get advanced analytics
-        const { VintageItem, CrossPost } = require('../database/models');
-        const items = await VintageItem.getBySeller(accessCheck.seller.id, 1000, 0);
+        const { VintageItem } = require('../database/models');
+        const items = await VintageItem.getBySeller(req.seller.id, 1000, 0);
         
         // Platform performance
         const platformStats = {};
@@ -210,7 +437,7 @@ router.get('/auth/vintage/analytics', verifyToken, async (req, res) => {
                 topPerformers: items
                     .sort((a, b) => (b.views || 0) - (a.views || 0))
                     .slice(0, 5),
-                categoryBreakdown: this.getCategoryBreakdown(items)
+                categoryBreakdown: getCategoryBreakdown(items)
             }
         });
 
@@ -224,13 +451,50 @@ router.get('/auth/vintage/analytics', verifyToken, async (req, res) => {
 // ADMIN-ONLY ENDPOINTS
 // =============================================================================
 
+/**
+ * @openapi
+ * /api/auth/vintage/create-admin:
+ *   post:
+ *     tags: [Admin]
+ *     summary: Create an admin user
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [username, password, email]
+ *             properties:
+ *               username:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 format: password
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       201:
+ *         description: Admin created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 user:
+ *                   $ref: '#/components/schemas/User'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
 // Create new admin user
-router.post('/auth/vintage/create-admin', verifyToken, async (req, res) => {
+router.post('/auth/vintage/create-admin', requireRole('admin'), async (req, res) => {
     try {
-        if (req.user.role !== 'admin') {
-            return res.status(403).json({ error: 'Admin access required' });
-        }
-
         const { username, password, email } = req.body;
         
         if (!username || !password || !email) {
@@ -253,13 +517,41 @@ router.post('/auth/vintage/create-admin', verifyToken, async (req, res) => {
     }
 });
 
+/**
+ * @openapi
+ * /api/auth/vintage/users:
+ *   get:
+ *     tags: [Admin]
+ *     summary: List sellers with their stats (first 100)
+ *     responses:
+ *       200:
+ *         description: Sellers
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 users:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       seller:
+ *                         $ref: '#/components/schemas/VintageSeller'
+ *                       stats:
+ *                         $ref: '#/components/schemas/SellerStats'
+ *                 total:
+ *                   type: integer
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
 // Get all users with vintage profiles (admin only)
-router.get('/auth/vintage/users', verifyToken, async (req, res) => {
+router.get('/auth/vintage/users', requireRole('admin'), async (req, res) => {
     try {
-        if (req.user.role !== 'admin') {
-            return res.status(403).json({ error: 'Admin access required' });
-        }
-
         const { VintageSeller, User } = require('../database/models');
         const sellers = await VintageSeller.getAll(100, 0);
         
@@ -302,5 +594,6 @@ function getCategoryBreakdown(items) {
 router.vintageAccess = vintageAccess;
 router.vintageProAccess = vintageProAccess;
 router.vintageBulkAccess = vintageBulkAccess;
+router.vintageAnalyticsAccess = vintageAnalyticsAccess;
 
 module.exports = router;
\ No newline at end of file
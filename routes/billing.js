@@ -0,0 +1,594 @@
+const express = require('express');
+const { requireAuth, requireRole } = require('../auth/identity');
+const { billingService, BillingError } = require('../services/BillingService');
+const router = express.Router();
+
+function sendBillingError(res, error, fallback) {
+    if (error instanceof BillingError) {
+        return res.status(error.status).json({ success: false, error: error.message });
+    }
+    console.error(`❌ ${fallback}:`, error);
+    res.status(500).json({ success: false, error: fallback });
+}
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     BillingAccount:
+ *       type: object
+ *       properties:
+ *         tier:
+ *           type: string
+ *         tierName:
+ *           type: string
+ *         cycle:
+ *           type: string
+ *           enum: [monthly, annual]
+ *         price:
+ *           type: number
+ *           description: Per cycle, locked in when the plan was chosen
+ *         status:
+ *           type: string
+ *           enum: [active, past_due, cancelled]
+ *         provider:
+ *           type: string
+ *         paymentMethod:
+ *           type: string
+ *           nullable: true
+ *         currentPeriodStart:
+ *           type: string
+ *           format: date-time
+ *         currentPeriodEnd:
+ *           type: string
+ *           format: date-time
+ *         cancelAtPeriodEnd:
+ *           type: boolean
+ *         creditBalance:
+ *           type: number
+ *           description: Unused time from a downgrade, applied to the next invoices
+ *     InvoiceLine:
+ *       type: object
+ *       properties:
+ *         description:
+ *           type: string
+ *         tier:
+ *           type: string
+ *         amount:
+ *           type: number
+ *         proration:
+ *           type: boolean
+ *     Invoice:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         number:
+ *           type: string
+ *           example: VC-000001
+ *         reason:
+ *           type: string
+ *           enum: [subscription_create, subscription_update, subscription_cycle]
+ *         status:
+ *           type: string
+ *           enum: [open, paid, void, uncollectible]
+ *         currency:
+ *           type: string
+ *           example: usd
+ *         subtotal:
+ *           type: number
+ *         creditApplied:
+ *           type: number
+ *         total:
+ *           type: number
+ *         periodStart:
+ *           type: string
+ *           format: date-time
+ *         periodEnd:
+ *           type: string
+ *           format: date-time
+ *         attemptCount:
+ *           type: integer
+ *         nextAttemptAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         lastError:
+ *           type: string
+ *           nullable: true
+ *         paidAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         downloadUrl:
+ *           type: string
+ *         lines:
+ *           type: array
+ *           description: Only on a single invoice
+ *           items:
+ *             $ref: '#/components/schemas/InvoiceLine'
+ *     BillingResult:
+ *       type: object
+ *       properties:
+ *         success:
+ *           type: boolean
+ *         billing:
+ *           $ref: '#/components/schemas/BillingAccount'
+ *         invoice:
+ *           allOf:
+ *             - $ref: '#/components/schemas/Invoice'
+ *           nullable: true
+ *
+ * /api/billing:
+ *   get:
+ *     tags: [Billing]
+ *     summary: My billing account, current entitlements and the available billing cycles
+ *     responses:
+ *       200:
+ *         description: Billing summary (billing is null without a paid plan)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 billing:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/BillingAccount'
+ *                   nullable: true
+ *                 subscription:
+ *                   $ref: '#/components/schemas/Entitlements'
+ *                 cycles:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       label:
+ *                         type: string
+ *                       months:
+ *                         type: integer
+ *                       priceMultiplier:
+ *                         type: number
+ *                 provider:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/PaymentProvider'
+ *                   nullable: true
+ *                   description: Null when no payment provider is configured (paid plans are off)
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+// My billing account, current entitlements and the available billing cycles
+router.get('/billing', requireAuth, async (req, res) => {
+    try {
+        res.json({ success: true, ...await billingService.getSummary(req.user.id) });
+    } catch (error) {
+        sendBillingError(res, error, 'Failed to load billing');
+    }
+});
+
+/**
+ * @openapi
+ * /api/billing/preview:
+ *   get:
+ *     tags: [Billing]
+ *     summary: What subscribing to a tier would cost today, proration included
+ *     parameters:
+ *       - name: tier
+ *         in: query
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: cycle
+ *         in: query
+ *         description: Defaults to the current cycle, or monthly
+ *         schema:
+ *           type: string
+ *           enum: [monthly, annual]
+ *     responses:
+ *       200:
+ *         description: The charge subscribing would make
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 preview:
+ *                   type: object
+ *                   properties:
+ *                     tier:
+ *                       type: string
+ *                     tierName:
+ *                       type: string
+ *                     cycle:
+ *                       type: string
+ *                     periodStart:
+ *                       type: string
+ *                       format: date-time
+ *                     periodEnd:
+ *                       type: string
+ *                       format: date-time
+ *                     lines:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           description:
+ *                             type: string
+ *                           amount:
+ *                             type: number
+ *                           proration:
+ *                             type: boolean
+ *                     subtotal:
+ *                       type: number
+ *                     creditApplied:
+ *                       type: number
+ *                     total:
+ *                       type: number
+ *                     creditBalanceAfter:
+ *                       type: number
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+// What subscribing to ?tier=&cycle= would cost today, proration included
+router.get('/billing/preview', requireAuth, async (req, res) => {
+    try {
+        if (!req.query.tier) {
+            return res.status(400).json({ success: false, error: 'tier is required' });
+        }
+
+        const preview = await billingService.preview(req.user.id, req.query.tier, { cycle: req.query.cycle || null });
+        res.json({ success: true, preview });
+    } catch (error) {
+        sendBillingError(res, error, 'Failed to preview subscription');
+    }
+});
+
+/**
+ * @openapi
+ * /api/billing/subscribe:
+ *   post:
+ *     tags: [Billing]
+ *     summary: Start or change a paid plan; plan changes are prorated
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [tier]
+ *             properties:
+ *               tier:
+ *                 type: string
+ *               cycle:
+ *                 type: string
+ *                 enum: [monthly, annual]
+ *               paymentMethod:
+ *                 type: string
+ *                 description: Required unless one is already on file
+ *                 example: tok_visa
+ *     responses:
+ *       200:
+ *         description: The account and the paid invoice
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BillingResult'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       402:
+ *         description: The payment was declined
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       503:
+ *         description: No payment provider is configured
+ */
+// Start or change a paid plan. Body: { tier, cycle: 'monthly' | 'annual', paymentMethod }
+router.post('/billing/subscribe', requireAuth, async (req, res) => {
+    try {
+        const { tier, cycle, paymentMethod } = req.body;
+        if (!tier) {
+            return res.status(400).json({ success: false, error: 'tier is required' });
+        }
+
+        const result = await billingService.subscribe(req.user.id, tier, { cycle, paymentMethod });
+        res.json({ success: true, ...result });
+    } catch (error) {
+        sendBillingError(res, error, 'Failed to subscribe');
+    }
+});
+
+/**
+ * @openapi
+ * /api/billing/cancel:
+ *   post:
+ *     tags: [Billing]
+ *     summary: Cancel at the end of the current period
+ *     responses:
+ *       200:
+ *         description: The account, now set to cancel
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 billing:
+ *                   $ref: '#/components/schemas/BillingAccount'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+// Cancel at the end of the current period
+router.post('/billing/cancel', requireAuth, async (req, res) => {
+    try {
+        const billing = await billingService.cancel(req.user.id);
+        res.json({ success: true, billing });
+    } catch (error) {
+        sendBillingError(res, error, 'Failed to cancel subscription');
+    }
+});
+
+/**
+ * @openapi
+ * /api/billing/resume:
+ *   post:
+ *     tags: [Billing]
+ *     summary: Undo a cancellation before the period ends
+ *     responses:
+ *       200:
+ *         description: The account, renewing again
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 billing:
+ *                   $ref: '#/components/schemas/BillingAccount'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.post('/billing/resume', requireAuth, async (req, res) => {
+    try {
+        const billing = await billingService.resume(req.user.id);
+        res.json({ success: true, billing });
+    } catch (error) {
+        sendBillingError(res, error, 'Failed to resume subscription');
+    }
+});
+
+/**
+ * @openapi
+ * /api/billing/payment-method:
+ *   put:
+ *     tags: [Billing]
+ *     summary: Replace the saved payment method; a failed renewal is retried with it straight away
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [paymentMethod]
+ *             properties:
+ *               paymentMethod:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: The account, and the retried invoice if there was one
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BillingResult'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       402:
+ *         description: The retried payment was declined
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+// Replace the saved payment method; a failed renewal is retried with it straight away
+router.put('/billing/payment-method', requireAuth, async (req, res) => {
+    try {
+        const result = await billingService.updatePaymentMethod(req.user.id, req.body.paymentMethod);
+        res.json({ success: true, ...result });
+    } catch (error) {
+        sendBillingError(res, error, 'Failed to update payment method');
+    }
+});
+
+/**
+ * @openapi
+ * /api/billing/invoices:
+ *   get:
+ *     tags: [Billing]
+ *     summary: My invoices, newest first
+ *     responses:
+ *       200:
+ *         description: Invoices without their lines
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 invoices:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Invoice'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.get('/billing/invoices', requireAuth, async (req, res) => {
+    try {
+        const invoices = await billingService.listInvoices(req.user.id);
+        res.json({ success: true, count: invoices.length, invoices });
+    } catch (error) {
+        sendBillingError(res, error, 'Failed to load invoices');
+    }
+});
+
+/**
+ * @openapi
+ * /api/billing/invoices/{id}:
+ *   get:
+ *     tags: [Billing]
+ *     summary: One of my invoices with its lines
+ *     parameters:
+ *       - $ref: '#/components/parameters/id'
+ *     responses:
+ *       200:
+ *         description: The invoice
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 invoice:
+ *                   $ref: '#/components/schemas/Invoice'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/billing/invoices/:id', requireAuth, async (req, res) => {
+    try {
+        const invoice = await billingService.getInvoice(req.user.id, parseInt(req.params.id));
+        res.json({ success: true, invoice });
+    } catch (error) {
+        sendBillingError(res, error, 'Failed to load invoice');
+    }
+});
+
+/**
+ * @openapi
+ * /api/billing/invoices/{id}/download:
+ *   get:
+ *     tags: [Billing]
+ *     summary: Download one of my invoices as PDF or HTML
+ *     parameters:
+ *       - $ref: '#/components/parameters/id'
+ *       - name: format
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [pdf, html]
+ *           default: pdf
+ *     responses:
+ *       200:
+ *         description: The invoice as an attachment
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           text/html:
+ *             schema:
+ *               type: string
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+// ?format=pdf (default) or html
+router.get('/billing/invoices/:id/download', requireAuth, async (req, res) => {
+    try {
+        const file = await billingService.renderInvoice(req.user.id, parseInt(req.params.id), req.query.format || 'pdf');
+        res.set('Content-Type', file.contentType);
+        res.set('Content-Disposition', `attachment; filename="${file.filename}"`);
+        res.send(file.body);
+    } catch (error) {
+        sendBillingError(res, error, 'Failed to download invoice');
+    }
+});
+
+/**
+ * @openapi
+ * /api/admin/billing/invoices:
+ *   get:
+ *     tags: [Billing, Admin]
+ *     summary: Recent invoices across all users (admin)
+ *     parameters:
+ *       - name: status
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [open, paid, void, uncollectible]
+ *       - name: limit
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *     responses:
+ *       200:
+ *         description: Invoices with their owner
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 invoices:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Invoice'
+ *                       - type: object
+ *                         properties:
+ *                           userId:
+ *                             type: integer
+ *                           username:
+ *                             type: string
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+// Admin: recent invoices across all users (?status=open|paid|void|uncollectible&limit=)
+router.get('/admin/billing/invoices', requireRole('admin'), async (req, res) => {
+    try {
+        const invoices = await billingService.listAllInvoices({
+            status: req.query.status || null,
+            limit: Math.min(parseInt(req.query.limit) || 50, 200)
+        });
+        res.json({ success: true, count: invoices.length, invoices });
+    } catch (error) {
+        sendBillingError(res, error, 'Failed to load invoices');
+    }
+});
+
+module.exports = router;
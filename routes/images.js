@@ -0,0 +1,266 @@
+const express = require('express');
+const path = require('path');
+const imageProcessor = require('../imageProcessor');
+const { requireAuth } = require('../auth/identity');
+const { imageService, ImageError } = require('../services/ImageService');
+const router = express.Router();
+
+// Multer writes uploads to uploads/incoming; ImageService moves them into place
+const upload = imageProcessor.getMulterConfig({
+    directory: path.join(imageProcessor.uploadsDir, 'incoming'),
+    prefix: 'upload'
+});
+
+function sendImageError(res, error, fallback) {
+    if (error instanceof ImageError) {
+        return res.status(error.status).json({ success: false, error: error.message });
+    }
+    console.error(`❌ ${fallback}:`, error);
+    res.status(500).json({ success: false, error: fallback });
+}
+
+// Checked before the upload is read, so rejected requests never touch the disk
+async function authorizeOwner(req, res, next) {
+    try {
+        await imageService.authorize(req.user, req.params.ownerType, req.params.ownerId);
+        next();
+    } catch (error) {
+        sendImageError(res, error, 'Failed to check image permissions');
+    }
+}
+
+function receiveFiles(req, res, next) {
+    upload.array('images', 5)(req, res, error => {
+        if (error) {
+            // Multer limit errors and the image-only file filter
+            return res.status(400).json({ success: false, error: error.message });
+        }
+        next();
+    });
+}
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     Image:
+ *       type: object
+ *       description: srcset-ready image - use sources for <picture>, src/srcset/sizes for <img>
+ *       properties:
+ *         id:
+ *           type: integer
+ *         ownerType:
+ *           type: string
+ *           enum: [product, vintage_item]
+ *         ownerId:
+ *           type: string
+ *         alt:
+ *           type: string
+ *         width:
+ *           type: integer
+ *         height:
+ *           type: integer
+ *         src:
+ *           type: string
+ *         srcset:
+ *           type: string
+ *         sizes:
+ *           type: string
+ *         sources:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 example: image/webp
+ *               srcset:
+ *                 type: string
+ *         thumbnail:
+ *           type: string
+ *           nullable: true
+ *         original:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *
+ * /api/images/{ownerType}/{ownerId}:
+ *   post:
+ *     tags: [Images]
+ *     summary: Upload up to 5 images for a product (admins) or a vintage item (its seller)
+ *     parameters:
+ *       - name: ownerType
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [product, vintage_item]
+ *       - name: ownerId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [images]
+ *             properties:
+ *               images:
+ *                 type: array
+ *                 maxItems: 5
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *               alt:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: The stored images with their resized variants
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 images:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Image'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+// Upload up to 5 images (multipart field "images", optional "alt")
+// ownerType: product (admins) or vintage_item (the item's seller)
+router.post('/images/:ownerType/:ownerId', requireAuth, authorizeOwner, receiveFiles, async (req, res) => {
+    try {
+        if (!req.files || req.files.length === 0) {
+            return res.status(400).json({ success: false, error: 'Attach at least one image in the "images" field' });
+        }
+
+        const images = await imageService.processUploads(req.files, {
+            ownerType: req.params.ownerType,
+            ownerId: req.params.ownerId,
+            user: req.user,
+            alt: req.body.alt || null
+        });
+        res.status(201).json({ success: true, images });
+    } catch (error) {
+        sendImageError(res, error, 'Failed to process uploaded images');
+    }
+});
+
+/**
+ * @openapi
+ * /api/images:
+ *   get:
+ *     tags: [Images]
+ *     summary: srcset metadata for an owner's images
+ *     security: []
+ *     parameters:
+ *       - name: ownerType
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [product, vintage_item]
+ *           default: product
+ *       - name: ownerId
+ *         in: query
+ *         description: Leave out for every image of the owner type
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Images
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 images:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Image'
+ */
+// srcset metadata, e.g. /images?ownerType=product&ownerId=12 (leave out ownerId for every product)
+router.get('/images', async (req, res) => {
+    try {
+        const ownerType = req.query.ownerType || 'product';
+        const images = await imageService.list(ownerType, req.query.ownerId || null);
+        res.json({ success: true, images });
+    } catch (error) {
+        sendImageError(res, error, 'Failed to load images');
+    }
+});
+
+/**
+ * @openapi
+ * /api/images/{id}:
+ *   get:
+ *     tags: [Images]
+ *     summary: One image
+ *     security: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/id'
+ *     responses:
+ *       200:
+ *         description: The image
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 image:
+ *                   $ref: '#/components/schemas/Image'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/images/:id', async (req, res) => {
+    try {
+        const image = await imageService.get(parseInt(req.params.id));
+        res.json({ success: true, image });
+    } catch (error) {
+        sendImageError(res, error, 'Failed to load image');
+    }
+});
+
+/**
+ * @openapi
+ * /api/images/{id}:
+ *   delete:
+ *     tags: [Images]
+ *     summary: Delete an image and its variants
+ *     parameters:
+ *       - $ref: '#/components/parameters/id'
+ *     responses:
+ *       200:
+ *         $ref: '#/components/responses/Success'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.delete('/images/:id', requireAuth, async (req, res) => {
+    try {
+        await imageService.remove(parseInt(req.params.id), req.user);
+        res.json({ success: true, message: 'Image removed' });
+    } catch (error) {
+        sendImageError(res, error, 'Failed to remove image');
+    }
+});
+
+module.exports = router;
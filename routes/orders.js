@@ -0,0 +1,448 @@
+const express = require('express');
+const { requireAuth } = require('../auth/identity');
+const { orderService, OrderError } = require('../services/OrderService');
+const { paymentProviders } = require('../services/payments');
+const router = express.Router();
+
+// Orders are placed by logged-in Vintage Crib users (buyers and sellers alike)
+const authenticateUser = requireAuth;
+
+function sendOrderError(res, error, fallback) {
+    if (error instanceof OrderError) {
+        return res.status(error.status).json({ success: false, error: error.message });
+    }
+    console.error(`❌ ${fallback}:`, error);
+    res.status(500).json({ success: false, error: fallback });
+}
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     PaymentProvider:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           example: fake
+ *         name:
+ *           type: string
+ *         testMode:
+ *           type: boolean
+ *           description: True for the fake provider (test/development only); no money moves
+ *     Payment:
+ *       type: object
+ *       description: The payment fields the buyer's browser needs
+ *       properties:
+ *         id:
+ *           type: integer
+ *         provider:
+ *           type: string
+ *         status:
+ *           type: string
+ *           example: requires_confirmation
+ *         amount:
+ *           type: number
+ *         clientSecret:
+ *           type: string
+ *           nullable: true
+ *         error:
+ *           type: string
+ *           nullable: true
+ *     Order:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         buyer_id:
+ *           type: integer
+ *         seller_id:
+ *           type: integer
+ *         item_id:
+ *           type: integer
+ *         total_amount:
+ *           type: number
+ *         platform:
+ *           type: string
+ *           nullable: true
+ *         status:
+ *           type: string
+ *           enum: [pending, paid, shipped, delivered, cancelled]
+ *         shipping_address:
+ *           type: string
+ *           nullable: true
+ *         tracking_number:
+ *           type: string
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *     OrderResponse:
+ *       type: object
+ *       properties:
+ *         success:
+ *           type: boolean
+ *         order:
+ *           $ref: '#/components/schemas/Order'
+ *
+ * /api/orders/payment-provider:
+ *   get:
+ *     tags: [Orders]
+ *     summary: The payment provider used at checkout
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Provider id and name (e.g. show test card hints for 'fake')
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 provider:
+ *                   $ref: '#/components/schemas/PaymentProvider'
+ *       503:
+ *         description: No payment provider is configured, so checkout is off
+ */
+// Payment provider used at checkout (e.g. show test card hints for 'fake')
+router.get('/orders/payment-provider', (req, res) => {
+    if (!paymentProviders.isAvailable()) {
+        return res.status(503).json({ success: false, error: 'Checkout is unavailable: no payment provider is configured' });
+    }
+    res.json({ success: true, provider: paymentProviders.get().describe() });
+});
+
+/**
+ * @openapi
+ * /api/orders:
+ *   post:
+ *     tags: [Orders]
+ *     summary: Reserve an item and open a pending order
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [itemId]
+ *             properties:
+ *               itemId:
+ *                 type: integer
+ *               shippingAddress:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Pending order and the payment to confirm before expiresAt
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 order:
+ *                   $ref: '#/components/schemas/Order'
+ *                 payment:
+ *                   $ref: '#/components/schemas/Payment'
+ *                 expiresAt:
+ *                   type: string
+ *                   format: date-time
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: The item is not available
+ *       503:
+ *         description: No payment provider is configured
+ */
+// Reserve an item and open a pending order
+router.post('/orders', authenticateUser, async (req, res) => {
+    try {
+        const { itemId, shippingAddress } = req.body;
+        if (!itemId) {
+            return res.status(400).json({ success: false, error: 'itemId is required' });
+        }
+
+        const result = await orderService.checkout(req.user.id, parseInt(itemId), { shippingAddress });
+        res.status(201).json({ success: true, ...result });
+    } catch (error) {
+        sendOrderError(res, error, 'Failed to create order');
+    }
+});
+
+/**
+ * @openapi
+ * /api/orders:
+ *   get:
+ *     tags: [Orders]
+ *     summary: Orders I bought or sold
+ *     parameters:
+ *       - name: role
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [buyer, seller]
+ *           default: buyer
+ *     responses:
+ *       200:
+ *         description: Orders, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 role:
+ *                   type: string
+ *                 orders:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Order'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+// Orders I bought (?role=buyer, default) or sold (?role=seller)
+router.get('/orders', authenticateUser, async (req, res) => {
+    try {
+        const role = req.query.role === 'seller' ? 'seller' : 'buyer';
+        const orders = await orderService.listOrders(req.user.id, role);
+        res.json({ success: true, role, orders });
+    } catch (error) {
+        sendOrderError(res, error, 'Failed to load orders');
+    }
+});
+
+/**
+ * @openapi
+ * /api/orders/{id}:
+ *   get:
+ *     tags: [Orders]
+ *     summary: An order with its payment and status history (buyer or seller)
+ *     parameters:
+ *       - $ref: '#/components/parameters/id'
+ *     responses:
+ *       200:
+ *         description: The order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 order:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/Order'
+ *                     - type: object
+ *                       properties:
+ *                         expires_at:
+ *                           type: string
+ *                           format: date-time
+ *                           nullable: true
+ *                         payment:
+ *                           $ref: '#/components/schemas/Payment'
+ *                         events:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               from_status:
+ *                                 type: string
+ *                                 nullable: true
+ *                               to_status:
+ *                                 type: string
+ *                               message:
+ *                                 type: string
+ *                               created_at:
+ *                                 type: string
+ *                                 format: date-time
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+// Order with its payment and status history
+router.get('/orders/:id', authenticateUser, async (req, res) => {
+    try {
+        const order = await orderService.getOrder(parseInt(req.params.id), req.user.id);
+        res.json({ success: true, order });
+    } catch (error) {
+        sendOrderError(res, error, 'Failed to load order');
+    }
+});
+
+/**
+ * @openapi
+ * /api/orders/{id}/pay:
+ *   post:
+ *     tags: [Orders]
+ *     summary: Confirm the buyer's payment; the item is sold and delisted elsewhere
+ *     parameters:
+ *       - $ref: '#/components/parameters/id'
+ *     requestBody:
+ *       description: The provider's payment details
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 example: tok_visa
+ *     responses:
+ *       200:
+ *         description: Paid order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 order:
+ *                   $ref: '#/components/schemas/Order'
+ *                 payment:
+ *                   $ref: '#/components/schemas/Payment'
+ *                 salePropagation:
+ *                   type: object
+ *                   description: Outcome of delisting the item on other marketplaces
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       402:
+ *         description: The payment was declined
+ *       409:
+ *         description: The order is not pending, the reservation expired, or the order was cancelled while paying (the charge is refunded)
+ */
+// Confirm payment (body carries the provider's payment details, e.g. { token })
+router.post('/orders/:id/pay', authenticateUser, async (req, res) => {
+    try {
+        const result = await orderService.confirmPayment(parseInt(req.params.id), req.user.id, req.body || {});
+        res.json({ success: true, ...result });
+    } catch (error) {
+        sendOrderError(res, error, 'Failed to confirm payment');
+    }
+});
+
+/**
+ * @openapi
+ * /api/orders/{id}/ship:
+ *   post:
+ *     tags: [Orders]
+ *     summary: Mark a paid order as shipped (seller)
+ *     parameters:
+ *       - $ref: '#/components/parameters/id'
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [trackingNumber]
+ *             properties:
+ *               trackingNumber:
+ *                 type: string
+ *               carrier:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Shipped order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OrderResponse'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       409:
+ *         description: The order can't be shipped in its current status
+ */
+router.post('/orders/:id/ship', authenticateUser, async (req, res) => {
+    try {
+        const { trackingNumber, carrier } = req.body;
+        const order = await orderService.ship(parseInt(req.params.id), req.user.id, { trackingNumber, carrier });
+        res.json({ success: true, order });
+    } catch (error) {
+        sendOrderError(res, error, 'Failed to mark order as shipped');
+    }
+});
+
+/**
+ * @openapi
+ * /api/orders/{id}/deliver:
+ *   post:
+ *     tags: [Orders]
+ *     summary: Mark a shipped order as delivered
+ *     parameters:
+ *       - $ref: '#/components/parameters/id'
+ *     responses:
+ *       200:
+ *         description: Delivered order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OrderResponse'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       409:
+ *         description: The order can't be delivered in its current status
+ */
+router.post('/orders/:id/deliver', authenticateUser, async (req, res) => {
+    try {
+        const order = await orderService.deliver(parseInt(req.params.id), req.user.id);
+        res.json({ success: true, order });
+    } catch (error) {
+        sendOrderError(res, error, 'Failed to mark order as delivered');
+    }
+});
+
+/**
+ * @openapi
+ * /api/orders/{id}/cancel:
+ *   post:
+ *     tags: [Orders]
+ *     summary: Cancel an order and put the item back on sale
+ *     description: Buyers can cancel until they pay, sellers until they ship (paid orders are refunded).
+ *     parameters:
+ *       - $ref: '#/components/parameters/id'
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Cancelled order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OrderResponse'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       409:
+ *         description: The order can't be cancelled in its current status
+ *       502:
+ *         description: The order was cancelled but the provider refused the refund (the payment is flagged refund_failed)
+ */
+router.post('/orders/:id/cancel', authenticateUser, async (req, res) => {
+    try {
+        const order = await orderService.cancel(parseInt(req.params.id), req.user.id, { reason: req.body.reason });
+        res.json({ success: true, order });
+    } catch (error) {
+        sendOrderError(res, error, 'Failed to cancel order');
+    }
+});
+
+module.exports = router;
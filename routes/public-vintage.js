@@ -1,11 +1,84 @@
 const express = require('express');
 const { VintageSeller, VintageItem, User } = require('../database/models');
+const { catalogSearch } = require('../services/search');
+const { sitemap, vintageItemJsonLd } = require('../services/seo');
+const responseCache = require('../cache');
 const router = express.Router();
 
 // =============================================================================
 // PUBLIC PORTFOLIO ROUTES
 // =============================================================================
 
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     Portfolio:
+ *       type: object
+ *       properties:
+ *         success:
+ *           type: boolean
+ *         seller:
+ *           type: object
+ *           description: The public subset of the seller profile
+ *           properties:
+ *             id:
+ *               type: integer
+ *             store_name:
+ *               type: string
+ *             bio:
+ *               type: string
+ *               nullable: true
+ *             instagram_handle:
+ *               type: string
+ *               nullable: true
+ *             profile_image:
+ *               type: string
+ *               nullable: true
+ *             is_verified:
+ *               type: boolean
+ *             rating:
+ *               type: number
+ *             total_sales:
+ *               type: integer
+ *             created_at:
+ *               type: string
+ *               format: date-time
+ *         items:
+ *           type: array
+ *           description: Published items only
+ *           items:
+ *             $ref: '#/components/schemas/VintageItem'
+ *         stats:
+ *           type: object
+ *           properties:
+ *             totalItems:
+ *               type: integer
+ *             totalLikes:
+ *               type: integer
+ *             avgPrice:
+ *               type: number
+ *             memberSince:
+ *               type: string
+ *               format: date-time
+ *
+ * /api/vintage/portfolio/{userId}:
+ *   get:
+ *     tags: [Marketplace]
+ *     summary: Public seller portfolio by user ID
+ *     security: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/userId'
+ *     responses:
+ *       200:
+ *         description: Seller profile, published items and stats
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Portfolio'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
 // Public seller portfolio by user ID
 router.get('/vintage/portfolio/:userId', async (req, res) => {
     try {
@@ -63,6 +136,29 @@ router.get('/vintage/portfolio/:userId', async (req, res) => {
     }
 });
 
+/**
+ * @openapi
+ * /api/vintage/portfolio/username/{storeName}:
+ *   get:
+ *     tags: [Marketplace]
+ *     summary: Public seller portfolio by store name (case insensitive)
+ *     security: []
+ *     parameters:
+ *       - name: storeName
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Seller profile, published items and stats
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Portfolio'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
 // Public seller portfolio by username/store name
 router.get('/vintage/portfolio/username/:storeName', async (req, res) => {
     try {
@@ -94,6 +190,50 @@ router.get('/vintage/portfolio/username/:storeName', async (req, res) => {
 // VINTAGE MARKETPLACE INTEGRATION
 // =============================================================================
 
+/**
+ * @openapi
+ * /api/vintage/items/public:
+ *   get:
+ *     tags: [Marketplace]
+ *     summary: Published vintage items from every seller
+ *     security: []
+ *     parameters:
+ *       - { name: category, in: query, schema: { type: string } }
+ *       - { name: minPrice, in: query, schema: { type: number } }
+ *       - { name: maxPrice, in: query, schema: { type: number } }
+ *       - { name: condition, in: query, schema: { type: string } }
+ *       - { name: search, in: query, description: Matches title or description, schema: { type: string } }
+ *       - { name: limit, in: query, schema: { type: integer, default: 20 } }
+ *       - { name: offset, in: query, schema: { type: integer, default: 0 } }
+ *     responses:
+ *       200:
+ *         description: Newest items first, with the seller's store name and image
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 items:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/VintageItem'
+ *                       - type: object
+ *                         properties:
+ *                           store_name:
+ *                             type: string
+ *                           seller_image:
+ *                             type: string
+ *                             nullable: true
+ *                           is_verified:
+ *                             type: boolean
+ *                 count:
+ *                   type: integer
+ *                 filters:
+ *                   type: object
+ */
 // Get all vintage items for main store integration
 router.get('/vintage/items/public', async (req, res) => {
     try {
@@ -149,20 +289,23 @@ router.get('/vintage/items/public', async (req, res) => {
 
         queryParams.push(parseInt(limit), parseInt(offset));
 
-        const { query: dbQuery } = require('../database/connection');
-        const result = await dbQuery(query, queryParams);
-
-        res.json({
-            success: true,
-            items: result.rows,
-            count: result.rows.length,
-            filters: {
-                category,
-                minPrice,
-                maxPrice,
-                condition,
-                search
-            }
+        const key = `vintage:public:${JSON.stringify([category, minPrice, maxPrice, condition, limit, offset, search])}`;
+        await responseCache.respond(req, res, key, { ttl: 60, tags: ['vintage_items'], name: 'vintage_public' }, async () => {
+            const { query: dbQuery } = require('../database/connection');
+            const result = await dbQuery(query, queryParams);
+
+            return {
+                success: true,
+                items: result.rows,
+                count: result.rows.length,
+                filters: {
+                    category,
+                    minPrice,
+                    maxPrice,
+                    condition,
+                    search
+                }
+            };
         });
 
     } catch (error) {
@@ -174,6 +317,90 @@ router.get('/vintage/items/public', async (req, res) => {
     }
 });
 
+/**
+ * @openapi
+ * /api/vintage/item/{itemId}:
+ *   get:
+ *     tags: [Marketplace]
+ *     summary: A published vintage item in the main store's product format
+ *     description: Counts as a view.
+ *     security: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/itemId'
+ *     responses:
+ *       200:
+ *         description: The item
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 item:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                       example: vintage_42
+ *                     name:
+ *                       type: string
+ *                     price:
+ *                       type: number
+ *                     originalPrice:
+ *                       type: number
+ *                       nullable: true
+ *                     description:
+ *                       type: string
+ *                     category:
+ *                       type: string
+ *                     brand:
+ *                       type: string
+ *                     size:
+ *                       type: string
+ *                     condition:
+ *                       type: string
+ *                     images:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     platform:
+ *                       type: string
+ *                       example: vintage_crib
+ *                     seller:
+ *                       type: object
+ *                       properties:
+ *                         id:
+ *                           type: integer
+ *                         name:
+ *                           type: string
+ *                         verified:
+ *                           type: boolean
+ *                         rating:
+ *                           type: number
+ *                         profile_image:
+ *                           type: string
+ *                           nullable: true
+ *                     vintage_specific:
+ *                       type: object
+ *                       properties:
+ *                         published_to:
+ *                           type: array
+ *                           items:
+ *                             type: string
+ *                         views:
+ *                           type: integer
+ *                         likes:
+ *                           type: integer
+ *                         created_at:
+ *                           type: string
+ *                           format: date-time
+ *                 structuredData:
+ *                   type: object
+ *                   description: schema.org Product/Offer JSON-LD for the item
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
 // Get vintage item details for integration with main store
 router.get('/vintage/item/:itemId', async (req, res) => {
     try {
@@ -231,7 +458,8 @@ router.get('/vintage/item/:itemId', async (req, res) => {
 
         res.json({
             success: true,
-            item: formattedItem
+            item: formattedItem,
+            structuredData: vintageItemJsonLd(item, { baseUrl: sitemap.baseUrl, seller })
         });
 
     } catch (error) {
@@ -247,6 +475,53 @@ router.get('/vintage/item/:itemId', async (req, res) => {
 // SELLER DISCOVERY & SEARCH
 // =============================================================================
 
+/**
+ * @openapi
+ * /api/vintage/sellers/featured:
+ *   get:
+ *     tags: [Marketplace]
+ *     summary: Verified or selling sellers for the homepage
+ *     security: []
+ *     parameters:
+ *       - { name: limit, in: query, schema: { type: integer, default: 6 } }
+ *     responses:
+ *       200:
+ *         description: Featured sellers
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 sellers:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                       user_id:
+ *                         type: integer
+ *                       store_name:
+ *                         type: string
+ *                       bio:
+ *                         type: string
+ *                         nullable: true
+ *                       profile_image:
+ *                         type: string
+ *                         nullable: true
+ *                       is_verified:
+ *                         type: boolean
+ *                       rating:
+ *                         type: number
+ *                       total_sales:
+ *                         type: integer
+ *                       item_count:
+ *                         type: integer
+ *                       portfolio_url:
+ *                         type: string
+ */
 // Get featured sellers for homepage integration
 router.get('/vintage/sellers/featured', async (req, res) => {
     try {
@@ -293,6 +568,58 @@ router.get('/vintage/sellers/featured', async (req, res) => {
     }
 });
 
+/**
+ * @openapi
+ * /api/vintage/search:
+ *   get:
+ *     tags: [Marketplace, Search]
+ *     summary: Ranked full-text search over published vintage items
+ *     security: []
+ *     parameters:
+ *       - { name: q, in: query, schema: { type: string } }
+ *       - { name: limit, in: query, schema: { type: integer, default: 10, maximum: 50 } }
+ *     responses:
+ *       200:
+ *         description: Matches with highlights and facets (no items without q)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 items:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       title:
+ *                         type: string
+ *                       price:
+ *                         type: number
+ *                       image:
+ *                         type: string
+ *                         nullable: true
+ *                       seller:
+ *                         type: string
+ *                       verified:
+ *                         type: boolean
+ *                       type:
+ *                         type: string
+ *                         example: vintage
+ *                       url:
+ *                         type: string
+ *                       highlights:
+ *                         type: object
+ *                 total:
+ *                   type: integer
+ *                 facets:
+ *                   type: object
+ *                 query:
+ *                   type: string
+ */
 // Search vintage items for site-wide search integration
 router.get('/vintage/search', async (req, res) => {
     try {
@@ -302,34 +629,33 @@ router.get('/vintage/search', async (req, res) => {
             return res.json({ success: true, items: [] });
         }
 
-        const query = `
-            SELECT vi.*, vs.store_name, vs.is_verified
-            FROM vintage_items vi
-            JOIN vintage_sellers vs ON vi.seller_id = vs.id
-            WHERE vi.status = 'published' 
-            AND (vi.title ILIKE $1 OR vi.description ILIKE $1 OR vi.brand ILIKE $1 OR vs.store_name ILIKE $1)
-            ORDER BY vi.views DESC, vi.created_at DESC
-            LIMIT $2
-        `;
-
-        const { query: dbQuery } = require('../database/connection');
-        const result = await dbQuery(query, [`%${searchTerm}%`, parseInt(limit)]);
-
-        const searchResults = result.rows.map(item => ({
-            id: `vintage_${item.id}`,
-            title: item.title,
-            price: item.price,
-            image: parseItemImages(item.images)[0],
-            seller: item.store_name,
-            verified: item.is_verified,
-            type: 'vintage',
-            url: `/frontend/vintage-portfolio.html?seller=${item.seller_id}#item-${item.id}`
-        }));
+        const key = `vintage:search:${JSON.stringify([searchTerm, limit])}`;
+        await responseCache.respond(req, res, key, { ttl: 60, tags: ['vintage_items'], name: 'vintage_search' }, async () => {
+            // Ranked full-text search, see services/search
+            const search = await catalogSearch.search(searchTerm, {
+                filters: { type: 'vintage' },
+                limit: Math.min(parseInt(limit) || 10, 50)
+            });
 
-        res.json({
-            success: true,
-            items: searchResults,
-            query: searchTerm
+            const searchResults = search.results.map(result => ({
+                id: result.id,
+                title: result.title,
+                price: result.price,
+                image: result.image,
+                seller: result.seller,
+                verified: result.item.is_verified,
+                type: 'vintage',
+                url: result.url,
+                highlights: result.highlights
+            }));
+
+            return {
+                success: true,
+                items: searchResults,
+                total: search.total,
+                facets: search.facets,
+                query: searchTerm
+            };
         });
 
     } catch (error) {
@@ -345,58 +671,114 @@ router.get('/vintage/search', async (req, res) => {
 // ANALYTICS & STATS FOR MAIN SITE
 // =============================================================================
 
+/**
+ * @openapi
+ * /api/vintage/marketplace/stats:
+ *   get:
+ *     tags: [Marketplace]
+ *     summary: Seller, item and revenue totals plus the top categories
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Marketplace stats (cached for 5 minutes)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 stats:
+ *                   type: object
+ *                   properties:
+ *                     sellers:
+ *                       type: object
+ *                       properties:
+ *                         total:
+ *                           type: integer
+ *                         verified:
+ *                           type: integer
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         total:
+ *                           type: integer
+ *                         published:
+ *                           type: integer
+ *                         sold:
+ *                           type: integer
+ *                     financial:
+ *                       type: object
+ *                       properties:
+ *                         avg_price:
+ *                           type: number
+ *                         total_revenue:
+ *                           type: number
+ *                     categories:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           category:
+ *                             type: string
+ *                           count:
+ *                             type: integer
+ */
 // Get vintage marketplace stats for homepage/admin integration
 router.get('/vintage/marketplace/stats', async (req, res) => {
     try {
-        const { query: dbQuery } = require('../database/connection');
-        
-        // Get comprehensive marketplace stats
-        const statsQuery = `
-            SELECT 
-                COUNT(DISTINCT vs.id) as total_sellers,
-                COUNT(DISTINCT vi.id) as total_items,
-                COUNT(DISTINCT CASE WHEN vi.status = 'published' THEN vi.id END) as published_items,
-                COUNT(DISTINCT CASE WHEN vi.status = 'sold' THEN vi.id END) as sold_items,
-                AVG(CASE WHEN vi.status = 'published' THEN vi.price END) as avg_price,
-                SUM(CASE WHEN vi.status = 'sold' THEN vi.price ELSE 0 END) as total_revenue,
-                COUNT(DISTINCT CASE WHEN vs.is_verified = true THEN vs.id END) as verified_sellers
-            FROM vintage_sellers vs
-            LEFT JOIN vintage_items vi ON vs.id = vi.seller_id
-        `;
-
-        const result = await dbQuery(statsQuery);
-        const stats = result.rows[0];
-
-        // Get category breakdown
-        const categoryQuery = `
-            SELECT category, COUNT(*) as count
-            FROM vintage_items
-            WHERE status = 'published' AND category IS NOT NULL
-            GROUP BY category
-            ORDER BY count DESC
-            LIMIT 10
-        `;
-
-        const categoryResult = await dbQuery(categoryQuery);
-
-        res.json({
-            success: true,
-            stats: {
-                sellers: {
-                    total: parseInt(stats.total_sellers) || 0,
-                    verified: parseInt(stats.verified_sellers) || 0
-                },
-                items: {
-                    total: parseInt(stats.total_items) || 0,
-                    published: parseInt(stats.published_items) || 0,
-                    sold: parseInt(stats.sold_items) || 0
-                },
-                financial: {
-                    avg_price: parseFloat(stats.avg_price) || 0,
-                    total_revenue: parseFloat(stats.total_revenue) || 0
-                },
-                categories: categoryResult.rows
-            }
+        // Seller changes aren't tagged, so these numbers can lag by up to the ttl
+        await responseCache.respond(req, res, 'vintage:marketplace-stats', { ttl: 300, tags: ['vintage_items'], name: 'vintage_stats' }, async () => {
+            const { query: dbQuery } = require('../database/connection');
+
+            // Get comprehensive marketplace stats
+            const statsQuery = `
+                SELECT 
+                    COUNT(DISTINCT vs.id) as total_sellers,
+                    COUNT(DISTINCT vi.id) as total_items,
+                    COUNT(DISTINCT CASE WHEN vi.status = 'published' THEN vi.id END) as published_items,
+                    COUNT(DISTINCT CASE WHEN vi.status = 'sold' THEN vi.id END) as sold_items,
+                    AVG(CASE WHEN vi.status = 'published' THEN vi.price END) as avg_price,
+                    SUM(CASE WHEN vi.status = 'sold' THEN vi.price ELSE 0 END) as total_revenue,
+                    COUNT(DISTINCT CASE WHEN vs.is_verified = true THEN vs.id END) as verified_sellers
+                FROM vintage_sellers vs
+                LEFT JOIN vintage_items vi ON vs.id = vi.seller_id
+            `;
+
+            const result = await dbQuery(statsQuery);
+            const stats = result.rows[0];
+
+            // Get category breakdown
+            const categoryQuery = `
+                SELECT category, COUNT(*) as count
+                FROM vintage_items
+                WHERE status = 'published' AND category IS NOT NULL
+                GROUP BY category
+                ORDER BY count DESC
+                LIMIT 10
+            `;
+
+            const categoryResult = await dbQuery(categoryQuery);
+
+            return {
+                success: true,
+                stats: {
+                    sellers: {
+                        total: parseInt(stats.total_sellers) || 0,
+                        verified: parseInt(stats.verified_sellers) || 0
+                    },
+                    items: {
+                        total: parseInt(stats.total_items) || 0,
+                        published: parseInt(stats.published_items) || 0,
+                        sold: parseInt(stats.sold_items) || 0
+                    },
+                    financial: {
+                        avg_price: parseFloat(stats.avg_price) || 0,
+                        total_revenue: parseFloat(stats.total_revenue) || 0
+                    },
+                    categories: categoryResult.rows
+                }
+            };
         });
 
     } catch (error) {
@@ -0,0 +1,571 @@
+const express = require('express');
+const { requireAuth } = require('../auth/identity');
+const { savedSearchService, SavedSearchError } = require('../services/SavedSearchService');
+const { Notification } = require('../database/models');
+const { escapeHtml } = require('../services/search/analyzer');
+const router = express.Router();
+
+// Saved searches work for logged-in shoppers (req.user) and for email-only
+// subscribers, who manage them with the token from their alert emails.
+
+function sendSavedSearchError(res, error, fallback) {
+    if (error instanceof SavedSearchError) {
+        return res.status(error.status).json({ success: false, error: error.message });
+    }
+    console.error(`❌ ${fallback}:`, error);
+    res.status(500).json({ success: false, error: fallback });
+}
+
+function identityOf(req) {
+    return { user: req.user || null, token: req.query.token || (req.body && req.body.token) || null };
+}
+
+// Email links open in a browser, so they get a small page rather than JSON
+function sendLinkPage(res, status, title, message) {
+    res.status(status).type('html').send(`<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>${escapeHtml(title)} - Vintage Crib</title></head>
+<body style="font-family: sans-serif; max-width: 480px; margin: 80px auto; text-align: center;">
+<h1>${escapeHtml(title)}</h1>
+<p>${escapeHtml(message)}</p>
+<p><a href="/frontend/store-advanced.html">Back to the store</a></p>
+</body>
+</html>`);
+}
+
+/**
+ * @openapi
+ * components:
+ *   parameters:
+ *     alertToken:
+ *       name: token
+ *       in: query
+ *       description: Subscriber token from an alert email, for email-only subscribers
+ *       schema:
+ *         type: string
+ *   schemas:
+ *     SearchFilters:
+ *       type: object
+ *       properties:
+ *         search:
+ *           type: string
+ *           maxLength: 200
+ *         category:
+ *           type: string
+ *         condition:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [store, vintage]
+ *         minPrice:
+ *           type: number
+ *         maxPrice:
+ *           type: number
+ *     SavedSearch:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *         filters:
+ *           $ref: '#/components/schemas/SearchFilters'
+ *         alertTypes:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [new, price_drop, back_in_stock]
+ *         active:
+ *           type: boolean
+ *         lastMatchedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     AlertSubscriber:
+ *       type: object
+ *       properties:
+ *         email:
+ *           type: string
+ *           nullable: true
+ *         frequency:
+ *           type: string
+ *           enum: [instant, daily, weekly]
+ *         confirmed:
+ *           type: boolean
+ *         unsubscribed:
+ *           type: boolean
+ *     Notification:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         user_id:
+ *           type: integer
+ *         type:
+ *           type: string
+ *           example: saved_search_alert
+ *         title:
+ *           type: string
+ *         body:
+ *           type: string
+ *           nullable: true
+ *         url:
+ *           type: string
+ *           nullable: true
+ *         data:
+ *           type: object
+ *           nullable: true
+ *         read_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *
+ * /api/saved-searches:
+ *   post:
+ *     tags: [Saved searches]
+ *     summary: Save a search and get alerts for new matches, price drops or items back in stock
+ *     description: Logged-in shoppers are subscribed straight away; email-only subscribers confirm from an email first.
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
+ *       - sessionCookie: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/SearchFilters'
+ *               - type: object
+ *                 properties:
+ *                   name:
+ *                     type: string
+ *                   alertTypes:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                       enum: [new, price_drop, back_in_stock]
+ *                   frequency:
+ *                     type: string
+ *                     enum: [instant, daily, weekly]
+ *                   email:
+ *                     type: string
+ *                     format: email
+ *                     description: Required when not logged in
+ *     responses:
+ *       201:
+ *         description: Saved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 subscriber:
+ *                   $ref: '#/components/schemas/AlertSubscriber'
+ *                 search:
+ *                   $ref: '#/components/schemas/SavedSearch'
+ *                 confirmationRequired:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ */
+// Save a search: { search, category, condition, minPrice, maxPrice, type, name, alertTypes, frequency, email }
+router.post('/saved-searches', async (req, res) => {
+    try {
+        const { name, alertTypes, frequency, email, ...filters } = req.body || {};
+        const result = await savedSearchService.subscribe({
+            user: req.user || null,
+            email,
+            name,
+            filters,
+            alertTypes,
+            frequency
+        });
+
+        res.status(201).json({
+            success: true,
+            ...result,
+            message: result.confirmationRequired
+                ? 'Check your email to confirm your alerts'
+                : 'Search saved - we will let you know about new matches'
+        });
+    } catch (error) {
+        sendSavedSearchError(res, error, 'Failed to save search');
+    }
+});
+
+/**
+ * @openapi
+ * /api/saved-searches:
+ *   get:
+ *     tags: [Saved searches]
+ *     summary: My saved searches (logged in, or with the token from an alert email)
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
+ *       - sessionCookie: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/alertToken'
+ *     responses:
+ *       200:
+ *         description: Subscriber settings and saved searches
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 subscriber:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/AlertSubscriber'
+ *                   nullable: true
+ *                 searches:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SavedSearch'
+ */
+router.get('/saved-searches', async (req, res) => {
+    try {
+        res.json({ success: true, ...await savedSearchService.list(identityOf(req)) });
+    } catch (error) {
+        sendSavedSearchError(res, error, 'Failed to load saved searches');
+    }
+});
+
+/**
+ * @openapi
+ * /api/saved-searches/preferences:
+ *   put:
+ *     tags: [Saved searches]
+ *     summary: Set how often alert emails go out
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
+ *       - sessionCookie: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/alertToken'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [frequency]
+ *             properties:
+ *               frequency:
+ *                 type: string
+ *                 enum: [instant, daily, weekly]
+ *     responses:
+ *       200:
+ *         description: Updated subscriber
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 subscriber:
+ *                   $ref: '#/components/schemas/AlertSubscriber'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+// How often alert emails go out: { frequency: 'instant' | 'daily' | 'weekly' }
+router.put('/saved-searches/preferences', async (req, res) => {
+    try {
+        const subscriber = await savedSearchService.setFrequency(identityOf(req), req.body && req.body.frequency);
+        res.json({ success: true, subscriber });
+    } catch (error) {
+        sendSavedSearchError(res, error, 'Failed to update alert preferences');
+    }
+});
+
+/**
+ * @openapi
+ * /api/saved-searches/confirm:
+ *   get:
+ *     tags: [Saved searches]
+ *     summary: Confirm an email-only subscription (link from the confirmation email)
+ *     security: []
+ *     parameters:
+ *       - name: token
+ *         in: query
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: HTML confirmation page
+ *         content:
+ *           text/html:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: HTML page saying the link is not valid
+ *         content:
+ *           text/html:
+ *             schema:
+ *               type: string
+ */
+router.get('/saved-searches/confirm', async (req, res) => {
+    try {
+        await savedSearchService.confirm(req.query.token);
+        sendLinkPage(res, 200, 'Alerts confirmed', 'We will email you when listings match your saved searches.');
+    } catch (error) {
+        if (error instanceof SavedSearchError) {
+            return sendLinkPage(res, error.status, 'Link not valid', error.message);
+        }
+        console.error('❌ Failed to confirm alerts:', error);
+        sendLinkPage(res, 500, 'Something went wrong', 'Please try the link again later.');
+    }
+});
+
+/**
+ * @openapi
+ * /api/saved-searches/unsubscribe:
+ *   get:
+ *     tags: [Saved searches]
+ *     summary: Unsubscribe from one saved search or from all alerts (link from an alert email)
+ *     security: []
+ *     parameters:
+ *       - name: token
+ *         in: query
+ *         required: true
+ *         description: A saved search's token stops that search; a subscriber token stops everything
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: HTML confirmation page
+ *         content:
+ *           text/html:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: HTML page saying the link is not valid
+ *         content:
+ *           text/html:
+ *             schema:
+ *               type: string
+ */
+// GET from the link in the email, POST from mail clients' one-click unsubscribe (RFC 8058)
+router.get('/saved-searches/unsubscribe', async (req, res) => {
+    try {
+        const result = await savedSearchService.unsubscribe(req.query.token);
+        sendLinkPage(res, 200, 'Unsubscribed', result.scope === 'search'
+            ? 'You will no longer get alerts for this saved search.'
+            : 'You will no longer get any Vintage Crib listing alerts.');
+    } catch (error) {
+        if (error instanceof SavedSearchError) {
+            return sendLinkPage(res, error.status, 'Link not valid', error.message);
+        }
+        console.error('❌ Failed to unsubscribe:', error);
+        sendLinkPage(res, 500, 'Something went wrong', 'Please try the link again later.');
+    }
+});
+
+/**
+ * @openapi
+ * /api/saved-searches/unsubscribe:
+ *   post:
+ *     tags: [Saved searches]
+ *     summary: One-click unsubscribe for mail clients (RFC 8058)
+ *     security: []
+ *     parameters:
+ *       - name: token
+ *         in: query
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: What was unsubscribed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 scope:
+ *                   type: string
+ *                   enum: [search, all]
+ *                 search:
+ *                   $ref: '#/components/schemas/SavedSearch'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.post('/saved-searches/unsubscribe', async (req, res) => {
+    try {
+        const result = await savedSearchService.unsubscribe(req.query.token || (req.body && req.body.token));
+        res.json({ success: true, ...result });
+    } catch (error) {
+        sendSavedSearchError(res, error, 'Failed to unsubscribe');
+    }
+});
+
+/**
+ * @openapi
+ * /api/saved-searches/{id}:
+ *   delete:
+ *     tags: [Saved searches]
+ *     summary: Delete a saved search
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
+ *       - sessionCookie: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/id'
+ *       - $ref: '#/components/parameters/alertToken'
+ *     responses:
+ *       200:
+ *         $ref: '#/components/responses/Success'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.delete('/saved-searches/:id', async (req, res) => {
+    try {
+        await savedSearchService.remove(identityOf(req), parseInt(req.params.id));
+        res.json({ success: true });
+    } catch (error) {
+        sendSavedSearchError(res, error, 'Failed to delete saved search');
+    }
+});
+
+/**
+ * @openapi
+ * /api/notifications:
+ *   get:
+ *     tags: [Notifications]
+ *     summary: My in-app notifications, newest first
+ *     parameters:
+ *       - name: unread
+ *         in: query
+ *         schema:
+ *           type: boolean
+ *       - name: limit
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Notifications and the unread count
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 unread:
+ *                   type: integer
+ *                 notifications:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Notification'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+// In-app notifications (?unread=true for unread only)
+router.get('/notifications', requireAuth, async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+        const [notifications, unread] = await Promise.all([
+            Notification.getByUser(req.user.id, { unreadOnly: req.query.unread === 'true', limit }),
+            Notification.countUnread(req.user.id)
+        ]);
+
+        res.json({
+            success: true,
+            unread,
+            notifications: notifications.map(notification => ({
+                ...notification,
+                data: notification.data ? JSON.parse(notification.data) : null
+            }))
+        });
+    } catch (error) {
+        sendSavedSearchError(res, error, 'Failed to load notifications');
+    }
+});
+
+/**
+ * @openapi
+ * /api/notifications/read-all:
+ *   post:
+ *     tags: [Notifications]
+ *     summary: Mark all my notifications read
+ *     responses:
+ *       200:
+ *         description: How many were updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 updated:
+ *                   type: integer
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.post('/notifications/read-all', requireAuth, async (req, res) => {
+    try {
+        const updated = await Notification.markRead(req.user.id);
+        res.json({ success: true, updated });
+    } catch (error) {
+        sendSavedSearchError(res, error, 'Failed to update notifications');
+    }
+});
+
+/**
+ * @openapi
+ * /api/notifications/{id}/read:
+ *   post:
+ *     tags: [Notifications]
+ *     summary: Mark one notification read
+ *     parameters:
+ *       - $ref: '#/components/parameters/id'
+ *     responses:
+ *       200:
+ *         $ref: '#/components/responses/Success'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.post('/notifications/:id/read', requireAuth, async (req, res) => {
+    try {
+        const updated = await Notification.markRead(req.user.id, parseInt(req.params.id));
+        if (updated === 0) {
+            return res.status(404).json({ success: false, error: 'Notification not found' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        sendSavedSearchError(res, error, 'Failed to update notification');
+    }
+});
+
+module.exports = router;
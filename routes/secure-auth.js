@@ -1,75 +1,69 @@
 const express = require('express');
 const router = express.Router();
 const securityManager = require('../auth/security');
+const { identity, requireAuth } = require('../auth/identity');
 
-// Secure Admin Login
+/**
+ * @openapi
+ * /api/auth/login:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Log in with a username or email address
+ *     description: Starts a browser session and returns an access/refresh token pair for API clients.
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LoginRequest'
+ *     responses:
+ *       200:
+ *         description: Logged in
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         description: Wrong username or password
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// Login for every user (admins, sellers, buyers). Browsers get a session cookie,
+// API clients use the returned access/refresh tokens.
 router.post('/auth/login', securityManager.validateInput(securityManager.getValidationSchemas().login), async (req, res) => {
     try {
         const { username, password } = req.validatedData;
+        const login = securityManager.sanitizeInput(username);
         
         // Log login attempt
-        securityManager.logSecurityEvent('LOGIN_ATTEMPT', req, { username });
+        securityManager.logSecurityEvent('LOGIN_ATTEMPT', req, { username: login });
         
-        // Sanitize input
-        const sanitizedUsername = securityManager.sanitizeInput(username);
-        
-        // Verify credentials
-        const envUsername = process.env.ADMIN_USERNAME || 'admin';
-        const envPasswordHash = process.env.ADMIN_PASSWORD_HASH;
-        
-        if (!envPasswordHash) {
-            console.error('🚨 ADMIN_PASSWORD_HASH not configured in .env file');
-            return res.status(500).json({
-                error: 'Server configuration error',
-                message: 'Authentication system not properly configured'
-            });
-        }
-        
-        // Check username
-        if (sanitizedUsername !== envUsername) {
-            securityManager.logSecurityEvent('LOGIN_FAILED', req, { 
-                reason: 'invalid_username',
-                username: sanitizedUsername 
-            });
+        const user = await identity.verifyCredentials(login, password);
+        if (!user) {
+            securityManager.logSecurityEvent('LOGIN_FAILED', req, { username: login });
             return res.status(401).json({
+                success: false,
                 error: 'Invalid credentials',
                 message: 'Username or password is incorrect'
             });
         }
         
-        // Verify password hash
-        const isPasswordValid = await securityManager.verifyPassword(password, envPasswordHash);
-        if (!isPasswordValid) {
-            securityManager.logSecurityEvent('LOGIN_FAILED', req, { 
-                reason: 'invalid_password',
-                username: sanitizedUsername 
-            });
-            return res.status(401).json({
-                error: 'Invalid credentials',
-                message: 'Username or password is incorrect'
-            });
-        }
+        await identity.startSession(req, user);
+        const tokens = await identity.issueTokens(user);
         
-        // Create secure session
-        req.session.isAuthenticated = true;
-        req.session.username = sanitizedUsername;
-        req.session.loginTime = Date.now();
-        req.session.lastAccess = Date.now();
-        req.session.sessionId = securityManager.generateSessionId();
-        
-        // Log successful login
-        securityManager.logSecurityEvent('LOGIN_SUCCESS', req, { 
-            username: sanitizedUsername,
-            sessionId: req.session.sessionId.substring(0, 8) + '...' // Log partial session ID
-        });
+        securityManager.logSecurityEvent('LOGIN_SUCCESS', req, { username: user.username, role: user.role });
         
         res.json({
             success: true,
             message: 'Login successful',
-            user: {
-                username: sanitizedUsername,
-                loginTime: req.session.loginTime
-            }
+            user: identity.toIdentity(user, 'session'),
+            token: tokens.accessToken,
+            ...tokens
         });
         
     } catch (error) {
@@ -77,80 +71,288 @@ router.post('/auth/login', securityManager.validateInput(securityManager.getVali
         securityManager.logSecurityEvent('LOGIN_ERROR', req, { error: error.message });
         
         res.status(500).json({
+            success: false,
             error: 'Authentication failed',
             message: 'An error occurred during login'
         });
     }
 });
 
-// Secure Logout
-router.post('/auth/logout', (req, res) => {
-    if (req.session) {
-        const username = req.session.username || 'unknown';
-        const sessionId = req.session.sessionId;
-        
-        // Log logout
-        securityManager.logSecurityEvent('LOGOUT', req, { 
-            username,
-            sessionId: sessionId ? sessionId.substring(0, 8) + '...' : 'unknown'
+/**
+ * @openapi
+ * /api/auth/register:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Create a buyer account and log in
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RegisterRequest'
+ *     responses:
+ *       201:
+ *         description: Account created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       409:
+ *         description: Username or email already registered
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// Buyer sign-up (sellers start as buyers and set up a store afterwards)
+router.post('/auth/register', securityManager.validateInput(securityManager.getValidationSchemas().register), async (req, res) => {
+    try {
+        const { username, email, password } = req.validatedData;
+        const user = await identity.register({ username, email, password });
+        
+        await identity.startSession(req, user);
+        const tokens = await identity.issueTokens(user);
+        
+        securityManager.logSecurityEvent('REGISTER', req, { username: user.username });
+        
+        res.status(201).json({
+            success: true,
+            message: 'Account created',
+            user: identity.toIdentity(user, 'session'),
+            token: tokens.accessToken,
+            ...tokens
         });
         
-        req.session.destroy((err) => {
-            if (err) {
-                console.error('Session destruction error:', err);
-                return res.status(500).json({
-                    error: 'Logout failed',
-                    message: 'Could not complete logout'
-                });
-            }
-            
-            res.json({
-                success: true,
-                message: 'Logout successful'
-            });
+    } catch (error) {
+        if (error.status === 409) {
+            return res.status(409).json({ success: false, error: 'Already registered', message: error.message });
+        }
+        console.error('🚨 Registration error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Registration failed',
+            message: 'An error occurred while creating the account'
         });
-    } else {
+    }
+});
+
+/**
+ * @openapi
+ * /api/auth/refresh:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Swap a refresh token for a new access/refresh token pair
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [refreshToken]
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New token pair
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       401:
+ *         description: Unknown, expired or already rotated refresh token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// Swap a refresh token for a new access/refresh token pair
+router.post('/auth/refresh', async (req, res) => {
+    try {
+        const result = await identity.refresh(req.body.refreshToken);
+        if (!result) {
+            return res.status(401).json({
+                success: false,
+                error: 'Invalid refresh token',
+                message: 'Please log in again'
+            });
+        }
+        
         res.json({
             success: true,
-            message: 'Already logged out'
+            user: identity.toIdentity(result.user, 'token'),
+            token: result.tokens.accessToken,
+            ...result.tokens
         });
+        
+    } catch (error) {
+        console.error('🚨 Token refresh error:', error);
+        res.status(500).json({ success: false, error: 'Token refresh failed' });
     }
 });
 
-// Check Authentication Status
-router.get('/auth/status', (req, res) => {
-    if (req.session && req.session.isAuthenticated) {
-        // Check session timeout
-        const sessionAge = Date.now() - (req.session.lastAccess || req.session.loginTime);
-        const maxAge = parseInt(process.env.SESSION_TIMEOUT_HOURS) * 60 * 60 * 1000 || 24 * 60 * 60 * 1000;
-        
-        if (sessionAge > maxAge) {
-            req.session.destroy();
-            return res.json({
-                authenticated: false,
-                reason: 'session_expired'
-            });
-        }
+/**
+ * @openapi
+ * /api/auth/logout:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: End the session and revoke the refresh token if one is sent
+ *     security: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         $ref: '#/components/responses/Success'
+ */
+// Logout ends the browser session and revokes the refresh token if one is sent
+router.post('/auth/logout', identity.authenticate, async (req, res) => {
+    try {
+        securityManager.logSecurityEvent('LOGOUT', req, { username: req.user ? req.user.username : 'unknown' });
         
-        // Update last access
-        req.session.lastAccess = Date.now();
+        await identity.revokeRefreshToken(req.body && req.body.refreshToken);
+        await identity.endSession(req);
         
         res.json({
-            authenticated: true,
-            user: {
-                username: req.session.username,
-                loginTime: req.session.loginTime,
-                lastAccess: req.session.lastAccess
-            }
+            success: true,
+            message: 'Logout successful'
         });
-    } else {
-        res.json({
+        
+    } catch (error) {
+        console.error('Session destruction error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Logout failed',
+            message: 'Could not complete logout'
+        });
+    }
+});
+
+/**
+ * @openapi
+ * /api/auth/status:
+ *   get:
+ *     tags: [Authentication]
+ *     summary: Whether the request is authenticated, and as whom
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Authentication status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 authenticated:
+ *                   type: boolean
+ *                 reason:
+ *                   type: string
+ *                   description: Why not, when unauthenticated
+ *                   example: not_logged_in
+ *                 user:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/User'
+ *                     - type: object
+ *                       properties:
+ *                         loginTime:
+ *                           type: string
+ *                           nullable: true
+ *                         lastAccess:
+ *                           type: string
+ *                           nullable: true
+ */
+// Check Authentication Status
+router.get('/auth/status', identity.authenticate, (req, res) => {
+    if (!req.user) {
+        return res.json({
             authenticated: false,
-            reason: 'not_logged_in'
+            reason: req.authError || 'not_logged_in'
         });
     }
+    
+    res.json({
+        authenticated: true,
+        user: {
+            ...req.user,
+            loginTime: req.session ? req.session.loginTime : null,
+            lastAccess: req.session ? req.session.lastAccess : null
+        }
+    });
+});
+
+/**
+ * @openapi
+ * /api/auth/me:
+ *   get:
+ *     tags: [Authentication]
+ *     summary: The logged-in user
+ *     responses:
+ *       200:
+ *         description: Current user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 user:
+ *                   $ref: '#/components/schemas/User'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+// Current user
+router.get('/auth/me', requireAuth, (req, res) => {
+    res.json({ success: true, user: req.user });
 });
 
+/**
+ * @openapi
+ * /api/auth/generate-password-hash:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Hash a password for ADMIN_PASSWORD_HASH (development only)
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [password]
+ *             properties:
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: bcrypt hash and setup instructions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 hash:
+ *                   type: string
+ *                 instructions:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       403:
+ *         description: Disabled in production
+ */
 // Generate new admin password hash (development only)
 router.post('/auth/generate-password-hash', (req, res) => {
     // Only allow in development environment
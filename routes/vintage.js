@@ -1,12 +1,18 @@
 const express = require('express');
-const { VintageItem, VintageSeller, User } = require('../database/models');
-const { authenticateAdmin, verifyToken } = require('../auth');
+const { VintageItem, VintageSeller, User, CrossPost, DelistTask, SellerAnalytics } = require('../database/models');
+const { requireAuth, requireRole, normalizeRole } = require('../auth/identity');
+const { apiKeys, acceptApiKey, ApiKeyError } = require('../auth/api-keys');
 const CrossPostingEngine = require('../services/CrossPostingEngine');
-const VintageSubscriptionService = require('../services/VintageSubscriptionService');
+const SalePropagationService = require('../services/SalePropagationService');
+const { jobQueue } = require('../services/JobQueue');
+const { liveEvents } = require('../services/LiveEvents');
+const { catalogSearch } = require('../services/search');
+const responseCache = require('../cache');
+const { duplicateDetector } = require('../services/DuplicateDetector');
+const { requireEntitlement } = require('../services/Entitlements');
+const { marketplaces } = require('../services/marketplaces');
 const router = express.Router();
 
-const subscriptionService = new VintageSubscriptionService();
-
 // Initialize CrossPostingEngine with existing eBay API
 let crossPostingEngine;
 try {
@@ -19,15 +25,90 @@ try {
     crossPostingEngine = new CrossPostingEngine();
 }
 
-// Middleware to authenticate user (reuse the existing verifyToken middleware)
-const authenticateUser = verifyToken;
+// Delists sold items from the other marketplaces they were cross-posted to
+const salePropagation = new SalePropagationService({ marketplaces: crossPostingEngine.marketplaces });
+
+// Retrying a seller's failed cross-posts can take a while - run it as a background job
+jobQueue.register('crosspost-retry-failed', ({ sellerId, platform }, job) =>
+    crossPostingEngine.retryFailedPosts(sellerId, platform, job.progress), { concurrency: 1 });
+
+// Seller dashboard routes - admins pass too
+const authenticateUser = requireRole('seller');
+
+// Same, but Premium sellers can also call it with an API key that has `scope`
+const sellerOrApiKey = scope => [acceptApiKey(scope), authenticateUser];
 
 // =============================================================================
 // VINTAGE DASHBOARD ROUTES
 // =============================================================================
 
+/**
+ * @openapi
+ * /api/vintage/dashboard:
+ *   get:
+ *     tags: [Vintage]
+ *     summary: Seller dashboard with stats, daily likes over 30 days and items
+ *     description: Sellers, or Premium sellers with an API key that has the items:read scope.
+ *     security:
+ *       - bearerAuth: []
+ *       - sessionCookie: []
+ *       - apiKey: []
+ *     responses:
+ *       200:
+ *         description: Dashboard
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 seller:
+ *                   $ref: '#/components/schemas/VintageSeller'
+ *                 stats:
+ *                   type: object
+ *                   properties:
+ *                     totalItems:
+ *                       type: integer
+ *                     publishedItems:
+ *                       type: integer
+ *                     soldItems:
+ *                       type: integer
+ *                     totalViews:
+ *                       type: integer
+ *                     totalLikes:
+ *                       type: integer
+ *                     totalRevenue:
+ *                       type: number
+ *                     likesLast30Days:
+ *                       type: integer
+ *                 likesByDay:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       date:
+ *                         type: string
+ *                         format: date
+ *                       likes:
+ *                         type: integer
+ *                 recentItems:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/VintageItem'
+ *                 items:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/VintageItem'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
 // Get vintage seller dashboard data
-router.get('/vintage/dashboard', authenticateUser, async (req, res) => {
+router.get('/vintage/dashboard', sellerOrApiKey('items:read'), async (req, res) => {
     try {
         // Get seller profile for this user
         const seller = await VintageSeller.findByUserId(req.user.id);
@@ -53,6 +134,11 @@ router.get('/vintage/dashboard', authenticateUser, async (req, res) => {
                 .reduce((sum, item) => sum + (item.price || 0), 0)
         };
 
+        // New wishlist adds per day over the last 30 days
+        const likesByDay = (await SellerAnalytics.getForSeller(seller.id, 30))
+            .map(day => ({ date: day.date, likes: day.likes || 0 }));
+        stats.likesLast30Days = likesByDay.reduce((sum, day) => sum + day.likes, 0);
+
         // Recent activity (last 10 items)
         const recentItems = items
             .sort((a, b) => new Date(b.updated_at) - new Date(a.updated_at))
@@ -62,6 +148,7 @@ router.get('/vintage/dashboard', authenticateUser, async (req, res) => {
             success: true,
             seller,
             stats,
+            likesByDay,
             recentItems,
             items
         });
@@ -76,8 +163,49 @@ router.get('/vintage/dashboard', authenticateUser, async (req, res) => {
 // VINTAGE ITEM MANAGEMENT
 // =============================================================================
 
+/**
+ * @openapi
+ * /api/vintage/items:
+ *   post:
+ *     tags: [Vintage]
+ *     summary: Create a vintage item
+ *     description: Sellers, or Premium sellers with an API key that has the items:write scope.
+ *       Counts against the tier's item limit.
+ *     security:
+ *       - bearerAuth: []
+ *       - sessionCookie: []
+ *       - apiKey: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/VintageItemInput'
+ *               - required: [title, price]
+ *     responses:
+ *       201:
+ *         description: Item created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 item:
+ *                   $ref: '#/components/schemas/VintageItem'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
 // Create new vintage item
-router.post('/vintage/items', authenticateUser, async (req, res) => {
+router.post('/vintage/items', sellerOrApiKey('items:write'), requireEntitlement({ items: true }), async (req, res) => {
     try {
         const seller = await VintageSeller.findByUserId(req.user.id);
         
@@ -87,29 +215,6 @@ router.post('/vintage/items', authenticateUser, async (req, res) => {
             });
         }
 
-        // Check subscription limits
-        const currentItemCount = await VintageItem.getBySeller(seller.id, 1000, 0);
-        const limitCheck = await subscriptionService.checkSubscriptionLimit(
-            req.user.id, 
-            'create_item', 
-            currentItemCount.length
-        );
-
-        if (!limitCheck.allowed) {
-            const subscription = await subscriptionService.getUserSubscription(req.user.id);
-            const tierDetails = subscriptionService.getTierDetails(subscription.tier);
-            
-            return res.status(403).json({
-                success: false,
-                error: 'Item limit reached for your subscription tier',
-                limit: limitCheck.limit,
-                current: limitCheck.current,
-                tier: subscription.tier,
-                tierName: tierDetails.name,
-                upgradeRecommendations: subscriptionService.getUpgradeRecommendations(subscription.tier)
-            });
-        }
-
         const itemData = {
             ...req.body,
             seller_id: seller.id
@@ -127,6 +232,8 @@ router.post('/vintage/items', authenticateUser, async (req, res) => {
 
         // Create the item
         const item = await VintageItem.create(itemData);
+        catalogSearch.invalidate(); // reindex on next search
+        responseCache.invalidate('vintage_items');
         
         res.status(201).json({
             success: true,
@@ -140,8 +247,60 @@ router.post('/vintage/items', authenticateUser, async (req, res) => {
     }
 });
 
+/**
+ * @openapi
+ * /api/vintage/items/{id}:
+ *   put:
+ *     tags: [Vintage]
+ *     summary: Update one of the seller's items
+ *     description: Sellers, or Premium sellers with an API key that has the items:write scope.
+ *       Marking an item sold delists it from the other marketplaces it was cross-posted to.
+ *     parameters:
+ *       - $ref: '#/components/parameters/id'
+ *     security:
+ *       - bearerAuth: []
+ *       - sessionCookie: []
+ *       - apiKey: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/VintageItemInput'
+ *               - type: object
+ *                 properties:
+ *                   sold_on:
+ *                     type: string
+ *                     description: Marketplace the item sold on; that listing is left alone
+ *     responses:
+ *       200:
+ *         description: Item updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 item:
+ *                   $ref: '#/components/schemas/VintageItem'
+ *                 salePropagation:
+ *                   type: object
+ *                   nullable: true
+ *                   description: Delist results when this update marked the item sold
+ *                   additionalProperties: true
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
 // Update vintage item
-router.put('/vintage/items/:id', authenticateUser, async (req, res) => {
+router.put('/vintage/items/:id', sellerOrApiKey('items:write'), async (req, res) => {
     try {
         const itemId = req.params.id;
         const updates = req.body;
@@ -157,18 +316,50 @@ router.put('/vintage/items/:id', authenticateUser, async (req, res) => {
             return res.status(403).json({ error: 'Not authorized to update this item' });
         }
 
+        // Where the sale happened (not a column) - that listing is left alone
+        const soldOn = updates.sold_on || null;
+
         // Remove fields that shouldn't be updated
         delete updates.id;
         delete updates.seller_id;
         delete updates.created_at;
+        delete updates.sold_on;
 
         // Update the item
         const updatedItem = await VintageItem.update(itemId, updates);
+        catalogSearch.invalidate();
+        responseCache.invalidate('vintage_items');
+
+        // Wishlisters are told about price drops (see WishlistService)
+        if (updates.price !== undefined && parseFloat(updates.price) !== parseFloat(existingItem.price)) {
+            liveEvents.publish('item.price_changed', {
+                itemId: existingItem.id,
+                name: existingItem.title,
+                from: parseFloat(existingItem.price),
+                to: parseFloat(updates.price)
+            });
+        }
+        
+        // Sold just now: pull the listing from every other platform
+        let salePropagationResult = null;
+        const afterUpdate = { ...existingItem, ...updates };
+        if (salePropagation.isNewSale(existingItem, afterUpdate)) {
+            salePropagationResult = await salePropagation.propagateSale(afterUpdate, { soldOn });
+            liveEvents.publish('sold', {
+                source: 'vintage',
+                itemId: afterUpdate.id,
+                name: afterUpdate.title,
+                price: afterUpdate.price,
+                soldOn: soldOn,
+                delisted: salePropagationResult.results
+            });
+        }
         
         res.json({
             success: true,
             message: 'Item updated successfully',
-            item: updatedItem
+            item: updatedItem,
+            salePropagation: salePropagationResult
         });
 
     } catch (error) {
@@ -177,8 +368,203 @@ router.put('/vintage/items/:id', authenticateUser, async (req, res) => {
     }
 });
 
+/**
+ * @openapi
+ * /api/vintage/items/{id}/cross-posts:
+ *   get:
+ *     tags: [Marketplace]
+ *     summary: Cross-post status and history for an item
+ *     description: Sellers, or Premium sellers with an API key that has the items:read scope.
+ *     parameters:
+ *       - $ref: '#/components/parameters/id'
+ *     security:
+ *       - bearerAuth: []
+ *       - sessionCookie: []
+ *       - apiKey: []
+ *     responses:
+ *       200:
+ *         description: Cross-posts and their events
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 crossPosts:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CrossPost'
+ *                 events:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     additionalProperties: true
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+// Cross-post status history for an item (publish, delist, manual removals)
+router.get('/vintage/items/:id/cross-posts', sellerOrApiKey('items:read'), async (req, res) => {
+    try {
+        const item = await VintageItem.findById(req.params.id);
+        if (!item) {
+            return res.status(404).json({ error: 'Item not found' });
+        }
+
+        const seller = await VintageSeller.findByUserId(req.user.id);
+        if (!seller || item.seller_id !== seller.id) {
+            return res.status(403).json({ error: 'Not authorized to view this item' });
+        }
+
+        res.json({
+            success: true,
+            crossPosts: await CrossPost.findByItem(item.id),
+            events: await CrossPost.getEvents(item.id)
+        });
+
+    } catch (error) {
+        console.error('Cross-post history error:', error);
+        res.status(500).json({ error: 'Failed to load cross-post history' });
+    }
+});
+
+/**
+ * @openapi
+ * /api/vintage/delist-tasks:
+ *   get:
+ *     tags: [Marketplace]
+ *     summary: Listings the seller still has to remove by hand after a sale
+ *     description: Sellers, or Premium sellers with an API key that has the crosspost scope.
+ *     security:
+ *       - bearerAuth: []
+ *       - sessionCookie: []
+ *       - apiKey: []
+ *     responses:
+ *       200:
+ *         description: Open delist tasks
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 tasks:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/DelistTask'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+// Listings the seller still has to remove by hand after a sale
+router.get('/vintage/delist-tasks', sellerOrApiKey('crosspost'), async (req, res) => {
+    try {
+        const seller = await VintageSeller.findByUserId(req.user.id);
+        if (!seller) {
+            return res.status(404).json({ error: 'Seller profile required' });
+        }
+
+        res.json({
+            success: true,
+            tasks: await DelistTask.findOpen(seller.id)
+        });
+
+    } catch (error) {
+        console.error('Delist tasks error:', error);
+        res.status(500).json({ error: 'Failed to load delist tasks' });
+    }
+});
+
+/**
+ * @openapi
+ * /api/vintage/delist-tasks/{id}/complete:
+ *   post:
+ *     tags: [Marketplace]
+ *     summary: Confirm a listing was removed by hand
+ *     description: Sellers, or Premium sellers with an API key that has the crosspost scope.
+ *     parameters:
+ *       - $ref: '#/components/parameters/id'
+ *     security:
+ *       - bearerAuth: []
+ *       - sessionCookie: []
+ *       - apiKey: []
+ *     responses:
+ *       200:
+ *         description: Task completed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 task:
+ *                   $ref: '#/components/schemas/DelistTask'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+// Seller confirms a listing was removed
+router.post('/vintage/delist-tasks/:id/complete', sellerOrApiKey('crosspost'), async (req, res) => {
+    try {
+        const task = await DelistTask.findById(req.params.id);
+        if (!task) {
+            return res.status(404).json({ error: 'Delist task not found' });
+        }
+
+        const item = await VintageItem.findById(task.item_id);
+        const seller = await VintageSeller.findByUserId(req.user.id);
+        if (!item || !seller || item.seller_id !== seller.id) {
+            return res.status(403).json({ error: 'Not authorized to complete this task' });
+        }
+
+        res.json({
+            success: true,
+            task: await salePropagation.completeTask(task.id)
+        });
+
+    } catch (error) {
+        console.error('Complete delist task error:', error);
+        res.status(500).json({ error: 'Failed to complete delist task' });
+    }
+});
+
+/**
+ * @openapi
+ * /api/vintage/items/{id}:
+ *   delete:
+ *     tags: [Vintage]
+ *     summary: Delete one of the seller's items
+ *     description: Sellers, or Premium sellers with an API key that has the items:write scope.
+ *     parameters:
+ *       - $ref: '#/components/parameters/id'
+ *     security:
+ *       - bearerAuth: []
+ *       - sessionCookie: []
+ *       - apiKey: []
+ *     responses:
+ *       200:
+ *         $ref: '#/components/responses/Success'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
 // Delete vintage item
-router.delete('/vintage/items/:id', authenticateUser, async (req, res) => {
+router.delete('/vintage/items/:id', sellerOrApiKey('items:write'), async (req, res) => {
     try {
         const itemId = req.params.id;
         
@@ -195,6 +581,8 @@ router.delete('/vintage/items/:id', authenticateUser, async (req, res) => {
 
         // Delete the item
         await VintageItem.delete(itemId);
+        catalogSearch.invalidate();
+        responseCache.invalidate('vintage_items');
         
         res.json({
             success: true,
@@ -211,37 +599,79 @@ router.delete('/vintage/items/:id', authenticateUser, async (req, res) => {
 // MARKETPLACE PUBLISHING
 // =============================================================================
 
+// Platforms from the publish request body (Vintage Crib only when none are given)
+function requestedPlatforms(req) {
+    const { platforms = [] } = req.body || {};
+    return Array.isArray(platforms) && platforms.length > 0 ? platforms : ['vintage_crib'];
+}
+
+/**
+ * @openapi
+ * /api/vintage/items/{id}/publish:
+ *   post:
+ *     tags: [Marketplace]
+ *     summary: Publish an item to one or more marketplaces
+ *     description: Sellers, or Premium sellers with an API key that has the crosspost scope.
+ *       Every platform must be included in the seller's tier.
+ *     parameters:
+ *       - $ref: '#/components/parameters/id'
+ *     security:
+ *       - bearerAuth: []
+ *       - sessionCookie: []
+ *       - apiKey: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               platforms:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   example: ebay
+ *                 description: Defaults to vintage_crib
+ *               autoPublish:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Per-platform publish results
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     additionalProperties: true
+ *                 publishedCount:
+ *                   type: integer
+ *                 totalPlatforms:
+ *                   type: integer
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
 // Publish item to multiple marketplaces
-router.post('/vintage/items/:id/publish', authenticateUser, async (req, res) => {
+router.post('/vintage/items/:id/publish', sellerOrApiKey('crosspost'), requireEntitlement({ platforms: requestedPlatforms }), async (req, res) => {
     try {
         const itemId = req.params.id;
-        const { platforms = [], autoPublish = false } = req.body;
-        
-        // Check subscription limits for cross-posting
-        const platformCheck = await subscriptionService.checkSubscriptionLimit(req.user.id, 'cross_post');
-        
-        // Filter platforms based on subscription
-        const allowedPlatforms = platformCheck.platforms || ['vintage_crib'];
-        const requestedPlatforms = platforms.length > 0 ? platforms : ['vintage_crib'];
-        const deniedPlatforms = requestedPlatforms.filter(p => !allowedPlatforms.includes(p));
-        
-        if (deniedPlatforms.length > 0) {
-            const subscription = await subscriptionService.getUserSubscription(req.user.id);
-            const tierDetails = subscriptionService.getTierDetails(subscription.tier);
-            
-            return res.status(403).json({
-                success: false,
-                error: `Platforms not available in your subscription tier: ${deniedPlatforms.join(', ')}`,
-                allowedPlatforms,
-                tier: subscription.tier,
-                tierName: tierDetails.name,
-                upgradeRecommendations: subscriptionService.getUpgradeRecommendations(subscription.tier)
-            });
-        }
+        const { autoPublish = false } = req.body;
+        const platforms = requestedPlatforms(req);
         
         // Validate platforms
-        const validPlatforms = ['ebay', 'poshmark', 'depop', 'vintage_crib'];
-        const invalidPlatforms = requestedPlatforms.filter(p => !validPlatforms.includes(p));
+        const invalidPlatforms = platforms.filter(p => !marketplaces.has(p));
         
         if (invalidPlatforms.length > 0) {
             return res.status(400).json({ 
@@ -340,8 +770,53 @@ router.get('/vintage/portfolio/:userId', async (req, res) => {
 // SELLER PROFILE MANAGEMENT
 // =============================================================================
 
+/**
+ * @openapi
+ * /api/vintage/profile:
+ *   post:
+ *     tags: [Vintage]
+ *     summary: Open a store
+ *     description: Any signed-in user can open a store; buyers become sellers.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [store_name]
+ *             properties:
+ *               store_name:
+ *                 type: string
+ *               bio:
+ *                 type: string
+ *               instagram_handle:
+ *                 type: string
+ *               ebay_store_url:
+ *                 type: string
+ *               profile_image:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Seller profile created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 seller:
+ *                   $ref: '#/components/schemas/VintageSeller'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
 // Create seller profile
-router.post('/vintage/profile', authenticateUser, async (req, res) => {
+// Any logged-in user can open a store; it makes them a seller
+router.post('/vintage/profile', requireAuth, async (req, res) => {
     try {
         // Check if seller profile already exists
         const existingSeller = await VintageSeller.findByUserId(req.user.id);
@@ -360,6 +835,9 @@ router.post('/vintage/profile', authenticateUser, async (req, res) => {
         }
 
         const seller = await VintageSeller.create(profileData);
+        if (normalizeRole(req.user.role) === 'buyer') {
+            await User.setRole(req.user.id, 'seller');
+        }
         
         res.status(201).json({
             success: true,
@@ -373,6 +851,50 @@ router.post('/vintage/profile', authenticateUser, async (req, res) => {
     }
 });
 
+/**
+ * @openapi
+ * /api/vintage/profile:
+ *   put:
+ *     tags: [Vintage]
+ *     summary: Update the seller profile
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               store_name:
+ *                 type: string
+ *               bio:
+ *                 type: string
+ *               instagram_handle:
+ *                 type: string
+ *               ebay_store_url:
+ *                 type: string
+ *               profile_image:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Profile updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 seller:
+ *                   $ref: '#/components/schemas/VintageSeller'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
 // Update seller profile
 router.put('/vintage/profile', authenticateUser, async (req, res) => {
     try {
@@ -399,12 +921,308 @@ router.put('/vintage/profile', authenticateUser, async (req, res) => {
     }
 });
 
+// =============================================================================
+// API KEYS (Premium) - managed from a logged-in session, never with a key
+// =============================================================================
+
+function sendApiKeyError(res, error, fallback) {
+    if (error instanceof ApiKeyError) {
+        return res.status(error.status).json({ success: false, error: error.message });
+    }
+    console.error(`❌ ${fallback}:`, error);
+    res.status(500).json({ success: false, error: fallback });
+}
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     ApiKey:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *         prefix:
+ *           type: string
+ *           description: First characters of the key, to tell keys apart
+ *         scopes:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [items:read, items:write, crosspost, analytics:read]
+ *         rateLimitPerMinute:
+ *           type: integer
+ *         lastUsedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     ApiKeySecret:
+ *       type: object
+ *       properties:
+ *         success:
+ *           type: boolean
+ *         message:
+ *           type: string
+ *         key:
+ *           type: string
+ *           description: The full key (vc_...) - only returned here
+ *         apiKey:
+ *           $ref: '#/components/schemas/ApiKey'
+ * /api/vintage/api-keys:
+ *   get:
+ *     tags: [Vintage]
+ *     summary: List my API keys (Premium)
+ *     responses:
+ *       200:
+ *         description: API keys
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 keys:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ApiKey'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/vintage/api-keys', authenticateUser, async (req, res) => {
+    try {
+        const keys = await apiKeys.list(req.user.id);
+        res.json({ success: true, keys });
+    } catch (error) {
+        sendApiKeyError(res, error, 'Failed to load API keys');
+    }
+});
+
+/**
+ * @openapi
+ * /api/vintage/api-keys:
+ *   post:
+ *     tags: [Vintage]
+ *     summary: Create an API key (Premium)
+ *     description: The key is only shown in this response.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, scopes]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *               scopes:
+ *                 type: array
+ *                 minItems: 1
+ *                 items:
+ *                   type: string
+ *                   enum: [items:read, items:write, crosspost, analytics:read]
+ *               rateLimitPerMinute:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: Key created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiKeySecret'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+// Body: { name, scopes: ['items:read', ...], rateLimitPerMinute }
+router.post('/vintage/api-keys', authenticateUser, async (req, res) => {
+    try {
+        const { name, scopes, rateLimitPerMinute } = req.body;
+        const created = await apiKeys.create(req.user.id, { name, scopes, rateLimitPerMinute });
+        res.status(201).json({
+            success: true,
+            message: 'Copy this key now - it will not be shown again',
+            ...created
+        });
+    } catch (error) {
+        sendApiKeyError(res, error, 'Failed to create API key');
+    }
+});
+
+/**
+ * @openapi
+ * /api/vintage/api-keys/{id}:
+ *   put:
+ *     tags: [Vintage]
+ *     summary: Rename an API key
+ *     parameters:
+ *       - $ref: '#/components/parameters/id'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Key renamed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 apiKey:
+ *                   $ref: '#/components/schemas/ApiKey'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.put('/vintage/api-keys/:id', authenticateUser, async (req, res) => {
+    try {
+        const apiKey = await apiKeys.rename(req.user.id, parseInt(req.params.id), req.body.name);
+        res.json({ success: true, apiKey });
+    } catch (error) {
+        sendApiKeyError(res, error, 'Failed to rename API key');
+    }
+});
+
+/**
+ * @openapi
+ * /api/vintage/api-keys/{id}/rotate:
+ *   post:
+ *     tags: [Vintage]
+ *     summary: Replace an API key with a new one
+ *     description: The old key stops working straight away.
+ *     parameters:
+ *       - $ref: '#/components/parameters/id'
+ *     responses:
+ *       200:
+ *         description: New key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiKeySecret'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.post('/vintage/api-keys/:id/rotate', authenticateUser, async (req, res) => {
+    try {
+        const rotated = await apiKeys.rotate(req.user.id, parseInt(req.params.id));
+        res.json({
+            success: true,
+            message: 'The old key has been revoked - copy the new one now',
+            ...rotated
+        });
+    } catch (error) {
+        sendApiKeyError(res, error, 'Failed to rotate API key');
+    }
+});
+
+/**
+ * @openapi
+ * /api/vintage/api-keys/{id}:
+ *   delete:
+ *     tags: [Vintage]
+ *     summary: Revoke an API key
+ *     parameters:
+ *       - $ref: '#/components/parameters/id'
+ *     responses:
+ *       200:
+ *         $ref: '#/components/responses/Success'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.delete('/vintage/api-keys/:id', authenticateUser, async (req, res) => {
+    try {
+        await apiKeys.revoke(req.user.id, parseInt(req.params.id));
+        res.json({ success: true, message: 'API key revoked' });
+    } catch (error) {
+        sendApiKeyError(res, error, 'Failed to revoke API key');
+    }
+});
+
 // =============================================================================
 // ADDITIONAL MARKETPLACE ENDPOINTS
 // =============================================================================
 
+/**
+ * @openapi
+ * /api/vintage/stats/crosspost:
+ *   get:
+ *     tags: [Marketplace]
+ *     summary: Cross-posting success statistics for the seller
+ *     description: Sellers, or Premium sellers with an API key that has the crosspost scope.
+ *     security:
+ *       - bearerAuth: []
+ *       - sessionCookie: []
+ *       - apiKey: []
+ *     responses:
+ *       200:
+ *         description: Statistics
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 stats:
+ *                   type: object
+ *                   nullable: true
+ *                   properties:
+ *                     totalPosts:
+ *                       type: integer
+ *                     successfulPosts:
+ *                       type: integer
+ *                     pendingPosts:
+ *                       type: integer
+ *                     failedPosts:
+ *                       type: integer
+ *                     platformBreakdown:
+ *                       type: object
+ *                       additionalProperties: true
+ *                     successRate:
+ *                       type: string
+ *                       example: '92.5'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
 // Get cross-posting statistics for seller
-router.get('/vintage/stats/crosspost', authenticateUser, async (req, res) => {
+router.get('/vintage/stats/crosspost', sellerOrApiKey('crosspost'), async (req, res) => {
     try {
         const seller = await VintageSeller.findByUserId(req.user.id);
         if (!seller) {
@@ -424,8 +1242,38 @@ router.get('/vintage/stats/crosspost', authenticateUser, async (req, res) => {
     }
 });
 
+/**
+ * @openapi
+ * /api/vintage/retry-failed:
+ *   post:
+ *     tags: [Marketplace]
+ *     summary: Retry the seller's failed cross-posts in the background
+ *     description: Sellers, or Premium sellers with an API key that has the crosspost scope.
+ *     security:
+ *       - bearerAuth: []
+ *       - sessionCookie: []
+ *       - apiKey: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               platform:
+ *                 type: string
+ *                 description: Only retry this platform
+ *     responses:
+ *       202:
+ *         $ref: '#/components/responses/Accepted'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
 // Retry failed cross-posts
-router.post('/vintage/retry-failed', authenticateUser, async (req, res) => {
+router.post('/vintage/retry-failed', sellerOrApiKey('crosspost'), async (req, res) => {
     try {
         const { platform } = req.body;
         const seller = await VintageSeller.findByUserId(req.user.id);
@@ -433,22 +1281,72 @@ router.post('/vintage/retry-failed', authenticateUser, async (req, res) => {
             return res.status(404).json({ error: 'Seller profile not found' });
         }
 
-        const results = await crossPostingEngine.retryFailedPosts(seller.id, platform);
+        const job = await jobQueue.enqueue('crosspost-retry-failed', { sellerId: seller.id, platform: platform || null });
         
-        res.json({
+        res.status(202).json({
             success: true,
-            message: 'Retry completed',
-            results
+            message: 'Retry queued',
+            jobId: job.id,
+            status: job.status,
+            statusUrl: `/api/jobs/${job.id}`
         });
 
     } catch (error) {
         console.error('Retry failed posts error:', error);
-        res.status(500).json({ error: 'Failed to retry failed posts' });
+        res.status(500).json({ error: 'Failed to queue retry of failed posts' });
     }
 });
 
+/**
+ * @openapi
+ * /api/vintage/import/ebay:
+ *   post:
+ *     tags: [Vintage]
+ *     summary: Import an eBay listing as a draft item
+ *     description: Sellers, or Premium sellers with an API key that has the items:write scope.
+ *     security:
+ *       - bearerAuth: []
+ *       - sessionCookie: []
+ *       - apiKey: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [ebayUrl]
+ *             properties:
+ *               ebayUrl:
+ *                 type: string
+ *                 format: uri
+ *     responses:
+ *       200:
+ *         description: Draft item and possible duplicates
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 item:
+ *                   $ref: '#/components/schemas/VintageItem'
+ *                 possibleDuplicates:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     additionalProperties: true
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
 // Import from eBay URL
-router.post('/vintage/import/ebay', authenticateUser, async (req, res) => {
+router.post('/vintage/import/ebay', sellerOrApiKey('items:write'), async (req, res) => {
     try {
         const { ebayUrl } = req.body;
         const seller = await VintageSeller.findByUserId(req.user.id);
@@ -468,10 +1366,16 @@ router.post('/vintage/import/ebay', authenticateUser, async (req, res) => {
             status: 'draft'
         });
 
+        // The same piece may already be in the store catalog or imported before
+        const possibleDuplicates = await duplicateDetector.checkVintageItem(vintageItem);
+
         res.json({
             success: true,
-            message: 'Item imported from eBay',
-            item: vintageItem
+            message: possibleDuplicates.length > 0
+                ? 'Item imported from eBay - it looks like an existing listing, check possibleDuplicates'
+                : 'Item imported from eBay',
+            item: vintageItem,
+            possibleDuplicates
         });
 
     } catch (error) {
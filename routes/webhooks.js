@@ -0,0 +1,470 @@
+const express = require('express');
+const { requireRole } = require('../auth/identity');
+const { webhooks, WebhookError, WEBHOOK_EVENTS } = require('../services/WebhookService');
+const router = express.Router();
+
+// Sellers register endpoints for their own events; admin endpoints receive everyone's
+const authenticateUser = requireRole('seller');
+
+function sendWebhookError(res, error, fallback) {
+    if (error instanceof WebhookError) {
+        return res.status(error.status).json({ success: false, error: error.message });
+    }
+    console.error(`❌ ${fallback}:`, error);
+    res.status(500).json({ success: false, error: fallback });
+}
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     WebhookEndpoint:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         url:
+ *           type: string
+ *           format: uri
+ *         description:
+ *           type: string
+ *           nullable: true
+ *         events:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [item.published, item.sold, crosspost.failed, subscription.changed]
+ *         active:
+ *           type: boolean
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *     WebhookSecret:
+ *       type: object
+ *       description: The signing secret is only ever returned here
+ *       properties:
+ *         success:
+ *           type: boolean
+ *         message:
+ *           type: string
+ *         endpoint:
+ *           $ref: '#/components/schemas/WebhookEndpoint'
+ *         secret:
+ *           type: string
+ *           example: whsec_0123456789abcdef
+ *     WebhookDelivery:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         endpointId:
+ *           type: integer
+ *         eventId:
+ *           type: string
+ *         eventType:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [pending, retrying, succeeded, failed]
+ *         attempts:
+ *           type: integer
+ *         responseStatus:
+ *           type: integer
+ *           nullable: true
+ *         responseBody:
+ *           type: string
+ *           nullable: true
+ *         error:
+ *           type: string
+ *           nullable: true
+ *         durationMs:
+ *           type: integer
+ *           nullable: true
+ *         replayOf:
+ *           type: integer
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         lastAttemptAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         deliveredAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         url:
+ *           type: string
+ *     WebhookDeliveryAccepted:
+ *       type: object
+ *       properties:
+ *         success:
+ *           type: boolean
+ *         delivery:
+ *           $ref: '#/components/schemas/WebhookDelivery'
+ *
+ * /api/webhooks/events:
+ *   get:
+ *     tags: [Webhooks]
+ *     summary: Event types an endpoint can subscribe to
+ *     responses:
+ *       200:
+ *         description: Event types
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 events:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/webhooks/events', authenticateUser, (req, res) => {
+    res.json({ success: true, events: WEBHOOK_EVENTS });
+});
+
+/**
+ * @openapi
+ * /api/webhooks:
+ *   get:
+ *     tags: [Webhooks]
+ *     summary: My webhook endpoints (sellers)
+ *     responses:
+ *       200:
+ *         description: Endpoints
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 endpoints:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WebhookEndpoint'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/webhooks', authenticateUser, async (req, res) => {
+    try {
+        const endpoints = await webhooks.listEndpoints(req.user.id);
+        res.json({ success: true, endpoints });
+    } catch (error) {
+        sendWebhookError(res, error, 'Failed to load webhook endpoints');
+    }
+});
+
+/**
+ * @openapi
+ * /api/webhooks:
+ *   post:
+ *     tags: [Webhooks]
+ *     summary: Register a webhook endpoint for my events
+ *     description: Deliveries are signed with the returned secret in the X-VintageCrib-Signature header.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [url, events]
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 format: uri
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [item.published, item.sold, crosspost.failed, subscription.changed]
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: The endpoint and its signing secret
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookSecret'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+// Body: { url, events: ['item.sold', ...], description }
+router.post('/webhooks', authenticateUser, async (req, res) => {
+    try {
+        const { url, events, description } = req.body;
+        const created = await webhooks.createEndpoint(req.user.id, { url, events, description });
+        res.status(201).json({
+            success: true,
+            message: 'Use the secret to verify the X-VintageCrib-Signature header - it will not be shown again',
+            ...created
+        });
+    } catch (error) {
+        sendWebhookError(res, error, 'Failed to register webhook endpoint');
+    }
+});
+
+/**
+ * @openapi
+ * /api/webhooks/{id}:
+ *   put:
+ *     tags: [Webhooks]
+ *     summary: Change an endpoint's URL, events or description, or pause it
+ *     parameters:
+ *       - $ref: '#/components/parameters/id'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 format: uri
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               description:
+ *                 type: string
+ *               active:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Updated endpoint
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 endpoint:
+ *                   $ref: '#/components/schemas/WebhookEndpoint'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.put('/webhooks/:id', authenticateUser, async (req, res) => {
+    try {
+        const endpoint = await webhooks.updateEndpoint(req.user, parseInt(req.params.id), req.body);
+        res.json({ success: true, endpoint });
+    } catch (error) {
+        sendWebhookError(res, error, 'Failed to update webhook endpoint');
+    }
+});
+
+/**
+ * @openapi
+ * /api/webhooks/{id}:
+ *   delete:
+ *     tags: [Webhooks]
+ *     summary: Remove an endpoint
+ *     parameters:
+ *       - $ref: '#/components/parameters/id'
+ *     responses:
+ *       200:
+ *         $ref: '#/components/responses/Success'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.delete('/webhooks/:id', authenticateUser, async (req, res) => {
+    try {
+        await webhooks.deleteEndpoint(req.user, parseInt(req.params.id));
+        res.json({ success: true, message: 'Webhook endpoint removed' });
+    } catch (error) {
+        sendWebhookError(res, error, 'Failed to remove webhook endpoint');
+    }
+});
+
+/**
+ * @openapi
+ * /api/webhooks/{id}/rotate-secret:
+ *   post:
+ *     tags: [Webhooks]
+ *     summary: Replace an endpoint's signing secret
+ *     parameters:
+ *       - $ref: '#/components/parameters/id'
+ *     responses:
+ *       200:
+ *         description: The endpoint and its new secret
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookSecret'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.post('/webhooks/:id/rotate-secret', authenticateUser, async (req, res) => {
+    try {
+        const rotated = await webhooks.rotateSecret(req.user, parseInt(req.params.id));
+        res.json({ success: true, ...rotated });
+    } catch (error) {
+        sendWebhookError(res, error, 'Failed to rotate webhook secret');
+    }
+});
+
+/**
+ * @openapi
+ * /api/webhooks/{id}/test:
+ *   post:
+ *     tags: [Webhooks]
+ *     summary: Send a 'ping' event to check the receiver
+ *     parameters:
+ *       - $ref: '#/components/parameters/id'
+ *     responses:
+ *       202:
+ *         description: The queued delivery
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookDeliveryAccepted'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+// Send a 'ping' event to check the receiver
+router.post('/webhooks/:id/test', authenticateUser, async (req, res) => {
+    try {
+        const delivery = await webhooks.sendTest(req.user, parseInt(req.params.id));
+        res.status(202).json({ success: true, delivery: webhooks.describeDelivery(delivery) });
+    } catch (error) {
+        sendWebhookError(res, error, 'Failed to send test webhook');
+    }
+});
+
+/**
+ * @openapi
+ * /api/webhooks/{id}/deliveries:
+ *   get:
+ *     tags: [Webhooks]
+ *     summary: Recent deliveries to one of my endpoints
+ *     parameters:
+ *       - $ref: '#/components/parameters/id'
+ *       - name: limit
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *     responses:
+ *       200:
+ *         description: Deliveries, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 deliveries:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WebhookDelivery'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/webhooks/:id/deliveries', authenticateUser, async (req, res) => {
+    try {
+        const deliveries = await webhooks.listDeliveries(req.user, parseInt(req.params.id), Math.min(parseInt(req.query.limit) || 50, 200));
+        res.json({ success: true, deliveries });
+    } catch (error) {
+        sendWebhookError(res, error, 'Failed to load webhook deliveries');
+    }
+});
+
+// =============================================================================
+// ADMIN - delivery log across every endpoint, and replays
+// =============================================================================
+
+/**
+ * @openapi
+ * /api/admin/webhooks/deliveries:
+ *   get:
+ *     tags: [Webhooks, Admin]
+ *     summary: Delivery log across every endpoint (admin)
+ *     parameters:
+ *       - name: status
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [pending, retrying, succeeded, failed]
+ *       - name: limit
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *     responses:
+ *       200:
+ *         description: Deliveries, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 deliveries:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WebhookDelivery'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+// ?status=pending|retrying|succeeded|failed
+router.get('/admin/webhooks/deliveries', requireRole('admin'), async (req, res) => {
+    try {
+        const deliveries = await webhooks.listRecentDeliveries({
+            status: req.query.status || null,
+            limit: Math.min(parseInt(req.query.limit) || 50, 200)
+        });
+        res.json({ success: true, deliveries });
+    } catch (error) {
+        sendWebhookError(res, error, 'Failed to load webhook deliveries');
+    }
+});
+
+/**
+ * @openapi
+ * /api/admin/webhooks/deliveries/{id}/replay:
+ *   post:
+ *     tags: [Webhooks, Admin]
+ *     summary: Send a delivery again (admin)
+ *     parameters:
+ *       - $ref: '#/components/parameters/id'
+ *     responses:
+ *       202:
+ *         description: The new delivery (replayOf points at the original)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookDeliveryAccepted'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.post('/admin/webhooks/deliveries/:id/replay', requireRole('admin'), async (req, res) => {
+    try {
+        const delivery = await webhooks.replay(parseInt(req.params.id));
+        res.status(202).json({ success: true, delivery: webhooks.describeDelivery(delivery) });
+    } catch (error) {
+        sendWebhookError(res, error, 'Failed to replay webhook delivery');
+    }
+});
+
+module.exports = router;
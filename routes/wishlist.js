@@ -0,0 +1,263 @@
+const express = require('express');
+const { requireAuth } = require('../auth/identity');
+const { wishlistService, WishlistError } = require('../services/WishlistService');
+const router = express.Router();
+
+function sendWishlistError(res, error, fallback) {
+    if (error instanceof WishlistError) {
+        return res.status(error.status).json({ success: false, error: error.message });
+    }
+    console.error(`❌ ${fallback}:`, error);
+    res.status(500).json({ success: false, error: fallback });
+}
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     WishlistEntry:
+ *       type: object
+ *       properties:
+ *         itemId:
+ *           type: integer
+ *         title:
+ *           type: string
+ *         price:
+ *           type: number
+ *         image:
+ *           type: string
+ *           nullable: true
+ *         url:
+ *           type: string
+ *         status:
+ *           type: string
+ *         available:
+ *           type: boolean
+ *         seller:
+ *           type: string
+ *           nullable: true
+ *         likes:
+ *           type: integer
+ *         addedAt:
+ *           type: string
+ *           format: date-time
+ *
+ * /api/wishlist:
+ *   get:
+ *     tags: [Wishlist]
+ *     summary: My wishlist, newest first, with item details
+ *     responses:
+ *       200:
+ *         description: Wishlist entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 items:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WishlistEntry'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+// My wishlist, newest first, with item details
+router.get('/wishlist', requireAuth, async (req, res) => {
+    try {
+        const items = await wishlistService.list(req.user.id);
+        res.json({ success: true, count: items.length, items });
+    } catch (error) {
+        sendWishlistError(res, error, 'Failed to load wishlist');
+    }
+});
+
+/**
+ * @openapi
+ * /api/wishlist/share:
+ *   post:
+ *     tags: [Wishlist]
+ *     summary: Get a public link to my wishlist (the same link until it is revoked)
+ *     responses:
+ *       200:
+ *         description: Share token and link
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 token:
+ *                   type: string
+ *                 url:
+ *                   type: string
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+// Public link to the wishlist (the same link until it is revoked)
+router.post('/wishlist/share', requireAuth, async (req, res) => {
+    try {
+        res.json({ success: true, ...await wishlistService.share(req.user.id) });
+    } catch (error) {
+        sendWishlistError(res, error, 'Failed to share wishlist');
+    }
+});
+
+/**
+ * @openapi
+ * /api/wishlist/share:
+ *   delete:
+ *     tags: [Wishlist]
+ *     summary: Revoke the public wishlist link
+ *     responses:
+ *       200:
+ *         description: Whether a link existed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 revoked:
+ *                   type: boolean
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.delete('/wishlist/share', requireAuth, async (req, res) => {
+    try {
+        const revoked = await wishlistService.unshare(req.user.id);
+        res.json({ success: true, revoked });
+    } catch (error) {
+        sendWishlistError(res, error, 'Failed to revoke wishlist link');
+    }
+});
+
+/**
+ * @openapi
+ * /api/wishlist/{itemId}:
+ *   post:
+ *     tags: [Wishlist]
+ *     summary: Add a vintage item to my wishlist (counts as a like for the seller)
+ *     parameters:
+ *       - $ref: '#/components/parameters/itemId'
+ *     responses:
+ *       200:
+ *         description: Already on the wishlist
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 added:
+ *                   type: boolean
+ *                   example: false
+ *                 message:
+ *                   type: string
+ *       201:
+ *         description: Added
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 added:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *       400:
+ *         description: The item is not for sale
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.post('/wishlist/:itemId', requireAuth, async (req, res) => {
+    try {
+        const { added } = await wishlistService.add(req.user.id, parseInt(req.params.itemId));
+        res.status(added ? 201 : 200).json({
+            success: true,
+            added,
+            message: added ? 'Added to your wishlist' : 'Already on your wishlist'
+        });
+    } catch (error) {
+        sendWishlistError(res, error, 'Failed to add to wishlist');
+    }
+});
+
+/**
+ * @openapi
+ * /api/wishlist/{itemId}:
+ *   delete:
+ *     tags: [Wishlist]
+ *     summary: Remove an item from my wishlist
+ *     parameters:
+ *       - $ref: '#/components/parameters/itemId'
+ *     responses:
+ *       200:
+ *         $ref: '#/components/responses/Success'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.delete('/wishlist/:itemId', requireAuth, async (req, res) => {
+    try {
+        await wishlistService.remove(req.user.id, parseInt(req.params.itemId));
+        res.json({ success: true, message: 'Removed from your wishlist' });
+    } catch (error) {
+        sendWishlistError(res, error, 'Failed to remove from wishlist');
+    }
+});
+
+/**
+ * @openapi
+ * /api/wishlists/{token}:
+ *   get:
+ *     tags: [Wishlist]
+ *     summary: A shared wishlist (only the owner's username is shown)
+ *     security: []
+ *     parameters:
+ *       - name: token
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Owner and visible items
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 owner:
+ *                   type: string
+ *                 items:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WishlistEntry'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+// Shared wishlist - no login needed
+router.get('/wishlists/:token', async (req, res) => {
+    try {
+        res.json({ success: true, ...await wishlistService.getShared(req.params.token) });
+    } catch (error) {
+        sendWishlistError(res, error, 'Failed to load wishlist');
+    }
+});
+
+module.exports = router;
@@ -137,6 +137,18 @@ class AnalyticsService {
                 AND JSON_EXTRACT(metadata, '$.sale_price') IS NOT NULL
             `, [sellerId]);
 
+            // Get checkout orders (orders.seller_id is the vintage_sellers id)
+            const orderStats = await query(`
+                SELECT 
+                    o.status,
+                    COUNT(*) as orders,
+                    COALESCE(SUM(o.total_amount), 0) as amount
+                FROM orders o
+                JOIN vintage_sellers vs ON o.seller_id = vs.id
+                WHERE vs.user_id = ? AND o.created_at >= date('now', '-${dateRange} days')
+                GROUP BY o.status
+            `, [sellerId]);
+
             return {
                 success: true,
                 data: {
@@ -145,6 +157,7 @@ class AnalyticsService {
                     dailyTrends: dailyTrends.rows || [],
                     topItems: topItems.rows || [],
                     revenue: revenueData.rows[0] || { total_revenue: 0, avg_sale_price: 0, total_sales: 0 },
+                    orders: this.summarizeOrders(orderStats.rows || []),
                     dateRange: dateRange
                 }
             };
@@ -155,6 +168,23 @@ class AnalyticsService {
         }
     }
 
+    // Order counts per status; revenue only counts orders that were paid for
+    summarizeOrders(rows) {
+        const summary = { total: 0, byStatus: {}, revenue: 0 };
+
+        rows.forEach(row => {
+            const count = parseInt(row.orders) || 0;
+            summary.total += count;
+            summary.byStatus[row.status] = count;
+            if (['paid', 'shipped', 'delivered'].includes(row.status)) {
+                summary.revenue += parseFloat(row.amount) || 0;
+            }
+        });
+
+        summary.revenue = Math.round(summary.revenue * 100) / 100;
+        return summary;
+    }
+
     // Get admin analytics (platform usage, top sellers, etc.)
     async getAdminAnalytics(dateRange = 30) {
         try {
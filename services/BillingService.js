@@ -0,0 +1,686 @@
+const { BillingAccount, Invoice, InvoiceLineItem, User, VintageSeller } = require('../database/models');
+const { paymentProviders } = require('./payments');
+const { entitlements } = require('./Entitlements');
+const { notifiers } = require('./notifications');
+const { escapeHtml } = require('./search/analyzer');
+const VintageSubscriptionService = require('./VintageSubscriptionService');
+const { formatMoney, renderInvoiceHtml, renderInvoicePdf } = require('./billing/invoice');
+
+// Length of a billing period and its price in monthly prices (annual gets two months free)
+const BILLING_CYCLES = {
+    monthly: { months: 1, priceMultiplier: 1, label: 'Monthly' },
+    annual: { months: 12, priceMultiplier: 10, label: 'Annual' }
+};
+
+// Days to wait before each retry of a failed renewal. When the last retry
+// fails too, the invoice is written off and the user drops to the free tier.
+const DUNNING_RETRY_DAYS = [1, 2, 4];
+
+// The billing job runs hourly; the tier stays active this long past the end of
+// a period so a renewal is never late
+const RENEWAL_GRACE_DAYS = 1;
+
+const INVOICE_STATUSES = ['open', 'paid', 'void', 'uncollectible'];
+
+class BillingError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'BillingError';
+        this.status = status;
+    }
+}
+
+// SQLite returns CURRENT_TIMESTAMP as 'YYYY-MM-DD HH:MM:SS' in UTC without a zone
+function parseTimestamp(value) {
+    if (value instanceof Date || typeof value === 'number') return new Date(value);
+    return new Date(/[zZ]|[+-]\d\d:?\d\d$/.test(value) ? value : `${String(value).replace(' ', 'T')}Z`);
+}
+
+function toIso(value) {
+    return value ? parseTimestamp(value).toISOString() : null;
+}
+
+function addDays(date, days) {
+    return new Date(date.getTime() + days * 24 * 60 * 60 * 1000);
+}
+
+// Same day of the month, or the last day of a shorter month
+function addMonths(date, months) {
+    const result = new Date(date);
+    const dayOfMonth = result.getUTCDate();
+    result.setUTCDate(1);
+    result.setUTCMonth(result.getUTCMonth() + months);
+    const lastDay = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+    result.setUTCDate(Math.min(dayOfMonth, lastDay));
+    return result;
+}
+
+// Amounts are worked out in cents and stored in dollars
+const toCents = amount => Math.round((parseFloat(amount) || 0) * 100);
+const fromCents = cents => cents / 100;
+const day = date => date.toISOString().slice(0, 10);
+
+// Paid subscriptions: billing periods, prorated plan changes, invoices and
+// dunning. user_subscriptions still decides which tier a user is on - this
+// service moves it (through VintageSubscriptionService) once a plan is paid for
+// and takes it away again when renewals can't be collected.
+class BillingService {
+    constructor(options = {}) {
+        this.models = options.models || { BillingAccount, Invoice, InvoiceLineItem, User, VintageSeller };
+        this.entitlements = options.entitlements || entitlements;
+        this.subscriptions = options.subscriptions || new VintageSubscriptionService({ entitlements: this.entitlements });
+        this.payments = options.payments || paymentProviders;
+        this.notifiers = options.notifiers || notifiers;
+        this.retryDays = options.retryDays || DUNNING_RETRY_DAYS;
+    }
+
+    cycleOf(name) {
+        if (!BILLING_CYCLES[name]) {
+            throw new BillingError(`Unknown billing cycle: ${name}. Use ${Object.keys(BILLING_CYCLES).join(' or ')}`);
+        }
+        return BILLING_CYCLES[name];
+    }
+
+    cyclePrice(tier, cycleName) {
+        return Math.round(toCents(tier.price) * this.cycleOf(cycleName).priceMultiplier);
+    }
+
+    tierName(tierId) {
+        const tier = this.entitlements.catalog.tier(tierId);
+        return tier ? tier.name : tierId;
+    }
+
+    expiryFor(periodEnd) {
+        return addDays(parseTimestamp(periodEnd), RENEWAL_GRACE_DAYS);
+    }
+
+    // What moving to tierName would cost right now, without charging anything.
+    // New subscriptions pay for a full period; plan changes credit the unused
+    // part of the current period and charge the rest of it at the new price.
+    async quote(userId, tierName, { cycle = null, now = new Date() } = {}) {
+        const tier = this.entitlements.catalog.tier(tierName);
+        if (!tier) {
+            throw new BillingError('Invalid subscription tier');
+        }
+        if (toCents(tier.price) <= 0) {
+            throw new BillingError(`${tier.name} is free - cancel your paid subscription instead`);
+        }
+
+        const account = await this.models.BillingAccount.findByUser(userId);
+        const current = account && account.status !== 'cancelled' ? account : null;
+        if (current && current.status === 'past_due') {
+            throw new BillingError('Your last renewal payment failed - update your payment method first', 402);
+        }
+
+        const cycleName = cycle || (current ? current.cycle : 'monthly');
+        const { months, label } = this.cycleOf(cycleName);
+        const price = this.cyclePrice(tier, cycleName);
+        const fullPeriod = start => {
+            const end = addMonths(start, months);
+            return {
+                periodStart: start,
+                periodEnd: end,
+                line: {
+                    description: `${tier.name} (${label}) ${day(start)} – ${day(end)}`,
+                    tier: tier.id,
+                    amount: price,
+                    proration: false,
+                    period_start: start,
+                    period_end: end
+                }
+            };
+        };
+
+        let reason;
+        let periodStart;
+        let periodEnd;
+        const lines = [];
+
+        if (!current) {
+            const period = fullPeriod(now);
+            reason = 'subscription_create';
+            ({ periodStart, periodEnd } = period);
+            lines.push(period.line);
+        } else {
+            if (current.tier === tier.id && current.cycle === cycleName) {
+                throw new BillingError(`You are already on the ${tier.name} plan`);
+            }
+
+            const start = parseTimestamp(current.period_start);
+            const end = parseTimestamp(current.period_end);
+            const remaining = Math.min(Math.max((end - now) / (end - start), 0), 1);
+
+            reason = 'subscription_update';
+            lines.push({
+                description: `Unused time on ${this.tierName(current.tier)} (${this.cycleOf(current.cycle).label}) after ${day(now)}`,
+                tier: current.tier,
+                amount: -Math.round(toCents(current.price) * remaining),
+                proration: true,
+                period_start: now,
+                period_end: end
+            });
+
+            if (cycleName === current.cycle) {
+                periodStart = start;
+                periodEnd = end;
+                lines.push({
+                    description: `Remaining time on ${tier.name} (${label}) after ${day(now)}`,
+                    tier: tier.id,
+                    amount: Math.round(price * remaining),
+                    proration: true,
+                    period_start: now,
+                    period_end: end
+                });
+            } else {
+                // Switching cycle starts a new period today
+                const period = fullPeriod(now);
+                ({ periodStart, periodEnd } = period);
+                lines.push(period.line);
+            }
+        }
+
+        // Downgrades leave a credit that is used up by later invoices
+        const credit = account ? toCents(account.credit_balance) : 0;
+        const subtotal = lines.reduce((sum, line) => sum + line.amount, 0);
+        const creditApplied = subtotal > 0 ? Math.min(credit, subtotal) : 0;
+
+        return {
+            account: current,
+            savedPaymentMethod: account ? account.payment_method : null,
+            tier,
+            cycle: cycleName,
+            price,
+            reason,
+            periodStart,
+            periodEnd,
+            lines,
+            subtotal,
+            creditApplied,
+            total: subtotal - creditApplied,
+            creditAfter: credit - creditApplied + Math.max(-subtotal, 0)
+        };
+    }
+
+    async preview(userId, tierName, options = {}) {
+        const quote = await this.quote(userId, tierName, options);
+        return {
+            tier: quote.tier.id,
+            tierName: quote.tier.name,
+            cycle: quote.cycle,
+            periodStart: toIso(quote.periodStart),
+            periodEnd: toIso(quote.periodEnd),
+            lines: quote.lines.map(line => ({
+                description: line.description,
+                amount: fromCents(line.amount),
+                proration: line.proration
+            })),
+            subtotal: fromCents(quote.subtotal),
+            creditApplied: fromCents(quote.creditApplied),
+            total: fromCents(quote.total),
+            creditBalanceAfter: fromCents(quote.creditAfter)
+        };
+    }
+
+    // Starts a paid plan or changes it, charging the saved (or given) payment
+    // method straight away. Nothing changes when the charge is declined.
+    async subscribe(userId, tierName, { cycle = null, paymentMethod = null, now = new Date() } = {}) {
+        const { BillingAccount, Invoice } = this.models;
+        const quote = await this.quote(userId, tierName, { cycle, now });
+        const { account, tier } = quote;
+        const method = paymentMethod || quote.savedPaymentMethod;
+        if (!method) {
+            throw new BillingError('paymentMethod is required');
+        }
+        if (!this.payments.isAvailable()) {
+            throw new BillingError('Paid plans are unavailable: no payment provider is configured', 503);
+        }
+        const provider = this.payments.get();
+
+        const invoice = await this.createInvoice(userId, quote, provider.id);
+        const result = await this.settle(invoice, method, tier.id, now);
+        if (!result.paid) {
+            await Invoice.update(invoice.id, { status: 'void' });
+            throw new BillingError(result.error, 402);
+        }
+
+        await BillingAccount.open({
+            user_id: userId,
+            tier: tier.id,
+            cycle: quote.cycle,
+            price: fromCents(quote.price),
+            provider: provider.id,
+            payment_method: method,
+            period_start: quote.periodStart.toISOString(),
+            period_end: quote.periodEnd.toISOString()
+        });
+        await BillingAccount.update(userId, { credit_balance: fromCents(quote.creditAfter) });
+
+        const expiresAt = this.expiryFor(quote.periodEnd);
+        if (account && account.tier === tier.id) {
+            // Only the cycle changed - keep whatever terms they were granted
+            await this.subscriptions.extendSubscription(userId, expiresAt);
+        } else {
+            const { catalog } = this.entitlements;
+            await this.subscriptions.setTier(userId, tier.id, {
+                expiresAt,
+                changeType: account && catalog.rank(tier.id) < catalog.rank(account.tier) ? 'user_downgrade' : 'user_upgrade'
+            });
+            await this.mirrorSellerTier(userId, tier.id);
+        }
+
+        console.log(`💳 User ${userId} is now billed ${quote.cycle} for ${tier.id} (invoice ${invoice.number})`);
+        return {
+            billing: this.formatAccount(await BillingAccount.findByUser(userId)),
+            invoice: await this.getInvoice(userId, invoice.id)
+        };
+    }
+
+    // Stops renewing; the paid tier lasts until the end of the period.
+    // With a renewal already failing there is nothing left to wait for.
+    async cancel(userId) {
+        const { BillingAccount, Invoice } = this.models;
+        const account = await this.requireAccount(userId);
+
+        if (account.status === 'past_due') {
+            const open = await Invoice.findOpenByUser(userId);
+            if (open) {
+                await Invoice.update(open.id, { status: 'void', next_attempt_at: null });
+            }
+            await BillingAccount.update(userId, { status: 'cancelled', cancel_at_period_end: false });
+            await this.endSubscription(userId, 'user_cancel');
+        } else {
+            await BillingAccount.update(userId, { cancel_at_period_end: true });
+        }
+        return this.formatAccount(await BillingAccount.findByUser(userId));
+    }
+
+    async resume(userId) {
+        const account = await this.requireAccount(userId);
+        if (!account.cancel_at_period_end) {
+            throw new BillingError('Your subscription is not set to cancel');
+        }
+        return this.formatAccount(await this.models.BillingAccount.update(userId, { cancel_at_period_end: false }));
+    }
+
+    // Saves the new payment method and retries a failed renewal with it
+    async updatePaymentMethod(userId, paymentMethod, now = new Date()) {
+        if (!paymentMethod) {
+            throw new BillingError('paymentMethod is required');
+        }
+
+        const { BillingAccount, Invoice } = this.models;
+        await this.requireAccount(userId);
+        const account = await BillingAccount.update(userId, { payment_method: paymentMethod });
+
+        let outcome = null;
+        const open = account.status === 'past_due' ? await Invoice.findOpenByUser(userId) : null;
+        if (open) {
+            outcome = await this.collect(account, open, now);
+            if (outcome === 'failed') {
+                throw new BillingError((await Invoice.findById(open.id)).last_error || 'Payment failed', 402);
+            }
+        }
+
+        return {
+            billing: this.formatAccount(await BillingAccount.findByUser(userId)),
+            invoice: open ? await this.getInvoice(userId, open.id) : null
+        };
+    }
+
+    async requireAccount(userId) {
+        const account = await this.models.BillingAccount.findByUser(userId);
+        if (!account || account.status === 'cancelled') {
+            throw new BillingError('You have no paid subscription', 404);
+        }
+        return account;
+    }
+
+    async createInvoice(userId, { reason, periodStart, periodEnd, lines, subtotal, creditApplied, total }, provider) {
+        const { Invoice, InvoiceLineItem } = this.models;
+        const invoice = await Invoice.create({
+            user_id: userId,
+            reason,
+            subtotal: fromCents(subtotal),
+            credit_applied: fromCents(creditApplied),
+            total: fromCents(Math.max(total, 0)),
+            period_start: toIso(periodStart),
+            period_end: toIso(periodEnd),
+            provider
+        });
+
+        for (const line of lines) {
+            await InvoiceLineItem.create(invoice.id, {
+                ...line,
+                amount: fromCents(line.amount),
+                period_start: toIso(line.period_start),
+                period_end: toIso(line.period_end)
+            });
+        }
+        return invoice;
+    }
+
+    // Charges an open invoice; returns { paid, error }
+    async settle(invoice, paymentMethod, tierId, now = new Date()) {
+        const { Invoice } = this.models;
+        const total = toCents(invoice.total);
+        const attempts = (parseInt(invoice.attempt_count) || 0) + 1;
+
+        if (total <= 0) {
+            await Invoice.update(invoice.id, { status: 'paid', paid_at: now.toISOString() });
+            return { paid: true, error: null };
+        }
+
+        // An invoice opened against a provider that is no longer registered (e.g. the
+        // fake one, outside test/development) is a failed charge and goes to dunning
+        let provider;
+        let result;
+        try {
+            provider = this.payments.get(invoice.provider);
+            result = await provider.charge({
+                amount: fromCents(total),
+                currency: invoice.currency || 'usd',
+                paymentMethod,
+                description: `Vintage Crib subscription (invoice ${invoice.number})`,
+                reference: invoice.number
+            });
+        } catch (error) {
+            result = { id: null, status: 'failed', error: error.message };
+        }
+
+        if (result.status !== 'succeeded') {
+            const error = result.error || 'Payment failed';
+            await Invoice.update(invoice.id, { attempt_count: attempts, last_error: error, provider_payment_id: result.id });
+            return { paid: false, error };
+        }
+
+        await Invoice.update(invoice.id, {
+            status: 'paid',
+            attempt_count: attempts,
+            provider_payment_id: result.id,
+            paid_at: now.toISOString(),
+            next_attempt_at: null,
+            last_error: null
+        });
+        await this.subscriptions.trackRevenue(fromCents(total), invoice.user_id, tierId, provider.id, result.id);
+        return { paid: true, error: null };
+    }
+
+    // Collects a renewal invoice and applies the outcome:
+    // 'paid', 'failed' (retry scheduled) or 'downgraded' (out of retries)
+    async collect(account, invoice, now = new Date()) {
+        const { BillingAccount, Invoice } = this.models;
+        const userId = account.user_id;
+        const attempts = (parseInt(invoice.attempt_count) || 0) + 1;
+        const result = await this.settle(invoice, account.payment_method, account.tier, now);
+
+        if (result.paid) {
+            await BillingAccount.update(userId, { status: 'active' });
+            await this.subscriptions.extendSubscription(userId, this.expiryFor(account.period_end));
+            return 'paid';
+        }
+
+        const retryIn = this.retryDays[attempts - 1];
+
+        if (retryIn === undefined) {
+            await Invoice.update(invoice.id, { status: 'uncollectible', next_attempt_at: null });
+            await BillingAccount.update(userId, { status: 'cancelled', cancel_at_period_end: false });
+            await this.endSubscription(userId, 'payment_failed');
+            await this.notify(userId, {
+                type: 'billing_downgraded',
+                subject: 'Your Vintage Crib plan was downgraded',
+                summary: `We couldn't collect ${formatMoney(invoice.total)} for invoice ${invoice.number} after ${attempts} attempts (${result.error}), so your store is back on the free tier. You can subscribe again at any time.`,
+                data: { invoiceId: invoice.id }
+            });
+            console.log(`⚠️ User ${userId} downgraded after ${attempts} failed payments for ${invoice.number}`);
+            return 'downgraded';
+        }
+
+        // Keep the paid tier while we retry
+        const nextAttempt = addDays(now, retryIn);
+        await Invoice.update(invoice.id, { next_attempt_at: nextAttempt.toISOString() });
+        await BillingAccount.update(userId, { status: 'past_due' });
+        await this.subscriptions.extendSubscription(userId, addDays(nextAttempt, RENEWAL_GRACE_DAYS));
+        await this.notify(userId, {
+            type: 'billing_payment_failed',
+            subject: 'Your Vintage Crib payment failed',
+            summary: `We couldn't collect ${formatMoney(invoice.total)} for invoice ${invoice.number}: ${result.error}. We'll try again on ${day(nextAttempt)} - update your payment method to keep your ${this.tierName(account.tier)} plan.`,
+            data: { invoiceId: invoice.id, nextAttemptAt: nextAttempt.toISOString() }
+        });
+        return 'failed';
+    }
+
+    // Bills the next period of an account whose current one has ended
+    async renew(account, now = new Date()) {
+        const { BillingAccount } = this.models;
+        const { months, label } = this.cycleOf(account.cycle);
+        const tier = this.entitlements.catalog.tier(account.tier);
+
+        // Renewals never cost more than the price the plan was taken at
+        const price = tier ? Math.min(toCents(account.price), this.cyclePrice(tier, account.cycle)) : toCents(account.price);
+        const periodStart = parseTimestamp(account.period_end);
+        const periodEnd = addMonths(periodStart, months);
+        const credit = toCents(account.credit_balance);
+        const creditApplied = Math.min(credit, price);
+
+        const invoice = await this.createInvoice(account.user_id, {
+            reason: 'subscription_cycle',
+            periodStart,
+            periodEnd,
+            lines: [{
+                description: `${this.tierName(account.tier)} (${label}) ${day(periodStart)} – ${day(periodEnd)}`,
+                tier: account.tier,
+                amount: price,
+                proration: false,
+                period_start: periodStart,
+                period_end: periodEnd
+            }],
+            subtotal: price,
+            creditApplied,
+            total: price - creditApplied
+        }, account.provider);
+
+        const renewed = await BillingAccount.update(account.user_id, {
+            price: fromCents(price),
+            period_start: periodStart.toISOString(),
+            period_end: periodEnd.toISOString(),
+            credit_balance: fromCents(credit - creditApplied)
+        });
+        return this.collect(renewed, invoice, now);
+    }
+
+    // Billing job: renew ended periods, retry failed renewals, end cancelled plans
+    async runCycle(now = new Date()) {
+        const { BillingAccount, Invoice } = this.models;
+        const stats = { renewed: 0, failed: 0, recovered: 0, downgraded: 0, cancelled: 0 };
+
+        for (const account of await BillingAccount.getDueForRenewal(now.toISOString())) {
+            try {
+                if (account.cancel_at_period_end) {
+                    await BillingAccount.update(account.user_id, { status: 'cancelled', cancel_at_period_end: false });
+                    await this.endSubscription(account.user_id, 'user_cancel');
+                    stats.cancelled++;
+                    continue;
+                }
+
+                const outcome = await this.renew(account, now);
+                stats[outcome === 'paid' ? 'renewed' : outcome]++;
+            } catch (error) {
+                console.error(`❌ Renewal failed for user ${account.user_id}:`, error.message);
+            }
+        }
+
+        for (const invoice of await Invoice.getDueForRetry(now.toISOString())) {
+            try {
+                const account = await BillingAccount.findByUser(invoice.user_id);
+                if (!account || account.status === 'cancelled') {
+                    await Invoice.update(invoice.id, { status: 'void', next_attempt_at: null });
+                    continue;
+                }
+
+                const outcome = await this.collect(account, invoice, now);
+                stats[outcome === 'paid' ? 'recovered' : outcome]++;
+            } catch (error) {
+                console.error(`❌ Payment retry failed for invoice ${invoice.number}:`, error.message);
+            }
+        }
+
+        return stats;
+    }
+
+    // For tiers the daily sweep finds lapsed: closes whatever billing account is
+    // still open so billing, the tier and the store page all say free afterwards
+    async expireSubscription(userId) {
+        const { BillingAccount, Invoice } = this.models;
+        const account = await BillingAccount.findByUser(userId);
+        if (account && account.status !== 'cancelled') {
+            const open = await Invoice.findOpenByUser(userId);
+            if (open) {
+                await Invoice.update(open.id, { status: 'void', next_attempt_at: null });
+            }
+            await BillingAccount.update(userId, { status: 'cancelled', cancel_at_period_end: false });
+        }
+        await this.endSubscription(userId, 'auto_downgrade_expired');
+    }
+
+    async endSubscription(userId, changeType) {
+        await this.subscriptions.downgradeToFree(userId, changeType);
+        await this.mirrorSellerTier(userId, this.entitlements.catalog.defaultTier);
+    }
+
+    // vintage_sellers.subscription_tier is only shown on the store page
+    async mirrorSellerTier(userId, tierId) {
+        const { VintageSeller } = this.models;
+        const seller = await VintageSeller.findByUserId(userId);
+        if (seller) {
+            await VintageSeller.setSubscriptionTier(seller.id, tierId);
+        }
+    }
+
+    async notify(userId, { type, subject, summary, data }) {
+        const user = await this.models.User.findById(userId);
+        const recipient = { userId, email: (user && user.email) || null };
+        const message = {
+            type,
+            subject,
+            summary,
+            url: '/api/billing',
+            text: `${summary}\n\nManage your subscription from your Vintage Crib dashboard.`,
+            html: `<p>${escapeHtml(summary)}</p><p>Manage your subscription from your Vintage Crib dashboard.</p>`,
+            data
+        };
+
+        for (const notifier of this.notifiers.forRecipient(recipient)) {
+            try {
+                await notifier.send(recipient, message);
+            } catch (error) {
+                console.error(`❌ Billing ${type} via ${notifier.id} failed:`, error.message);
+            }
+        }
+    }
+
+    formatAccount(account) {
+        if (!account) return null;
+        return {
+            tier: account.tier,
+            tierName: this.tierName(account.tier),
+            cycle: account.cycle,
+            price: parseFloat(account.price),
+            status: account.status,
+            provider: account.provider,
+            paymentMethod: account.payment_method,
+            currentPeriodStart: toIso(account.period_start),
+            currentPeriodEnd: toIso(account.period_end),
+            cancelAtPeriodEnd: !!account.cancel_at_period_end,
+            creditBalance: parseFloat(account.credit_balance) || 0
+        };
+    }
+
+    formatInvoice(invoice, lines = null) {
+        const formatted = {
+            id: invoice.id,
+            number: invoice.number,
+            reason: invoice.reason,
+            status: invoice.status,
+            currency: invoice.currency,
+            subtotal: parseFloat(invoice.subtotal),
+            creditApplied: parseFloat(invoice.credit_applied) || 0,
+            total: parseFloat(invoice.total),
+            periodStart: toIso(invoice.period_start),
+            periodEnd: toIso(invoice.period_end),
+            attemptCount: parseInt(invoice.attempt_count) || 0,
+            nextAttemptAt: toIso(invoice.next_attempt_at),
+            lastError: invoice.last_error || null,
+            paidAt: toIso(invoice.paid_at),
+            createdAt: toIso(invoice.created_at),
+            downloadUrl: `/api/billing/invoices/${invoice.id}/download`
+        };
+        if (lines) {
+            formatted.lines = lines.map(line => ({
+                description: line.description,
+                tier: line.tier,
+                amount: parseFloat(line.amount),
+                proration: !!line.proration
+            }));
+        }
+        return formatted;
+    }
+
+    async getSummary(userId) {
+        const account = await this.models.BillingAccount.findByUser(userId);
+        return {
+            billing: this.formatAccount(account),
+            subscription: await this.entitlements.forUser(userId),
+            cycles: Object.entries(BILLING_CYCLES).map(([id, cycle]) => ({ id, label: cycle.label, months: cycle.months, priceMultiplier: cycle.priceMultiplier })),
+            provider: this.payments.isAvailable() ? this.payments.get().describe() : null
+        };
+    }
+
+    async listInvoices(userId) {
+        const invoices = await this.models.Invoice.getByUser(userId);
+        return invoices.map(invoice => this.formatInvoice(invoice));
+    }
+
+    async getInvoice(userId, invoiceId) {
+        const { Invoice, InvoiceLineItem } = this.models;
+        const invoice = await Invoice.findById(invoiceId);
+        if (!invoice || parseInt(invoice.user_id) !== parseInt(userId)) {
+            throw new BillingError('Invoice not found', 404);
+        }
+        return this.formatInvoice(invoice, await InvoiceLineItem.getByInvoice(invoice.id));
+    }
+
+    // Downloadable copy: { contentType, filename, body }
+    async renderInvoice(userId, invoiceId, format = 'pdf') {
+        if (!['pdf', 'html'].includes(format)) {
+            throw new BillingError('format must be pdf or html');
+        }
+
+        const invoice = await this.getInvoice(userId, invoiceId);
+        const user = await this.models.User.findById(userId);
+        const customer = { username: user ? user.username : `User ${userId}`, email: user ? user.email : null };
+
+        if (format === 'html') {
+            return { contentType: 'text/html; charset=utf-8', filename: `${invoice.number}.html`, body: renderInvoiceHtml(invoice, customer) };
+        }
+        return { contentType: 'application/pdf', filename: `${invoice.number}.pdf`, body: renderInvoicePdf(invoice, customer) };
+    }
+
+    // Admin: recent invoices across all users
+    async listAllInvoices({ status = null, limit = 50 } = {}) {
+        if (status && !INVOICE_STATUSES.includes(status)) {
+            throw new BillingError(`status must be one of ${INVOICE_STATUSES.join(', ')}`);
+        }
+        const invoices = await this.models.Invoice.getRecent(status, limit);
+        return invoices.map(invoice => ({ ...this.formatInvoice(invoice), userId: invoice.user_id, username: invoice.username }));
+    }
+}
+
+// Shared billing service (renewals run as the 'subscription-billing' job in server.js)
+const billingService = new BillingService();
+
+module.exports = {
+    BillingService,
+    BillingError,
+    BILLING_CYCLES,
+    billingService
+};
@@ -0,0 +1,394 @@
+const sharp = require('sharp');
+const { VintageItem, ImageHash } = require('../database/models');
+const { analyze } = require('./search/analyzer');
+const { ImageMirrorService } = require('./ImageMirrorService');
+
+// Score at or above which two listings are reported as possible duplicates
+const POSSIBLE_DUPLICATE_SCORE = 0.7;
+
+// How much each signal counts; missing signals are left out and the rest re-weighted
+const WEIGHTS = { image: 0.5, title: 0.35, price: 0.15 };
+
+// Hamming distance (of 64 bits) at which two images stop counting as similar at all
+const IMAGE_DISTANCE_CUTOFF = 20;
+// Prices further apart than this fraction don't count as close
+const PRICE_TOLERANCE = 0.25;
+
+// Words sellers add to almost every title; they say nothing about the item itself
+const FILLER_WORDS = new Set([
+    'vintage', 'retro', 'rare', 'authentic', 'genuine', 'classic', 'nwt', 'nwot',
+    'euc', 'vguc', 'guc', 'new', 'used', 'mens', 'men', 'womens', 'women', 'size', 'sz'
+]);
+
+class DuplicateError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'DuplicateError';
+        this.status = status;
+    }
+}
+
+function parseList(value) {
+    try {
+        return Array.isArray(value) ? value : JSON.parse(value || '[]');
+    } catch (error) {
+        return typeof value === 'string' && value ? [value] : [];
+    }
+}
+
+function ebayItemIdFrom(url) {
+    const match = typeof url === 'string' && url.includes('ebay.') && url.match(/\/itm\/(?:[^/?#]+\/)?(\d{9,})/);
+    return match ? match[1] : null;
+}
+
+// 64-bit difference hash: shrink to 9x8 greyscale and compare neighbouring pixels.
+// Survives re-compression, resizing and small crops, unlike a content hash.
+async function differenceHash(data) {
+    const pixels = await sharp(data)
+        .rotate()
+        .greyscale()
+        .resize(9, 8, { fit: 'fill' })
+        .raw()
+        .toBuffer();
+
+    let hash = 0n;
+    for (let y = 0; y < 8; y++) {
+        for (let x = 0; x < 8; x++) {
+            hash = (hash << 1n) | (pixels[y * 9 + x] > pixels[y * 9 + x + 1] ? 1n : 0n);
+        }
+    }
+    return hash.toString(16).padStart(16, '0');
+}
+
+function hammingDistance(a, b) {
+    let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+    let count = 0;
+    while (diff) {
+        count += Number(diff & 1n);
+        diff >>= 1n;
+    }
+    return count;
+}
+
+// "Levi's" and "Levis", "32 x 30" and "32x30" should come out the same
+function titleTokens(title) {
+    const cleaned = String(title || '')
+        .replace(/['\u2019]/g, '')
+        .replace(/(\d+)\s*x\s*(\d+)/gi, '$1x$2');
+    return new Set(analyze(cleaned).filter(token => token.length > 1 && !FILLER_WORDS.has(token)));
+}
+
+// Dice coefficient of the meaningful title words, 0..1
+function titleSimilarity(a, b) {
+    return tokenSimilarity(titleTokens(a), titleTokens(b));
+}
+
+function tokenSimilarity(tokensA, tokensB) {
+    if (tokensA.size === 0 || tokensB.size === 0) return null;
+
+    const shared = [...tokensA].filter(token => tokensB.has(token)).length;
+    return (2 * shared) / (tokensA.size + tokensB.size);
+}
+
+// 1 for the same price, falling to 0 at PRICE_TOLERANCE apart
+function priceSimilarity(a, b) {
+    const priceA = parseFloat(a);
+    const priceB = parseFloat(b);
+    if (!(priceA > 0) || !(priceB > 0)) return null;
+
+    const difference = Math.abs(priceA - priceB) / Math.max(priceA, priceB);
+    return Math.max(0, 1 - difference / PRICE_TOLERANCE);
+}
+
+function imageSimilarity(hashA, hashB) {
+    if (!hashA || !hashB) return null;
+    return Math.max(0, 1 - hammingDistance(hashA, hashB) / IMAGE_DISTANCE_CUTOFF);
+}
+
+// Common shape for store products and vintage items
+function fromProduct(product) {
+    const url = product.sourceUrl || product.buyLink || null;
+    return {
+        ref: `product:${product.id}`,
+        kind: 'product',
+        id: product.id,
+        title: product.name || '',
+        price: product.price,
+        image: product.image || parseList(product.images)[0] || null,
+        url,
+        ebayItemId: ebayItemIdFrom(url)
+    };
+}
+
+function fromVintageItem(item) {
+    return {
+        ref: `vintage_item:${item.id}`,
+        kind: 'vintage_item',
+        id: item.id,
+        title: item.title || '',
+        price: item.price,
+        image: parseList(item.images)[0] || null,
+        url: null,
+        ebayItemId: null
+    };
+}
+
+function parseRef(ref) {
+    const [kind, ...rest] = String(ref || '').split(':');
+    const id = rest.join(':');
+    if (!['product', 'vintage_item'].includes(kind) || !id) {
+        throw new DuplicateError(`Invalid listing reference: ${ref} (use product:<id> or vintage_item:<id>)`);
+    }
+    return { kind, id: kind === 'vintage_item' ? parseInt(id) : parseFloat(id) };
+}
+
+// Finds store products and vintage items that are probably the same physical
+// piece - imported twice under different URLs, relisted, or a vintage item
+// that mirrors a products.json entry. Combines a perceptual hash of the
+// primary image, title similarity and price proximity.
+//
+// server.js attaches its product repository so merges go through the same
+// write queue as every other product change.
+class DuplicateDetector {
+    constructor(options = {}) {
+        this.products = options.products || null;
+        this.models = options.models || { VintageItem, ImageHash };
+        this.images = options.images || new ImageMirrorService();
+        this.threshold = options.threshold || POSSIBLE_DUPLICATE_SCORE;
+        this.onChange = options.onChange || (() => {});
+        this.hashes = new Map(); // image URL -> hash (null when the image couldn't be read)
+        this.lastReport = null;
+    }
+
+    attach({ products, onChange }) {
+        this.products = products;
+        if (onChange) this.onChange = onChange;
+    }
+
+    // Never opens a store of its own: a second repository would skip the write queue
+    get productStore() {
+        if (!this.products) throw new Error('DuplicateDetector has no product repository attached');
+        return this.products;
+    }
+
+    async loadListings() {
+        const [products, items] = await Promise.all([
+            this.productStore.getAll(),
+            this.models.VintageItem.getUnsold()
+        ]);
+        return [
+            ...products.filter(product => !product.isSold).map(fromProduct),
+            ...items.map(fromVintageItem)
+        ];
+    }
+
+    // Cached in image_hashes so each image is only fetched once
+    async hashFor(url) {
+        if (!url) return null;
+        if (this.hashes.has(url)) return this.hashes.get(url);
+
+        let hash = null;
+        try {
+            const stored = await this.models.ImageHash.findByUrl(url);
+            if (stored) {
+                hash = stored.hash;
+            } else {
+                hash = await differenceHash(await this.images.readImage(url));
+                await this.models.ImageHash.save(url, hash);
+            }
+        } catch (error) {
+            console.warn(`⚠️ Could not hash image ${url}:`, error.message);
+        }
+
+        this.hashes.set(url, hash);
+        return hash;
+    }
+
+    // Cheap text/price signals; the image only matters when these leave a duplicate possible
+    textSignals(a, b) {
+        // Tokenized once per listing - a full scan compares every pair
+        a.tokens = a.tokens || titleTokens(a.title);
+        b.tokens = b.tokens || titleTokens(b.title);
+        return { title: tokenSimilarity(a.tokens, b.tokens), price: priceSimilarity(a.price, b.price) };
+    }
+
+    // Whether the pair could reach the threshold even with identical images
+    worthHashing(signals) {
+        const available = { image: 1, ...signals };
+        return this.weigh(available) >= this.threshold;
+    }
+
+    weigh(signals) {
+        let total = 0;
+        let weight = 0;
+        for (const [name, value] of Object.entries(signals)) {
+            if (value === null || value === undefined) continue;
+            total += WEIGHTS[name] * value;
+            weight += WEIGHTS[name];
+        }
+        // A price match on its own says nothing
+        if (weight <= WEIGHTS.price) return 0;
+        return total / weight;
+    }
+
+    async compare(a, b, signals = this.textSignals(a, b)) {
+        if ((a.ebayItemId && a.ebayItemId === b.ebayItemId) || (a.url && a.url === b.url)) {
+            return { score: 1, reasons: ['Same eBay listing'], signals };
+        }
+
+        const [hashA, hashB] = await Promise.all([this.hashFor(a.image), this.hashFor(b.image)]);
+        const all = { ...signals, image: imageSimilarity(hashA, hashB) };
+        const reasons = [];
+
+        if (all.image !== null && all.image >= 0.7) {
+            reasons.push(`Similar primary image (${hammingDistance(hashA, hashB)}/64 bits differ)`);
+        }
+        if (all.title !== null && all.title >= 0.5) {
+            reasons.push(`Similar titles (${Math.round(all.title * 100)}%)`);
+        }
+        if (all.price !== null && all.price > 0) {
+            reasons.push(`Prices within ${Math.round((1 - all.price) * PRICE_TOLERANCE * 100)}%`);
+        }
+
+        return { score: Math.round(this.weigh(all) * 100) / 100, reasons, signals: all };
+    }
+
+    summarize(listing) {
+        const { ref, kind, id, title, price, image, url } = listing;
+        return { ref, kind, id, title, price, image, url };
+    }
+
+    // Possible duplicates of one listing, best match first
+    async findMatches(listing, listings = null) {
+        const others = (listings || await this.loadListings()).filter(other => other.ref !== listing.ref);
+        const matches = [];
+
+        for (const other of others) {
+            const signals = this.textSignals(listing, other);
+            const sameListing = listing.ebayItemId && listing.ebayItemId === other.ebayItemId;
+            if (!sameListing && !this.worthHashing(signals)) continue;
+
+            const comparison = await this.compare(listing, other, signals);
+            if (comparison.score >= this.threshold) {
+                matches.push({ listing: this.summarize(other), score: comparison.score, reasons: comparison.reasons });
+            }
+        }
+
+        return matches.sort((a, b) => b.score - a.score);
+    }
+
+    // Import-time warning - never lets a failed check break the import
+    async checkImported(listing) {
+        try {
+            const matches = await this.findMatches(listing);
+            if (matches.length > 0) {
+                console.warn(`⚠️ Possible duplicate: "${listing.title.substring(0, 40)}" looks like ${matches.map(match => match.listing.ref).join(', ')}`);
+            }
+            return matches;
+        } catch (error) {
+            console.warn('⚠️ Duplicate check failed:', error.message);
+            return [];
+        }
+    }
+
+    checkProduct(product) {
+        return this.checkImported(fromProduct(product));
+    }
+
+    checkVintageItem(item) {
+        return this.checkImported(fromVintageItem(item));
+    }
+
+    // Every pair above the threshold across products and vintage items; kept as lastReport
+    async scan({ onProgress = async () => {} } = {}) {
+        const listings = await this.loadListings();
+        const pairs = [];
+
+        for (let i = 0; i < listings.length; i++) {
+            await onProgress(i + 1, listings.length, `Comparing ${listings[i].title.substring(0, 50)}`);
+
+            for (let j = i + 1; j < listings.length; j++) {
+                const [a, b] = [listings[i], listings[j]];
+                const signals = this.textSignals(a, b);
+                const sameListing = a.ebayItemId && a.ebayItemId === b.ebayItemId;
+                if (!sameListing && !this.worthHashing(signals)) continue;
+
+                const comparison = await this.compare(a, b, signals);
+                if (comparison.score >= this.threshold) {
+                    pairs.push({ a: this.summarize(a), b: this.summarize(b), score: comparison.score, reasons: comparison.reasons });
+                }
+            }
+        }
+
+        pairs.sort((x, y) => y.score - x.score);
+        this.lastReport = { generatedAt: new Date().toISOString(), listings: listings.length, pairs };
+        console.log(`🧬 Duplicate scan: ${pairs.length} possible duplicate pair(s) across ${listings.length} listings`);
+        return this.lastReport;
+    }
+
+    async findListing({ kind, id }) {
+        if (kind === 'product') {
+            return this.productStore.findById(id);
+        }
+        return this.models.VintageItem.findById(id);
+    }
+
+    // Keeps one listing and retires the other: its images are added to the kept
+    // listing, a duplicate product is deleted and a duplicate vintage item archived
+    // (it may have orders or cross-posts that refer to it).
+    async merge(keepRef, removeRef) {
+        const keep = parseRef(keepRef);
+        const remove = parseRef(removeRef);
+        if (keep.kind === remove.kind && keep.id === remove.id) {
+            throw new DuplicateError('Cannot merge a listing into itself');
+        }
+
+        const [kept, removed] = await Promise.all([this.findListing(keep), this.findListing(remove)]);
+        if (!kept || !removed) {
+            throw new DuplicateError(`${!kept ? keepRef : removeRef} not found`, 404);
+        }
+
+        const keptImages = parseList(kept.images);
+        const extraImages = parseList(removed.images).filter(image => !keptImages.includes(image));
+        const mergedRef = `${remove.kind}:${removed.id}`;
+
+        if (keep.kind === 'product') {
+            await this.productStore.update(kept.id, current => ({
+                images: [...(current.images || []), ...extraImages.filter(image => !(current.images || []).includes(image))],
+                image: current.image || extraImages[0],
+                mergedFrom: [...(current.mergedFrom || []), mergedRef]
+            }), { source: 'duplicate-merge' });
+        } else if (extraImages.length > 0) {
+            await this.models.VintageItem.update(kept.id, { images: JSON.stringify([...keptImages, ...extraImages]) });
+        }
+
+        if (remove.kind === 'product') {
+            await this.productStore.delete(removed.id);
+        } else {
+            await this.models.VintageItem.update(removed.id, { status: 'archived' });
+        }
+
+        this.onChange();
+
+        // The retired listing drops out of the last report
+        if (this.lastReport) {
+            this.lastReport.pairs = this.lastReport.pairs.filter(pair => pair.a.ref !== mergedRef && pair.b.ref !== mergedRef);
+        }
+
+        console.log(`🧬 Merged ${mergedRef} into ${keep.kind}:${kept.id} (${extraImages.length} image(s) added)`);
+        return { kept: `${keep.kind}:${kept.id}`, removed: mergedRef, imagesAdded: extraImages.length };
+    }
+}
+
+// Shared detector for the app
+const duplicateDetector = new DuplicateDetector();
+
+module.exports = {
+    DuplicateDetector,
+    DuplicateError,
+    POSSIBLE_DUPLICATE_SCORE,
+    differenceHash,
+    hammingDistance,
+    titleSimilarity,
+    duplicateDetector
+};
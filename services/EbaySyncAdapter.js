@@ -0,0 +1,165 @@
+const cheerio = require('cheerio');
+
+// eBay sync strategies ("scrape" and "api") behind one interface:
+//   fetchItems([{ ebayItemId, url }]) -> Map(ebayItemId -> status)
+// where status is { available, price, quantity, title, error }.
+// available/price/quantity are null when the strategy couldn't tell.
+
+const SOLD_PAGE_MARKERS = [
+    'this listing has ended',
+    'no longer available',
+    'item not found',
+    'listing not found'
+];
+
+// Helper function to extract price from eBay page
+function extractPriceFromPage($) {
+    let priceText = $('meta[property="product:price:amount"]').attr('content') ||
+                   $('meta[property="og:price:amount"]').attr('content') ||
+                   $('script').text().match(/price["\']:\s*["\']([\d,.]+)["\']/)?.[ 1] ||
+                   $('script').text().match(/\$[\d,]+\.?\d*/)?.[ 0] ||
+                   '$0';
+
+    let priceMatch = priceText.toString().match(/[\d,]+\.?\d*/);
+    return priceMatch ? parseFloat(priceMatch[ 0].replace(/,/g, '')) : 0;
+}
+
+function emptyStatus(extra = {}) {
+    return { available: null, price: null, quantity: null, title: null, error: null, ...extra };
+}
+
+class EbaySyncAdapter {
+    constructor(strategy, batchSize) {
+        this.strategy = strategy;
+        // How many items the sync should hand over per fetchItems() call
+        this.batchSize = batchSize;
+    }
+
+    async fetchItems(items) {
+        throw new Error(`${this.constructor.name} must implement fetchItems()`);
+    }
+}
+
+// =============================================================================
+// SCRAPE STRATEGY - one listing page per item
+// =============================================================================
+
+class ScrapeSyncAdapter extends EbaySyncAdapter {
+    // request(url) must resolve to an axios-style response (server.js passes smartEbayRequest)
+    constructor({ request }) {
+        super('scrape', 1);
+        this.request = request;
+    }
+
+    async fetchItems(items) {
+        const results = new Map();
+
+        for (const item of items) {
+            try {
+                const response = await this.request(item.url);
+                const pageContent = response.data.toLowerCase();
+                const $ = cheerio.load(response.data);
+
+                // Conservative sold detection - only report sold if very clear
+                const ended = SOLD_PAGE_MARKERS.some(marker => pageContent.includes(marker));
+
+                // Only trust the structured price tags here; the script-text fallback is too loose for sync
+                const priceTag = $('meta[property="product:price:amount"]').attr('content') ||
+                                 $('meta[property="og:price:amount"]').attr('content');
+
+                results.set(item.ebayItemId, emptyStatus({
+                    available: !ended,
+                    price: priceTag ? parseFloat(priceTag.replace(/,/g, '')) : null
+                }));
+            } catch (error) {
+                results.set(item.ebayItemId, emptyStatus({ error: error.message }));
+            }
+        }
+
+        return results;
+    }
+}
+
+// =============================================================================
+// API STRATEGY - Browse getItems in batches, Trading GetItem for ended listings
+// =============================================================================
+
+class ApiSyncAdapter extends EbaySyncAdapter {
+    // client is an ebay-api instance; Trading lookups need its authToken
+    constructor({ client, batchSize = 20 }) {
+        super('api', batchSize);
+        this.client = client;
+    }
+
+    async fetchItems(items) {
+        const results = new Map();
+
+        for (let i = 0; i < items.length; i += this.batchSize) {
+            const batch = items.slice(i, i + this.batchSize);
+
+            try {
+                const response = await this.client.buy.browse.getItems({
+                    item_ids: batch.map(item => `v1|${item.ebayItemId}|0`).join(',')
+                });
+
+                (response.items || []).forEach(ebayItem => {
+                    results.set(String(ebayItem.legacyItemId), this.fromBrowseItem(ebayItem));
+                });
+            } catch (error) {
+                console.log(`⚠️ Browse API batch failed: ${error.message}`);
+                batch.forEach(item => results.set(item.ebayItemId, emptyStatus({ error: error.message })));
+                continue;
+            }
+
+            // Browse leaves out listings that have ended - ask Trading what happened to them
+            for (const item of batch.filter(item => !results.has(item.ebayItemId))) {
+                results.set(item.ebayItemId, await this.fetchFromTrading(item.ebayItemId));
+            }
+        }
+
+        return results;
+    }
+
+    fromBrowseItem(ebayItem) {
+        const availability = (ebayItem.estimatedAvailabilities || [])[0] || {};
+        const quantity = availability.estimatedAvailableQuantity;
+
+        return emptyStatus({
+            available: availability.estimatedAvailabilityStatus !== 'OUT_OF_STOCK',
+            price: ebayItem.price ? parseFloat(ebayItem.price.value) : null,
+            quantity: quantity !== undefined ? parseInt(quantity) : null,
+            title: ebayItem.title || null
+        });
+    }
+
+    async fetchFromTrading(ebayItemId) {
+        if (!this.client.config || !this.client.config.authToken) {
+            return emptyStatus({ error: 'Not returned by Browse API and no Trading API token configured' });
+        }
+
+        try {
+            const response = await this.client.trading.GetItem({ ItemID: ebayItemId });
+            const item = response.Item || {};
+            const sellingStatus = item.SellingStatus || {};
+            const quantity = item.Quantity !== undefined
+                ? parseInt(item.Quantity) - parseInt(sellingStatus.QuantitySold || 0)
+                : null;
+
+            return emptyStatus({
+                available: sellingStatus.ListingStatus === 'Active' && quantity !== 0,
+                price: sellingStatus.CurrentPrice ? parseFloat(sellingStatus.CurrentPrice.value ?? sellingStatus.CurrentPrice) : null,
+                quantity: quantity,
+                title: item.Title || null
+            });
+        } catch (error) {
+            return emptyStatus({ error: error.message });
+        }
+    }
+}
+
+module.exports = {
+    EbaySyncAdapter,
+    ScrapeSyncAdapter,
+    ApiSyncAdapter,
+    extractPriceFromPage
+};
@@ -0,0 +1,403 @@
+const fs = require('fs');
+const path = require('path');
+const { UserSubscription, SubscriptionEntitlement, VintageItem } = require('../database/models');
+const { marketplaces } = require('./marketplaces');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'entitlements.json');
+
+// checkAction() actions that map to a feature flag
+const ACTION_FEATURES = {
+    analytics: 'analytics_basic',
+    custom_branding: 'custom_branding',
+    api_access: 'api_access'
+};
+
+class EntitlementError extends Error {
+    constructor(message, status = 403) {
+        super(message);
+        this.name = 'EntitlementError';
+        this.status = status;
+    }
+}
+
+// SQLite hands back zone-less CURRENT_TIMESTAMP strings (UTC) and epoch ms for stored Dates
+function parseTimestamp(value) {
+    if (value instanceof Date || typeof value === 'number') return new Date(value);
+    return new Date(/[zZ]|[+-]\d\d:?\d\d$/.test(value) ? value : `${String(value).replace(' ', 'T')}Z`);
+}
+
+// Keeps the order of `first` and appends anything only found in `second`
+function union(first, second) {
+    return [...new Set([...first, ...second])];
+}
+
+// Tier definitions from config/entitlements.json. Each tier has a version that
+// is bumped whenever its terms change, which is what grandfathering keys on.
+// "*" in platforms/features means everything known when the config is loaded.
+class TierCatalog {
+    constructor(config, options = {}) {
+        const platformIds = options.platforms || marketplaces.ids();
+        const { tierOrder = [], defaultTier, aliases = {}, features = {}, tiers = {} } = config || {};
+        const problems = [];
+
+        if (!Array.isArray(tierOrder) || tierOrder.length === 0) {
+            problems.push('tierOrder must list at least one tier');
+        }
+        Object.keys(tiers).filter(id => !tierOrder.includes(id))
+            .forEach(id => problems.push(`tier ${id} is missing from tierOrder`));
+
+        this.order = tierOrder;
+        this.platforms = platformIds;
+        this.features = { ...features };
+        this.tiers = new Map();
+
+        for (const id of tierOrder) {
+            const tier = tiers[id];
+            if (!tier) {
+                problems.push(`tier ${id} is not defined`);
+                continue;
+            }
+            if (!Number.isInteger(tier.version) || tier.version < 1) {
+                problems.push(`tier ${id} needs a positive integer version`);
+            }
+            if (typeof tier.price !== 'number' || tier.price < 0) {
+                problems.push(`tier ${id} needs a price of 0 or more`);
+            }
+            if (!Number.isInteger(tier.maxItems) || tier.maxItems < -1) {
+                problems.push(`tier ${id} needs maxItems (-1 for unlimited)`);
+            }
+
+            const platforms = this.expand(tier.platforms, platformIds);
+            const tierFeatures = this.expand(tier.features, Object.keys(this.features));
+            platforms.filter(platform => !platformIds.includes(platform))
+                .forEach(platform => problems.push(`tier ${id} lists unknown platform ${platform}`));
+            tierFeatures.filter(feature => !this.features[feature])
+                .forEach(feature => problems.push(`tier ${id} lists unknown feature ${feature}`));
+
+            this.tiers.set(id, Object.freeze({
+                id,
+                version: tier.version,
+                name: tier.name || id,
+                price: tier.price,
+                maxItems: tier.maxItems,
+                platforms: Object.freeze(platforms),
+                features: Object.freeze(tierFeatures),
+                support: tier.support || null,
+                description: tier.description || ''
+            }));
+        }
+
+        this.defaultTier = defaultTier || tierOrder[0];
+        if (!this.tiers.has(this.defaultTier)) {
+            problems.push(`defaultTier ${this.defaultTier} is not a tier`);
+        }
+
+        this.aliases = new Map();
+        for (const [alias, target] of Object.entries(aliases)) {
+            if (!this.tiers.has(target)) {
+                problems.push(`alias ${alias} points at unknown tier ${target}`);
+            }
+            this.aliases.set(alias, target);
+        }
+
+        if (problems.length > 0) {
+            throw new Error(`Invalid entitlements config: ${problems.join('; ')}`);
+        }
+    }
+
+    static load(file = process.env.ENTITLEMENTS_CONFIG || DEFAULT_CONFIG_PATH) {
+        return new TierCatalog(JSON.parse(fs.readFileSync(file, 'utf8')));
+    }
+
+    expand(list, everything) {
+        if (!Array.isArray(list)) return [];
+        return list.includes('*') ? [...everything] : list;
+    }
+
+    // Canonical tier id for a name or legacy alias (e.g. enterprise -> premium)
+    resolve(name) {
+        if (this.tiers.has(name)) return name;
+        return this.aliases.get(name) || null;
+    }
+
+    tier(name) {
+        return this.tiers.get(this.resolve(name)) || null;
+    }
+
+    list() {
+        return this.order.map(id => this.tiers.get(id));
+    }
+
+    // Keyed by tier id, for API responses
+    toJSON() {
+        return Object.fromEntries(this.list().map(tier => [tier.id, tier]));
+    }
+
+    rank(name) {
+        return this.order.indexOf(this.resolve(name));
+    }
+
+    highest() {
+        return this.tiers.get(this.order[this.order.length - 1]);
+    }
+
+    // Cheapest tier that passes test(tier)
+    lowestTierWhere(test) {
+        const tier = this.list().find(test);
+        return tier ? tier.id : null;
+    }
+}
+
+// What each user may do. The tier comes from user_subscriptions; the terms come
+// from the catalog, except that a user whose tier was made less generous after
+// they got it keeps the better of the old and new terms (see forUser).
+class Entitlements {
+    constructor(options = {}) {
+        this.catalog = options.catalog || TierCatalog.load();
+        this.models = options.models || { UserSubscription, SubscriptionEntitlement, VintageItem };
+    }
+
+    termsOf(tier) {
+        return {
+            price: tier.price,
+            maxItems: tier.maxItems,
+            platforms: [...tier.platforms],
+            features: [...tier.features]
+        };
+    }
+
+    build(tier, terms = this.termsOf(tier), grandfathered = false) {
+        return {
+            tier: tier.id,
+            name: tier.name,
+            version: tier.version,
+            ...terms,
+            grandfathered
+        };
+    }
+
+    // Entitlements of a tier, ignoring anyone's grandfathered terms
+    forTier(name) {
+        return this.build(this.catalog.tier(name) || this.catalog.tier(this.catalog.defaultTier));
+    }
+
+    // Tier name of a user_subscriptions row, or the default when it has lapsed
+    activeTier(subscription, now = new Date()) {
+        if (!subscription || subscription.status !== 'active') {
+            return this.catalog.defaultTier;
+        }
+        if (subscription.expires_at && parseTimestamp(subscription.expires_at) < now) {
+            return this.catalog.defaultTier;
+        }
+        return subscription.tier;
+    }
+
+    // Accepts req.user (admins always get the top tier) or a bare user id
+    async forUser(user) {
+        const { UserSubscription, SubscriptionEntitlement } = this.models;
+        if (user && typeof user === 'object' && user.role === 'admin') {
+            return this.build(this.catalog.highest());
+        }
+
+        const userId = user && typeof user === 'object' ? user.id : user;
+        const subscription = await UserSubscription.findByUser(userId);
+        const tierName = this.activeTier(subscription);
+        const tierId = this.catalog.resolve(tierName) || tierName;
+        const current = this.catalog.tier(tierId);
+
+        const snapshot = await SubscriptionEntitlement.findByUser(userId);
+        const granted = snapshot && snapshot.tier === tierId ? snapshot : null;
+
+        if (!granted) {
+            if (!current) {
+                return this.forTier(this.catalog.defaultTier);
+            }
+            // First time we see the user on this tier - remember what they got
+            await this.grant(userId, current.id).catch(error =>
+                console.error(`❌ Failed to record entitlements for user ${userId}:`, error.message));
+            return this.build(current);
+        }
+
+        const grantedTerms = typeof granted.terms === 'string' ? JSON.parse(granted.terms) : granted.terms;
+
+        // The tier was retired from the config - keep honouring what they signed up for
+        if (!current) {
+            return this.build({ id: tierId, name: tierId, version: granted.version }, grantedTerms, true);
+        }
+        if (granted.version >= current.version) {
+            return this.build(current);
+        }
+
+        const terms = this.termsOf(current);
+        return this.build(current, {
+            price: Math.min(grantedTerms.price, terms.price),
+            maxItems: grantedTerms.maxItems === -1 || terms.maxItems === -1
+                ? -1
+                : Math.max(grantedTerms.maxItems, terms.maxItems),
+            platforms: union(terms.platforms, grantedTerms.platforms),
+            features: union(terms.features, grantedTerms.features)
+        }, true);
+    }
+
+    // Records the current terms of a tier for the user; call whenever their tier changes
+    async grant(userId, tierName) {
+        const tier = this.catalog.tier(tierName);
+        if (!tier) {
+            throw new EntitlementError(`Unknown subscription tier: ${tierName}`, 400);
+        }
+
+        await this.models.SubscriptionEntitlement.save(userId, {
+            tier: tier.id,
+            version: tier.version,
+            terms: this.termsOf(tier)
+        });
+        return this.build(tier);
+    }
+
+    // rule: { feature, platforms: [...], items: current item count }
+    // Returns { allowed } plus the reason and the tier that would allow it
+    evaluate(entitlements, { feature, platforms, items } = {}) {
+        const { catalog } = this;
+
+        if (feature && !entitlements.features.includes(feature)) {
+            const requiredTier = catalog.lowestTierWhere(tier => tier.features.includes(feature));
+            return {
+                allowed: false,
+                reason: requiredTier
+                    ? `${catalog.features[feature] || feature} requires the ${catalog.tier(requiredTier).name} tier`
+                    : `${catalog.features[feature] || feature} is not available`,
+                feature,
+                requiredTier
+            };
+        }
+
+        if (platforms) {
+            // Unknown platforms are left for the route to reject as invalid
+            const denied = platforms.filter(platform =>
+                catalog.platforms.includes(platform) && !entitlements.platforms.includes(platform));
+            if (denied.length > 0) {
+                return {
+                    allowed: false,
+                    reason: `Platforms not available in your subscription tier: ${denied.join(', ')}`,
+                    allowedPlatforms: entitlements.platforms,
+                    deniedPlatforms: denied,
+                    requiredTier: catalog.lowestTierWhere(tier => denied.every(platform => tier.platforms.includes(platform)))
+                };
+            }
+        }
+
+        if (items !== undefined && entitlements.maxItems !== -1 && items >= entitlements.maxItems) {
+            return {
+                allowed: false,
+                reason: 'Item limit reached for your subscription tier',
+                limit: entitlements.maxItems,
+                current: items,
+                requiredTier: catalog.lowestTierWhere(tier => tier.maxItems === -1 || tier.maxItems > items)
+            };
+        }
+
+        return { allowed: true };
+    }
+
+    // Answers for the older checkSubscriptionLimit() actions
+    checkAction(entitlements, action, currentCount = 0) {
+        switch (action) {
+            case 'create_item':
+                if (entitlements.maxItems === -1) return { allowed: true, limit: 'unlimited' };
+                return {
+                    allowed: this.evaluate(entitlements, { items: currentCount }).allowed,
+                    limit: entitlements.maxItems,
+                    current: currentCount
+                };
+
+            case 'cross_post':
+                return { allowed: true, platforms: entitlements.platforms };
+
+            default:
+                if (ACTION_FEATURES[action]) {
+                    return { allowed: entitlements.features.includes(ACTION_FEATURES[action]) };
+                }
+                return { allowed: true };
+        }
+    }
+
+    // Higher tiers with what they add over the given entitlements
+    recommendUpgrades(entitlements) {
+        const currentRank = this.catalog.rank(entitlements.tier);
+
+        return this.catalog.list()
+            .filter(tier => this.catalog.rank(tier.id) > currentRank)
+            .map(tier => {
+                const benefits = [];
+                if (entitlements.maxItems !== -1 && (tier.maxItems === -1 || tier.maxItems > entitlements.maxItems)) {
+                    benefits.push(`${tier.maxItems === -1 ? 'Unlimited' : tier.maxItems} items vs ${entitlements.maxItems}`);
+                }
+
+                const newPlatforms = tier.platforms.filter(platform => !entitlements.platforms.includes(platform));
+                if (newPlatforms.length > 0) {
+                    benefits.push(`Access to ${newPlatforms.join(', ')}`);
+                }
+                tier.features
+                    .filter(feature => !entitlements.features.includes(feature))
+                    .forEach(feature => benefits.push(this.catalog.features[feature]));
+
+                return { tierName: tier.id, ...tier, benefits };
+            })
+            .filter(recommendation => recommendation.benefits.length > 0);
+    }
+
+    // Route guard. rule is a feature name or { feature, platforms: req => [...], items: true }.
+    // Sets req.entitlements for the handler.
+    middleware(rule = {}) {
+        const { feature, platforms, items } = typeof rule === 'string' ? { feature: rule } : rule;
+
+        return async (req, res, next) => {
+            if (!req.user) {
+                return res.status(401).json({ success: false, error: 'Authentication required' });
+            }
+
+            try {
+                const entitlements = await this.forUser(req.user);
+                req.entitlements = entitlements;
+
+                const result = this.evaluate(entitlements, {
+                    feature,
+                    platforms: platforms ? platforms(req) : undefined,
+                    items: items ? await this.models.VintageItem.countListedByUser(req.user.id) : undefined
+                });
+                if (result.allowed) {
+                    return next();
+                }
+
+                const { allowed, reason, ...details } = result;
+                res.status(403).json({
+                    success: false,
+                    error: reason,
+                    ...details,
+                    tier: entitlements.tier,
+                    tierName: entitlements.name,
+                    upgradeRecommendations: this.recommendUpgrades(entitlements)
+                });
+
+            } catch (error) {
+                console.error('❌ Entitlement check failed:', error);
+                res.status(500).json({ success: false, error: 'Failed to check subscription' });
+            }
+        };
+    }
+}
+
+// Shared entitlements, loaded from config/entitlements.json (or ENTITLEMENTS_CONFIG)
+const entitlements = new Entitlements();
+
+function requireEntitlement(rule) {
+    return entitlements.middleware(rule);
+}
+
+module.exports = {
+    TierCatalog,
+    Entitlements,
+    EntitlementError,
+    entitlements,
+    requireEntitlement
+};
@@ -0,0 +1,253 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs').promises;
+const axios = require('axios');
+const sharp = require('sharp');
+const imageProcessor = require('../imageProcessor');
+
+// Below either size a primary image is flagged as tiny - dead eBay listings
+// tend to serve a small "image not available" placeholder instead of a 404
+const MIN_IMAGE_DIMENSION = 150;
+const MIN_IMAGE_BYTES = 1024;
+
+const MAX_DOWNLOAD_BYTES = 15 * 1024 * 1024;
+const MIRROR_SIZE = 1600;
+
+// Mirrors hot-linked catalog images (i.ebayimg.com) into uploads/mirror so
+// products keep their pictures after the eBay listing ends.
+//
+// Downloads are content-hashed: the same picture used by several products (or
+// listed under several URLs) is stored once, as uploads/mirror/<ab>/<sha256>.jpg.
+// Product records get the local URLs in images[]/image and keep the remote ones
+// in imageSources ({ local URL: original URL }).
+class ImageMirrorService {
+    constructor(options = {}) {
+        this.repository = options.repository;
+        this.processor = options.processor || imageProcessor;
+        this.http = options.http || axios;
+        this.rootDir = options.rootDir || path.join(__dirname, '..', 'uploads', 'mirror');
+        this.publicPath = options.publicPath || '/uploads/mirror';
+        this.projectRoot = options.projectRoot || path.join(__dirname, '..');
+        this.onChange = options.onChange || (() => {});
+        this.lastMirror = null;
+        this.lastVerification = null;
+    }
+
+    isRemote(url) {
+        return typeof url === 'string' && /^https?:\/\//i.test(url);
+    }
+
+    // Local file behind an /uploads/... URL (mirrored or uploaded), otherwise null
+    localPath(url) {
+        if (typeof url !== 'string' || !url.startsWith('/uploads/')) return null;
+        const filePath = path.join(this.projectRoot, path.normalize(url));
+        return filePath.startsWith(path.join(this.projectRoot, 'uploads')) ? filePath : null;
+    }
+
+    async download(url) {
+        const response = await this.http.get(url, {
+            responseType: 'arraybuffer',
+            timeout: 15000,
+            maxContentLength: MAX_DOWNLOAD_BYTES,
+            headers: {
+                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+            }
+        });
+        return Buffer.from(response.data);
+    }
+
+    // Bytes of an image URL - a local /uploads file or a remote download
+    async readImage(url) {
+        const filePath = this.localPath(url);
+        if (filePath) return fs.readFile(filePath);
+        if (this.isRemote(url)) return this.download(url);
+        throw new Error(`Unsupported image URL: ${url}`);
+    }
+
+    // Downloads one remote image and returns its local URL (existing copy if the content was seen before)
+    async mirrorUrl(url) {
+        const data = await this.download(url);
+        const hash = crypto.createHash('sha256').update(data).digest('hex');
+        const directory = path.join(this.rootDir, hash.slice(0, 2));
+        const fileName = `${hash}.jpg`;
+        const localUrl = `${this.publicPath}/${hash.slice(0, 2)}/${fileName}`;
+
+        try {
+            await fs.access(path.join(directory, fileName));
+            return { url: localUrl, hash, deduplicated: true };
+        } catch (error) {
+            // Not stored yet
+        }
+
+        await fs.mkdir(directory, { recursive: true });
+        const tempFile = path.join(directory, `${hash}.${process.pid}.download`);
+
+        try {
+            await fs.writeFile(tempFile, data);
+            const optimized = await this.processor.optimizeImage(tempFile, path.join(directory, fileName), {
+                width: MIRROR_SIZE,
+                height: MIRROR_SIZE,
+                quality: 85
+            });
+            if (!optimized.success) {
+                throw new Error(`Not a usable image (${optimized.error})`);
+            }
+        } finally {
+            await fs.unlink(tempFile).catch(() => {});
+        }
+
+        return { url: localUrl, hash, deduplicated: false };
+    }
+
+    // Mirrors every remote image of one product; URLs that fail to download stay remote
+    async mirrorProduct(product, cache = new Map()) {
+        const mirrored = new Map(); // remote URL -> local URL
+        const failures = [];
+        let deduplicated = 0;
+
+        for (const url of (product.images || []).filter(image => this.isRemote(image))) {
+            if (mirrored.has(url)) continue;
+
+            try {
+                if (!cache.has(url)) {
+                    cache.set(url, await this.mirrorUrl(url));
+                }
+                const result = cache.get(url);
+                if (result.deduplicated) deduplicated++;
+                mirrored.set(url, result.url);
+            } catch (error) {
+                failures.push({ url, error: error.message });
+            }
+        }
+
+        if (mirrored.size > 0) {
+            // Re-map against the current record in case it changed while downloading
+            await this.repository.update(product.id, current => {
+                const imageSources = { ...(current.imageSources || {}) };
+                mirrored.forEach((localUrl, remoteUrl) => {
+                    imageSources[localUrl] = imageSources[localUrl] || remoteUrl;
+                });
+
+                return {
+                    images: (current.images || []).map(image => mirrored.get(image) || image),
+                    image: mirrored.get(current.image) || current.image,
+                    imageSources
+                };
+            }, { source: 'image-mirror' });
+        }
+
+        return { mirrored: mirrored.size, deduplicated, failures };
+    }
+
+    // productIds limits the pass to some products; onProgress(current, total, message)
+    async mirrorAll({ productIds = null, onProgress = async () => {} } = {}) {
+        const products = (await this.repository.getAll())
+            .filter(product => !productIds || productIds.map(String).includes(String(product.id)))
+            .filter(product => (product.images || []).some(image => this.isRemote(image)));
+
+        const cache = new Map();
+        const summary = { products: products.length, mirrored: 0, deduplicated: 0, failed: 0, failures: [] };
+
+        for (const [index, product] of products.entries()) {
+            await onProgress(index + 1, products.length, `Mirroring images for ${(product.name || '').substring(0, 50)}`);
+            const result = await this.mirrorProduct(product, cache);
+
+            summary.mirrored += result.mirrored;
+            summary.deduplicated += result.deduplicated;
+            summary.failed += result.failures.length;
+            result.failures.forEach(failure => summary.failures.push({ productId: product.id, ...failure }));
+        }
+
+        // Keep the job result small when a whole batch of listings has ended
+        if (summary.failures.length > 50) {
+            summary.failures = summary.failures.slice(0, 50);
+        }
+
+        if (summary.mirrored > 0) this.onChange();
+
+        this.lastMirror = { ...summary, finishedAt: new Date().toISOString() };
+        console.log(`🪞 Image mirror: ${summary.mirrored} image(s) across ${products.length} product(s), ${summary.deduplicated} duplicate(s), ${summary.failed} failed`);
+        return this.lastMirror;
+    }
+
+    // { status: 'ok' | 'missing' | 'tiny', reason } for a product's primary image
+    async checkImage(url) {
+        if (!url) {
+            return { status: 'missing', reason: 'No primary image' };
+        }
+
+        if (!this.localPath(url) && !this.isRemote(url)) {
+            return { status: 'missing', reason: `Unsupported image URL: ${url}` };
+        }
+
+        let data;
+        try {
+            data = await this.readImage(url);
+        } catch (error) {
+            const status = error.response ? `HTTP ${error.response.status}` : error.code || error.message;
+            return { status: 'missing', reason: `Image could not be loaded (${status})` };
+        }
+
+        let metadata;
+        try {
+            metadata = await sharp(data).metadata();
+        } catch (error) {
+            return { status: 'missing', reason: 'Image is not readable' };
+        }
+
+        if (data.length < MIN_IMAGE_BYTES || metadata.width < MIN_IMAGE_DIMENSION || metadata.height < MIN_IMAGE_DIMENSION) {
+            return { status: 'tiny', reason: `Image is only ${metadata.width}x${metadata.height} (${data.length} bytes)` };
+        }
+        return { status: 'ok', reason: null };
+    }
+
+    // Flags products whose primary image is missing or tiny (product.imageCheck).
+    // Records are only written when a product's status changes.
+    async verifyAll({ onProgress = async () => {} } = {}) {
+        const products = (await this.repository.getAll()).filter(product => !product.isSold);
+        const flagged = [];
+        let changed = 0;
+
+        for (const [index, product] of products.entries()) {
+            await onProgress(index + 1, products.length, `Checking image for ${(product.name || '').substring(0, 50)}`);
+            const check = await this.checkImage(product.image || (product.images || [])[0]);
+
+            if (check.status !== 'ok') {
+                flagged.push({ productId: product.id, name: product.name, image: product.image || null, ...check });
+            }
+
+            const previous = product.imageCheck || { status: 'ok' };
+            if (previous.status !== check.status || previous.reason !== (check.reason || undefined)) {
+                await this.repository.update(product.id, {
+                    imageCheck: check.status === 'ok' ? undefined : { ...check, checkedAt: new Date().toISOString() }
+                }, { source: 'image-verify' });
+                changed++;
+            }
+        }
+
+        if (changed > 0) this.onChange();
+
+        this.lastVerification = { checked: products.length, flagged, finishedAt: new Date().toISOString() };
+        console.log(`🔎 Image verification: ${flagged.length} of ${products.length} product(s) flagged`);
+        return this.lastVerification;
+    }
+
+    // Products currently flagged by the last verification passes
+    async getFlaggedProducts() {
+        return (await this.repository.getAll())
+            .filter(product => product.imageCheck && product.imageCheck.status !== 'ok')
+            .map(product => ({
+                productId: product.id,
+                name: product.name,
+                image: product.image || null,
+                sourceUrl: product.sourceUrl || product.buyLink || null,
+                ...product.imageCheck
+            }));
+    }
+}
+
+module.exports = {
+    ImageMirrorService,
+    MIN_IMAGE_DIMENSION,
+    MIN_IMAGE_BYTES
+};
@@ -0,0 +1,260 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs').promises;
+const sharp = require('sharp');
+const imageProcessor = require('../imageProcessor');
+const { Image, VintageItem, VintageSeller } = require('../database/models');
+const { normalizeRole } = require('../auth/identity');
+const { catalogSearch } = require('./search');
+const responseCache = require('../cache');
+
+// Widths for srcset; images narrower than a width skip it rather than being upscaled
+const VARIANT_WIDTHS = [320, 640, 960, 1280];
+const VARIANT_FORMATS = ['avif', 'webp'];
+const THUMBNAIL_SIZE = 300;
+const DEFAULT_SIZES = '(max-width: 768px) 100vw, 50vw';
+
+class ImageError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'ImageError';
+        this.status = status;
+    }
+}
+
+function parseList(value) {
+    try {
+        return Array.isArray(value) ? value : JSON.parse(value || '[]');
+    } catch (error) {
+        return typeof value === 'string' && value ? [value] : [];
+    }
+}
+
+// Uploaded images for products and vintage items. The original is kept and
+// AVIF/WebP variants at several widths, a JPEG fallback and a thumbnail are
+// generated next to it in uploads/images/<storage key>/.
+//
+// Owner types plug in with registerOwner(type, { find, canEdit, attach, detach }),
+// where attach/detach add or remove the image URL on the product or item.
+class ImageService {
+    constructor(options = {}) {
+        this.models = options.models || { Image, VintageItem, VintageSeller };
+        this.processor = options.processor || imageProcessor;
+        this.search = options.search || catalogSearch;
+        this.cache = options.cache || responseCache;
+        this.rootDir = options.rootDir || path.join(__dirname, '..', 'uploads', 'images');
+        this.publicPath = options.publicPath || '/uploads/images';
+        this.widths = options.widths || VARIANT_WIDTHS;
+        this.formats = options.formats || VARIANT_FORMATS;
+        this.owners = new Map();
+
+        this.registerOwner('vintage_item', this.vintageItemOwner());
+    }
+
+    registerOwner(type, owner) {
+        this.owners.set(type, owner);
+    }
+
+    // Sellers add images to their own items; admins to anyone's
+    vintageItemOwner() {
+        const { VintageItem, VintageSeller } = this.models;
+
+        return {
+            find: id => VintageItem.findById(id),
+            canEdit: async (user, item) => {
+                if (normalizeRole(user.role) === 'admin') return true;
+                const seller = await VintageSeller.findByUserId(user.id);
+                return !!seller && seller.id === item.seller_id;
+            },
+            attach: async (item, url) => {
+                await VintageItem.update(item.id, { images: JSON.stringify([...parseList(item.images), url]) });
+                this.search.invalidate();
+                this.cache.invalidate('vintage_items');
+            },
+            detach: async (item, url) => {
+                await VintageItem.update(item.id, { images: JSON.stringify(parseList(item.images).filter(image => image !== url)) });
+                this.search.invalidate();
+                this.cache.invalidate('vintage_items');
+            }
+        };
+    }
+
+    // Loads the owner record and checks the user may change its images
+    async authorize(user, ownerType, ownerId) {
+        const owner = this.owners.get(ownerType);
+        if (!owner) {
+            throw new ImageError(`Unknown image owner type: ${ownerType} (use ${Array.from(this.owners.keys()).join(' or ')})`);
+        }
+
+        const record = await owner.find(ownerId);
+        if (!record) {
+            throw new ImageError(`${ownerType === 'product' ? 'Product' : 'Item'} not found`, 404);
+        }
+        if (!await owner.canEdit(user, record)) {
+            throw new ImageError('Not authorized to change images for this listing', 403);
+        }
+        return { owner, record };
+    }
+
+    // Widths to generate for an image `originalWidth` pixels wide
+    targetWidths(originalWidth) {
+        const largest = Math.min(originalWidth, Math.max(...this.widths));
+        return [...new Set([...this.widths.filter(width => width < largest), largest])];
+    }
+
+    // Processes uploaded files (already on disk via multer) for one product or item
+    async processUploads(files, { ownerType, ownerId, user, alt = null }) {
+        const { owner, record } = await this.authorize(user, ownerType, ownerId);
+        const images = [];
+
+        try {
+            for (const file of files) {
+                images.push(await this.processFile(file, { ownerType, ownerId, userId: user.id, alt }));
+            }
+        } finally {
+            // Anything not moved into place (e.g. after a bad file) is left in the incoming folder
+            await Promise.all(files.map(file => fs.unlink(file.path).catch(() => {})));
+        }
+
+        // Re-read between attaches so every URL is kept
+        for (const image of images) {
+            const current = await owner.find(ownerId);
+            await owner.attach(current || record, image.src, image);
+        }
+
+        console.log(`🖼️ ${images.length} image(s) uploaded for ${ownerType} ${ownerId}`);
+        return images;
+    }
+
+    async processFile(file, { ownerType, ownerId, userId, alt }) {
+        let metadata;
+        try {
+            metadata = await sharp(file.path).metadata();
+        } catch (error) {
+            throw new ImageError(`${file.originalname} is not a readable image`);
+        }
+
+        // Phone photos are often stored sideways with an EXIF orientation
+        const rotated = metadata.orientation >= 5;
+        const originalWidth = rotated ? metadata.height : metadata.width;
+        const originalHeight = rotated ? metadata.width : metadata.height;
+
+        const storageKey = crypto.randomBytes(16).toString('hex');
+        const directory = path.join(this.rootDir, storageKey);
+        const originalFile = `original${path.extname(file.path).toLowerCase() || `.${metadata.format}`}`;
+
+        try {
+            await fs.mkdir(directory, { recursive: true });
+            await fs.copyFile(file.path, path.join(directory, originalFile));
+
+            const variants = [];
+            const widths = this.targetWidths(originalWidth);
+            for (const width of widths) {
+                for (const format of this.formats) {
+                    const variantFile = `w${width}.${format}`;
+                    const variant = await this.processor.createVariant(path.join(directory, originalFile), path.join(directory, variantFile), { width, format });
+                    variants.push({ kind: 'responsive', file: variantFile, format, width: variant.width, height: variant.height, size: variant.size });
+                }
+            }
+
+            // JPEG at the largest width for browsers without WebP/AVIF
+            const largest = widths[widths.length - 1];
+            const fallback = await this.processor.createVariant(path.join(directory, originalFile), path.join(directory, `w${largest}.jpg`), { width: largest, format: 'jpeg' });
+            variants.push({ kind: 'fallback', file: `w${largest}.jpg`, format: 'jpeg', width: fallback.width, height: fallback.height, size: fallback.size });
+
+            const thumbnail = await this.processor.createThumbnail(path.join(directory, originalFile), path.join(directory, 'thumb.jpg'), THUMBNAIL_SIZE);
+            if (thumbnail.success) {
+                variants.push({ kind: 'thumbnail', file: 'thumb.jpg', format: 'jpeg', width: THUMBNAIL_SIZE, height: THUMBNAIL_SIZE, size: thumbnail.size });
+            }
+
+            const image = await this.models.Image.create({
+                owner_type: ownerType,
+                owner_id: ownerId,
+                storage_key: storageKey,
+                original_name: file.originalname,
+                original_file: originalFile,
+                mime_type: file.mimetype,
+                width: originalWidth,
+                height: originalHeight,
+                bytes: file.size,
+                variants,
+                alt_text: alt,
+                uploaded_by: userId
+            });
+            return this.describe(image);
+
+        } catch (error) {
+            await fs.rm(directory, { recursive: true, force: true });
+            throw error;
+        }
+    }
+
+    // srcset-ready description: use `sources` for <picture><source>, `src`/`srcset`/`sizes` for <img>
+    describe(image) {
+        const variants = parseList(image.variants);
+        const base = `${this.publicPath}/${image.storage_key}`;
+        const srcsetFor = format => variants
+            .filter(variant => variant.kind === 'responsive' && variant.format === format)
+            .sort((a, b) => a.width - b.width)
+            .map(variant => `${base}/${variant.file} ${variant.width}w`)
+            .join(', ');
+
+        const fallback = variants.find(variant => variant.kind === 'fallback');
+        const thumbnail = variants.find(variant => variant.kind === 'thumbnail');
+
+        return {
+            id: image.id,
+            ownerType: image.owner_type,
+            ownerId: image.owner_id,
+            alt: image.alt_text || '',
+            width: image.width,
+            height: image.height,
+            src: fallback ? `${base}/${fallback.file}` : `${base}/${image.original_file}`,
+            srcset: srcsetFor('webp'),
+            sizes: DEFAULT_SIZES,
+            sources: this.formats.map(format => ({ type: `image/${format}`, srcset: srcsetFor(format) })),
+            thumbnail: thumbnail ? `${base}/${thumbnail.file}` : null,
+            original: `${base}/${image.original_file}`,
+            createdAt: image.created_at
+        };
+    }
+
+    async get(imageId) {
+        const image = await this.models.Image.findById(imageId);
+        if (!image) {
+            throw new ImageError('Image not found', 404);
+        }
+        return this.describe(image);
+    }
+
+    // ownerId is optional, so a page can fetch every product's images in one request
+    async list(ownerType, ownerId = null) {
+        const images = await this.models.Image.getByOwner(ownerType, ownerId);
+        return images.map(image => this.describe(image));
+    }
+
+    async remove(imageId, user) {
+        const image = await this.models.Image.findById(imageId);
+        if (!image) {
+            throw new ImageError('Image not found', 404);
+        }
+
+        const { owner, record } = await this.authorize(user, image.owner_type, image.owner_id);
+        const described = this.describe(image);
+
+        await owner.detach(record, described.src, described);
+        await this.models.Image.delete(image.id);
+        await fs.rm(path.join(this.rootDir, image.storage_key), { recursive: true, force: true });
+        console.log(`🖼️ Image ${image.id} removed from ${image.owner_type} ${image.owner_id}`);
+    }
+}
+
+// Shared image service for the app (server.js registers the 'product' owner)
+const imageService = new ImageService();
+
+module.exports = {
+    ImageService,
+    ImageError,
+    VARIANT_WIDTHS,
+    imageService
+};
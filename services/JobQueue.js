@@ -0,0 +1,342 @@
+const EventEmitter = require('events');
+const { requestContext, getRequestId } = require('../logger');
+
+// In-process background job queue, persisted in SQLite (jobs table)
+// Handlers are registered per job type and receive (payload, job), where
+// job.progress(current, total, message) records how far along the work is.
+// Failed jobs are retried with exponential backoff until maxAttempts is reached;
+// a handler can throw an error with retryable = false to fail straight away.
+//
+// Events: 'queued', 'started', 'progress', 'completed', 'failed', 'retrying'
+
+const FINISHED_STATUSES = ['completed', 'failed'];
+const KEEP_FINISHED_DAYS = 7;
+
+class JobQueue extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.dbHandle = options.db || null;
+        this.concurrency = options.concurrency || parseInt(process.env.JOB_CONCURRENCY) || 2;
+        this.pollInterval = options.pollInterval || 1000;
+        this.handlers = new Map();
+        this.running = new Map(); // jobId -> type
+        this.origins = new Map(); // jobId -> ID of the request that queued it, for the job's log lines
+        this.timer = null;
+        this.schedules = [];
+        this.ticking = false;
+        this.ready = null;
+    }
+
+    // Default to the shared app database; tests can pass their own handle
+    get db() {
+        if (!this.dbHandle) {
+            this.dbHandle = require('../database/sqlite-connection').db;
+        }
+        return this.dbHandle;
+    }
+
+    run(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, function(err) {
+                if (err) reject(err);
+                else resolve({ changes: this.changes });
+            });
+        });
+    }
+
+    all(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows);
+            });
+        });
+    }
+
+    init() {
+        if (!this.ready) {
+            this.ready = (async () => {
+                await this.run(`
+                    CREATE TABLE IF NOT EXISTS jobs (
+                        id TEXT PRIMARY KEY,
+                        type TEXT NOT NULL,
+                        status TEXT NOT NULL DEFAULT 'queued',
+                        payload TEXT,
+                        result TEXT,
+                        error TEXT,
+                        progress TEXT,
+                        attempts INTEGER NOT NULL DEFAULT 0,
+                        max_attempts INTEGER NOT NULL DEFAULT 3,
+                        run_at INTEGER NOT NULL,
+                        created_at DATETIME NOT NULL,
+                        started_at DATETIME,
+                        finished_at DATETIME,
+                        updated_at DATETIME
+                    )
+                `);
+                await this.run('CREATE INDEX IF NOT EXISTS idx_jobs_status_run_at ON jobs(status, run_at)');
+            })();
+        }
+        return this.ready;
+    }
+
+    // options: concurrency (per type), maxAttempts, backoffMs (first retry delay)
+    register(type, handler, options = {}) {
+        this.handlers.set(type, {
+            handler,
+            concurrency: options.concurrency || this.concurrency,
+            maxAttempts: options.maxAttempts || 3,
+            backoffMs: options.backoffMs || 5000
+        });
+    }
+
+    async enqueue(type, payload = {}, options = {}) {
+        const registration = this.handlers.get(type);
+        if (!registration) {
+            throw new Error(`No handler registered for job type: ${type}`);
+        }
+
+        await this.init();
+
+        const now = new Date().toISOString();
+        const id = `job_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+        await this.run(
+            `INSERT INTO jobs (id, type, status, payload, progress, max_attempts, run_at, created_at, updated_at)
+             VALUES (?, ?, 'queued', ?, ?, ?, ?, ?, ?)`,
+            [id, type, JSON.stringify(payload), JSON.stringify({ current: 0, total: null, percent: 0, message: 'Queued' }),
+             options.maxAttempts || registration.maxAttempts, Date.now(), now, now]
+        );
+
+        const requestId = getRequestId();
+        if (requestId) this.origins.set(id, requestId);
+
+        const job = await this.get(id);
+        console.log(`📥 Job queued: ${type} (${id})`);
+        this.emit('queued', job);
+
+        // Don't wait for the next poll
+        setImmediate(() => this.tick());
+        return job;
+    }
+
+    // Queues the job unless one of this type was queued less than everyMs ago.
+    // The jobs table is the memory, so a restart neither skips nor repeats a run.
+    async enqueueIfDue(type, everyMs, payload = {}) {
+        await this.init();
+        const [last] = await this.all('SELECT created_at FROM jobs WHERE type = ? ORDER BY created_at DESC LIMIT 1', [type]);
+        if (last && Date.now() - new Date(last.created_at).getTime() < everyMs) return null;
+        return this.enqueue(type, payload);
+    }
+
+    // Recurring job: checked now and then every few minutes, queued once it is due.
+    // Hosts that restart more often than everyMs still get their runs.
+    schedule(type, everyMs, payload = {}, { checkEveryMs = Math.min(everyMs, 10 * 60 * 1000) } = {}) {
+        const check = () => this.enqueueIfDue(type, everyMs, payload).catch(error =>
+            console.error(`❌ Job queue error scheduling ${type}:`, error.message));
+
+        check();
+        const timer = setInterval(check, checkEveryMs);
+        timer.unref();
+        this.schedules.push(timer);
+    }
+
+    rowToJob(row) {
+        const parse = value => (value ? JSON.parse(value) : null);
+
+        return {
+            id: row.id,
+            type: row.type,
+            status: row.status,
+            payload: parse(row.payload),
+            progress: parse(row.progress),
+            result: parse(row.result),
+            error: row.error,
+            attempts: row.attempts,
+            maxAttempts: row.max_attempts,
+            nextRunAt: row.status === 'queued' ? new Date(row.run_at).toISOString() : null,
+            createdAt: row.created_at,
+            startedAt: row.started_at,
+            finishedAt: row.finished_at,
+            updatedAt: row.updated_at
+        };
+    }
+
+    async get(id) {
+        await this.init();
+        const rows = await this.all('SELECT * FROM jobs WHERE id = ?', [id]);
+        return rows.length > 0 ? this.rowToJob(rows[0]) : null;
+    }
+
+    async list({ type = null, status = null, limit = 20 } = {}) {
+        await this.init();
+
+        const conditions = [];
+        const params = [];
+        if (type) {
+            conditions.push('type = ?');
+            params.push(type);
+        }
+        if (status) {
+            conditions.push('status = ?');
+            params.push(status);
+        }
+        params.push(limit);
+
+        const rows = await this.all(
+            `SELECT * FROM jobs ${conditions.length ? 'WHERE ' + conditions.join(' AND ') : ''}
+             ORDER BY created_at DESC LIMIT ?`,
+            params
+        );
+        return rows.map(row => this.rowToJob(row));
+    }
+
+    async start() {
+        await this.init();
+
+        // Jobs that were running when the process stopped go back in the queue
+        const interrupted = await this.run(
+            "UPDATE jobs SET status = 'queued', run_at = ?, updated_at = ? WHERE status = 'running'",
+            [Date.now(), new Date().toISOString()]
+        );
+        if (interrupted.changes > 0) {
+            console.log(`🔄 Re-queued ${interrupted.changes} interrupted job(s)`);
+        }
+
+        const cutoff = new Date(Date.now() - KEEP_FINISHED_DAYS * 24 * 60 * 60 * 1000).toISOString();
+        await this.run(
+            `DELETE FROM jobs WHERE status IN (${FINISHED_STATUSES.map(() => '?').join(', ')}) AND finished_at < ?`,
+            [...FINISHED_STATUSES, cutoff]
+        );
+
+        if (!this.timer) {
+            this.timer = setInterval(() => this.tick(), this.pollInterval);
+            this.timer.unref();
+        }
+        console.log(`⚙️ Job queue started (concurrency ${this.concurrency})`);
+        this.tick();
+    }
+
+    stop() {
+        this.schedules.forEach(timer => clearInterval(timer));
+        this.schedules = [];
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    runningCount(type) {
+        return Array.from(this.running.values()).filter(runningType => runningType === type).length;
+    }
+
+    // Claim as many due jobs as the concurrency limits allow
+    async tick() {
+        if (this.ticking) return;
+        this.ticking = true;
+
+        try {
+            await this.init();
+
+            while (this.running.size < this.concurrency) {
+                const due = await this.all(
+                    "SELECT * FROM jobs WHERE status = 'queued' AND run_at <= ? ORDER BY run_at, created_at LIMIT 50",
+                    [Date.now()]
+                );
+
+                const row = due.find(candidate => {
+                    const registration = this.handlers.get(candidate.type);
+                    return registration && this.runningCount(candidate.type) < registration.concurrency;
+                });
+                if (!row) break;
+
+                const claimed = await this.run(
+                    "UPDATE jobs SET status = 'running', attempts = attempts + 1, started_at = ?, updated_at = ? WHERE id = ? AND status = 'queued'",
+                    [new Date().toISOString(), new Date().toISOString(), row.id]
+                );
+                if (claimed.changes === 1) {
+                    this.running.set(row.id, row.type);
+                    // execute() handles handler errors itself; this catches the bookkeeping
+                    // queries (get / finish / requeue) failing, e.g. a busy or closed database
+                    this.execute(row.id).catch(error => {
+                        this.running.delete(row.id);
+                        console.error(`❌ Job queue error running ${row.type} (${row.id}):`, error.message);
+                    });
+                }
+            }
+        } catch (error) {
+            console.error('❌ Job queue error:', error.message);
+        } finally {
+            this.ticking = false;
+        }
+    }
+
+    async execute(jobId) {
+        const job = await this.get(jobId);
+        const registration = this.handlers.get(job.type);
+
+        const context = {
+            ...job,
+            progress: (current, total = null, message = null) => this.reportProgress(job, current, total, message)
+        };
+
+        console.log(`▶️ Job started: ${job.type} (${job.id}, attempt ${job.attempts}/${job.maxAttempts})`);
+        this.emit('started', job);
+
+        try {
+            const result = await requestContext.run(
+                { requestId: this.origins.get(job.id) || null, jobId: job.id },
+                () => registration.handler(job.payload, context)
+            );
+            await this.finish(job, 'completed', { result });
+            console.log(`✅ Job completed: ${job.type} (${job.id})`);
+        } catch (error) {
+            const retryable = error.retryable !== false && job.attempts < job.maxAttempts;
+
+            if (retryable) {
+                const delay = registration.backoffMs * Math.pow(2, job.attempts - 1);
+                await this.run(
+                    "UPDATE jobs SET status = 'queued', error = ?, run_at = ?, updated_at = ? WHERE id = ?",
+                    [error.message, Date.now() + delay, new Date().toISOString(), job.id]
+                );
+                console.warn(`⚠️ Job ${job.id} failed (attempt ${job.attempts}), retrying in ${Math.round(delay / 1000)}s:`, error.message);
+                this.emit('retrying', { ...job, error: error.message, retryInMs: delay });
+            } else {
+                await this.finish(job, 'failed', { error: error.message });
+                console.error(`❌ Job failed: ${job.type} (${job.id}):`, error.message);
+            }
+        } finally {
+            this.running.delete(job.id);
+            setImmediate(() => this.tick());
+        }
+    }
+
+    async finish(job, status, { result = null, error = null }) {
+        const now = new Date().toISOString();
+        await this.run(
+            'UPDATE jobs SET status = ?, result = ?, error = ?, finished_at = ?, updated_at = ? WHERE id = ?',
+            [status, result === null ? null : JSON.stringify(result), error, now, now, job.id]
+        );
+        this.origins.delete(job.id);
+        this.emit(status, await this.get(job.id));
+    }
+
+    async reportProgress(job, current, total, message) {
+        const progress = {
+            current,
+            total,
+            percent: total ? Math.min(100, Math.round(current / total * 100)) : null,
+            message
+        };
+
+        await this.run(
+            'UPDATE jobs SET progress = ?, updated_at = ? WHERE id = ?',
+            [JSON.stringify(progress), new Date().toISOString(), job.id]
+        );
+        this.emit('progress', { id: job.id, type: job.type, progress });
+    }
+}
+
+// Shared queue for the app; handlers are registered where the work lives
+const jobQueue = new JobQueue();
+
+module.exports = { JobQueue, jobQueue };
@@ -0,0 +1,109 @@
+const EventEmitter = require('events');
+
+// Server-Sent Events hub for the admin pages (GET /api/events)
+// publish(type, data) sends an event to every connected browser. Recent events
+// are kept in memory so a reconnecting EventSource can catch up with Last-Event-ID.
+//
+// Event types: sync.started, sync.item, sync.completed, sync.failed,
+// import.item, crosspost.result, item.published, item.price_changed, sold,
+// order.status, subscription.changed, job.<queue event>
+// Some of these are also sent to webhook endpoints (see WebhookService).
+
+const JOB_EVENTS = ['queued', 'started', 'progress', 'completed', 'failed', 'retrying'];
+
+class LiveEvents extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.historySize = options.historySize || 200;
+        this.heartbeatInterval = options.heartbeatInterval || 25000;
+        this.clients = new Set();
+        this.history = [];
+        this.nextId = 1;
+    }
+
+    publish(type, data = {}) {
+        const event = {
+            id: this.nextId++,
+            type,
+            data: { ...data, timestamp: new Date().toISOString() }
+        };
+
+        this.history.push(event);
+        if (this.history.length > this.historySize) {
+            this.history.shift();
+        }
+
+        for (const client of this.clients) {
+            this.send(client, event);
+        }
+        this.emit('event', event);
+        return event;
+    }
+
+    // Clients can narrow the stream with type prefixes, e.g. ?types=sync,job
+    matches(client, event) {
+        return !client.types || client.types.some(prefix => event.type.startsWith(prefix));
+    }
+
+    send(client, event) {
+        if (!this.matches(client, event)) return;
+        client.res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+    }
+
+    // Express handler body - keeps the response open until the browser disconnects
+    subscribe(req, res) {
+        const types = req.query.types ? String(req.query.types).split(',').map(t => t.trim()).filter(Boolean) : null;
+        const client = { res, types };
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no' // don't let nginx/Render proxies buffer the stream
+        });
+        res.write('retry: 5000\n\n');
+
+        // Replay what was missed while reconnecting
+        const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId);
+        if (lastEventId) {
+            this.history
+                .filter(event => event.id > lastEventId)
+                .forEach(event => this.send(client, event));
+        }
+
+        this.clients.add(client);
+        console.log(`📡 Live events client connected (${this.clients.size} open)`);
+
+        // Comment lines keep idle connections from being closed by proxies
+        const heartbeat = setInterval(() => res.write(': ping\n\n'), this.heartbeatInterval);
+
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            this.clients.delete(client);
+            console.log(`📡 Live events client disconnected (${this.clients.size} open)`);
+        });
+    }
+
+    // Forward job queue activity as job.* events
+    bridgeJobQueue(queue) {
+        JOB_EVENTS.forEach(name => {
+            queue.on(name, job => {
+                this.publish(`job.${name}`, {
+                    jobId: job.id,
+                    jobType: job.type,
+                    status: name === 'retrying' ? 'queued' : (job.status || 'running'),
+                    progress: job.progress,
+                    attempts: job.attempts,
+                    error: job.error || null,
+                    retryInMs: job.retryInMs,
+                    result: name === 'completed' ? job.result : undefined
+                });
+            });
+        });
+    }
+}
+
+// Shared stream for the app
+const liveEvents = new LiveEvents();
+
+module.exports = { LiveEvents, liveEvents };
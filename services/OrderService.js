@@ -0,0 +1,374 @@
+const { Order, Payment, VintageItem, VintageSeller } = require('../database/models');
+const SalePropagationService = require('./SalePropagationService');
+const AnalyticsService = require('./AnalyticsService');
+const { paymentProviders } = require('./payments');
+const { liveEvents } = require('./LiveEvents');
+const { catalogSearch } = require('./search');
+const responseCache = require('../cache');
+
+// Allowed moves through the order lifecycle
+const ORDER_TRANSITIONS = {
+    pending: ['paid', 'cancelled'],
+    paid: ['shipped', 'cancelled'],
+    shipped: ['delivered'],
+    delivered: [],
+    cancelled: []
+};
+
+// How long a pending order holds the item before it goes back on sale
+const RESERVATION_MINUTES = 15;
+
+class OrderError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'OrderError';
+        this.status = status;
+    }
+}
+
+// SQLite returns CURRENT_TIMESTAMP as 'YYYY-MM-DD HH:MM:SS' in UTC without a zone
+function parseTimestamp(value) {
+    if (value instanceof Date) return value;
+    return new Date(/[zZ]|[+-]\d\d:?\d\d$/.test(value) ? value : `${String(value).replace(' ', 'T')}Z`);
+}
+
+// Checkout for vintage items: reserve -> pending order -> paid -> shipped -> delivered (or cancelled)
+class OrderService {
+    constructor(options = {}) {
+        this.models = options.models || { Order, Payment, VintageItem, VintageSeller };
+        this.payments = options.payments || paymentProviders;
+        this.salePropagation = options.salePropagation || new SalePropagationService({ models: options.models });
+        this.analytics = options.analytics || new AnalyticsService();
+        this.events = options.events || liveEvents;
+        this.search = options.search || catalogSearch;
+        this.cache = options.cache || responseCache;
+        this.reservationMinutes = options.reservationMinutes || RESERVATION_MINUTES;
+    }
+
+    expiresAt(order) {
+        return new Date(parseTimestamp(order.created_at).getTime() + this.reservationMinutes * 60 * 1000);
+    }
+
+    // Reserve the item, open a pending order and start a payment with the provider
+    async checkout(buyerId, itemId, { shippingAddress = null } = {}) {
+        const { Order, Payment, VintageItem, VintageSeller } = this.models;
+        if (!this.payments.isAvailable()) {
+            throw new OrderError('Checkout is unavailable: no payment provider is configured', 503);
+        }
+
+        let item = await VintageItem.findById(itemId);
+        if (!item) {
+            throw new OrderError('Item not found', 404);
+        }
+
+        if (item.status === 'reserved' && await this.releaseIfExpired(item.id)) {
+            item = await VintageItem.findById(itemId);
+        }
+
+        const seller = await VintageSeller.findById(item.seller_id);
+        if (seller && seller.user_id === buyerId) {
+            throw new OrderError('You cannot buy your own item');
+        }
+
+        if (!shippingAddress) {
+            throw new OrderError('Shipping address is required');
+        }
+
+        if (!await VintageItem.changeStatus(item.id, 'published', 'reserved')) {
+            throw new OrderError('This item is no longer available', 409);
+        }
+
+        let order;
+        let payment;
+        try {
+            order = await Order.create({
+                buyer_id: buyerId,
+                seller_id: item.seller_id,
+                item_id: item.id,
+                total_amount: item.price,
+                platform: 'vintage_crib',
+                external_order_id: null,
+                shipping_address: typeof shippingAddress === 'string' ? shippingAddress : JSON.stringify(shippingAddress)
+            });
+            await Order.addEvent(order.id, null, 'pending', `Item reserved for ${this.reservationMinutes} minutes`);
+
+            const provider = this.payments.get();
+            const intent = await provider.createPayment(order);
+            payment = await Payment.create({
+                order_id: order.id,
+                provider: provider.id,
+                provider_payment_id: intent.id,
+                amount: order.total_amount,
+                status: intent.status
+            });
+            payment.client_secret = intent.clientSecret || null;
+
+        } catch (error) {
+            // Don't leave the item stuck in 'reserved' behind a half-created order
+            if (order) {
+                await Order.updateStatus(order.id, 'pending', 'cancelled');
+                await Order.addEvent(order.id, 'pending', 'cancelled', `Checkout failed: ${error.message}`);
+            }
+            await VintageItem.changeStatus(item.id, 'reserved', 'published');
+            throw error;
+        }
+
+        this.search.invalidate();
+        this.cache.invalidate('vintage_items');
+        this.publish(order, null, 'pending');
+        console.log(`🛒 Order #${order.id} opened for item ${item.id} ($${order.total_amount})`);
+
+        return {
+            order: order,
+            payment: this.describePayment(payment),
+            expiresAt: this.expiresAt(order)
+        };
+    }
+
+    // Confirm the buyer's payment; on success the item is sold and delisted elsewhere
+    async confirmPayment(orderId, buyerId, details = {}) {
+        const { Payment } = this.models;
+        const order = await this.getOrderFor(orderId, buyerId, ['buyer']);
+
+        if (order.status !== 'pending') {
+            throw new OrderError(`Order is already ${order.status}`, 409);
+        }
+        if (new Date() > this.expiresAt(order)) {
+            await this.cancelOrder(order, 'Reservation expired');
+            throw new OrderError('Your reservation expired - the item is back on sale', 409);
+        }
+
+        const payment = await Payment.findLatestByOrder(order.id);
+        if (!payment) {
+            throw new OrderError('No payment was started for this order', 409);
+        }
+
+        const outcome = await this.payments.get(payment.provider).confirmPayment(payment, details);
+        if (outcome.status !== 'succeeded') {
+            await Payment.updateStatus(payment.id, 'failed', outcome.error || 'Payment failed');
+            throw new OrderError(outcome.error || 'Payment failed', 402);
+        }
+
+        await Payment.updateStatus(payment.id, 'succeeded');
+
+        // The order may have been cancelled or expired while the provider was
+        // charging - hand the money back rather than keep it for an unpaid order
+        let paid;
+        try {
+            paid = await this.transition(order, 'paid', `Payment ${outcome.id} succeeded`);
+        } catch (error) {
+            await this.refundPayment(payment, `Order could not be marked paid: ${error.message}`);
+            throw new OrderError('This order was cancelled before your payment went through - the payment has been refunded', 409);
+        }
+        const sale = await this.markItemSold(paid);
+
+        return { order: paid, payment: this.describePayment({ ...payment, status: 'succeeded' }), salePropagation: sale };
+    }
+
+    async markItemSold(order) {
+        const { VintageItem } = this.models;
+        const item = await VintageItem.findById(order.item_id);
+
+        await VintageItem.update(item.id, { status: 'sold', sold_at: new Date().toISOString() });
+        this.search.invalidate();
+        this.cache.invalidate('vintage_items');
+
+        const sale = await this.salePropagation.propagateSale(item, { soldOn: 'vintage_crib' });
+        this.events.publish('sold', {
+            source: 'order',
+            orderId: order.id,
+            itemId: item.id,
+            name: item.title,
+            price: order.total_amount,
+            soldOn: 'vintage_crib',
+            delisted: sale.results
+        });
+
+        // Seller analytics are keyed by the seller's user id
+        await this.analytics.trackEvent({
+            sellerId: order.seller_user_id,
+            itemId: item.id,
+            eventType: 'sale',
+            platform: 'vintage_crib',
+            metadata: { sale_price: parseFloat(order.total_amount), order_id: order.id }
+        });
+
+        return sale;
+    }
+
+    async ship(orderId, sellerUserId, { trackingNumber, carrier = null } = {}) {
+        const order = await this.getOrderFor(orderId, sellerUserId, ['seller']);
+        if (!trackingNumber) {
+            throw new OrderError('Tracking number is required');
+        }
+
+        const message = carrier ? `Shipped with ${carrier}, tracking ${trackingNumber}` : `Shipped, tracking ${trackingNumber}`;
+        return this.transition(order, 'shipped', message, { tracking_number: trackingNumber });
+    }
+
+    async deliver(orderId, userId) {
+        const order = await this.getOrderFor(orderId, userId, ['buyer', 'seller']);
+        return this.transition(order, 'delivered', 'Delivered');
+    }
+
+    // Buyers can cancel until they pay; sellers until they ship (paid orders are refunded)
+    async cancel(orderId, userId, { reason = null } = {}) {
+        const order = await this.getOrderFor(orderId, userId, ['buyer', 'seller']);
+        const role = order.buyer_id === userId ? 'buyer' : 'seller';
+
+        if (role === 'buyer' && order.status !== 'pending') {
+            throw new OrderError('Paid orders can only be cancelled by the seller', 403);
+        }
+        return this.cancelOrder(order, reason || `Cancelled by ${role}`);
+    }
+
+    // The order is claimed (moved to cancelled) before any refund, so a concurrent
+    // ship or payment can't leave a refunded order standing as 'paid'
+    async cancelOrder(order, reason) {
+        const { Payment, VintageItem } = this.models;
+        const itemStatus = order.status === 'pending' ? 'reserved' : 'sold';
+        const cancelled = await this.transition(order, 'cancelled', reason);
+
+        // Back on sale here; listings already delisted elsewhere stay down
+        if (await VintageItem.changeStatus(order.item_id, itemStatus, 'published')) {
+            this.search.invalidate();
+            this.cache.invalidate('vintage_items');
+        }
+
+        const payment = await Payment.findLatestByOrder(order.id);
+        if (order.status === 'paid' && payment && !await this.refundPayment(payment, reason)) {
+            throw new OrderError('The order was cancelled but the refund failed - it has been flagged for a manual refund', 502);
+        }
+
+        return cancelled;
+    }
+
+    // Returns false (and flags the payment 'refund_failed') when the provider refuses
+    async refundPayment(payment, reason) {
+        const { Payment } = this.models;
+        try {
+            await this.payments.get(payment.provider).refund(payment);
+            await Payment.updateStatus(payment.id, 'refunded', reason);
+            return true;
+        } catch (error) {
+            await Payment.updateStatus(payment.id, 'refund_failed', error.message);
+            console.error(`🚨 Refund of payment ${payment.id} (order #${payment.order_id}) failed - refund it manually:`, error.message);
+            return false;
+        }
+    }
+
+    // Returns true when the item's pending order had expired and was cancelled
+    async releaseIfExpired(itemId) {
+        const order = await this.models.Order.findPendingByItem(itemId);
+        if (!order || new Date() <= this.expiresAt(order)) return false;
+
+        await this.cancelOrder(order, 'Reservation expired');
+        return true;
+    }
+
+    async releaseExpiredReservations() {
+        const pending = await this.models.Order.getPending();
+        const expired = pending.filter(order => new Date() > this.expiresAt(order));
+
+        for (const order of expired) {
+            try {
+                await this.cancelOrder(order, 'Reservation expired');
+            } catch (error) {
+                console.error(`❌ Failed to release reservation for order #${order.id}:`, error.message);
+            }
+        }
+
+        if (expired.length > 0) {
+            console.log(`⏳ Released ${expired.length} expired reservation(s)`);
+        }
+        return expired.length;
+    }
+
+    async transition(order, toStatus, message = null, fields = {}) {
+        const { Order } = this.models;
+
+        if (!ORDER_TRANSITIONS[order.status]?.includes(toStatus)) {
+            throw new OrderError(`Cannot move an order from ${order.status} to ${toStatus}`, 409);
+        }
+        if (!await Order.updateStatus(order.id, order.status, toStatus, fields)) {
+            throw new OrderError('Order was updated by another request', 409);
+        }
+
+        await Order.addEvent(order.id, order.status, toStatus, message);
+        this.publish(order, order.status, toStatus);
+        console.log(`📦 Order #${order.id}: ${order.status} → ${toStatus}`);
+
+        return { ...order, ...fields, status: toStatus };
+    }
+
+    publish(order, fromStatus, toStatus) {
+        this.events.publish('order.status', {
+            orderId: order.id,
+            itemId: order.item_id,
+            buyerId: order.buyer_id,
+            from: fromStatus,
+            to: toStatus,
+            amount: order.total_amount
+        });
+    }
+
+    // Loads an order and checks the user is one of its parties
+    async getOrderFor(orderId, userId, roles) {
+        const order = await this.models.Order.findById(orderId);
+        if (!order) {
+            throw new OrderError('Order not found', 404);
+        }
+
+        const isBuyer = roles.includes('buyer') && order.buyer_id === userId;
+        const isSeller = roles.includes('seller') && order.seller_user_id === userId;
+        if (!isBuyer && !isSeller) {
+            throw new OrderError('Not authorized to access this order', 403);
+        }
+        return order;
+    }
+
+    async getOrder(orderId, userId) {
+        const { Order, Payment } = this.models;
+        const order = await this.getOrderFor(orderId, userId, ['buyer', 'seller']);
+
+        return {
+            ...order,
+            expires_at: order.status === 'pending' ? this.expiresAt(order) : null,
+            payment: this.describePayment(await Payment.findLatestByOrder(order.id)),
+            events: await Order.getEvents(order.id)
+        };
+    }
+
+    async listOrders(userId, role = 'buyer') {
+        const { Order, VintageSeller } = this.models;
+
+        if (role === 'seller') {
+            const seller = await VintageSeller.findByUserId(userId);
+            return seller ? Order.getByUser(seller.id, 'seller') : [];
+        }
+        return Order.getByUser(userId, 'buyer');
+    }
+
+    // Payment fields the buyer's browser needs
+    describePayment(payment) {
+        if (!payment) return null;
+        return {
+            id: payment.id,
+            provider: payment.provider,
+            status: payment.status,
+            amount: payment.amount,
+            clientSecret: payment.client_secret || null,
+            error: payment.error_message || null
+        };
+    }
+}
+
+// Shared order service for the app
+const orderService = new OrderService();
+
+module.exports = {
+    OrderService,
+    OrderError,
+    ORDER_TRANSITIONS,
+    orderService
+};
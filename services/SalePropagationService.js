@@ -0,0 +1,123 @@
+const { CrossPost, DelistTask, VintageItem } = require('../database/models');
+const { marketplaces: defaultMarketplaces } = require('./marketplaces');
+
+// Cross posts in these states are still live listings somewhere
+const ACTIVE_STATUSES = ['success', 'pending'];
+
+class SalePropagationService {
+    constructor({ marketplaces, models } = {}) {
+        this.marketplaces = marketplaces || defaultMarketplaces;
+        // Models can be swapped out in tests
+        this.models = models || { CrossPost, DelistTask, VintageItem };
+    }
+
+    parsePublishedTo(published) {
+        if (!published) return [];
+        if (Array.isArray(published)) return published;
+
+        try {
+            const parsed = JSON.parse(published);
+            return Array.isArray(parsed) ? parsed : [];
+        } catch {
+            // PostgreSQL array literal, e.g. {ebay,poshmark}
+            return published.replace(/[{}"]/g, '').split(',').map(p => p.trim()).filter(Boolean);
+        }
+    }
+
+    // True when an update moves a vintage item into the sold state
+    isNewSale(before, after) {
+        const wasSold = before.status === 'sold' || !!before.sold_at;
+        return !wasSold && (after.status === 'sold' || !!after.sold_at);
+    }
+
+    // Delist a sold vintage item everywhere except the platform it sold on
+    async propagateSale(item, { soldOn = null } = {}) {
+        const crossPosts = await this.models.CrossPost.findByItem(item.id);
+
+        // Live cross posts, plus published platforms that never got a cross_posts row
+        const targets = crossPosts.filter(post => ACTIVE_STATUSES.includes(post.status));
+        this.parsePublishedTo(item.published_to).forEach(platform => {
+            if (!crossPosts.some(post => post.platform === platform)) {
+                targets.push({ id: null, item_id: item.id, platform, status: null });
+            }
+        });
+
+        const results = [];
+        for (const crossPost of targets.filter(post => post.platform !== soldOn)) {
+            results.push(await this.delistCrossPost(item, crossPost, soldOn));
+        }
+
+        console.log(`🔻 Sale propagation for item ${item.id}: ${results.length} platform(s) processed`);
+        return { itemId: item.id, soldOn, results };
+    }
+
+    async delistCrossPost(item, crossPost, soldOn) {
+        const { CrossPost, DelistTask } = this.models;
+        const reason = soldOn ? `Sold on ${soldOn}` : 'Item sold';
+        const result = { platform: crossPost.platform, crossPostId: crossPost.id };
+
+        try {
+            const outcome = await this.marketplaces.get(crossPost.platform).delist(crossPost, item);
+
+            if (outcome.status === 'removed') {
+                await CrossPost.transition(crossPost, 'removed', 'delisted', `${reason} - ${outcome.message || 'listing ended'}`);
+                return { ...result, status: 'removed' };
+            }
+
+            // No API to end this listing - the seller has to remove it and confirm
+            const task = await DelistTask.create({
+                item_id: item.id,
+                cross_post_id: crossPost.id,
+                platform: crossPost.platform,
+                reason,
+                open_url: outcome.openUrl,
+                instructions: outcome.instructions
+            });
+            await CrossPost.transition(crossPost, 'removal_pending', 'delist_queued', `${reason} - delist task #${task.id} queued`);
+            return { ...result, status: 'removal_pending', taskId: task.id };
+
+        } catch (error) {
+            console.error(`❌ Delisting ${crossPost.platform} for item ${item.id} failed:`, error.message);
+            await CrossPost.transition(crossPost, crossPost.status || 'success', 'delist_failed', error.message)
+                .catch(auditError => console.error('Failed to record delist failure:', auditError.message));
+            return { ...result, status: 'failed', error: error.message };
+        }
+    }
+
+    // The seller removed the listing by hand
+    async completeTask(taskId) {
+        const { CrossPost, DelistTask } = this.models;
+
+        const task = await DelistTask.findById(taskId);
+        if (!task || task.status === 'completed') return task || null;
+
+        const completed = await DelistTask.complete(taskId);
+        const crossPost = (task.cross_post_id && await CrossPost.findById(task.cross_post_id)) ||
+            { id: null, item_id: task.item_id, platform: task.platform, status: 'removal_pending' };
+
+        await CrossPost.transition(crossPost, 'removed', 'delist_confirmed', `Delist task #${task.id} completed`);
+        return completed;
+    }
+
+    // products.json entries are linked to a vintage item through vintageItemId or their eBay cross post
+    async propagateProductSale(product, { ebayItemId = null, soldOn = null } = {}) {
+        const { CrossPost, VintageItem } = this.models;
+
+        let itemId = product.vintageItemId || null;
+        if (!itemId && ebayItemId) {
+            const crossPost = await CrossPost.findByExternalId('ebay', ebayItemId);
+            itemId = crossPost ? crossPost.item_id : null;
+        }
+
+        const item = itemId ? await VintageItem.findById(itemId) : null;
+        if (!item) return null;
+
+        if (item.status !== 'sold') {
+            await VintageItem.update(item.id, { status: 'sold', sold_at: new Date().toISOString() });
+        }
+
+        return this.propagateSale(item, { soldOn });
+    }
+}
+
+module.exports = SalePropagationService;
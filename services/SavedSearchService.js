@@ -0,0 +1,539 @@
+const crypto = require('crypto');
+const { AlertSubscriber, SavedSearch, SavedSearchMatch, ListingSnapshot } = require('../database/models');
+const { notifiers } = require('./notifications');
+const { catalogSearch } = require('./search');
+const { fromProduct, fromVintageItem, matchesFilters, fieldText, FIELDS } = require('./search/documents');
+const { analyze, escapeHtml } = require('./search/analyzer');
+
+// How long a subscriber waits between alert emails
+const FREQUENCIES = {
+    instant: 0,
+    daily: 24 * 60 * 60 * 1000,
+    weekly: 7 * 24 * 60 * 60 * 1000
+};
+
+const ALERT_TYPES = ['new', 'price_drop', 'back_in_stock'];
+
+const REASON_LABELS = {
+    new: 'New listing',
+    price_drop: 'Price drop',
+    back_in_stock: 'Back in stock'
+};
+
+const MAX_SEARCHES_PER_SUBSCRIBER = 25;
+
+class SavedSearchError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'SavedSearchError';
+        this.status = status;
+    }
+}
+
+// SQLite returns CURRENT_TIMESTAMP as 'YYYY-MM-DD HH:MM:SS' in UTC without a zone
+function parseTimestamp(value) {
+    if (value instanceof Date) return value;
+    return new Date(/[zZ]|[+-]\d\d:?\d\d$/.test(value) ? value : `${String(value).replace(' ', 'T')}Z`);
+}
+
+function parseJson(value, fallback) {
+    if (value && typeof value === 'object') return value;
+    try {
+        return value ? JSON.parse(value) : fallback;
+    } catch {
+        return fallback;
+    }
+}
+
+function createToken() {
+    return crypto.randomBytes(24).toString('base64url');
+}
+
+function formatPrice(price) {
+    return `$${parseFloat(price).toFixed(2)}`;
+}
+
+// Everything the store and published vintage items currently list, in search-document shape
+async function defaultLoadListings() {
+    const [products, vintageItems] = await Promise.all([
+        catalogSearch.loadProducts(),
+        catalogSearch.loadVintageItems().catch(error => {
+            console.error('❌ Saved searches: failed to load vintage items:', error.message);
+            return [];
+        })
+    ]);
+    return [...products.map(fromProduct), ...vintageItems.map(fromVintageItem)];
+}
+
+// Shoppers save a search (filters + alert types) and get told when a listing that
+// matches it is newly imported, drops in price or comes back in stock.
+//
+// run() compares every listing with listing_snapshots (price + availability at the
+// last run), records matches for the changes and sends each subscriber a digest
+// once their frequency allows. The first run only records the snapshots, so a new
+// install doesn't announce the whole catalog as new.
+class SavedSearchService {
+    constructor(options = {}) {
+        this.models = options.models || { AlertSubscriber, SavedSearch, SavedSearchMatch, ListingSnapshot };
+        this.notifiers = options.notifiers || notifiers;
+        this.loadListings = options.loadListings || defaultLoadListings;
+        this.baseUrl = (options.baseUrl || process.env.SITE_URL || `http://localhost:${process.env.PORT || 3001}`).replace(/\/+$/, '');
+        this.now = options.now || (() => new Date());
+    }
+
+    link(path) {
+        return /^https?:\/\//.test(path) ? path : `${this.baseUrl}${path.startsWith('/') ? '' : '/'}${path}`;
+    }
+
+    normalizeFilters(input = {}) {
+        const filters = {};
+        const text = value => (typeof value === 'string' ? value.trim() : '');
+
+        if (text(input.search)) filters.search = text(input.search).slice(0, 200);
+        if (text(input.category)) filters.category = text(input.category);
+        if (text(input.condition)) filters.condition = text(input.condition);
+        if (['store', 'vintage'].includes(input.type)) filters.type = input.type;
+
+        for (const key of ['minPrice', 'maxPrice']) {
+            if (input[key] === undefined || input[key] === null || input[key] === '') continue;
+            const price = parseFloat(input[key]);
+            if (!Number.isFinite(price) || price < 0) {
+                throw new SavedSearchError(`${key} must be a positive number`);
+            }
+            filters[key] = price;
+        }
+
+        if (filters.minPrice !== undefined && filters.maxPrice !== undefined && filters.minPrice > filters.maxPrice) {
+            throw new SavedSearchError('minPrice cannot be more than maxPrice');
+        }
+        if (!filters.search && !filters.category && !filters.condition
+            && filters.minPrice === undefined && filters.maxPrice === undefined) {
+            throw new SavedSearchError('A saved search needs search text or at least one filter');
+        }
+        return filters;
+    }
+
+    normalizeAlertTypes(input) {
+        if (input === undefined || input === null) return [...ALERT_TYPES];
+
+        const types = Array.isArray(input) ? input : String(input).split(',').map(type => type.trim());
+        const invalid = types.filter(type => !ALERT_TYPES.includes(type));
+        if (invalid.length > 0 || types.length === 0) {
+            throw new SavedSearchError(`alertTypes must be some of: ${ALERT_TYPES.join(', ')}`);
+        }
+        return Array.from(new Set(types));
+    }
+
+    checkFrequency(frequency) {
+        if (!Object.prototype.hasOwnProperty.call(FREQUENCIES, frequency)) {
+            throw new SavedSearchError(`frequency must be one of: ${Object.keys(FREQUENCIES).join(', ')}`);
+        }
+        return frequency;
+    }
+
+    toSearch(row) {
+        return {
+            id: row.id,
+            name: row.name,
+            filters: parseJson(row.filters, {}),
+            alertTypes: parseJson(row.alert_types, ALERT_TYPES),
+            active: !!row.active,
+            lastMatchedAt: row.last_matched_at || null,
+            createdAt: row.created_at
+        };
+    }
+
+    toSubscriber(row) {
+        return {
+            email: row.email,
+            frequency: row.frequency,
+            confirmed: !!row.confirmed_at,
+            unsubscribed: !!row.unsubscribed_at
+        };
+    }
+
+    // Logged-in users are subscribed straight away; email-only subscribers confirm first
+    async subscribe({ user = null, email = null, name = null, filters, alertTypes, frequency }) {
+        const { AlertSubscriber, SavedSearch } = this.models;
+        const searchFilters = this.normalizeFilters(filters);
+        const types = this.normalizeAlertTypes(alertTypes);
+        if (frequency !== undefined) this.checkFrequency(frequency);
+
+        let subscriber;
+        if (user) {
+            subscriber = await AlertSubscriber.findByUser(user.id);
+            if (!subscriber) {
+                subscriber = await AlertSubscriber.create({
+                    user_id: user.id,
+                    email: user.email || null,
+                    frequency: frequency || 'daily',
+                    token: createToken(),
+                    confirmed_at: this.now().toISOString()
+                });
+            }
+        } else {
+            const address = typeof email === 'string' ? email.trim() : '';
+            if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(address)) {
+                throw new SavedSearchError('Log in or give a valid email address to save a search');
+            }
+
+            subscriber = await AlertSubscriber.findGuestByEmail(address);
+            if (!subscriber) {
+                subscriber = await AlertSubscriber.create({
+                    email: address,
+                    frequency: frequency || 'daily',
+                    token: createToken()
+                });
+            }
+        }
+
+        // Saving a search again after unsubscribing from everything turns alerts back on
+        const updates = {};
+        if (subscriber.unsubscribed_at) {
+            updates.unsubscribed_at = null;
+            if (!subscriber.user_id) updates.confirmed_at = null;
+        }
+        if (frequency && frequency !== subscriber.frequency) updates.frequency = frequency;
+        if (Object.keys(updates).length > 0) {
+            subscriber = await AlertSubscriber.update(subscriber.id, updates);
+        }
+
+        const existing = await SavedSearch.getBySubscriber(subscriber.id);
+        if (existing.filter(search => search.active).length >= MAX_SEARCHES_PER_SUBSCRIBER) {
+            throw new SavedSearchError(`You can have at most ${MAX_SEARCHES_PER_SUBSCRIBER} saved searches`, 409);
+        }
+
+        const search = await SavedSearch.create({
+            subscriber_id: subscriber.id,
+            name: (typeof name === 'string' && name.trim()) ? name.trim().slice(0, 100) : null,
+            filters: searchFilters,
+            alert_types: types,
+            token: createToken()
+        });
+
+        const confirmationRequired = !subscriber.confirmed_at;
+        if (confirmationRequired) {
+            await this.sendConfirmation(subscriber);
+        }
+
+        return { subscriber: this.toSubscriber(subscriber), search: this.toSearch(search), confirmationRequired };
+    }
+
+    async sendConfirmation(subscriber) {
+        const url = this.link(`/api/saved-searches/confirm?token=${subscriber.token}`);
+        const message = {
+            type: 'saved_search_confirmation',
+            subject: 'Confirm your Vintage Crib alerts',
+            text: `Someone (hopefully you) asked for Vintage Crib listing alerts at this address.\n\n`
+                + `Confirm here to start receiving them:\n${url}\n\n`
+                + `If it wasn't you, ignore this email and nothing will be sent.`,
+            html: `<p>Someone (hopefully you) asked for Vintage Crib listing alerts at this address.</p>`
+                + `<p><a href="${escapeHtml(url)}">Confirm your alerts</a></p>`
+                + `<p>If it wasn't you, ignore this email and nothing will be sent.</p>`,
+            url
+        };
+
+        const email = this.notifiers.has('email') ? this.notifiers.get('email') : null;
+        if (!email) {
+            throw new SavedSearchError('Email alerts are not available', 503);
+        }
+        await email.send({ userId: null, email: subscriber.email }, message);
+    }
+
+    // The subscriber behind a request: the logged-in user or a subscriber token from an email link
+    async findSubscriber({ user = null, token = null }) {
+        const { AlertSubscriber } = this.models;
+        const subscriber = user
+            ? await AlertSubscriber.findByUser(user.id)
+            : token ? await AlertSubscriber.findByToken(token) : null;
+
+        if (!subscriber && !user) {
+            throw new SavedSearchError('Log in or use the link from your alert email', 401);
+        }
+        return subscriber || null;
+    }
+
+    async list(identity) {
+        const subscriber = await this.findSubscriber(identity);
+        if (!subscriber) return { subscriber: null, searches: [] };
+
+        const searches = await this.models.SavedSearch.getBySubscriber(subscriber.id);
+        return { subscriber: this.toSubscriber(subscriber), searches: searches.map(row => this.toSearch(row)) };
+    }
+
+    async remove(identity, searchId) {
+        const { SavedSearch } = this.models;
+        const subscriber = await this.findSubscriber(identity);
+        const search = await SavedSearch.findById(searchId);
+
+        if (!subscriber || !search || search.subscriber_id !== subscriber.id) {
+            throw new SavedSearchError('Saved search not found', 404);
+        }
+        await SavedSearch.delete(search.id);
+    }
+
+    async setFrequency(identity, frequency) {
+        this.checkFrequency(frequency);
+        const subscriber = await this.findSubscriber(identity);
+        if (!subscriber) {
+            throw new SavedSearchError('You have no saved searches yet', 404);
+        }
+
+        const updated = await this.models.AlertSubscriber.update(subscriber.id, { frequency });
+        return this.toSubscriber(updated);
+    }
+
+    async confirm(token) {
+        const { AlertSubscriber } = this.models;
+        const subscriber = token ? await AlertSubscriber.findByToken(token) : null;
+        if (!subscriber) {
+            throw new SavedSearchError('This confirmation link is not valid', 404);
+        }
+
+        if (!subscriber.confirmed_at || subscriber.unsubscribed_at) {
+            return this.toSubscriber(await AlertSubscriber.update(subscriber.id, {
+                confirmed_at: this.now().toISOString(),
+                unsubscribed_at: null
+            }));
+        }
+        return this.toSubscriber(subscriber);
+    }
+
+    // A search token turns off that search; a subscriber token turns off everything
+    async unsubscribe(token) {
+        const { AlertSubscriber, SavedSearch } = this.models;
+
+        const search = token ? await SavedSearch.findByToken(token) : null;
+        if (search) {
+            await SavedSearch.update(search.id, { active: false });
+            return { scope: 'search', search: this.toSearch({ ...search, active: false }) };
+        }
+
+        const subscriber = token ? await AlertSubscriber.findByToken(token) : null;
+        if (subscriber) {
+            if (!subscriber.unsubscribed_at) {
+                await AlertSubscriber.update(subscriber.id, { unsubscribed_at: this.now().toISOString() });
+            }
+            return { scope: 'all' };
+        }
+
+        throw new SavedSearchError('This unsubscribe link is not valid', 404);
+    }
+
+    // Compares the catalog with the last run's snapshots
+    async detectChanges() {
+        const { ListingSnapshot } = this.models;
+        const [listings, snapshots] = await Promise.all([this.loadListings(), ListingSnapshot.getAll()]);
+        const previous = new Map(snapshots.map(snapshot => [snapshot.listing_id, snapshot]));
+        const seeding = snapshots.length === 0;
+        const changes = [];
+        const seen = new Set();
+
+        for (const doc of listings) {
+            const available = !doc.isSold;
+            const snapshot = previous.get(doc.id);
+            seen.add(doc.id);
+
+            // Listings without a price yet are tracked but never announced
+            const alertable = available && doc.price > 0;
+
+            if (!snapshot) {
+                if (!seeding && alertable) changes.push({ doc, reason: 'new', previousPrice: null });
+            } else {
+                const wasAvailable = !!snapshot.available;
+                const previousPrice = parseFloat(snapshot.price);
+
+                if (alertable && !wasAvailable) {
+                    changes.push({ doc, reason: 'back_in_stock', previousPrice: null });
+                } else if (alertable && doc.price < previousPrice) {
+                    changes.push({ doc, reason: 'price_drop', previousPrice });
+                }
+            }
+
+            if (!snapshot || !!snapshot.available !== available || parseFloat(snapshot.price) !== doc.price) {
+                await ListingSnapshot.save({ listing_id: doc.id, price: doc.price, available });
+            }
+        }
+
+        // Listings that disappeared count as sold, so relisting them is "back in stock"
+        for (const snapshot of snapshots) {
+            if (!seen.has(snapshot.listing_id) && snapshot.available) {
+                await ListingSnapshot.save({ listing_id: snapshot.listing_id, price: snapshot.price, available: false });
+            }
+        }
+
+        return { listings: listings.length, changes, seeded: seeding };
+    }
+
+    matches(filters, doc) {
+        if (!matchesFilters(doc, filters)) return false;
+        if (!filters.search) return true;
+
+        // Every word of the search, stemmed the same way catalog search does.
+        // Apostrophes are dropped first so "levis" finds "Levi's".
+        const terms = text => analyze(text.replace(/['’]/g, ''));
+        const words = new Set(terms(FIELDS.map(field => fieldText(doc, field)).join(' ')));
+        return terms(filters.search).every(term => words.has(term));
+    }
+
+    async run() {
+        const { SavedSearch, SavedSearchMatch } = this.models;
+        const { listings, changes, seeded } = await this.detectChanges();
+        let recorded = 0;
+
+        if (changes.length > 0) {
+            const searches = (await SavedSearch.getActive()).map(row => ({ row, ...this.toSearch(row) }));
+
+            for (const search of searches) {
+                let matched = false;
+                for (const { doc, reason, previousPrice } of changes) {
+                    if (!search.alertTypes.includes(reason) || !this.matches(search.filters, doc)) continue;
+
+                    const match = await SavedSearchMatch.record({
+                        saved_search_id: search.id,
+                        listing_id: doc.id,
+                        reason,
+                        title: doc.title,
+                        price: doc.price,
+                        previous_price: previousPrice,
+                        url: doc.url,
+                        image: doc.image
+                    });
+                    if (match) {
+                        recorded++;
+                        matched = true;
+                    }
+                }
+                if (matched) {
+                    await SavedSearch.update(search.id, { last_matched_at: this.now().toISOString() });
+                }
+            }
+        }
+
+        const digests = await this.sendDueDigests();
+        const result = { listings, changes: changes.length, matches: recorded, digests, seeded };
+        if (changes.length > 0 || digests > 0) {
+            console.log(`🔔 Saved searches: ${changes.length} listing changes, ${recorded} matches, ${digests} digests sent`);
+        }
+        return result;
+    }
+
+    isDue(subscriber) {
+        if (!subscriber.last_digest_at) return true;
+        const interval = FREQUENCIES[subscriber.frequency] !== undefined ? FREQUENCIES[subscriber.frequency] : FREQUENCIES.daily;
+        return this.now().getTime() - parseTimestamp(subscriber.last_digest_at).getTime() >= interval;
+    }
+
+    async sendDueDigests() {
+        const { AlertSubscriber, SavedSearchMatch } = this.models;
+        const subscribers = (await AlertSubscriber.getWithPendingMatches()).filter(subscriber => this.isDue(subscriber));
+        let sent = 0;
+
+        for (const subscriber of subscribers) {
+            const matches = await SavedSearchMatch.getPendingForSubscriber(subscriber.id);
+            if (matches.length === 0) continue;
+
+            // Left pending when no channel took it, so the next run tries again
+            const delivered = await this.deliver(subscriber, this.buildDigest(subscriber, matches));
+            if (delivered === 0) continue;
+
+            await SavedSearchMatch.markNotified(matches.map(match => match.id));
+            await AlertSubscriber.update(subscriber.id, { last_digest_at: this.now().toISOString() });
+            sent++;
+        }
+        return sent;
+    }
+
+    async deliver(subscriber, message) {
+        const recipient = { userId: subscriber.user_id || null, email: subscriber.email || null };
+        let delivered = 0;
+
+        for (const notifier of this.notifiers.forRecipient(recipient)) {
+            try {
+                await notifier.send(recipient, message);
+                delivered++;
+            } catch (error) {
+                console.error(`❌ Saved search alert via ${notifier.id} failed:`, error.message);
+            }
+        }
+        return delivered;
+    }
+
+    buildDigest(subscriber, matches) {
+        const groups = new Map();
+        for (const match of matches) {
+            if (!groups.has(match.saved_search_id)) groups.set(match.saved_search_id, []);
+            groups.get(match.saved_search_id).push(match);
+        }
+
+        const unsubscribeAll = this.link(`/api/saved-searches/unsubscribe?token=${subscriber.token}`);
+        const describe = match => match.reason === 'price_drop'
+            ? `${REASON_LABELS.price_drop}: ${formatPrice(match.previous_price)} → ${formatPrice(match.price)}`
+            : `${REASON_LABELS[match.reason]}: ${formatPrice(match.price)}`;
+
+        const text = [];
+        const html = [];
+        for (const group of groups.values()) {
+            const first = group[0];
+            const name = first.search_name || this.describeFilters(parseJson(first.search_filters, {}));
+            const stop = this.link(`/api/saved-searches/unsubscribe?token=${first.search_token}`);
+
+            text.push(`${name}\n${'-'.repeat(name.length)}`);
+            html.push(`<h2>${escapeHtml(name)}</h2><ul>`);
+            for (const match of group) {
+                const url = this.link(match.url || '/');
+                text.push(`* ${match.title}\n  ${describe(match)}\n  ${url}`);
+                html.push(`<li><a href="${escapeHtml(url)}">${escapeHtml(match.title)}</a><br>${escapeHtml(describe(match))}</li>`);
+            }
+            text.push(`Stop alerts for this search: ${stop}\n`);
+            html.push(`</ul><p><a href="${escapeHtml(stop)}">Stop alerts for this search</a></p>`);
+        }
+
+        const count = matches.length;
+        const subject = count === 1
+            ? `${REASON_LABELS[matches[0].reason]}: ${matches[0].title}`
+            : `${count} new matches for your saved searches`;
+
+        text.push(`Unsubscribe from all Vintage Crib alerts: ${unsubscribeAll}`);
+        html.push(`<p style="font-size:12px;color:#666"><a href="${escapeHtml(unsubscribeAll)}">Unsubscribe from all alerts</a></p>`);
+
+        return {
+            type: 'saved_search_alert',
+            subject,
+            text: text.join('\n'),
+            html: html.join('\n'),
+            summary: count === 1 ? describe(matches[0]) : `${count} listings match your saved searches`,
+            url: count === 1 ? matches[0].url : '/frontend/store-advanced.html',
+            data: { matches: matches.map(match => ({ listingId: match.listing_id, reason: match.reason, price: parseFloat(match.price) })) },
+            headers: {
+                'List-Unsubscribe': `<${unsubscribeAll}>`,
+                'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+            }
+        };
+    }
+
+    describeFilters(filters) {
+        const parts = [];
+        if (filters.search) parts.push(`"${filters.search}"`);
+        if (filters.category) parts.push(filters.category);
+        if (filters.condition) parts.push(filters.condition);
+        if (filters.minPrice !== undefined && filters.maxPrice !== undefined) {
+            parts.push(`${formatPrice(filters.minPrice)} - ${formatPrice(filters.maxPrice)}`);
+        } else if (filters.minPrice !== undefined) {
+            parts.push(`from ${formatPrice(filters.minPrice)}`);
+        } else if (filters.maxPrice !== undefined) {
+            parts.push(`up to ${formatPrice(filters.maxPrice)}`);
+        }
+        return parts.join(', ') || 'Saved search';
+    }
+}
+
+const savedSearchService = new SavedSearchService();
+
+module.exports = {
+    SavedSearchService,
+    SavedSearchError,
+    FREQUENCIES,
+    ALERT_TYPES,
+    savedSearchService
+};
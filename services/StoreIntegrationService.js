@@ -1,10 +1,11 @@
 const { VintageItem, VintageSeller } = require('../database/models');
+const responseCache = require('../cache');
 
 class StoreIntegrationService {
     constructor() {
         this.vintageCategory = 'vintage';
-        this.cache = new Map();
-        this.cacheTimeout = 5 * 60 * 1000; // 5 minutes
+        this.cache = responseCache;
+        this.cacheTimeout = 5 * 60; // seconds
     }
 
     // Integrate vintage items into existing product system
@@ -309,20 +310,10 @@ class StoreIntegrationService {
         try {
             if (!searchTerm) return [];
 
-            const { query } = require('../database/connection');
-            
-            const sql = `
-                SELECT vi.*, vs.store_name, vs.is_verified
-                FROM vintage_items vi
-                JOIN vintage_sellers vs ON vi.seller_id = vs.id
-                WHERE vi.status = 'published' 
-                AND (vi.title ILIKE $1 OR vi.description ILIKE $1 OR vi.brand ILIKE $1)
-                ORDER BY vi.views DESC
-                LIMIT $2
-            `;
+            const { catalogSearch } = require('./search');
 
-            const result = await query(sql, [`%${searchTerm}%`, limit]);
-            return result.rows.map(item => this.convertVintageToStoreFormat(item));
+            const search = await catalogSearch.search(searchTerm, { filters: { type: 'vintage' }, limit });
+            return search.results.map(result => this.convertVintageToStoreFormat(result.item));
 
         } catch (error) {
             console.error('Search integration error:', error);
@@ -402,42 +393,22 @@ class StoreIntegrationService {
         return 0.15; // 15% for very large catalogs
     }
     
-    // Cached vintage items retrieval
+    // Cached vintage items retrieval, dropped whenever a vintage item is written
     async getVintageItemsWithCache(limit, filters = {}) {
-        const cacheKey = JSON.stringify({ limit, filters });
-        const cached = this.cache.get(cacheKey);
-        
-        if (cached && (Date.now() - cached.timestamp) < this.cacheTimeout) {
-            return cached.data;
-        }
-        
+        const cacheKey = `store-integration:${JSON.stringify({ limit, filters })}`;
+
         try {
-            const data = await this.getVintageItemsForStore(limit, filters);
-            this.cache.set(cacheKey, {
-                data,
-                timestamp: Date.now()
-            });
-            
-            // Clean old cache entries
-            this.cleanCache();
-            
-            return data;
+            return await this.cache.remember(cacheKey, {
+                ttl: this.cacheTimeout,
+                tags: ['vintage_items'],
+                name: 'store_integration'
+            }, () => this.getVintageItemsForStore(limit, filters));
         } catch (error) {
             console.error('Cache fetch error:', error);
             return [];
         }
     }
     
-    // Clean expired cache entries
-    cleanCache() {
-        const now = Date.now();
-        for (const [key, value] of this.cache.entries()) {
-            if (now - value.timestamp > this.cacheTimeout) {
-                this.cache.delete(key);
-            }
-        }
-    }
-    
     // Enhanced mixing algorithm with better distribution
     mixProducts(regularProducts, vintageProducts, vintageRatio) {
         if (vintageProducts.length === 0) return regularProducts;
@@ -0,0 +1,196 @@
+const { UserSubscription, SubscriptionNotification, VintageSeller, User } = require('../database/models');
+const { entitlements } = require('./Entitlements');
+const { billingService } = require('./BillingService');
+const { notifiers } = require('./notifications');
+const { escapeHtml } = require('./search/analyzer');
+const { formatMoney } = require('./billing/invoice');
+const VintageSubscriptionService = require('./VintageSubscriptionService');
+
+// Days before a plan renews or ends that its owner is reminded
+const RENEWAL_REMINDER_DAYS = [7, 3, 1];
+
+// A seller over 80% of their item limit is told again at most this often
+const LIMIT_REMINDER_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// SQLite returns CURRENT_TIMESTAMP as 'YYYY-MM-DD HH:MM:SS' in UTC without a zone
+function parseTimestamp(value) {
+    if (value instanceof Date || typeof value === 'number') return new Date(value);
+    return new Date(/[zZ]|[+-]\d\d:?\d\d$/.test(value) ? value : `${String(value).replace(' ', 'T')}Z`);
+}
+
+const day = date => date.toISOString().slice(0, 10);
+const inDays = days => `in ${days} day${days === 1 ? '' : 's'}`;
+
+// Daily sweep over user_subscriptions: expires lapsed tiers (instead of waiting
+// for getUserSubscription() to notice), reminds owners before a plan renews or
+// ends, and warns sellers close to their item limit. Everything lands in the
+// subscription_notifications inbox; expiry and renewal news is emailed as well.
+class SubscriptionScheduler {
+    constructor(options = {}) {
+        this.models = options.models || { UserSubscription, SubscriptionNotification, VintageSeller, User };
+        this.entitlements = options.entitlements || entitlements;
+        this.subscriptions = options.subscriptions || new VintageSubscriptionService({ entitlements: this.entitlements });
+        this.billing = options.billing || billingService;
+        this.notifiers = options.notifiers || notifiers;
+        this.reminderDays = [...(options.reminderDays || RENEWAL_REMINDER_DAYS)].sort((a, b) => a - b);
+    }
+
+    async run(now = new Date()) {
+        const expired = await this.expireLapsed(now);
+        const reminders = await this.sendRenewalReminders(now);
+        const limitWarnings = await this.checkLimits(now);
+        return { expired, reminders, limitWarnings };
+    }
+
+    tierName(tierId) {
+        const tier = this.entitlements.catalog.tier(tierId);
+        return tier ? tier.name : tierId;
+    }
+
+    async expireLapsed(now) {
+        let expired = 0;
+        for (const subscription of await this.models.UserSubscription.getLapsed(now.toISOString())) {
+            try {
+                const name = this.tierName(subscription.tier);
+                const expiredOn = day(parseTimestamp(subscription.expires_at));
+                await this.billing.expireSubscription(subscription.user_id);
+                await this.notify(subscription.user_id, 'subscription_expired', {
+                    subject: `Your ${name} plan has expired`,
+                    message: `Your ${name} plan expired on ${expiredOn}, so your store is now on the ${this.tierName(this.entitlements.catalog.defaultTier)}. Subscribe again to get your features back.`,
+                    email: true
+                });
+                expired++;
+            } catch (error) {
+                console.error(`❌ Failed to expire subscription of user ${subscription.user_id}:`, error.message);
+            }
+        }
+        return expired;
+    }
+
+    // One reminder per threshold: at 7, 3 and 1 days out unless one was already
+    // sent since that threshold was crossed
+    async sendRenewalReminders(now) {
+        const { UserSubscription, SubscriptionNotification } = this.models;
+        const furthest = this.reminderDays[this.reminderDays.length - 1];
+        // Billed plans expire a grace day after their period ends, so look one day further
+        const rows = await UserSubscription.getExpiring(now.toISOString(), new Date(now.getTime() + (furthest + 1) * DAY_MS).toISOString());
+
+        let sent = 0;
+        for (const row of rows) {
+            try {
+                const billed = row.billing_status === 'active';
+                if (row.billing_status === 'past_due') continue; // dunning emails cover these
+
+                const endsAt = parseTimestamp(billed ? row.period_end : row.expires_at);
+                const daysLeft = Math.ceil((endsAt - now) / DAY_MS);
+                const threshold = this.reminderDays.find(days => daysLeft <= days);
+                if (daysLeft < 1 || threshold === undefined) continue;
+
+                const latest = await SubscriptionNotification.findLatest(row.user_id, 'renewal_reminder');
+                if (latest && parseTimestamp(latest.created_at) >= new Date(endsAt.getTime() - threshold * DAY_MS)) continue;
+
+                const name = this.tierName(row.tier);
+                let message;
+                if (billed && !row.cancel_at_period_end) {
+                    message = `Your ${name} plan renews on ${day(endsAt)} (${inDays(daysLeft)}). We'll charge ${formatMoney(row.billing_price)} to your saved payment method.`;
+                } else if (billed) {
+                    message = `Your ${name} plan ends on ${day(endsAt)} (${inDays(daysLeft)}) because you cancelled it. Resume it before then to keep your ${name} features.`;
+                } else {
+                    message = `Your ${name} plan expires on ${day(endsAt)} (${inDays(daysLeft)}). Subscribe from the billing page to keep your ${name} features.`;
+                }
+
+                await this.notify(row.user_id, 'renewal_reminder', {
+                    subject: billed && !row.cancel_at_period_end ? `Your ${name} plan renews ${inDays(daysLeft)}` : `Your ${name} plan ends ${inDays(daysLeft)}`,
+                    message,
+                    email: true
+                });
+                sent++;
+            } catch (error) {
+                console.error(`❌ Renewal reminder failed for user ${row.user_id}:`, error.message);
+            }
+        }
+        return sent;
+    }
+
+    async checkLimits(now) {
+        const { VintageSeller, SubscriptionNotification } = this.models;
+        let warned = 0;
+
+        for (const userId of await VintageSeller.getUserIds()) {
+            try {
+                const usage = await this.subscriptions.checkAndNotifyLimits(userId);
+                if (!usage) continue;
+
+                const type = usage.currentCount >= usage.limit ? 'limit_reached' : 'limit_warning';
+                const latest = await SubscriptionNotification.findLatest(userId, type);
+                if (latest && now - parseTimestamp(latest.created_at) < LIMIT_REMINDER_DAYS * DAY_MS) continue;
+
+                await this.notify(userId, type, {
+                    message: type === 'limit_reached'
+                        ? `You've listed ${usage.currentCount} of the ${usage.limit} items your ${this.tierName(usage.tier)} plan allows. Upgrade to keep adding items.`
+                        : usage.message
+                });
+                warned++;
+            } catch (error) {
+                console.error(`❌ Limit check failed for user ${userId}:`, error.message);
+            }
+        }
+        return warned;
+    }
+
+    // Inbox row, plus an email for news the user shouldn't miss. The in-app
+    // notifier is skipped - the subscription inbox is the in-app copy.
+    async notify(userId, type, { subject = null, message, email = false }) {
+        await this.models.SubscriptionNotification.create({ user_id: userId, notification_type: type, message });
+        if (!email) return;
+
+        const user = await this.models.User.findById(userId);
+        const recipient = { userId, email: (user && user.email) || null };
+        const notification = {
+            type,
+            subject,
+            summary: message,
+            url: '/api/subscriptions/notifications',
+            text: message,
+            html: `<p>${escapeHtml(message)}</p>`
+        };
+
+        for (const notifier of this.notifiers.forRecipient(recipient)) {
+            if (notifier.id === 'in_app') continue;
+            try {
+                await notifier.send(recipient, notification);
+            } catch (error) {
+                console.error(`❌ Subscription ${type} via ${notifier.id} failed:`, error.message);
+            }
+        }
+    }
+
+    formatNotification(notification) {
+        return {
+            id: notification.id,
+            type: notification.notification_type,
+            message: notification.message,
+            read: !!notification.is_read,
+            createdAt: parseTimestamp(notification.created_at).toISOString()
+        };
+    }
+
+    async listNotifications(userId, { unreadOnly = false, limit = 50 } = {}) {
+        const { SubscriptionNotification } = this.models;
+        const [notifications, unread] = await Promise.all([
+            SubscriptionNotification.getByUser(userId, { unreadOnly, limit }),
+            SubscriptionNotification.countUnread(userId)
+        ]);
+        return { unread, notifications: notifications.map(notification => this.formatNotification(notification)) };
+    }
+}
+
+// Shared scheduler (runs as the daily 'subscription-sweep' job in server.js)
+const subscriptionScheduler = new SubscriptionScheduler();
+
+module.exports = {
+    SubscriptionScheduler,
+    subscriptionScheduler
+};
@@ -1,30 +1,15 @@
 const { User, VintageSeller } = require('../database/models');
 const { hashPassword } = require('../auth');
+const { normalizeRole } = require('../auth/identity');
+const { entitlements } = require('./Entitlements');
+const VintageSubscriptionService = require('./VintageSubscriptionService');
+const { billingService } = require('./BillingService');
 
 class UserVintageService {
-    constructor() {
-        this.subscriptionTiers = {
-            'free': {
-                maxItems: 10,
-                platforms: ['vintage_crib'],
-                features: ['basic_listing', 'portfolio']
-            },
-            'starter': {
-                maxItems: 50,
-                platforms: ['vintage_crib', 'poshmark', 'depop'],
-                features: ['basic_listing', 'portfolio', 'cross_post_manual', 'analytics_basic']
-            },
-            'pro': {
-                maxItems: 200,
-                platforms: ['vintage_crib', 'ebay', 'poshmark', 'depop', 'mercari'],
-                features: ['advanced_listing', 'portfolio', 'cross_post_auto', 'analytics_advanced', 'bulk_tools']
-            },
-            'enterprise': {
-                maxItems: -1, // unlimited
-                platforms: ['all'],
-                features: ['all', 'api_access', 'custom_branding']
-            }
-        };
+    constructor(options = {}) {
+        this.entitlements = options.entitlements || entitlements;
+        this.subscriptions = options.subscriptions || new VintageSubscriptionService({ entitlements: this.entitlements });
+        this.billing = options.billing || billingService;
     }
 
     async extendUserForVintage(userId, userData = {}) {
@@ -54,6 +39,11 @@ class UserVintageService {
 
                 seller = await VintageSeller.create(sellerData);
                 console.log(`✅ Created vintage seller profile for user ${userId}: ${seller.store_name}`);
+
+                // Buyers opening a store become sellers
+                if (user && normalizeRole(user.role) === 'buyer') {
+                    await User.setRole(userId, 'seller');
+                }
             } else {
                 console.log(`✅ Vintage seller profile already exists for user ${userId}: ${seller.store_name}`);
             }
@@ -66,6 +56,7 @@ class UserVintageService {
         }
     }
 
+    // Self-service tier change; vintage_sellers.subscription_tier only mirrors it for display
     async upgradeSubscription(userId, newTier, paymentInfo = null) {
         try {
             const seller = await VintageSeller.findByUserId(userId);
@@ -73,26 +64,26 @@ class UserVintageService {
                 throw new Error('Seller profile not found');
             }
 
-            if (!this.subscriptionTiers[newTier]) {
+            const tier = this.entitlements.catalog.tier(newTier);
+            if (!tier) {
                 throw new Error('Invalid subscription tier');
             }
 
-            // In a real app, you'd process payment here
-            if (paymentInfo) {
-                console.log(`💳 Processing payment for ${newTier} subscription...`);
-                // await this.processPayment(paymentInfo);
+            // Paid tiers go through billing (charged now, prorated against the current plan);
+            // choosing the free tier cancels the paid plan at the end of its period
+            if (tier.price > 0) {
+                const { paymentMethod = null, token = null, cycle = null } = paymentInfo || {};
+                await this.billing.subscribe(userId, tier.id, { cycle, paymentMethod: paymentMethod || token });
+            } else {
+                await this.billing.cancel(userId);
             }
+            const updatedSeller = await VintageSeller.findById(seller.id);
 
-            // Update seller tier
-            const updatedSeller = await VintageSeller.update(seller.id, {
-                subscription_tier: newTier
-            });
-
-            console.log(`🎉 User ${userId} upgraded to ${newTier} tier`);
+            console.log(`🎉 User ${userId} upgraded to ${tier.id} tier`);
             return {
                 success: true,
                 seller: updatedSeller,
-                tier: this.subscriptionTiers[newTier]
+                tier: await this.entitlements.forUser(userId)
             };
 
         } catch (error) {
@@ -101,8 +92,10 @@ class UserVintageService {
         }
     }
 
-    async checkVintageAccess(userId, requiredFeature = null) {
+    // user is req.user or a user id
+    async checkVintageAccess(user, requiredFeature = null) {
         try {
+            const userId = user && typeof user === 'object' ? user.id : user;
             const seller = await VintageSeller.findByUserId(userId);
             
             if (!seller) {
@@ -112,33 +105,22 @@ class UserVintageService {
                 };
             }
 
-            const tier = this.subscriptionTiers[seller.subscription_tier];
-            if (!tier) {
+            const tier = await this.entitlements.forUser(user);
+            const check = this.entitlements.evaluate(tier, { feature: requiredFeature || undefined });
+            if (!check.allowed) {
                 return {
                     hasAccess: false,
-                    reason: 'Invalid subscription tier'
+                    reason: check.reason,
+                    currentTier: tier.tier,
+                    requiredTier: check.requiredTier
                 };
             }
 
-            if (requiredFeature) {
-                const hasFeature = tier.features.includes(requiredFeature) || 
-                                 tier.features.includes('all');
-                
-                if (!hasFeature) {
-                    return {
-                        hasAccess: false,
-                        reason: `Feature '${requiredFeature}' requires upgrade`,
-                        currentTier: seller.subscription_tier,
-                        requiredTier: this.getMinimumTierForFeature(requiredFeature)
-                    };
-                }
-            }
-
             return {
                 hasAccess: true,
                 seller,
                 tier,
-                currentTier: seller.subscription_tier
+                currentTier: tier.tier
             };
 
         } catch (error) {
@@ -151,12 +133,7 @@ class UserVintageService {
     }
 
     getMinimumTierForFeature(feature) {
-        for (const [tierName, tierInfo] of Object.entries(this.subscriptionTiers)) {
-            if (tierInfo.features.includes(feature) || tierInfo.features.includes('all')) {
-                return tierName;
-            }
-        }
-        return 'enterprise'; // fallback
+        return this.entitlements.catalog.lowestTierWhere(tier => tier.features.includes(feature));
     }
 
     async getUserStats(userId) {
@@ -165,8 +142,9 @@ class UserVintageService {
             if (!seller) return null;
 
             // Get item stats
-            const { VintageItem, CrossPost } = require('../database/models');
+            const { VintageItem } = require('../database/models');
             const items = await VintageItem.getBySeller(seller.id, 1000, 0); // Get all items
+            const tier = await this.entitlements.forUser(userId);
             
             // Calculate stats
             const stats = {
@@ -182,8 +160,8 @@ class UserVintageService {
                     : 0,
                 totalViews: items.reduce((sum, item) => sum + (item.views || 0), 0),
                 totalLikes: items.reduce((sum, item) => sum + (item.likes || 0), 0),
-                tier: seller.subscription_tier,
-                tierLimits: this.subscriptionTiers[seller.subscription_tier]
+                tier: tier.tier,
+                tierLimits: tier
             };
 
             // Usage vs limits
@@ -226,7 +204,7 @@ class UserVintageService {
             await this.extendUserForVintage(adminUser.id, {
                 store_name: 'Admin Vintage Collection',
                 bio: 'Official admin store with curated vintage pieces',
-                subscription_tier: 'enterprise'
+                subscription_tier: this.entitlements.catalog.highest().id
             });
 
             console.log(`✅ Admin user created: ${username}`);
@@ -245,67 +223,44 @@ class UserVintageService {
         }
     }
 
-    // Middleware factory for vintage access control
+    // Middleware factory for vintage access control: the entitlement check,
+    // then req.seller (admins get a seller profile on first use)
     createVintageAccessMiddleware(requiredFeature = null) {
-        return async (req, res, next) => {
-            try {
-                if (!req.user) {
-                    return res.status(401).json({ error: 'Authentication required' });
-                }
+        const checkEntitlement = this.entitlements.middleware(requiredFeature ? { feature: requiredFeature } : {});
 
-                // Admins always have access
-                if (req.user.role === 'admin') {
-                    // For admins, get or create seller profile
-                    const seller = await this.extendUserForVintage(req.user.id, {
-                        subscription_tier: 'enterprise'
-                    });
-                    req.seller = seller;
-                    req.vintageAccess = this.subscriptionTiers['enterprise'];
-                    return next();
-                }
+        return (req, res, next) => checkEntitlement(req, res, async () => {
+            try {
+                const seller = req.user.role === 'admin'
+                    ? await this.extendUserForVintage(req.user.id, { subscription_tier: req.entitlements.tier })
+                    : await VintageSeller.findByUserId(req.user.id);
 
-                const accessCheck = await this.checkVintageAccess(req.user.id, requiredFeature);
-                
-                if (!accessCheck.hasAccess) {
+                if (!seller) {
                     return res.status(403).json({
+                        success: false,
                         error: 'Vintage access denied',
-                        reason: accessCheck.reason,
-                        currentTier: accessCheck.currentTier,
-                        requiredTier: accessCheck.requiredTier,
-                        upgrade_url: '/api/vintage/upgrade'
+                        reason: 'No vintage seller profile found'
                     });
                 }
 
                 // Attach seller info to request
-                req.seller = accessCheck.seller;
-                req.vintageAccess = accessCheck.tier;
+                req.seller = seller;
+                req.vintageAccess = req.entitlements;
                 next();
 
             } catch (error) {
                 console.error('Vintage access middleware error:', error);
-                res.status(500).json({ error: 'Access check failed' });
+                res.status(500).json({ success: false, error: 'Access check failed' });
             }
-        };
+        });
     }
 
     // Get subscription tiers info for frontend
     getSubscriptionInfo() {
         return {
-            tiers: this.subscriptionTiers,
-            features: {
-                'basic_listing': 'Create basic vintage listings',
-                'advanced_listing': 'Advanced listing features & templates',
-                'portfolio': 'Public seller portfolio',
-                'cross_post_manual': 'Manual cross-posting tools',
-                'cross_post_auto': 'Automated cross-posting',
-                'analytics_basic': 'Basic analytics dashboard',
-                'analytics_advanced': 'Advanced analytics & insights',
-                'bulk_tools': 'Bulk editing and management',
-                'api_access': 'API access for integrations',
-                'custom_branding': 'Custom store branding'
-            }
+            tiers: this.entitlements.catalog.toJSON(),
+            features: this.entitlements.catalog.features
         };
     }
 }
 
-module.exports = UserVintageService;
\ No newline at end of file
+module.exports = UserVintageService;
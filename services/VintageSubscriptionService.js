@@ -1,130 +1,49 @@
 const { query } = require('../database/connection');
+const { VintageItem, UserSubscription } = require('../database/models');
+const { liveEvents } = require('./LiveEvents');
+const { entitlements } = require('./Entitlements');
 
+// Subscription records (user_subscriptions and its logs). What each tier
+// includes is defined in config/entitlements.json and checked by Entitlements.
 class VintageSubscriptionService {
-    constructor() {
-        this.subscriptionTiers = {
-            free: {
-                name: 'Free Tier',
-                price: 0,
-                maxItems: 5,
-                crossPostPlatforms: ['vintage_crib'],
-                featuresIncluded: ['basic_listing', 'profile_page'],
-                featuresRestricted: ['cross_posting', 'analytics', 'priority_support', 'custom_branding'],
-                support: 'community',
-                description: 'Perfect for getting started with vintage selling'
-            },
-            starter: {
-                name: 'Starter',
-                price: 4.99,
-                maxItems: 15,
-                crossPostPlatforms: ['vintage_crib', 'ebay'],
-                featuresIncluded: ['basic_listing', 'profile_page', 'ebay_integration'],
-                featuresRestricted: ['multi_platform_posting', 'analytics', 'priority_support', 'custom_branding'],
-                support: 'email',
-                description: 'Great for casual sellers expanding to eBay'
-            },
-            pro: {
-                name: 'Pro',
-                price: 9.99,
-                maxItems: 50,
-                crossPostPlatforms: ['vintage_crib', 'ebay', 'poshmark', 'depop'],
-                featuresIncluded: ['basic_listing', 'profile_page', 'multi_platform_posting', 'basic_analytics'],
-                featuresRestricted: ['advanced_analytics', 'custom_branding', 'api_access'],
-                support: 'priority_email',
-                description: 'Perfect for serious sellers with multi-platform presence'
-            },
-            premium: {
-                name: 'Premium',
-                price: 19.99,
-                maxItems: -1, // unlimited
-                crossPostPlatforms: ['vintage_crib', 'ebay', 'poshmark', 'depop', 'mercari'],
-                featuresIncluded: ['all_features'],
-                featuresRestricted: [],
-                analytics: true,
-                customBranding: true,
-                apiAccess: true,
-                support: 'priority_phone_email',
-                description: 'Complete solution for professional vintage businesses'
-            }
-        };
-        
-        // Revenue tracking for admin
-        this.monthlyRevenue = 0;
-        this.totalRevenue = 0;
+    constructor(options = {}) {
+        this.entitlements = options.entitlements || entitlements;
     }
 
-    // Get subscription tier details
+    // Tier definition, or null for an unknown tier
     getTierDetails(tierName) {
-        return this.subscriptionTiers[tierName] || this.subscriptionTiers.free;
+        return this.entitlements.catalog.tier(tierName);
     }
 
     // Get all available tiers for pricing page
     getAllTiers() {
-        return this.subscriptionTiers;
+        return this.entitlements.catalog.toJSON();
     }
 
     // Check if user can perform action based on subscription
     async checkSubscriptionLimit(userId, action, currentCount = 0) {
+        let userEntitlements;
         try {
-            const userSub = await this.getUserSubscription(userId);
-            const tier = this.getTierDetails(userSub.tier);
-            
-            switch (action) {
-                case 'create_item':
-                    if (tier.maxItems === -1) return { allowed: true, limit: 'unlimited' };
-                    return { 
-                        allowed: currentCount < tier.maxItems, 
-                        limit: tier.maxItems,
-                        current: currentCount
-                    };
-                    
-                case 'cross_post':
-                    return { 
-                        allowed: true,
-                        platforms: tier.crossPostPlatforms
-                    };
-                    
-                case 'analytics':
-                    return { 
-                        allowed: tier.analytics || tier.featuresIncluded.includes('basic_analytics') || tier.featuresIncluded.includes('all_features')
-                    };
-                    
-                case 'custom_branding':
-                    return { 
-                        allowed: tier.customBranding || tier.featuresIncluded.includes('all_features')
-                    };
-                    
-                case 'api_access':
-                    return { 
-                        allowed: tier.apiAccess || tier.featuresIncluded.includes('all_features')
-                    };
-                    
-                default:
-                    return { allowed: true };
-            }
-            
+            userEntitlements = await this.entitlements.forUser(userId);
         } catch (error) {
             console.error('Subscription check error:', error);
-            // Default to free tier on error
-            return this.checkSubscriptionLimit(userId, action, currentCount, 'free');
+            // Default to the free tier on error
+            userEntitlements = this.entitlements.forTier(this.entitlements.catalog.defaultTier);
         }
+
+        return this.entitlements.checkAction(userEntitlements, action, currentCount);
     }
 
     // Get user's current subscription
     async getUserSubscription(userId) {
         try {
-            const result = await query(
-                'SELECT * FROM user_subscriptions WHERE user_id = $1',
-                [userId]
-            );
+            const subscription = await UserSubscription.findByUser(userId);
             
-            if (result.rows.length === 0) {
-                // Create default free subscription
+            if (!subscription) {
+                // Create default subscription
                 return await this.createDefaultSubscription(userId);
             }
             
-            const subscription = result.rows[0];
-            
             // Check if subscription is expired
             if (subscription.expires_at && new Date(subscription.expires_at) < new Date()) {
                 return await this.downgradeToFree(userId);
@@ -134,29 +53,31 @@ class VintageSubscriptionService {
             
         } catch (error) {
             console.error('Get user subscription error:', error);
-            return { user_id: userId, tier: 'free', status: 'active' };
+            return { user_id: userId, tier: this.entitlements.catalog.defaultTier, status: 'active' };
         }
     }
 
-    // Create default free subscription
+    // Create default (free) subscription
     async createDefaultSubscription(userId) {
+        const tier = this.entitlements.catalog.defaultTier;
         try {
-            const result = await query(
+            await query(
                 `INSERT INTO user_subscriptions (user_id, tier, status, started_at) 
-                 VALUES ($1, $2, $3, CURRENT_TIMESTAMP) RETURNING *`,
-                [userId, 'free', 'active']
+                 VALUES ($1, $2, $3, CURRENT_TIMESTAMP)`,
+                [userId, tier, 'active']
             );
+            await this.entitlements.grant(userId, tier);
             
-            return result.rows[0];
+            return await UserSubscription.findByUser(userId);
             
         } catch (error) {
             console.error('Create default subscription error:', error);
-            return { user_id: userId, tier: 'free', status: 'active' };
+            return { user_id: userId, tier, status: 'active' };
         }
     }
 
-    // Admin: Upgrade user subscription
-    async upgradeUserSubscription(userId, newTier, adminId) {
+    // Admin: Upgrade user subscription (changeType 'user_upgrade' for self-service upgrades)
+    async upgradeUserSubscription(userId, newTier, adminId, changeType = 'admin_upgrade') {
         try {
             const tier = this.getTierDetails(newTier);
             if (!tier) {
@@ -164,32 +85,17 @@ class VintageSubscriptionService {
             }
 
             // Calculate expiration date (30 days from now for paid tiers)
-            const expiresAt = newTier === 'free' ? null : 
+            const expiresAt = tier.price === 0 ? null : 
                 new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
 
-            const result = await query(
-                `INSERT INTO user_subscriptions (user_id, tier, status, started_at, expires_at, upgraded_by_admin) 
-                 VALUES ($1, $2, $3, CURRENT_TIMESTAMP, $4, $5)
-                 ON CONFLICT (user_id) 
-                 DO UPDATE SET 
-                    tier = $2, 
-                    status = $3, 
-                    expires_at = $4,
-                    updated_at = CURRENT_TIMESTAMP,
-                    upgraded_by_admin = $5
-                 RETURNING *`,
-                [userId, newTier, 'active', expiresAt, adminId]
-            );
-
-            // Log the upgrade
-            await this.logSubscriptionChange(userId, newTier, 'admin_upgrade', adminId);
+            const subscription = await this.setTier(userId, tier.id, { expiresAt, adminId, changeType });
             
             // Update revenue tracking for paid tiers
-            if (newTier !== 'free') {
-                await this.trackRevenue(tier.price, userId, newTier);
+            if (tier.price > 0) {
+                await this.trackRevenue(tier.price, userId, tier.id);
             }
 
-            return result.rows[0];
+            return subscription;
             
         } catch (error) {
             console.error('Upgrade subscription error:', error);
@@ -197,20 +103,66 @@ class VintageSubscriptionService {
         }
     }
 
+    // Puts the user on a tier, grants its current terms and logs the change.
+    // Used by admin upgrades and by BillingService once a plan is paid for.
+    async setTier(userId, tierName, { expiresAt = null, adminId = null, changeType, reason = null } = {}) {
+        const tier = this.getTierDetails(tierName);
+        if (!tier) {
+            throw new Error('Invalid subscription tier');
+        }
+
+        // excluded.* rather than repeated $n, which the SQLite adapter can't bind twice
+        await query(
+            `INSERT INTO user_subscriptions (user_id, tier, status, started_at, expires_at, upgraded_by_admin) 
+             VALUES ($1, $2, $3, CURRENT_TIMESTAMP, $4, $5)
+             ON CONFLICT (user_id) 
+             DO UPDATE SET 
+                tier = excluded.tier, 
+                status = excluded.status, 
+                expires_at = excluded.expires_at,
+                updated_at = CURRENT_TIMESTAMP,
+                upgraded_by_admin = excluded.upgraded_by_admin`,
+            [userId, tier.id, 'active', expiresAt && new Date(expiresAt).toISOString(), adminId]
+        );
+        await this.entitlements.grant(userId, tier.id);
+
+        await this.logSubscriptionChange(userId, tier.id, changeType, adminId, reason);
+
+        return await UserSubscription.findByUser(userId);
+    }
+
+    // Moves the expiry of the current tier (billing renewals and dunning grace periods).
+    // Entitlements are left alone so grandfathered terms survive a renewal.
+    async extendSubscription(userId, expiresAt) {
+        await query(
+            `UPDATE user_subscriptions 
+             SET expires_at = $1, status = 'active', updated_at = CURRENT_TIMESTAMP
+             WHERE user_id = $2`,
+            [new Date(expiresAt).toISOString(), userId]
+        );
+        return await UserSubscription.findByUser(userId);
+    }
+
     // Admin: Downgrade user subscription
     async downgradeUserSubscription(userId, newTier, adminId, reason = 'admin_action') {
         try {
-            const result = await query(
+            const tier = this.getTierDetails(newTier);
+            if (!tier) {
+                throw new Error('Invalid subscription tier');
+            }
+
+            await query(
                 `UPDATE user_subscriptions 
                  SET tier = $1, updated_at = CURRENT_TIMESTAMP, expires_at = NULL
-                 WHERE user_id = $2 RETURNING *`,
-                [newTier, userId]
+                 WHERE user_id = $2`,
+                [tier.id, userId]
             );
+            await this.entitlements.grant(userId, tier.id);
 
             // Log the downgrade
-            await this.logSubscriptionChange(userId, newTier, 'admin_downgrade', adminId, reason);
+            await this.logSubscriptionChange(userId, tier.id, 'admin_downgrade', adminId, reason);
 
-            return result.rows[0];
+            return await UserSubscription.findByUser(userId);
             
         } catch (error) {
             console.error('Downgrade subscription error:', error);
@@ -218,23 +170,25 @@ class VintageSubscriptionService {
         }
     }
 
-    // Downgrade expired subscriptions to free
-    async downgradeToFree(userId) {
+    // Downgrade expired subscriptions to free ('payment_failed' once billing gives up)
+    async downgradeToFree(userId, changeType = 'auto_downgrade_expired') {
+        const tier = this.entitlements.catalog.defaultTier;
         try {
-            const result = await query(
+            await query(
                 `UPDATE user_subscriptions 
-                 SET tier = 'free', status = 'active', expires_at = NULL, updated_at = CURRENT_TIMESTAMP
-                 WHERE user_id = $1 RETURNING *`,
-                [userId]
+                 SET tier = $1, status = 'active', expires_at = NULL, updated_at = CURRENT_TIMESTAMP
+                 WHERE user_id = $2`,
+                [tier, userId]
             );
+            await this.entitlements.grant(userId, tier);
 
-            await this.logSubscriptionChange(userId, 'free', 'auto_downgrade_expired');
+            await this.logSubscriptionChange(userId, tier, changeType);
 
-            return result.rows[0];
+            return await UserSubscription.findByUser(userId);
             
         } catch (error) {
             console.error('Auto downgrade error:', error);
-            return { user_id: userId, tier: 'free', status: 'active' };
+            return { user_id: userId, tier, status: 'active' };
         }
     }
 
@@ -249,15 +203,22 @@ class VintageSubscriptionService {
         } catch (error) {
             console.error('Log subscription change error:', error);
         }
+
+        liveEvents.publish('subscription.changed', {
+            userId: userId,
+            tier: newTier,
+            changeType: changeType,
+            reason: reason
+        });
     }
 
     // Track revenue for admin dashboard
-    async trackRevenue(amount, userId, tier) {
+    async trackRevenue(amount, userId, tier, paymentMethod = 'admin_granted', transactionId = null) {
         try {
             await query(
-                `INSERT INTO subscription_revenue (user_id, tier, amount, created_at)
-                 VALUES ($1, $2, $3, CURRENT_TIMESTAMP)`,
-                [userId, tier, amount]
+                `INSERT INTO subscription_revenue (user_id, tier, amount, payment_method, transaction_id, created_at)
+                 VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP)`,
+                [userId, tier, amount, paymentMethod, transactionId]
             );
         } catch (error) {
             console.error('Track revenue error:', error);
@@ -318,7 +279,7 @@ class VintageSubscriptionService {
                 },
                 recentChanges: recentChanges.rows,
                 conversion: conversionStats.rows[0],
-                tiers: this.subscriptionTiers
+                tiers: this.getAllTiers()
             };
             
         } catch (error) {
@@ -328,7 +289,7 @@ class VintageSubscriptionService {
                 revenue: { monthly: 0, total: 0 },
                 recentChanges: [],
                 conversion: { paid_users: 0, total_users: 0, conversion_rate: 0 },
-                tiers: this.subscriptionTiers
+                tiers: this.getAllTiers()
             };
         }
     }
@@ -367,21 +328,11 @@ class VintageSubscriptionService {
     // Check if user needs to be notified about subscription limits
     async checkAndNotifyLimits(userId) {
         try {
-            const subscription = await this.getUserSubscription(userId);
-            const tier = this.getTierDetails(subscription.tier);
-            
-            if (tier.maxItems === -1) return null; // Unlimited
+            const userEntitlements = await this.entitlements.forUser(userId);
+            if (userEntitlements.maxItems === -1) return null; // Unlimited
 
-            // Get current item count
-            const itemCount = await query(`
-                SELECT COUNT(*) as count
-                FROM vintage_items vi
-                JOIN vintage_sellers vs ON vi.seller_id = vs.id
-                WHERE vs.user_id = $1 AND vi.status IN ('published', 'draft')
-            `, [userId]);
-
-            const currentCount = parseInt(itemCount.rows[0]?.count || 0);
-            const limit = tier.maxItems;
+            const currentCount = await VintageItem.countListedByUser(userId);
+            const limit = userEntitlements.maxItems;
 
             if (currentCount >= limit * 0.8) { // 80% of limit
                 return {
@@ -389,7 +340,7 @@ class VintageSubscriptionService {
                     message: `You're using ${currentCount} of ${limit} items (${Math.round(currentCount/limit*100)}%). Consider upgrading to continue adding items.`,
                     currentCount,
                     limit,
-                    tier: subscription.tier
+                    tier: userEntitlements.tier
                 };
             }
 
@@ -401,45 +352,9 @@ class VintageSubscriptionService {
         }
     }
 
-    // Get upgrade recommendations for user
-    getUpgradeRecommendations(currentTier, userNeeds = {}) {
-        const current = this.getTierDetails(currentTier);
-        const recommendations = [];
-
-        Object.entries(this.subscriptionTiers).forEach(([tierName, tier]) => {
-            if (tierName === currentTier) return;
-            
-            const benefits = [];
-            
-            // Compare item limits
-            if (tier.maxItems > current.maxItems || tier.maxItems === -1) {
-                benefits.push(`${tier.maxItems === -1 ? 'Unlimited' : tier.maxItems} items vs ${current.maxItems}`);
-            }
-            
-            // Compare platforms
-            if (tier.crossPostPlatforms.length > current.crossPostPlatforms.length) {
-                const newPlatforms = tier.crossPostPlatforms.filter(p => !current.crossPostPlatforms.includes(p));
-                if (newPlatforms.length > 0) {
-                    benefits.push(`Access to ${newPlatforms.join(', ')}`);
-                }
-            }
-            
-            // Check feature upgrades
-            if (tier.analytics && !current.analytics) benefits.push('Advanced analytics');
-            if (tier.customBranding && !current.customBranding) benefits.push('Custom branding');
-            if (tier.apiAccess && !current.apiAccess) benefits.push('API access');
-            
-            if (benefits.length > 0) {
-                recommendations.push({
-                    tierName,
-                    ...tier,
-                    benefits,
-                    savings: tier.price < 20 ? `Save $${((tier.price * 12) * 0.1).toFixed(2)} with annual billing` : null
-                });
-            }
-        });
-
-        return recommendations.sort((a, b) => a.price - b.price);
+    // Get upgrade recommendations for a tier
+    getUpgradeRecommendations(currentTier) {
+        return this.entitlements.recommendUpgrades(this.entitlements.forTier(currentTier));
     }
 }
 
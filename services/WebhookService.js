@@ -0,0 +1,450 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const axios = require('axios');
+const { WebhookEndpoint, WebhookDelivery, VintageItem, VintageSeller } = require('../database/models');
+const { normalizeRole } = require('../auth/identity');
+
+// Event types endpoints can subscribe to ('ping' is only sent by the test button)
+const WEBHOOK_EVENTS = ['item.published', 'item.sold', 'crosspost.failed', 'subscription.changed'];
+
+const SIGNATURE_HEADER = 'X-VintageCrib-Signature';
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+const MAX_RESPONSE_BODY = 1000;
+
+// Loopback, private, link-local (incl. the 169.254.169.254 cloud metadata service),
+// CGNAT, multicast and reserved ranges - nothing a seller's receiver lives on
+const NON_PUBLIC = new net.BlockList();
+for (const [network, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+    NON_PUBLIC.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8], ['64:ff9b::', 96]]) {
+    NON_PUBLIC.addSubnet(network, prefix, 'ipv6');
+}
+
+function isPublicAddress(address) {
+    const family = net.isIP(address);
+    if (family === 0) return false;
+    // IPv4-mapped IPv6 (::ffff:127.0.0.1) reaches the IPv4 address
+    const mapped = family === 6 && /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    if (mapped) return !NON_PUBLIC.check(mapped[1], 'ipv4');
+    return !NON_PUBLIC.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+class WebhookError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'WebhookError';
+        this.status = status;
+    }
+}
+
+// Signature header value: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">
+function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+    const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${signature}`;
+}
+
+// What a receiver runs on the raw request body to check a delivery came from us
+function verifySignature(secret, header, body, toleranceSeconds = SIGNATURE_TOLERANCE_SECONDS) {
+    const parts = Object.fromEntries(String(header || '').split(',').map(part => part.split('=')));
+    const timestamp = parseInt(parts.t);
+    if (!timestamp || !parts.v1 || Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) {
+        return false;
+    }
+
+    const expected = signPayload(secret, body, timestamp).split('v1=')[1];
+    return expected.length === parts.v1.length &&
+        crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(parts.v1));
+}
+
+function parseEventTypes(value) {
+    try {
+        return Array.isArray(value) ? value : JSON.parse(value || '[]');
+    } catch (error) {
+        return [];
+    }
+}
+
+// Outbound webhooks: live events (sales, cross-post failures, ...) are turned into
+// signed JSON POSTs to the URLs sellers and admins registered. Each delivery is a
+// job on the job queue, so failed deliveries retry with exponential backoff.
+class WebhookService {
+    constructor(options = {}) {
+        this.models = options.models || { WebhookEndpoint, WebhookDelivery, VintageItem, VintageSeller };
+        this.http = options.http || axios;
+        this.queue = options.queue || null;
+        this.timeoutMs = options.timeoutMs || 10000;
+        this.lookup = options.lookup || ((hostname) => dns.promises.lookup(hostname, { all: true }));
+        // Receivers on localhost / the private network are only for local development
+        this.allowPrivateTargets = options.allowPrivateTargets !== undefined
+            ? options.allowPrivateTargets
+            : process.env.WEBHOOKS_ALLOW_PRIVATE_TARGETS === 'true';
+    }
+
+    // Resolves the URL's host and returns its first address. Throws a WebhookError
+    // when the host doesn't resolve or any of its addresses isn't public.
+    async resolveTarget(hostname) {
+        const host = hostname.replace(/^\[|\]$/g, '');
+        let addresses;
+        if (net.isIP(host)) {
+            addresses = [{ address: host, family: net.isIP(host) }];
+        } else {
+            try {
+                addresses = await this.lookup(host);
+            } catch (error) {
+                throw new WebhookError(`Endpoint host ${host} could not be resolved`);
+            }
+        }
+
+        if (!addresses || addresses.length === 0) {
+            throw new WebhookError(`Endpoint host ${host} could not be resolved`);
+        }
+        if (!this.allowPrivateTargets && addresses.some(({ address }) => !isPublicAddress(address))) {
+            throw new WebhookError('Endpoint URL must point to a public address');
+        }
+        return addresses[0];
+    }
+
+    // Registers the delivery job and starts listening to the live event stream
+    attach(events, queue) {
+        this.queue = queue;
+        queue.register('webhook-delivery', ({ deliveryId }, job) =>
+            this.deliver(deliveryId, { finalAttempt: job.attempts >= job.maxAttempts }),
+        { concurrency: 2, maxAttempts: 6, backoffMs: 30000 });
+
+        events.on('event', event => {
+            this.handleEvent(event).catch(error =>
+                console.error(`❌ Webhook dispatch failed for ${event.type}:`, error.message));
+        });
+    }
+
+    // Maps a live event to a webhook event; returns null for events we don't send
+    toWebhookEvent(event) {
+        const data = event.data || {};
+
+        switch (event.type) {
+            case 'item.published':
+                return { type: 'item.published', ownerId: data.sellerUserId, data };
+            case 'sold':
+                // Store products (eBay sync) have no seller - only admin endpoints get those
+                return { type: 'item.sold', itemId: data.itemId, data };
+            case 'crosspost.result':
+                return data.success ? null : { type: 'crosspost.failed', itemId: data.itemId, data };
+            case 'subscription.changed':
+                return { type: 'subscription.changed', ownerId: data.userId, data };
+            default:
+                return null;
+        }
+    }
+
+    async handleEvent(event) {
+        const webhookEvent = this.toWebhookEvent(event);
+        if (!webhookEvent) return [];
+
+        const ownerId = webhookEvent.ownerId || await this.itemOwner(webhookEvent.itemId);
+        return this.dispatch(webhookEvent.type, webhookEvent.data, ownerId);
+    }
+
+    // Users id of the seller who owns a vintage item
+    async itemOwner(itemId) {
+        if (!itemId) return null;
+
+        const { VintageItem, VintageSeller } = this.models;
+        const item = await VintageItem.findById(itemId);
+        const seller = item ? await VintageSeller.findById(item.seller_id) : null;
+        return seller ? seller.user_id : null;
+    }
+
+    // Queues a delivery to every active endpoint subscribed to the event:
+    // the owner's own endpoints plus every admin endpoint
+    async dispatch(type, data, ownerId = null) {
+        const endpoints = await this.models.WebhookEndpoint.getActive();
+        const targets = endpoints.filter(endpoint =>
+            parseEventTypes(endpoint.event_types).includes(type) &&
+            ((ownerId && endpoint.user_id === ownerId) || normalizeRole(endpoint.owner_role) === 'admin'));
+
+        if (targets.length === 0) return [];
+
+        const event = {
+            id: `evt_${crypto.randomBytes(12).toString('hex')}`,
+            type,
+            createdAt: new Date().toISOString(),
+            data
+        };
+
+        const deliveries = [];
+        for (const endpoint of targets) {
+            deliveries.push(await this.queueDelivery(endpoint, event));
+        }
+        console.log(`🪝 ${type} queued for ${deliveries.length} webhook endpoint(s)`);
+        return deliveries;
+    }
+
+    async queueDelivery(endpoint, event, replayOf = null) {
+        const delivery = await this.models.WebhookDelivery.create({
+            endpoint_id: endpoint.id,
+            event_id: event.id,
+            event_type: event.type,
+            payload: JSON.stringify(event),
+            replay_of: replayOf
+        });
+
+        if (this.queue) {
+            await this.queue.enqueue('webhook-delivery', { deliveryId: delivery.id });
+        }
+        return delivery;
+    }
+
+    // One attempt at a delivery. Throws on failure so the job queue retries it.
+    async deliver(deliveryId, { finalAttempt = true } = {}) {
+        const { WebhookEndpoint, WebhookDelivery } = this.models;
+        const delivery = await WebhookDelivery.findById(deliveryId);
+        if (!delivery) return { skipped: 'Delivery not found' };
+
+        const endpoint = await WebhookEndpoint.findById(delivery.endpoint_id);
+        if (!endpoint || !endpoint.active) {
+            await WebhookDelivery.recordAttempt(delivery.id, { status: 'failed', error: 'Endpoint removed or disabled' });
+            return { skipped: 'Endpoint removed or disabled' };
+        }
+
+        // Checked again on every attempt: the host may resolve somewhere else by now
+        try {
+            await this.resolveTarget(new URL(endpoint.url).hostname);
+        } catch (error) {
+            await WebhookDelivery.recordAttempt(delivery.id, { status: 'failed', error: error.message });
+            console.warn(`⚠️ Webhook delivery ${delivery.id} to ${endpoint.url} blocked: ${error.message}`);
+            return { skipped: error.message };
+        }
+
+        const started = Date.now();
+        let response = null;
+        let requestError = null;
+        try {
+            response = await this.http.post(endpoint.url, delivery.payload, {
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'VintageCrib-Webhooks/1.0',
+                    'X-VintageCrib-Event': delivery.event_type,
+                    'X-VintageCrib-Delivery': String(delivery.id),
+                    [SIGNATURE_HEADER]: signPayload(endpoint.secret, delivery.payload)
+                },
+                timeout: this.timeoutMs,
+                maxRedirects: 0,
+                // Connect to an address that passed the check, not a fresh DNS answer
+                lookup: async hostname => {
+                    const { address, family } = await this.resolveTarget(hostname);
+                    return [address, family];
+                },
+                // Send the stored JSON byte for byte - it's what the signature covers
+                transformRequest: [body => body],
+                validateStatus: () => true
+            });
+        } catch (error) {
+            requestError = error.message;
+        }
+
+        const ok = !!response && response.status >= 200 && response.status < 300;
+        const responseBody = response && response.data !== undefined
+            ? (typeof response.data === 'string' ? response.data : JSON.stringify(response.data)).slice(0, MAX_RESPONSE_BODY)
+            : null;
+        const error = ok ? null : (requestError || `Endpoint responded with ${response.status}`);
+
+        await WebhookDelivery.recordAttempt(delivery.id, {
+            status: ok ? 'succeeded' : (finalAttempt ? 'failed' : 'retrying'),
+            response_status: response ? response.status : null,
+            response_body: responseBody,
+            error,
+            duration_ms: Date.now() - started
+        });
+
+        if (!ok) {
+            console.warn(`⚠️ Webhook delivery ${delivery.id} to ${endpoint.url} failed: ${error}`);
+            throw new Error(error);
+        }
+        return { deliveryId: delivery.id, responseStatus: response.status };
+    }
+
+    // Sends the same event (same event id, so receivers can dedupe) as a new delivery
+    async replay(deliveryId) {
+        const { WebhookEndpoint, WebhookDelivery } = this.models;
+        const original = await WebhookDelivery.findById(deliveryId);
+        if (!original) {
+            throw new WebhookError('Delivery not found', 404);
+        }
+
+        const endpoint = await WebhookEndpoint.findById(original.endpoint_id);
+        if (!endpoint) {
+            throw new WebhookError('The endpoint for this delivery no longer exists', 409);
+        }
+
+        const delivery = await this.queueDelivery(endpoint, JSON.parse(original.payload), original.id);
+        console.log(`🔁 Webhook delivery ${original.id} replayed as ${delivery.id}`);
+        return delivery;
+    }
+
+    // =========================================================================
+    // Endpoint management
+    // =========================================================================
+
+    async validate({ url, events }) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            throw new WebhookError('A valid endpoint URL is required');
+        }
+        if (!['http:', 'https:'].includes(parsed.protocol)) {
+            throw new WebhookError('Endpoint URL must use http or https');
+        }
+
+        if (!Array.isArray(events) || events.length === 0) {
+            throw new WebhookError(`Choose at least one event (${WEBHOOK_EVENTS.join(', ')})`);
+        }
+        const unknown = events.filter(type => !WEBHOOK_EVENTS.includes(type));
+        if (unknown.length > 0) {
+            throw new WebhookError(`Unknown event type(s): ${unknown.join(', ')}`);
+        }
+        await this.resolveTarget(parsed.hostname);
+
+        return { url: parsed.toString(), events: [...new Set(events)] };
+    }
+
+    generateSecret() {
+        return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+    }
+
+    // The secret is only returned on create and rotate
+    describe(endpoint) {
+        return {
+            id: endpoint.id,
+            url: endpoint.url,
+            description: endpoint.description || null,
+            events: parseEventTypes(endpoint.event_types),
+            active: !!endpoint.active,
+            createdAt: endpoint.created_at,
+            updatedAt: endpoint.updated_at
+        };
+    }
+
+    describeDelivery(delivery) {
+        return {
+            id: delivery.id,
+            endpointId: delivery.endpoint_id,
+            eventId: delivery.event_id,
+            eventType: delivery.event_type,
+            status: delivery.status,
+            attempts: delivery.attempts,
+            responseStatus: delivery.response_status,
+            responseBody: delivery.response_body,
+            error: delivery.error,
+            durationMs: delivery.duration_ms,
+            replayOf: delivery.replay_of,
+            createdAt: delivery.created_at,
+            lastAttemptAt: delivery.last_attempt_at,
+            deliveredAt: delivery.delivered_at,
+            url: delivery.url
+        };
+    }
+
+    async createEndpoint(userId, { url, events, description = null }) {
+        const valid = await this.validate({ url, events });
+        const secret = this.generateSecret();
+
+        const endpoint = await this.models.WebhookEndpoint.create({
+            user_id: userId,
+            url: valid.url,
+            description,
+            event_types: valid.events,
+            secret
+        });
+
+        console.log(`🪝 Webhook endpoint ${valid.url} registered by user ${userId} (${valid.events.join(', ')})`);
+        return { endpoint: this.describe(endpoint), secret };
+    }
+
+    async listEndpoints(userId) {
+        const endpoints = await this.models.WebhookEndpoint.getByUser(userId);
+        return endpoints.map(endpoint => this.describe(endpoint));
+    }
+
+    // Owners manage their endpoints; admins can manage anyone's
+    async getEndpointFor(user, endpointId) {
+        const endpoint = await this.models.WebhookEndpoint.findById(endpointId);
+        if (!endpoint || (endpoint.user_id !== user.id && normalizeRole(user.role) !== 'admin')) {
+            throw new WebhookError('Webhook endpoint not found', 404);
+        }
+        return endpoint;
+    }
+
+    async updateEndpoint(user, endpointId, updates = {}) {
+        const endpoint = await this.getEndpointFor(user, endpointId);
+        const changes = {};
+
+        if (updates.url !== undefined || updates.events !== undefined) {
+            const valid = await this.validate({
+                url: updates.url !== undefined ? updates.url : endpoint.url,
+                events: updates.events !== undefined ? updates.events : parseEventTypes(endpoint.event_types)
+            });
+            changes.url = valid.url;
+            changes.event_types = valid.events;
+        }
+        if (updates.description !== undefined) changes.description = updates.description;
+        if (updates.active !== undefined) changes.active = !!updates.active;
+
+        return this.describe(await this.models.WebhookEndpoint.update(endpoint.id, changes));
+    }
+
+    async rotateSecret(user, endpointId) {
+        const endpoint = await this.getEndpointFor(user, endpointId);
+        const secret = this.generateSecret();
+
+        const updated = await this.models.WebhookEndpoint.update(endpoint.id, { secret });
+        return { endpoint: this.describe(updated), secret };
+    }
+
+    async deleteEndpoint(user, endpointId) {
+        const endpoint = await this.getEndpointFor(user, endpointId);
+        await this.models.WebhookEndpoint.delete(endpoint.id);
+        console.log(`🪝 Webhook endpoint ${endpoint.url} removed`);
+    }
+
+    // Queues a 'ping' to one endpoint so the receiver can be checked
+    async sendTest(user, endpointId) {
+        const endpoint = await this.getEndpointFor(user, endpointId);
+        return this.queueDelivery(endpoint, {
+            id: `evt_${crypto.randomBytes(12).toString('hex')}`,
+            type: 'ping',
+            createdAt: new Date().toISOString(),
+            data: { endpointId: endpoint.id, message: 'Webhook test from Vintage Crib' }
+        });
+    }
+
+    async listDeliveries(user, endpointId, limit = 50) {
+        const endpoint = await this.getEndpointFor(user, endpointId);
+        const deliveries = await this.models.WebhookDelivery.getByEndpoint(endpoint.id, limit);
+        return deliveries.map(delivery => this.describeDelivery(delivery));
+    }
+
+    async listRecentDeliveries({ status = null, limit = 50 } = {}) {
+        const deliveries = await this.models.WebhookDelivery.getRecent(status, limit);
+        return deliveries.map(delivery => this.describeDelivery(delivery));
+    }
+}
+
+// Shared webhook service for the app (attached to the live events + job queue in server.js)
+const webhooks = new WebhookService();
+
+module.exports = {
+    WebhookService,
+    WebhookError,
+    WEBHOOK_EVENTS,
+    SIGNATURE_HEADER,
+    signPayload,
+    verifySignature,
+    isPublicAddress,
+    webhooks
+};
@@ -0,0 +1,207 @@
+const crypto = require('crypto');
+const { Favorite, WishlistShare, SellerAnalytics, VintageItem } = require('../database/models');
+const { notifiers } = require('./notifications');
+const { escapeHtml } = require('./search/analyzer');
+const { fromVintageItem } = require('./search/documents');
+
+class WishlistError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'WishlistError';
+        this.status = status;
+    }
+}
+
+function formatPrice(price) {
+    return `$${parseFloat(price).toFixed(2)}`;
+}
+
+// Wishlists are the user_favorites rows of a user. Adding an item counts as a
+// like for the seller (vintage_items.likes and the daily seller_analytics row),
+// and wishlisters hear about it when a saved item gets cheaper or someone else
+// starts checking it out.
+class WishlistService {
+    constructor(options = {}) {
+        this.models = options.models || { Favorite, WishlistShare, SellerAnalytics, VintageItem };
+        this.notifiers = options.notifiers || notifiers;
+        this.baseUrl = (options.baseUrl || process.env.SITE_URL || `http://localhost:${process.env.PORT || 3001}`).replace(/\/+$/, '');
+    }
+
+    // Listens for price changes and checkouts on the live event stream
+    attach(events) {
+        events.on('event', event => {
+            this.handleEvent(event).catch(error =>
+                console.error(`❌ Wishlist notification failed for ${event.type}:`, error.message));
+        });
+    }
+
+    async handleEvent(event) {
+        const data = event.data || {};
+
+        if (event.type === 'item.price_changed' && parseFloat(data.to) < parseFloat(data.from)) {
+            return this.notifyPriceDrop(data.itemId, parseFloat(data.from), parseFloat(data.to));
+        }
+        // A new pending order means the item is reserved for another shopper
+        if (event.type === 'order.status' && data.to === 'pending') {
+            return this.notifyReserved(data.itemId, data.buyerId);
+        }
+        return 0;
+    }
+
+    toEntry(item) {
+        const doc = fromVintageItem(item);
+        return {
+            itemId: item.id,
+            title: doc.title,
+            price: doc.price,
+            image: doc.image,
+            url: doc.url,
+            status: item.status,
+            available: item.status === 'published',
+            seller: doc.seller,
+            likes: item.likes || 0,
+            addedAt: item.favorited_at
+        };
+    }
+
+    async findItem(itemId) {
+        const item = await this.models.VintageItem.findById(itemId);
+        if (!item) {
+            throw new WishlistError('Item not found', 404);
+        }
+        return item;
+    }
+
+    async list(userId) {
+        const items = await this.models.Favorite.getByUser(userId);
+        return items.map(item => this.toEntry(item));
+    }
+
+    // Returns { added } - false when it was already on the wishlist
+    async add(userId, itemId) {
+        const { Favorite, SellerAnalytics } = this.models;
+        const item = await this.findItem(itemId);
+        if (!['published', 'reserved'].includes(item.status)) {
+            throw new WishlistError('Only items that are for sale can be added to a wishlist');
+        }
+
+        const added = !!await Favorite.add(userId, item.id);
+        if (added) {
+            await SellerAnalytics.increment(item.seller_id, 'likes').catch(error =>
+                console.error('❌ Failed to record wishlist like:', error.message));
+        }
+        return { added };
+    }
+
+    async remove(userId, itemId) {
+        if (!await this.models.Favorite.remove(userId, itemId)) {
+            throw new WishlistError('Item is not on your wishlist', 404);
+        }
+    }
+
+    // Legacy like button: adds or removes
+    async toggle(userId, itemId) {
+        if (await this.models.Favorite.remove(userId, itemId)) {
+            return { liked: false };
+        }
+        await this.add(userId, itemId);
+        return { liked: true };
+    }
+
+    shareUrl(token) {
+        return `${this.baseUrl}/api/wishlists/${token}`;
+    }
+
+    // Same link every time until it is revoked
+    async share(userId) {
+        const { WishlistShare } = this.models;
+        const share = await WishlistShare.findByUser(userId)
+            || await WishlistShare.create(userId, crypto.randomBytes(18).toString('base64url'));
+        return { token: share.token, url: this.shareUrl(share.token) };
+    }
+
+    async unshare(userId) {
+        return this.models.WishlistShare.deleteByUser(userId);
+    }
+
+    // Public view of a shared wishlist - only the owner's username is shown
+    async getShared(token) {
+        const share = token ? await this.models.WishlistShare.findByToken(token) : null;
+        if (!share) {
+            throw new WishlistError('Wishlist not found', 404);
+        }
+
+        const items = await this.list(share.user_id);
+        return {
+            owner: share.username,
+            items: items.filter(item => item.status !== 'draft' && item.status !== 'archived')
+        };
+    }
+
+    async notifyPriceDrop(itemId, from, to) {
+        const item = await this.models.VintageItem.findById(itemId);
+        if (!item || item.status !== 'published') return 0;
+
+        const entry = this.toEntry(item);
+        return this.notifyWishlisters(item.id, null, {
+            type: 'wishlist_price_drop',
+            subject: `Price drop: ${entry.title}`,
+            summary: `Now ${formatPrice(to)} (was ${formatPrice(from)})`,
+            entry
+        });
+    }
+
+    async notifyReserved(itemId, buyerId) {
+        const item = await this.models.VintageItem.findById(itemId);
+        if (!item) return 0;
+
+        return this.notifyWishlisters(item.id, buyerId, {
+            type: 'wishlist_reserved',
+            subject: `Someone is checking out ${item.title}`,
+            summary: 'An item on your wishlist is reserved by another shopper. If their payment doesn\'t go through it will be back on sale shortly.',
+            entry: this.toEntry(item)
+        });
+    }
+
+    // Everyone with the item on their wishlist except excludeUserId (e.g. the buyer)
+    async notifyWishlisters(itemId, excludeUserId, { type, subject, summary, entry }) {
+        const users = (await this.models.Favorite.getUsersForItem(itemId))
+            .filter(user => user.id !== excludeUserId);
+
+        const url = `${this.baseUrl}${entry.url}`;
+        const message = {
+            type,
+            subject,
+            summary,
+            url: entry.url,
+            text: `${summary}\n\n${entry.title}\n${url}\n\nYou are getting this because the item is on your Vintage Crib wishlist. Remove it from your wishlist to stop these emails.`,
+            html: `<p>${escapeHtml(summary)}</p>`
+                + `<p><a href="${escapeHtml(url)}">${escapeHtml(entry.title)}</a></p>`
+                + '<p style="font-size:12px;color:#666">You are getting this because the item is on your Vintage Crib wishlist. Remove it from your wishlist to stop these emails.</p>',
+            data: { itemId: entry.itemId, price: entry.price }
+        };
+
+        let notified = 0;
+        for (const user of users) {
+            const recipient = { userId: user.id, email: user.email || null };
+            for (const notifier of this.notifiers.forRecipient(recipient)) {
+                try {
+                    await notifier.send(recipient, message);
+                } catch (error) {
+                    console.error(`❌ Wishlist ${type} via ${notifier.id} failed:`, error.message);
+                }
+            }
+            notified++;
+        }
+        return notified;
+    }
+}
+
+// Shared wishlist service (attached to the live events in server.js)
+const wishlistService = new WishlistService();
+
+module.exports = {
+    WishlistService,
+    WishlistError,
+    wishlistService
+};
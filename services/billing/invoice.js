@@ -0,0 +1,127 @@
+const { escapeHtml } = require('../search/analyzer');
+const { PAGE_HEIGHT, renderPdf } = require('./pdf');
+
+const SELLER = 'Vintage Crib';
+
+const STATUS_LABELS = {
+    open: 'Payment due',
+    paid: 'Paid',
+    void: 'Void',
+    uncollectible: 'Uncollectible'
+};
+
+function formatMoney(amount, currency = 'usd') {
+    const value = parseFloat(amount) || 0;
+    const symbol = currency.toLowerCase() === 'usd' ? '$' : `${currency.toUpperCase()} `;
+    return `${value < 0 ? '-' : ''}${symbol}${Math.abs(value).toFixed(2)}`;
+}
+
+function formatDate(value) {
+    return value ? String(value).slice(0, 10) : '';
+}
+
+function customerLine(customer = {}) {
+    return customer.email ? `${customer.username} <${customer.email}>` : (customer.username || '');
+}
+
+// Rows shared by both formats: [label, amount, bold]
+function totals(invoice) {
+    const rows = [['Subtotal', formatMoney(invoice.subtotal, invoice.currency), false]];
+    if (invoice.creditApplied > 0) {
+        rows.push(['Account credit applied', formatMoney(-invoice.creditApplied, invoice.currency), false]);
+    }
+    rows.push([invoice.status === 'paid' ? 'Total paid' : 'Total due', formatMoney(invoice.total, invoice.currency), true]);
+    return rows;
+}
+
+// invoice is BillingService#formatInvoice output (with lines), customer is { username, email }
+function renderInvoiceHtml(invoice, customer) {
+    const lineRows = invoice.lines.map(line => `
+      <tr>
+        <td>${escapeHtml(line.description)}</td>
+        <td class="amount">${formatMoney(line.amount, invoice.currency)}</td>
+      </tr>`).join('');
+    const totalRows = totals(invoice).map(([label, amount, bold]) => `
+      <tr class="${bold ? 'total' : ''}">
+        <td>${escapeHtml(label)}</td>
+        <td class="amount">${amount}</td>
+      </tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Invoice ${escapeHtml(invoice.number)}</title>
+  <style>
+    body { font-family: Helvetica, Arial, sans-serif; color: #222; max-width: 720px; margin: 40px auto; }
+    h1 { margin-bottom: 0; }
+    table { width: 100%; border-collapse: collapse; margin-top: 24px; }
+    th, td { text-align: left; padding: 8px 0; border-bottom: 1px solid #eee; }
+    .amount { text-align: right; }
+    .total td { font-weight: bold; border-bottom: none; }
+    .meta { color: #666; }
+  </style>
+</head>
+<body>
+  <h1>${SELLER}</h1>
+  <h2>Invoice ${escapeHtml(invoice.number)} &middot; ${escapeHtml(STATUS_LABELS[invoice.status] || invoice.status)}</h2>
+  <p class="meta">
+    Issued ${formatDate(invoice.createdAt)}<br>
+    Billed to ${escapeHtml(customerLine(customer))}<br>
+    Service period ${formatDate(invoice.periodStart)} to ${formatDate(invoice.periodEnd)}
+    ${invoice.paidAt ? `<br>Paid ${formatDate(invoice.paidAt)}` : ''}
+  </p>
+  <table>
+    <thead><tr><th>Description</th><th class="amount">Amount</th></tr></thead>
+    <tbody>${lineRows}${totalRows}
+    </tbody>
+  </table>
+</body>
+</html>
+`;
+}
+
+function renderInvoicePdf(invoice, customer) {
+    const lines = [];
+    let y = PAGE_HEIGHT - 60;
+    const add = (text, x, options = {}) => lines.push({ text, x, y, ...options });
+
+    add(SELLER, 50, { size: 20, bold: true });
+    y -= 28;
+    add(`Invoice ${invoice.number}`, 50, { size: 13, bold: true });
+    add(STATUS_LABELS[invoice.status] || invoice.status, 440, { size: 13, bold: true });
+    y -= 22;
+    add(`Issued ${formatDate(invoice.createdAt)}`, 50);
+    y -= 14;
+    add(`Billed to ${customerLine(customer)}`, 50);
+    y -= 14;
+    add(`Service period ${formatDate(invoice.periodStart)} to ${formatDate(invoice.periodEnd)}`, 50);
+    if (invoice.paidAt) {
+        y -= 14;
+        add(`Paid ${formatDate(invoice.paidAt)}`, 50);
+    }
+
+    y -= 34;
+    add('Description', 50, { bold: true });
+    add('Amount', 480, { bold: true });
+    invoice.lines.forEach(line => {
+        y -= 18;
+        add(line.description.length > 70 ? `${line.description.slice(0, 67)}...` : line.description, 50);
+        add(formatMoney(line.amount, invoice.currency), 480);
+    });
+
+    y -= 10;
+    totals(invoice).forEach(([label, amount, bold]) => {
+        y -= 18;
+        add(label, 330, { bold });
+        add(amount, 480, { bold });
+    });
+
+    return renderPdf(lines);
+}
+
+module.exports = {
+    formatMoney,
+    renderInvoiceHtml,
+    renderInvoicePdf
+};
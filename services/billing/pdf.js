@@ -0,0 +1,53 @@
+// Minimal single-page PDF writer - enough for text documents such as invoices,
+// without pulling in a PDF library. Coordinates are PDF points from the bottom
+// left corner of a US Letter page.
+
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+
+// Standard fonts only cover Latin-1; anything else becomes '?'
+function escapePdfText(text) {
+    return String(text)
+        .replace(/[–—]/g, '-')
+        .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+        .replace(/([\\()])/g, '\\$1');
+}
+
+// lines: [{ text, x, y, size = 10, bold = false }]
+function renderPdf(lines) {
+    const content = lines
+        .map(line => `BT /${line.bold ? 'F2' : 'F1'} ${line.size || 10} Tf ${line.x} ${line.y} Td (${escapePdfText(line.text)}) Tj ET`)
+        .join('\n');
+
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << /F1 4 0 R /F2 5 0 R >> >> /Contents 6 0 R >>`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+        `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`
+    ];
+
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((body, index) => {
+        const offset = Buffer.byteLength(pdf, 'latin1');
+        pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+        return offset;
+    });
+
+    // Cross-reference table: byte offset of every object
+    const xref = Buffer.byteLength(pdf, 'latin1');
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    offsets.forEach(offset => {
+        pdf += `${String(offset).padStart(10, '0')} 00000 n \n`;
+    });
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+    return Buffer.from(pdf, 'latin1');
+}
+
+module.exports = {
+    PAGE_WIDTH,
+    PAGE_HEIGHT,
+    renderPdf
+};
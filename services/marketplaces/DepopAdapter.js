@@ -0,0 +1,89 @@
+const { ManualMarketplaceAdapter } = require('./MarketplaceAdapter');
+
+class DepopAdapter extends ManualMarketplaceAdapter {
+    constructor() {
+        super({
+            id: 'depop',
+            name: 'Depop',
+            minimumTier: 'pro',
+            createListingUrl: 'https://www.depop.com/products/create/'
+        });
+    }
+
+    get publishInstructions() {
+        return [
+            '1. Open Depop app or website',
+            '2. Tap the camera icon to create listing',
+            '3. Upload your photos',
+            '4. Use the provided title and description',
+            '5. Set category and price',
+            '6. Add hashtags from the list provided',
+            '7. Publish your item'
+        ];
+    }
+
+    get clipboardInstructions() {
+        return [
+            '1. Open Depop app or website',
+            '2. Tap the camera icon to create listing',
+            '3. Upload your photos',
+            '4. Copy and paste the description with hashtags',
+            '5. Set category and price',
+            '6. Publish your item'
+        ];
+    }
+
+    // Depop listings have no title - everything goes in the description
+    clipboardText(formattedData) {
+        return formattedData.description;
+    }
+
+    format(item, seller) {
+        // Depop loves hashtags and casual descriptions
+        const description = `${item.description}
+
+✨ Vintage ${item.category || 'piece'}
+${item.brand ? `Brand: ${item.brand}` : ''}
+${item.size ? `Size: ${item.size}` : ''}
+Condition: ${item.condition || 'Good'}
+
+From @${seller.store_name || 'vintagecrib'} 💫
+${seller.bio || ''}
+
+Message me with any questions! 💌`;
+
+        const hashtags = this.generateHashtags(item);
+
+        return {
+            description: description + '\n\n' + hashtags.join(' '),
+            price: item.price,
+            category: this.mapCategory(item.category),
+            brand: item.brand || '',
+            size: item.size || 'S',
+            condition: this.mapCondition(item.condition),
+            images: item.images || [],
+            tags: hashtags
+        };
+    }
+
+    mapCategory(category) {
+        return category || 'clothing';
+    }
+
+    generateHashtags(item) {
+        const hashtags = ['#vintage', '#retro', '#thrifted', '#sustainable'];
+
+        if (item.brand) hashtags.push(`#${item.brand.toLowerCase().replace(/\s+/g, '')}`);
+        if (item.category) hashtags.push(`#${item.category}`);
+        if (item.size && item.size.toLowerCase() !== 'os') {
+            hashtags.push(`#size${item.size.toLowerCase()}`);
+        }
+
+        // Add popular Depop hashtags
+        hashtags.push('#depop', '#vintagestyle', '#90s', '#y2k');
+
+        return hashtags.slice(0, 20); // Depop has hashtag limits
+    }
+}
+
+module.exports = DepopAdapter;
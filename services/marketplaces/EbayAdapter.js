@@ -0,0 +1,125 @@
+const { MarketplaceAdapter } = require('./MarketplaceAdapter');
+const VintageEbayService = require('../VintageEbayService');
+const { ApiSyncAdapter } = require('../EbaySyncAdapter');
+
+class EbayAdapter extends MarketplaceAdapter {
+    constructor({ ebayService } = {}) {
+        super({
+            id: 'ebay',
+            name: 'eBay',
+            minimumTier: 'starter',
+            createListingUrl: 'https://www.ebay.com/sl/sell'
+        });
+        this.ebayService = ebayService || new VintageEbayService(null);
+    }
+
+    // Only real listings on an authorized client can be ended through the Trading API
+    canUseApi(crossPost) {
+        const api = this.ebayService.ebayAPI;
+        return !!(api && api.config && api.config.authToken &&
+                  crossPost && /^\d+$/.test(String(crossPost.external_id || '')));
+    }
+
+    format(item) {
+        return this.ebayService.formatForEbay(item);
+    }
+
+    async publish(item, seller) {
+        try {
+            // Use the VintageEbayService for actual eBay publishing
+            const result = await this.ebayService.publishVintageItem(item);
+
+            return {
+                success: true,
+                platform: 'ebay',
+                status: 'success',
+                external_id: result.ebayId,
+                external_url: result.url,
+                fees: result.fees,
+                message: 'Successfully listed on eBay'
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                platform: 'ebay',
+                status: 'failed',
+                error: error.message
+            };
+        }
+    }
+
+    async delist(crossPost, item) {
+        if (!this.canUseApi(crossPost)) {
+            return {
+                success: true,
+                platform: 'ebay',
+                status: 'manual_removal_required',
+                openUrl: crossPost.external_url || null,
+                instructions: [
+                    '1. Open the listing in eBay Seller Hub',
+                    '2. Choose "End listing" and select "Item is no longer available"',
+                    '3. Confirm the removal in Vintage Crib'
+                ]
+            };
+        }
+
+        await this.ebayService.ebayAPI.trading.EndItem({
+            ItemID: crossPost.external_id,
+            EndingReason: 'NotAvailable'
+        });
+
+        return {
+            success: true,
+            platform: 'ebay',
+            status: 'removed',
+            message: `Ended eBay listing ${crossPost.external_id}`
+        };
+    }
+
+    async fetchStatus(crossPost) {
+        if (!this.canUseApi(crossPost)) {
+            return { platform: 'ebay', status: 'unknown' };
+        }
+
+        const results = await new ApiSyncAdapter({ client: this.ebayService.ebayAPI })
+            .fetchItems([{ ebayItemId: String(crossPost.external_id) }]);
+        const itemStatus = results.get(String(crossPost.external_id));
+
+        return {
+            platform: 'ebay',
+            status: itemStatus.available === null ? 'unknown' : (itemStatus.available ? 'active' : 'ended'),
+            price: itemStatus.price,
+            quantity: itemStatus.quantity,
+            error: itemStatus.error
+        };
+    }
+
+    mapCategory(category) {
+        return this.ebayService.getEbayCategory(category);
+    }
+
+    mapCondition(condition) {
+        const conditionMap = {
+            'new': 'New with tags',
+            'like_new': 'New without tags'
+        };
+        return conditionMap[condition] || 'Pre-owned';
+    }
+
+    prepareClipboard(item) {
+        return {
+            platform: 'ebay',
+            clipboardData: `${item.title}\n\n${item.description}\n\nPrice: $${item.price}`,
+            platformUrl: this.createListingUrl,
+            instructions: [
+                '1. eBay integration is automated',
+                '2. Items are published directly via API',
+                '3. No manual copying required'
+            ],
+            formattedData: { title: item.title, description: item.description, price: item.price }
+        };
+    }
+}
+
+module.exports = EbayAdapter;
@@ -0,0 +1,130 @@
+// Base class for marketplace adapters used by CrossPostingEngine
+// Each marketplace lives in its own module and is registered in ./index.js
+//
+// Adapter metadata:
+//   id            - platform key stored in cross_posts.platform / published_to
+//   name          - display name
+//   minimumTier   - lowest subscription tier allowed to cross-post here
+//   manual        - true when listings have to be created/removed by hand
+
+class MarketplaceAdapter {
+    constructor({ id, name, minimumTier = 'premium', manual = false, createListingUrl = null }) {
+        this.id = id;
+        this.name = name;
+        this.minimumTier = minimumTier;
+        this.manual = manual;
+        this.createListingUrl = createListingUrl;
+    }
+
+    // Returns a list of problems; empty means the item can be listed
+    validate(item) {
+        const errors = [];
+        if (!item || !item.title) errors.push('Title is required');
+        if (!item || !(parseFloat(item.price) > 0)) errors.push('Price must be greater than 0');
+        return errors;
+    }
+
+    format(item, seller) {
+        throw new Error(`${this.constructor.name} must implement format()`);
+    }
+
+    async publish(item, seller) {
+        throw new Error(`${this.constructor.name} must implement publish()`);
+    }
+
+    // crossPost is a cross_posts row (platform, external_id, external_url)
+    async delist(crossPost, item) {
+        throw new Error(`${this.constructor.name} must implement delist()`);
+    }
+
+    async fetchStatus(crossPost) {
+        return { platform: this.id, status: 'unknown' };
+    }
+
+    mapCategory(category) {
+        return category || 'other';
+    }
+
+    mapCondition(condition) {
+        return condition || 'good';
+    }
+
+    prepareClipboard(item, seller) {
+        throw new Error(`Unsupported platform for clipboard preparation: ${this.id}`);
+    }
+
+    // Metadata safe to hand to the frontend
+    describe() {
+        return {
+            id: this.id,
+            name: this.name,
+            minimumTier: this.minimumTier,
+            manual: this.manual,
+            createListingUrl: this.createListingUrl
+        };
+    }
+}
+
+// Marketplaces without a listing API: we format the listing and the seller copies it over
+class ManualMarketplaceAdapter extends MarketplaceAdapter {
+    constructor(options) {
+        super({ ...options, manual: true });
+    }
+
+    // Steps shown after publish() / prepareClipboard()
+    get publishInstructions() {
+        return [];
+    }
+
+    get clipboardInstructions() {
+        return this.publishInstructions;
+    }
+
+    clipboardText(formattedData) {
+        return `${formattedData.title}\n\n${formattedData.description}`;
+    }
+
+    async publish(item, seller) {
+        const formattedData = this.format(item, seller);
+
+        return {
+            success: true,
+            platform: this.id,
+            status: 'ready_for_manual_post',
+            clipboardData: formattedData,
+            instructions: this.publishInstructions,
+            openUrl: this.createListingUrl,
+            data: formattedData
+        };
+    }
+
+    async delist(crossPost, item) {
+        const title = item ? item.title : 'this item';
+
+        return {
+            success: true,
+            platform: this.id,
+            status: 'manual_removal_required',
+            openUrl: crossPost.external_url || null,
+            instructions: [
+                `1. Open your ${this.name} listing for "${title}"`,
+                '2. Mark it as sold or delete the listing',
+                '3. Confirm the removal in Vintage Crib'
+            ]
+        };
+    }
+
+    prepareClipboard(item, seller) {
+        const formattedData = this.format(item, seller);
+
+        return {
+            platform: this.id,
+            clipboardData: this.clipboardText(formattedData),
+            platformUrl: this.createListingUrl,
+            instructions: this.clipboardInstructions,
+            formattedData
+        };
+    }
+}
+
+module.exports = { MarketplaceAdapter, ManualMarketplaceAdapter };
@@ -0,0 +1,89 @@
+const { ManualMarketplaceAdapter } = require('./MarketplaceAdapter');
+
+class MercariAdapter extends ManualMarketplaceAdapter {
+    constructor() {
+        super({
+            id: 'mercari',
+            name: 'Mercari',
+            minimumTier: 'premium',
+            createListingUrl: 'https://www.mercari.com/sell/'
+        });
+    }
+
+    get publishInstructions() {
+        return [
+            '1. Open Mercari app or website',
+            '2. Tap "Sell" to create a new listing',
+            '3. Upload photos (up to 12)',
+            '4. Copy the title and description',
+            '5. Select category and condition',
+            '6. Set price and shipping',
+            '7. Publish listing'
+        ];
+    }
+
+    get clipboardInstructions() {
+        return [
+            '1. Open Mercari app or website',
+            '2. Tap "Sell" to create a new listing',
+            '3. Upload photos',
+            '4. Copy and paste title and description',
+            '5. Select category and condition',
+            '6. Set price and shipping',
+            '7. Publish listing'
+        ];
+    }
+
+    format(item, seller) {
+        const title = `${item.brand ? '[' + item.brand + '] ' : ''}${item.title}${item.size ? ' (Size ' + item.size + ')' : ''}`;
+
+        const description = `${item.description}
+
+📋 Details:
+• Brand: ${item.brand || 'Vintage/Unbranded'}
+• Size: ${item.size || 'See measurements'}
+• Condition: ${item.condition || 'Good'}
+• Style: Vintage
+
+📦 Shipping: Ships within 1-2 business days
+💝 Bundle discounts available!
+
+Questions? Feel free to ask! 😊`;
+
+        return {
+            title: title.substring(0, 80), // Mercari title limit
+            description: description,
+            category: this.mapCategory(item.category),
+            brand: item.brand || '',
+            size: item.size || 'S',
+            condition: this.mapCondition(item.condition),
+            price: item.price,
+            images: item.images || []
+        };
+    }
+
+    mapCategory(category) {
+        const categoryMap = {
+            'clothing': 'Women/Tops & Blouses',
+            'dresses': 'Women/Dresses',
+            'accessories': 'Women/Accessories',
+            'shoes': 'Women/Shoes',
+            'bags': 'Women/Bags',
+            'jewelry': 'Women/Jewelry'
+        };
+        return categoryMap[category] || 'Women/Other';
+    }
+
+    mapCondition(condition) {
+        const conditionMap = {
+            'new': 'New, unused',
+            'like_new': 'Like new',
+            'excellent': 'Good',
+            'good': 'Good',
+            'fair': 'Fair'
+        };
+        return conditionMap[condition] || 'Good';
+    }
+}
+
+module.exports = MercariAdapter;
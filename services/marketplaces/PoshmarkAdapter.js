@@ -0,0 +1,107 @@
+const { ManualMarketplaceAdapter } = require('./MarketplaceAdapter');
+
+class PoshmarkAdapter extends ManualMarketplaceAdapter {
+    constructor() {
+        super({
+            id: 'poshmark',
+            name: 'Poshmark',
+            minimumTier: 'pro',
+            createListingUrl: 'https://poshmark.com/create-listing'
+        });
+    }
+
+    get publishInstructions() {
+        return [
+            '1. Open Poshmark.com and log into your account',
+            '2. Click "Sell" to create a new listing',
+            '3. Upload your images (prepared list below)',
+            '4. Copy the title and description provided',
+            '5. Set category, size, and brand as specified',
+            '6. Set the price and publish'
+        ];
+    }
+
+    get clipboardInstructions() {
+        return [
+            '1. Open Poshmark.com and log into your account',
+            '2. Click "Sell" to create a new listing',
+            '3. Upload your images',
+            '4. Copy and paste the title and description',
+            '5. Set category, size, and brand',
+            '6. Set the price and publish'
+        ];
+    }
+
+    format(item, seller) {
+        // Poshmark-optimized formatting
+        const title = `${item.brand ? item.brand + ' ' : ''}${item.title}${item.size ? ' Size ' + item.size : ''}`;
+
+        const description = `${item.description}
+
+🌟 ITEM DETAILS:
+• Brand: ${item.brand || 'Vintage/Unbranded'}
+• Size: ${item.size || 'See measurements'}
+• Condition: ${item.condition || 'Good'}
+• Era: Vintage
+
+📏 MEASUREMENTS:
+Please see photos for detailed measurements
+
+💫 STYLING TIPS:
+Perfect for creating that vintage aesthetic!
+Pairs beautifully with modern pieces.
+
+🏠 SOLD BY: ${seller.store_name}
+${seller.bio || 'Curated vintage finds with love'}
+
+✨ Follow my closet for daily vintage treasures!
+❤️ Bundle 2+ items for 10% off!
+
+#vintage #retro #style #fashion #poshmarkfinds`;
+
+        return {
+            title: title.substring(0, 50), // Poshmark title limit
+            description: description,
+            category: this.mapCategory(item.category),
+            brand: item.brand || 'Vintage',
+            size: item.size || 'OS',
+            price: item.price,
+            condition: this.mapCondition(item.condition),
+            images: item.images || [],
+            tags: this.generateTags(item)
+        };
+    }
+
+    mapCategory(category) {
+        const categoryMap = {
+            'clothing': 'Women > Tops',
+            'dresses': 'Women > Dresses',
+            'accessories': 'Women > Accessories',
+            'shoes': 'Women > Shoes',
+            'bags': 'Women > Bags',
+            'jewelry': 'Women > Jewelry'
+        };
+        return categoryMap[category] || 'Women > Other';
+    }
+
+    mapCondition(condition) {
+        const conditionMap = {
+            'new': 'NWT (New With Tags)',
+            'like_new': 'NWOT (New Without Tags)',
+            'excellent': 'Excellent Used Condition',
+            'good': 'Good Used Condition',
+            'fair': 'Fair Used Condition'
+        };
+        return conditionMap[condition] || 'Good Used Condition';
+    }
+
+    generateTags(item) {
+        const tags = ['vintage', 'retro', 'unique'];
+        if (item.brand) tags.push(item.brand.toLowerCase());
+        if (item.category) tags.push(item.category);
+        if (item.size) tags.push(`size${item.size.toLowerCase()}`);
+        return tags;
+    }
+}
+
+module.exports = PoshmarkAdapter;
@@ -0,0 +1,53 @@
+const { MarketplaceAdapter } = require('./MarketplaceAdapter');
+const { VintageItem } = require('../../database/models');
+
+// Our own marketplace - listings are just rows in vintage_items
+class VintageCribAdapter extends MarketplaceAdapter {
+    constructor() {
+        super({
+            id: 'vintage_crib',
+            name: 'Vintage Crib',
+            minimumTier: 'free'
+        });
+    }
+
+    format(item) {
+        return {
+            title: item.title,
+            description: item.description,
+            price: item.price,
+            category: this.mapCategory(item.category),
+            condition: this.mapCondition(item.condition),
+            images: item.images || []
+        };
+    }
+
+    async publish(item, seller) {
+        // This is our own platform - direct database update
+        await VintageItem.update(item.id, {
+            status: 'published',
+            published_to: JSON.stringify(['vintage_crib'])
+        });
+
+        return {
+            success: true,
+            platform: 'vintage_crib',
+            status: 'success',
+            external_id: item.id.toString(),
+            external_url: `https://vintagecrib.com/items/${item.id}`,
+            message: 'Published to Vintage Crib marketplace'
+        };
+    }
+
+    // The item's own status change is what hides it from the store
+    async delist(crossPost, item) {
+        return {
+            success: true,
+            platform: 'vintage_crib',
+            status: 'removed',
+            message: 'Removed from Vintage Crib marketplace'
+        };
+    }
+}
+
+module.exports = VintageCribAdapter;
@@ -0,0 +1,81 @@
+const { MarketplaceAdapter, ManualMarketplaceAdapter } = require('./MarketplaceAdapter');
+const VintageCribAdapter = require('./VintageCribAdapter');
+const EbayAdapter = require('./EbayAdapter');
+const PoshmarkAdapter = require('./PoshmarkAdapter');
+const DepopAdapter = require('./DepopAdapter');
+const MercariAdapter = require('./MercariAdapter');
+
+// Built-in marketplaces, in the order they are offered to sellers.
+// To add a marketplace, write an adapter module and list it here.
+const BUILT_IN_ADAPTERS = [
+    VintageCribAdapter,
+    EbayAdapter,
+    PoshmarkAdapter,
+    DepopAdapter,
+    MercariAdapter
+];
+
+class MarketplaceRegistry {
+    constructor() {
+        this.adapters = new Map();
+    }
+
+    register(adapter) {
+        if (!(adapter instanceof MarketplaceAdapter)) {
+            throw new Error('Marketplace adapters must extend MarketplaceAdapter');
+        }
+        if (this.adapters.has(adapter.id)) {
+            throw new Error(`Marketplace already registered: ${adapter.id}`);
+        }
+
+        this.adapters.set(adapter.id, adapter);
+        return adapter;
+    }
+
+    has(platform) {
+        return !!platform && this.adapters.has(platform.toLowerCase());
+    }
+
+    get(platform) {
+        const adapter = platform ? this.adapters.get(platform.toLowerCase()) : null;
+        if (!adapter) {
+            throw new Error(`Unsupported platform: ${platform}`);
+        }
+        return adapter;
+    }
+
+    list() {
+        return Array.from(this.adapters.values());
+    }
+
+    ids() {
+        return Array.from(this.adapters.keys());
+    }
+
+    // Platforms available to a tier; tierOrder runs from lowest to highest tier
+    platformsForTier(tier, tierOrder) {
+        const tierRank = tierOrder.indexOf(tier);
+
+        return this.list()
+            .filter(adapter => tierOrder.indexOf(adapter.minimumTier) <= tierRank)
+            .map(adapter => adapter.id);
+    }
+}
+
+// options are handed to every adapter constructor (e.g. { ebayService })
+function createMarketplaceRegistry(options = {}) {
+    const registry = new MarketplaceRegistry();
+    BUILT_IN_ADAPTERS.forEach(Adapter => registry.register(new Adapter(options)));
+    return registry;
+}
+
+// Shared registry for metadata lookups (tiers, platform validation)
+const marketplaces = createMarketplaceRegistry();
+
+module.exports = {
+    MarketplaceAdapter,
+    ManualMarketplaceAdapter,
+    MarketplaceRegistry,
+    createMarketplaceRegistry,
+    marketplaces
+};
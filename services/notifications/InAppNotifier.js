@@ -0,0 +1,33 @@
+const Notifier = require('./Notifier');
+
+// Stores a row in the notifications table, shown to logged-in users
+// through GET /api/notifications
+class InAppNotifier extends Notifier {
+    constructor(options = {}) {
+        super({ id: 'in_app', name: 'In-app notifications' });
+        this.models = options.models || null;
+    }
+
+    // Loaded on first use so building the registry doesn't open the database
+    get Notification() {
+        return (this.models || require('../../database/models')).Notification;
+    }
+
+    canReach(recipient) {
+        return !!recipient.userId;
+    }
+
+    async send(recipient, message) {
+        const notification = await this.Notification.create({
+            user_id: recipient.userId,
+            type: message.type || 'alert',
+            title: message.subject,
+            body: message.summary || message.text,
+            url: message.url || null,
+            data: message.data || null
+        });
+        return { id: notification.id };
+    }
+}
+
+module.exports = InAppNotifier;
@@ -0,0 +1,32 @@
+// Base class for the channels shopper alerts go out on
+// Each notifier lives in its own module and is registered in ./index.js
+//
+// recipient: { userId, email } - either may be null
+// message:   { type, subject, text, html, summary, url, headers, data }
+//   summary is the short form for channels that can't show a whole email
+
+class Notifier {
+    constructor({ id, name }) {
+        this.id = id;
+        this.name = name;
+    }
+
+    // Whether this channel has a way to get to the recipient at all
+    canReach(recipient) {
+        throw new Error(`${this.constructor.name} must implement canReach()`);
+    }
+
+    // Returns { id } of whatever was delivered
+    async send(recipient, message) {
+        throw new Error(`${this.constructor.name} must implement send()`);
+    }
+
+    describe() {
+        return {
+            id: this.id,
+            name: this.name
+        };
+    }
+}
+
+module.exports = Notifier;
@@ -0,0 +1,30 @@
+const fs = require('fs').promises;
+const path = require('path');
+const Notifier = require('./Notifier');
+const { buildMessage } = require('./email');
+
+// Local stand-in for SMTP: each email is written to data/outbox as an .eml file,
+// which any mail client can open. Used whenever SMTP_HOST is not set.
+class OutboxEmailNotifier extends Notifier {
+    constructor(options = {}) {
+        super({ id: 'email', name: 'Email (local outbox)' });
+        this.dir = options.outboxDir || path.join(__dirname, '..', '..', 'data', 'outbox');
+        this.from = options.from || process.env.SMTP_FROM || 'Vintage Crib <alerts@localhost>';
+    }
+
+    canReach(recipient) {
+        return !!recipient.email;
+    }
+
+    async send(recipient, message) {
+        const { id, raw } = buildMessage({ ...message, from: this.from, to: recipient.email });
+        const file = path.join(this.dir, `${Date.now()}-${id.slice(1, 9)}.eml`);
+
+        await fs.mkdir(this.dir, { recursive: true });
+        await fs.writeFile(file, raw);
+        console.log(`📧 Email to ${recipient.email} written to ${path.relative(process.cwd(), file)}`);
+        return { id, file };
+    }
+}
+
+module.exports = OutboxEmailNotifier;
@@ -0,0 +1,187 @@
+const net = require('net');
+const os = require('os');
+const tls = require('tls');
+const Notifier = require('./Notifier');
+const { addressOf, buildMessage, dotStuff } = require('./email');
+
+// One SMTP conversation: send a command, wait for the (possibly multi-line) reply
+class SmtpSession {
+    constructor(socket, timeout) {
+        this.replies = [];
+        this.waiting = null;
+        this.failure = null;
+        this.timeout = timeout;
+        this.attach(socket);
+    }
+
+    attach(socket) {
+        this.socket = socket;
+        this.buffer = '';
+        this.lines = [];
+
+        socket.setEncoding('utf8');
+        socket.setTimeout(this.timeout, () => socket.destroy(new Error('SMTP connection timed out')));
+        socket.on('data', chunk => this.receive(chunk));
+        socket.on('error', error => this.fail(error));
+        socket.on('close', () => this.fail(new Error('SMTP connection closed')));
+    }
+
+    receive(chunk) {
+        this.buffer += chunk;
+        let index;
+        while ((index = this.buffer.indexOf('\r\n')) !== -1) {
+            const line = this.buffer.slice(0, index);
+            this.buffer = this.buffer.slice(index + 2);
+            this.lines.push(line);
+
+            // "250-..." continues the reply, "250 ..." ends it
+            if (line.length < 4 || line[3] === ' ') {
+                const reply = {
+                    code: parseInt(line.slice(0, 3)),
+                    lines: this.lines.map(l => l.slice(4)),
+                    text: this.lines.map(l => l.slice(4)).join(' ')
+                };
+                this.lines = [];
+                this.push(reply);
+            }
+        }
+    }
+
+    push(reply) {
+        if (this.waiting) {
+            const { resolve } = this.waiting;
+            this.waiting = null;
+            resolve(reply);
+        } else {
+            this.replies.push(reply);
+        }
+    }
+
+    fail(error) {
+        if (this.failure) return;
+        this.failure = error;
+        if (this.waiting) {
+            const { reject } = this.waiting;
+            this.waiting = null;
+            reject(error);
+        }
+    }
+
+    read() {
+        if (this.replies.length > 0) return Promise.resolve(this.replies.shift());
+        if (this.failure) return Promise.reject(this.failure);
+        return new Promise((resolve, reject) => {
+            this.waiting = { resolve, reject };
+        });
+    }
+
+    // line is null for the server greeting
+    async command(line, expected) {
+        if (line !== null) this.socket.write(line + '\r\n');
+        const reply = await this.read();
+        if (!expected.includes(reply.code)) {
+            const verb = line === null ? 'greeting' : line.split(' ')[0];
+            throw new Error(`SMTP ${verb} failed: ${reply.code} ${reply.text}`);
+        }
+        return reply;
+    }
+
+    // Hands the socket to TLS after STARTTLS
+    async upgrade(options) {
+        const plain = this.socket;
+        plain.removeAllListeners('data');
+        plain.removeAllListeners('error');
+        plain.removeAllListeners('close');
+        plain.setTimeout(0);
+
+        const secure = tls.connect({ ...options, socket: plain });
+        await new Promise((resolve, reject) => {
+            secure.once('secureConnect', resolve);
+            secure.once('error', reject);
+        });
+        this.attach(secure);
+    }
+
+    close() {
+        this.socket.removeAllListeners('close');
+        this.socket.end();
+    }
+}
+
+// Sends email through any SMTP server (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS).
+// Port 465 (or SMTP_SECURE=true) talks TLS from the start; otherwise STARTTLS
+// is used whenever the server offers it.
+class SmtpEmailNotifier extends Notifier {
+    constructor(options = {}) {
+        super({ id: 'email', name: 'Email (SMTP)' });
+        this.host = options.host || process.env.SMTP_HOST;
+        this.port = parseInt(options.port || process.env.SMTP_PORT) || 587;
+        this.secure = options.secure !== undefined
+            ? options.secure
+            : process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : this.port === 465;
+        this.user = options.user || process.env.SMTP_USER || null;
+        this.pass = options.pass || process.env.SMTP_PASS || null;
+        this.from = options.from || process.env.SMTP_FROM || 'Vintage Crib <alerts@localhost>';
+        this.timeout = options.timeout || 15000;
+        this.tlsOptions = { servername: this.host, ...(options.tlsOptions || {}) };
+    }
+
+    canReach(recipient) {
+        return !!recipient.email;
+    }
+
+    connect() {
+        return new Promise((resolve, reject) => {
+            const socket = this.secure
+                ? tls.connect({ ...this.tlsOptions, host: this.host, port: this.port }, () => resolve(socket))
+                : net.connect({ host: this.host, port: this.port }, () => resolve(socket));
+            socket.once('error', reject);
+        });
+    }
+
+    async authenticate(session, capabilities) {
+        const auth = capabilities.find(line => /^AUTH\b/i.test(line)) || '';
+
+        if (/\bPLAIN\b/i.test(auth) || !/\bLOGIN\b/i.test(auth)) {
+            const credentials = Buffer.from(`\0${this.user}\0${this.pass}`).toString('base64');
+            await session.command(`AUTH PLAIN ${credentials}`, [235]);
+            return;
+        }
+
+        await session.command('AUTH LOGIN', [334]);
+        await session.command(Buffer.from(this.user).toString('base64'), [334]);
+        await session.command(Buffer.from(this.pass).toString('base64'), [235]);
+    }
+
+    async send(recipient, message) {
+        const { id, raw } = buildMessage({ ...message, from: this.from, to: recipient.email });
+        const session = new SmtpSession(await this.connect(), this.timeout);
+
+        try {
+            await session.command(null, [220]);
+            let { lines: capabilities } = await session.command(`EHLO ${os.hostname()}`, [250]);
+
+            if (!this.secure && capabilities.some(line => /^STARTTLS\b/i.test(line))) {
+                await session.command('STARTTLS', [220]);
+                await session.upgrade(this.tlsOptions);
+                ({ lines: capabilities } = await session.command(`EHLO ${os.hostname()}`, [250]));
+            }
+
+            if (this.user) {
+                await this.authenticate(session, capabilities);
+            }
+
+            await session.command(`MAIL FROM:<${addressOf(this.from)}>`, [250]);
+            await session.command(`RCPT TO:<${addressOf(recipient.email)}>`, [250, 251]);
+            await session.command('DATA', [354]);
+            await session.command(dotStuff(raw) + '.', [250]);
+            await session.command('QUIT', [221]).catch(() => {});
+        } finally {
+            session.close();
+        }
+
+        return { id };
+    }
+}
+
+module.exports = SmtpEmailNotifier;
@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+
+// Builds RFC 5322 messages for the email notifiers. Bodies are base64 encoded,
+// so any text survives SMTP's 7-bit / line-length rules.
+
+// "Vintage Crib <alerts@example.com>" -> alerts@example.com
+function addressOf(mailbox) {
+    const match = /<([^>]+)>/.exec(mailbox);
+    return (match ? match[1] : mailbox).trim();
+}
+
+// Non-ASCII header values as RFC 2047 encoded words
+function encodeHeader(value) {
+    const text = String(value).replace(/[\r\n]+/g, ' ');
+    return /^[\x20-\x7e]*$/.test(text) ? text : `=?UTF-8?B?${Buffer.from(text).toString('base64')}?=`;
+}
+
+function base64Body(text) {
+    return Buffer.from(text).toString('base64').replace(/.{76}/g, '$&\r\n');
+}
+
+function messageId(from) {
+    const domain = addressOf(from).split('@')[1] || 'localhost';
+    return `<${crypto.randomUUID()}@${domain}>`;
+}
+
+// Returns { id, raw } - raw uses CRLF line endings throughout
+function buildMessage({ from, to, subject, text, html = null, headers = {}, date = new Date() }) {
+    const id = messageId(from);
+    const lines = [
+        `From: ${from}`,
+        `To: ${to}`,
+        `Subject: ${encodeHeader(subject)}`,
+        `Date: ${date.toUTCString()}`,
+        `Message-ID: ${id}`,
+        'MIME-Version: 1.0',
+        ...Object.entries(headers).map(([name, value]) => `${name}: ${encodeHeader(value)}`)
+    ];
+
+    const part = (type, body) => [
+        `Content-Type: ${type}; charset=utf-8`,
+        'Content-Transfer-Encoding: base64',
+        '',
+        base64Body(body)
+    ];
+
+    if (html) {
+        const boundary = `vc_${crypto.randomBytes(12).toString('hex')}`;
+        lines.push(
+            `Content-Type: multipart/alternative; boundary="${boundary}"`,
+            '',
+            `--${boundary}`,
+            ...part('text/plain', text),
+            `--${boundary}`,
+            ...part('text/html', html),
+            `--${boundary}--`
+        );
+    } else {
+        lines.push(...part('text/plain', text));
+    }
+
+    return { id, raw: lines.join('\r\n') + '\r\n' };
+}
+
+// SMTP ends DATA with a lone ".", so body lines starting with one get another
+function dotStuff(raw) {
+    return raw.replace(/^\./gm, '..');
+}
+
+module.exports = {
+    addressOf,
+    encodeHeader,
+    buildMessage,
+    dotStuff
+};
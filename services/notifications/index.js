@@ -0,0 +1,67 @@
+const Notifier = require('./Notifier');
+const SmtpEmailNotifier = require('./SmtpEmailNotifier');
+const OutboxEmailNotifier = require('./OutboxEmailNotifier');
+const InAppNotifier = require('./InAppNotifier');
+
+class NotifierRegistry {
+    constructor() {
+        this.notifiers = new Map();
+    }
+
+    register(notifier) {
+        if (!(notifier instanceof Notifier)) {
+            throw new Error('Notifiers must extend Notifier');
+        }
+        if (this.notifiers.has(notifier.id)) {
+            throw new Error(`Notifier already registered: ${notifier.id}`);
+        }
+
+        this.notifiers.set(notifier.id, notifier);
+        return notifier;
+    }
+
+    has(id) {
+        return !!id && this.notifiers.has(id);
+    }
+
+    get(id) {
+        const notifier = this.notifiers.get(id);
+        if (!notifier) {
+            throw new Error(`Unknown notifier: ${id}`);
+        }
+        return notifier;
+    }
+
+    list() {
+        return Array.from(this.notifiers.values());
+    }
+
+    // Every channel that can get to this recipient
+    forRecipient(recipient) {
+        return this.list().filter(notifier => notifier.canReach(recipient));
+    }
+}
+
+// Email goes through SMTP when SMTP_HOST is set and to the local outbox otherwise.
+// Other channels (SMS, push...) extend Notifier and are registered here.
+function createNotifiers(options = {}) {
+    const registry = new NotifierRegistry();
+    const smtpHost = options.host !== undefined ? options.host : process.env.SMTP_HOST;
+
+    registry.register(smtpHost ? new SmtpEmailNotifier(options) : new OutboxEmailNotifier(options));
+    registry.register(new InAppNotifier(options));
+    return registry;
+}
+
+// Shared registry used by saved-search alerts
+const notifiers = createNotifiers();
+
+module.exports = {
+    Notifier,
+    SmtpEmailNotifier,
+    OutboxEmailNotifier,
+    InAppNotifier,
+    NotifierRegistry,
+    createNotifiers,
+    notifiers
+};
@@ -0,0 +1,61 @@
+const PaymentProvider = require('./PaymentProvider');
+
+// Test card tokens, modelled on the ones hosted payment providers hand out
+const DECLINED_TOKENS = {
+    tok_declined: 'Your card was declined',
+    tok_insufficient_funds: 'Your card has insufficient funds'
+};
+
+// Local provider for development and tests - no money moves. Every token except
+// the declined ones above succeeds, both at checkout and as a saved payment method.
+class FakePaymentProvider extends PaymentProvider {
+    static id = 'fake';
+    // Never registered outside NODE_ENV test/development (see ./index.js)
+    static testOnly = true;
+
+    constructor() {
+        super({ id: FakePaymentProvider.id, name: 'Test payments' });
+        this.payments = new Map();
+        this.nextId = 1;
+    }
+
+    async createPayment(order) {
+        const id = `fake_pay_${this.nextId++}`;
+        const payment = { id, orderId: order.id, amount: parseFloat(order.total_amount), status: 'requires_confirmation' };
+
+        this.payments.set(id, payment);
+        return { id, status: payment.status, clientSecret: `${id}_secret` };
+    }
+
+    async confirmPayment(payment, details = {}) {
+        const stored = this.payments.get(payment.provider_payment_id);
+        if (!stored) {
+            return { id: payment.provider_payment_id, status: 'failed', error: 'Unknown payment' };
+        }
+
+        const declined = DECLINED_TOKENS[details.token];
+        stored.status = declined ? 'failed' : 'succeeded';
+        return { id: stored.id, status: stored.status, error: declined || null };
+    }
+
+    async refund(payment) {
+        const stored = this.payments.get(payment.provider_payment_id);
+        if (!stored || stored.status !== 'succeeded') {
+            throw new Error(`Payment ${payment.provider_payment_id} cannot be refunded`);
+        }
+
+        stored.status = 'refunded';
+        return { id: stored.id, status: 'refunded' };
+    }
+
+    async charge({ amount, paymentMethod, reference = null }) {
+        const id = `fake_ch_${this.nextId++}`;
+        const error = !paymentMethod ? 'No payment method on file' : DECLINED_TOKENS[paymentMethod] || null;
+        const status = error ? 'failed' : 'succeeded';
+
+        this.payments.set(id, { id, reference, amount: parseFloat(amount), status });
+        return { id, status, error };
+    }
+}
+
+module.exports = FakePaymentProvider;
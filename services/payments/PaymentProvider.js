@@ -0,0 +1,47 @@
+// Base class for payment providers used by OrderService (checkout) and
+// BillingService (subscription invoices)
+// Each provider lives in its own module and is registered in ./index.js
+//
+// Payment statuses returned by providers:
+//   requires_confirmation - created, waiting for the buyer's payment details
+//   succeeded             - money captured, the order can move to 'paid'
+//   failed                - declined; the buyer can try again while the item is reserved
+//   refunded              - captured money was returned
+
+class PaymentProvider {
+    constructor({ id, name }) {
+        this.id = id;
+        this.name = name;
+    }
+
+    // order is an orders row; returns { id, status, clientSecret }
+    async createPayment(order) {
+        throw new Error(`${this.constructor.name} must implement createPayment()`);
+    }
+
+    // payment is a payments row, details come from the checkout form; returns { id, status, error }
+    async confirmPayment(payment, details = {}) {
+        throw new Error(`${this.constructor.name} must implement confirmPayment()`);
+    }
+
+    async refund(payment) {
+        throw new Error(`${this.constructor.name} must implement refund()`);
+    }
+
+    // Off-session charge against a saved payment method (subscription invoices);
+    // returns { id, status: 'succeeded' | 'failed', error }
+    async charge({ amount, currency, paymentMethod, description, reference }) {
+        throw new Error(`${this.constructor.name} must implement charge()`);
+    }
+
+    // Metadata safe to hand to the frontend; testMode providers move no money
+    describe() {
+        return {
+            id: this.id,
+            name: this.name,
+            testMode: !!this.constructor.testOnly
+        };
+    }
+}
+
+module.exports = PaymentProvider;
@@ -0,0 +1,78 @@
+const PaymentProvider = require('./PaymentProvider');
+const FakePaymentProvider = require('./FakePaymentProvider');
+
+// Built-in providers. To take real payments, write a provider module
+// (createPayment / confirmPayment / refund / charge), list it here and set PAYMENT_PROVIDER.
+const BUILT_IN_PROVIDERS = [
+    FakePaymentProvider
+];
+
+// Where providers marked testOnly (the fake one) may be registered at all
+const TEST_ENVIRONMENTS = ['test', 'development'];
+
+class PaymentProviderRegistry {
+    constructor(defaultProvider = null) {
+        this.providers = new Map();
+        this.defaultProvider = defaultProvider;
+    }
+
+    register(provider) {
+        if (!(provider instanceof PaymentProvider)) {
+            throw new Error('Payment providers must extend PaymentProvider');
+        }
+        if (this.providers.has(provider.id)) {
+            throw new Error(`Payment provider already registered: ${provider.id}`);
+        }
+
+        this.providers.set(provider.id, provider);
+        return provider;
+    }
+
+    has(id) {
+        return !!id && this.providers.has(id);
+    }
+
+    // False when PAYMENT_PROVIDER is unset (or names a provider that isn't
+    // registered here); checkout and billing answer 503 until one is configured
+    isAvailable() {
+        return this.has(this.defaultProvider);
+    }
+
+    get(id) {
+        const provider = this.providers.get(id || this.defaultProvider);
+        if (!provider) {
+            throw new Error(`Unsupported payment provider: ${id || this.defaultProvider}`);
+        }
+        return provider;
+    }
+
+    list() {
+        return Array.from(this.providers.values());
+    }
+}
+
+// The fake provider is only the default (and only registered) under NODE_ENV
+// test or development, unless options.allowTestProviders says otherwise
+function createPaymentProviders(options = {}) {
+    const allowTestProviders = options.allowTestProviders !== undefined
+        ? options.allowTestProviders
+        : TEST_ENVIRONMENTS.includes(process.env.NODE_ENV);
+    const registry = new PaymentProviderRegistry(
+        options.defaultProvider || process.env.PAYMENT_PROVIDER || (allowTestProviders ? FakePaymentProvider.id : null)
+    );
+    BUILT_IN_PROVIDERS
+        .filter(Provider => allowTestProviders || !Provider.testOnly)
+        .forEach(Provider => registry.register(new Provider(options)));
+    return registry;
+}
+
+// Shared registry used by checkout and subscription billing
+const paymentProviders = createPaymentProviders();
+
+module.exports = {
+    PaymentProvider,
+    FakePaymentProvider,
+    PaymentProviderRegistry,
+    createPaymentProviders,
+    paymentProviders
+};
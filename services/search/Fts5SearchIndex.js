@@ -0,0 +1,114 @@
+const sqlite3 = require('sqlite3');
+const { tokenize, editDistance, allowedTypos, MARK_START, MARK_END, renderMarks } = require('./analyzer');
+const { FIELD_BOOSTS, FIELDS, fieldText } = require('./documents');
+
+// SQLite FTS5 index (porter stemming, bm25 ranking). It is derived data, so it
+// lives in its own in-memory database and is rebuilt from the catalog.
+class Fts5SearchIndex {
+    constructor(options = {}) {
+        this.backend = 'fts5';
+        this.db = options.db || new sqlite3.Database(':memory:');
+        this.vocabulary = []; // unstemmed words, for typo matching
+    }
+
+    run(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, function(err) {
+                if (err) reject(err);
+                else resolve({ changes: this.changes });
+            });
+        });
+    }
+
+    all(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows);
+            });
+        });
+    }
+
+    // Throws when this SQLite build has no FTS5 - the caller falls back to the memory index
+    async init() {
+        await this.run(`
+            CREATE VIRTUAL TABLE IF NOT EXISTS search_index USING fts5(
+                ${FIELDS.join(', ')},
+                doc_id UNINDEXED,
+                tokenize = 'porter unicode61 remove_diacritics 2'
+            )
+        `);
+    }
+
+    async rebuild(docs) {
+        await this.run('BEGIN');
+        try {
+            await this.run('DELETE FROM search_index');
+            for (const doc of docs) {
+                await this.run(
+                    `INSERT INTO search_index (${FIELDS.join(', ')}, doc_id) VALUES (${FIELDS.map(() => '?').join(', ')}, ?)`,
+                    [...FIELDS.map(field => fieldText(doc, field)), doc.id]
+                );
+            }
+            await this.run('COMMIT');
+        } catch (error) {
+            await this.run('ROLLBACK');
+            throw error;
+        }
+
+        this.vocabulary = Array.from(new Set(docs.flatMap(doc => FIELDS.flatMap(field => tokenize(fieldText(doc, field))))));
+    }
+
+    // Tokens are [a-z0-9]+ (see analyzer.tokenize), so quoting them is safe
+    toMatchQuery(groups) {
+        return groups
+            .map(group => `(${group.map(({ term, prefix }) => `"${term}"${prefix ? '*' : ''}`).join(' OR ')})`)
+            .join(' AND ');
+    }
+
+    async expand(token, { prefix = false } = {}) {
+        const direct = await this.all(
+            'SELECT COUNT(*) AS count FROM search_index WHERE search_index MATCH ?',
+            [this.toMatchQuery([[{ term: token, prefix }]])]
+        );
+        if (direct[0].count > 0) return [{ term: token, prefix }];
+
+        const max = allowedTypos(token);
+        if (max === 0) return [];
+
+        // Near misses are matched as whole words and stemmed again by FTS5
+        return this.vocabulary
+            .map(term => ({ term, distance: editDistance(token, term, max) }))
+            .filter(candidate => candidate.distance <= max)
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, 5)
+            .map(candidate => ({ term: candidate.term, prefix: false }));
+    }
+
+    async match(groups) {
+        // bm25() is lower-is-better; weights follow the column order
+        const weights = [...FIELDS.map(field => FIELD_BOOSTS[field]), 0].join(', ');
+        const rows = await this.all(
+            `SELECT doc_id, bm25(search_index, ${weights}) AS rank FROM search_index WHERE search_index MATCH ?`,
+            [this.toMatchQuery(groups)]
+        );
+        return new Map(rows.map(row => [row.doc_id, -row.rank]));
+    }
+
+    async highlight(doc, groups) {
+        const titleColumn = FIELDS.indexOf('title');
+        const descriptionColumn = FIELDS.indexOf('description');
+
+        const rows = await this.all(
+            `SELECT highlight(search_index, ${titleColumn}, ?, ?) AS title,
+                    snippet(search_index, ${descriptionColumn}, ?, ?, '…', 24) AS description
+             FROM search_index WHERE search_index MATCH ? AND doc_id = ?`,
+            [MARK_START, MARK_END, MARK_START, MARK_END, this.toMatchQuery(groups), doc.id]
+        );
+
+        if (rows.length === 0) return { title: renderMarks(doc.title), description: '' };
+        return { title: renderMarks(rows[0].title), description: renderMarks(rows[0].description || '') };
+    }
+}
+
+module.exports = Fts5SearchIndex;
@@ -0,0 +1,131 @@
+const { analyze, stem, normalize, editDistance, allowedTypos, MARK_START, MARK_END, renderMarks } = require('./analyzer');
+const { FIELD_BOOSTS, FIELDS, fieldText } = require('./documents');
+
+// BM25 tuning
+const K1 = 1.2;
+const B = 0.75;
+const SNIPPET_WORDS = 24;
+
+// Inverted index kept in memory - used when SQLite was built without FTS5
+class MemorySearchIndex {
+    constructor() {
+        this.backend = 'memory';
+        this.postings = new Map(); // term -> Map(docId -> field-weighted term frequency)
+        this.lengths = new Map(); // docId -> field-weighted length
+        this.averageLength = 0;
+    }
+
+    async init() {}
+
+    async rebuild(docs) {
+        this.postings = new Map();
+        this.lengths = new Map();
+        let totalLength = 0;
+
+        for (const doc of docs) {
+            let length = 0;
+
+            FIELDS.forEach(field => {
+                const boost = FIELD_BOOSTS[field];
+                analyze(fieldText(doc, field)).forEach(term => {
+                    if (!this.postings.has(term)) this.postings.set(term, new Map());
+                    const termDocs = this.postings.get(term);
+                    termDocs.set(doc.id, (termDocs.get(doc.id) || 0) + boost);
+                    length += boost;
+                });
+            });
+
+            this.lengths.set(doc.id, length);
+            totalLength += length;
+        }
+
+        this.averageLength = docs.length > 0 ? totalLength / docs.length : 0;
+    }
+
+    // Index terms a query token should match: its stem, prefixes while typing, or near misses
+    async expand(token, { prefix = false } = {}) {
+        const stemmed = stem(token);
+        const terms = [];
+
+        if (this.postings.has(stemmed)) terms.push({ term: stemmed, prefix: false });
+
+        if (prefix && token.length >= 2) {
+            for (const term of this.postings.keys()) {
+                if (term !== stemmed && term.startsWith(token)) terms.push({ term, prefix: true });
+            }
+        }
+        if (terms.length > 0) return terms;
+
+        const max = allowedTypos(token);
+        if (max === 0) return [];
+
+        return Array.from(this.postings.keys())
+            .map(term => ({ term, distance: Math.min(editDistance(token, term, max), editDistance(stemmed, term, max)) }))
+            .filter(candidate => candidate.distance <= max)
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, 5)
+            .map(candidate => ({ term: candidate.term, prefix: false }));
+    }
+
+    idf(term) {
+        const docCount = this.postings.get(term).size;
+        return Math.log(1 + (this.lengths.size - docCount + 0.5) / (docCount + 0.5));
+    }
+
+    // Every query group has to match (AND); terms within a group are alternatives (OR)
+    async match(groups) {
+        let scores = null;
+
+        for (const group of groups) {
+            const groupScores = new Map();
+
+            group.forEach(({ term }) => {
+                const idf = this.idf(term);
+                this.postings.get(term).forEach((tf, docId) => {
+                    const norm = tf + K1 * (1 - B + B * this.lengths.get(docId) / this.averageLength);
+                    const score = idf * tf * (K1 + 1) / norm;
+                    groupScores.set(docId, Math.max(groupScores.get(docId) || 0, score));
+                });
+            });
+
+            if (scores === null) {
+                scores = groupScores;
+            } else {
+                for (const docId of scores.keys()) {
+                    if (!groupScores.has(docId)) scores.delete(docId);
+                    else scores.set(docId, scores.get(docId) + groupScores.get(docId));
+                }
+            }
+        }
+
+        return scores || new Map();
+    }
+
+    markWords(text, groups) {
+        const terms = groups.flat();
+        const isMatch = word => {
+            const normalized = normalize(word);
+            return terms.some(({ term, prefix }) => (prefix ? normalized.startsWith(term) : stem(normalized) === term));
+        };
+
+        return text.split(/([A-Za-z0-9\u00C0-\u024F]+)/).map(part =>
+            (part && /[A-Za-z0-9]/.test(part) && isMatch(part) ? `${MARK_START}${part}${MARK_END}` : part)
+        );
+    }
+
+    async highlight(doc, groups) {
+        const title = renderMarks(this.markWords(doc.title, groups).join(''));
+
+        // Description snippet starting a few words before the first match
+        const parts = this.markWords(doc.description, groups);
+        const words = parts.join('').split(/\s+/).filter(Boolean);
+        const first = words.findIndex(word => word.includes(MARK_START));
+        const start = Math.max(0, first - 6);
+        const end = start + SNIPPET_WORDS;
+        const snippet = (start > 0 ? '…' : '') + words.slice(start, end).join(' ') + (end < words.length ? '…' : '');
+
+        return { title, description: renderMarks(snippet) };
+    }
+}
+
+module.exports = MemorySearchIndex;
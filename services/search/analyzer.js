@@ -0,0 +1,110 @@
+// Text analysis shared by the search indexes - tokenizing, a light English
+// stemmer, edit distance for typo tolerance and <mark> highlighting
+
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in',
+    'is', 'it', 'of', 'on', 'or', 'the', 'this', 'to', 'with'
+]);
+
+// Markers used while building snippets, replaced with <mark> after escaping
+const MARK_START = '\u0001';
+const MARK_END = '\u0002';
+
+function normalize(text) {
+    return String(text || '')
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, ''); // strip accents
+}
+
+function tokenize(text) {
+    return normalize(text)
+        .split(/[^a-z0-9]+/)
+        .filter(token => token && !STOP_WORDS.has(token));
+}
+
+function hasVowel(word) {
+    return /[aeiouy]/.test(word);
+}
+
+// Suffix stripping in the spirit of Porter step 1 - enough to match
+// jackets/jacket, dresses/dress, faded/fade and running/run
+function stem(word) {
+    if (word.length <= 3 || /\d/.test(word)) return word;
+
+    if (word.endsWith('ies')) return word.slice(0, -3) + 'y';
+    if (word.endsWith('sses')) return word.slice(0, -2);
+    if (/(xes|ches|shes)$/.test(word)) return word.slice(0, -2);
+    if (word.endsWith('s') && !/(ss|us|is)$/.test(word)) return word.slice(0, -1);
+
+    for (const suffix of ['ing', 'ed']) {
+        const base = word.slice(0, -suffix.length);
+        if (word.endsWith(suffix) && base.length >= 3 && hasVowel(base)) {
+            // runn -> run, but keep dress/ball
+            if (/([^aeiouslz])\1$/.test(base)) return base.slice(0, -1);
+            // faded -> fade
+            if (suffix === 'ed' && /[^aeiou][aeiou][^aeiouwxy]$/.test(base) && base.length <= 4) return base + 'e';
+            return base;
+        }
+    }
+
+    return word;
+}
+
+function analyze(text) {
+    return tokenize(text).map(stem);
+}
+
+// Levenshtein distance, giving up once it is over max
+function editDistance(a, b, max = 2) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > max) return max + 1;
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+// Short words must match exactly; longer ones may have a typo or two
+function allowedTypos(token) {
+    if (token.length < 4) return 0;
+    return token.length < 8 ? 1 : 2;
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Escape the text and turn MARK_START/MARK_END pairs into <mark> tags
+function renderMarks(text) {
+    return escapeHtml(text)
+        .split(MARK_START).join('<mark>')
+        .split(MARK_END).join('</mark>');
+}
+
+module.exports = {
+    STOP_WORDS,
+    MARK_START,
+    MARK_END,
+    normalize,
+    tokenize,
+    stem,
+    analyze,
+    editDistance,
+    allowedTypos,
+    escapeHtml,
+    renderMarks
+};
@@ -0,0 +1,135 @@
+// Store products (products.json) and vintage items indexed as one document shape
+
+// Relevance weight per field
+const FIELD_BOOSTS = {
+    title: 5,
+    description: 1,
+    brand: 3,
+    tags: 2,
+    category: 2
+};
+
+const FIELDS = Object.keys(FIELD_BOOSTS);
+
+const PRICE_BUCKETS = [
+    { key: 'under_25', label: 'Under $25', min: 0, max: 25 },
+    { key: '25_50', label: '$25 - $50', min: 25, max: 50 },
+    { key: '50_100', label: '$50 - $100', min: 50, max: 100 },
+    { key: '100_250', label: '$100 - $250', min: 100, max: 250 },
+    { key: '250_plus', label: '$250+', min: 250, max: Infinity }
+];
+
+// JSON arrays, PostgreSQL array literals ({a,b}) or comma lists
+function parseList(value) {
+    if (!value) return [];
+    if (Array.isArray(value)) return value;
+
+    try {
+        const parsed = JSON.parse(value);
+        return Array.isArray(parsed) ? parsed : [parsed];
+    } catch {
+        // Broken JSON (e.g. a stringified object) rather than a list
+        if (String(value).startsWith('[')) return [];
+        return String(value).replace(/[{}"]/g, '').split(',').map(v => v.trim()).filter(Boolean);
+    }
+}
+
+function priceBucket(price) {
+    const bucket = PRICE_BUCKETS.find(b => price >= b.min && price < b.max);
+    return bucket ? bucket.key : null;
+}
+
+function fromProduct(product) {
+    const price = parseFloat(product.price) || 0;
+
+    return {
+        id: `product_${product.id}`,
+        type: 'store',
+        sourceId: product.id,
+        title: product.name || '',
+        description: product.description || '',
+        brand: product.brand || '',
+        tags: [...parseList(product.tags), ...parseList(product.customTags)],
+        category: product.category || '',
+        condition: product.condition || null,
+        platforms: [product.platform || 'vintage_crib'],
+        price: price,
+        priceBucket: priceBucket(price),
+        image: product.image || null,
+        url: `/product.html?id=${product.id}`,
+        isSold: !!product.isSold,
+        createdAt: product.dateAdded || null,
+        source: product
+    };
+}
+
+function fromVintageItem(item) {
+    const price = parseFloat(item.price) || 0;
+    const platforms = parseList(item.published_to);
+
+    return {
+        id: `vintage_${item.id}`,
+        type: 'vintage',
+        sourceId: item.id,
+        title: item.title || '',
+        description: item.description || '',
+        brand: item.brand || '',
+        tags: parseList(item.tags),
+        category: item.category || '',
+        condition: item.condition || null,
+        platforms: platforms.length > 0 ? platforms : ['vintage_crib'],
+        price: price,
+        priceBucket: priceBucket(price),
+        image: parseList(item.images)[0] || null,
+        url: `/frontend/vintage-portfolio.html?seller=${item.seller_id}#item-${item.id}`,
+        seller: item.store_name || null,
+        isSold: item.status === 'sold',
+        createdAt: item.created_at || null,
+        source: item
+    };
+}
+
+// Text of one indexed field
+function fieldText(doc, field) {
+    return field === 'tags' ? doc.tags.join(' ') : doc[field] || '';
+}
+
+function matchesFilters(doc, filters = {}) {
+    if (filters.type && doc.type !== filters.type) return false;
+    if (!filters.includeSold && doc.isSold) return false;
+    if (filters.category && doc.category !== filters.category) return false;
+    if (filters.condition && doc.condition !== filters.condition) return false;
+    if (filters.platform && !doc.platforms.includes(filters.platform)) return false;
+    if (filters.priceBucket && doc.priceBucket !== filters.priceBucket) return false;
+    if (filters.minPrice !== undefined && doc.price < filters.minPrice) return false;
+    if (filters.maxPrice !== undefined && doc.price > filters.maxPrice) return false;
+    return true;
+}
+
+function facetCounts(docs) {
+    const facets = { category: {}, condition: {}, priceBucket: {}, platform: {} };
+    const add = (facet, value) => {
+        if (value) facets[facet][value] = (facets[facet][value] || 0) + 1;
+    };
+
+    docs.forEach(doc => {
+        add('category', doc.category);
+        add('condition', doc.condition);
+        add('priceBucket', doc.priceBucket);
+        doc.platforms.forEach(platform => add('platform', platform));
+    });
+    return facets;
+}
+
+module.exports = {
+    FIELD_BOOSTS,
+    FIELDS,
+    PRICE_BUCKETS,
+    parseList,
+    priceBucket,
+    fromProduct,
+    fromVintageItem,
+    fieldText,
+    matchesFilters,
+    facetCounts
+};
@@ -0,0 +1,188 @@
+const { tokenize } = require('./analyzer');
+const {
+    PRICE_BUCKETS,
+    fromProduct,
+    fromVintageItem,
+    matchesFilters,
+    facetCounts
+} = require('./documents');
+const Fts5SearchIndex = require('./Fts5SearchIndex');
+const MemorySearchIndex = require('./MemorySearchIndex');
+const { logger } = require('../../logger');
+
+const SORTS = {
+    relevance: (a, b) => b.score - a.score,
+    price_asc: (a, b) => a.doc.price - b.doc.price,
+    price_desc: (a, b) => b.doc.price - a.doc.price,
+    newest: (a, b) => new Date(b.doc.createdAt || 0) - new Date(a.doc.createdAt || 0)
+};
+
+// Catalog search over store products and published vintage items.
+// The index is rebuilt when it is older than maxAge or after invalidate().
+// Store products come from the repository server.js attaches.
+class SearchService {
+    constructor(options = {}) {
+        this.products = options.products || null;
+        this.loadVintageItems = options.loadVintageItems || defaultLoadVintageItems;
+        this.maxAge = options.maxAge || 60 * 1000;
+        this.index = options.index || null;
+        this.docs = new Map();
+        this.builtAt = 0;
+        this.building = null;
+    }
+
+    // FTS5 when SQLite supports it, otherwise the in-memory inverted index
+    async createIndex() {
+        try {
+            const index = new Fts5SearchIndex();
+            await index.init();
+            return index;
+        } catch (error) {
+            console.warn('⚠️ SQLite FTS5 unavailable, using in-memory search index:', error.message);
+            const index = new MemorySearchIndex();
+            await index.init();
+            return index;
+        }
+    }
+
+    attach({ products }) {
+        this.products = products;
+        this.invalidate();
+    }
+
+    invalidate() {
+        this.builtAt = 0;
+    }
+
+    async loadProducts() {
+        if (!this.products) throw new Error('no product repository attached');
+        return this.products.getAll();
+    }
+
+    async rebuild() {
+        if (!this.index) {
+            this.index = await this.createIndex();
+        }
+
+        // One source failing (e.g. no vintage database) shouldn't take search down
+        const [products, vintageItems] = await Promise.all([
+            this.loadProducts().catch(error => {
+                console.error('❌ Search: failed to load products:', error.message);
+                return [];
+            }),
+            this.loadVintageItems().catch(error => {
+                console.error('❌ Search: failed to load vintage items:', error.message);
+                return [];
+            })
+        ]);
+
+        const docs = [...products.map(fromProduct), ...vintageItems.map(fromVintageItem)];
+        await this.index.rebuild(docs);
+
+        this.docs = new Map(docs.map(doc => [doc.id, doc]));
+        this.builtAt = Date.now();
+        // Rebuilds run every few minutes, so this only shows with LOG_LEVEL=debug
+        logger.debug('Search index rebuilt', { documents: docs.length, backend: this.index.backend });
+    }
+
+    async ensureFresh() {
+        if (Date.now() - this.builtAt < this.maxAge) return;
+
+        if (!this.building) {
+            this.building = this.rebuild().finally(() => {
+                this.building = null;
+            });
+        }
+        await this.building;
+    }
+
+    // filters: type, category, condition, platform, priceBucket, minPrice, maxPrice, includeSold
+    async search(query, { filters = {}, sort = 'relevance', limit = 20, offset = 0 } = {}) {
+        await this.ensureFresh();
+
+        const tokens = tokenize(query);
+        const groups = [];
+        const ignoredTerms = [];
+        let matches;
+
+        if (tokens.length === 0) {
+            // Empty query browses the whole catalog
+            matches = Array.from(this.docs.values()).map(doc => ({ doc, score: 0 }));
+        } else {
+            // The last word may still be being typed
+            const typing = !/\s$/.test(query);
+            for (const [i, token] of tokens.entries()) {
+                const terms = await this.index.expand(token, { prefix: typing && i === tokens.length - 1 });
+                if (terms.length > 0) groups.push(terms);
+                else ignoredTerms.push(token);
+            }
+
+            const scores = groups.length > 0 ? await this.index.match(groups) : new Map();
+            matches = Array.from(scores, ([id, score]) => ({ doc: this.docs.get(id), score }))
+                .filter(match => match.doc);
+        }
+
+        // Facets count every text match of this type, so the other options stay visible
+        const facets = facetCounts(matches
+            .filter(({ doc }) => matchesFilters(doc, { type: filters.type, includeSold: filters.includeSold }))
+            .map(match => match.doc));
+
+        const filtered = matches
+            .filter(({ doc }) => matchesFilters(doc, filters))
+            .sort(sort === 'relevance' && tokens.length === 0 ? SORTS.newest : SORTS[sort] || SORTS.relevance);
+
+        const page = filtered.slice(offset, offset + limit);
+        const results = [];
+        for (const { doc, score } of page) {
+            results.push({
+                ...this.toResult(doc),
+                score: Number(score.toPrecision(4)),
+                highlights: groups.length > 0 ? await this.index.highlight(doc, groups) : null
+            });
+        }
+
+        return {
+            query: query,
+            backend: this.index.backend,
+            total: filtered.length,
+            limit: limit,
+            offset: offset,
+            results: results,
+            facets: facets,
+            ignoredTerms: ignoredTerms
+        };
+    }
+
+    toResult(doc) {
+        return {
+            id: doc.id,
+            type: doc.type,
+            title: doc.title,
+            price: doc.price,
+            image: doc.image,
+            url: doc.url,
+            category: doc.category,
+            condition: doc.condition,
+            platforms: doc.platforms,
+            seller: doc.seller || null,
+            isSold: doc.isSold,
+            item: doc.source
+        };
+    }
+}
+
+function defaultLoadVintageItems() {
+    const { VintageItem } = require('../../database/models');
+    return VintageItem.getPublished(5000, 0);
+}
+
+// Shared catalog search for the app
+const catalogSearch = new SearchService();
+
+module.exports = {
+    SearchService,
+    MemorySearchIndex,
+    Fts5SearchIndex,
+    PRICE_BUCKETS,
+    catalogSearch
+};
@@ -0,0 +1,202 @@
+const { productJsonLd, vintageItemJsonLd, jsonLdScript, injectJsonLd } = require('./structured-data');
+
+// The sitemaps.org limit per file; larger sitemaps are split behind an index
+const MAX_URLS_PER_SITEMAP = 50000;
+
+const STATIC_PAGES = [
+    { path: '/', changefreq: 'daily', priority: '1.0' },
+    { path: '/store-advanced.html', changefreq: 'daily', priority: '0.9' },
+    { path: '/categories.html', changefreq: 'weekly', priority: '0.7' }
+];
+
+// Private and machine-only areas; /uploads stays crawlable for the JSON-LD images
+const DISALLOWED_PATHS = ['/api/admin', '/api/auth', '/api/db', '/api/contact', '/admin', '/data'];
+
+const escapeXml = value => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+// W3C date for <lastmod>; SQLite timestamps come back as 'YYYY-MM-DD HH:MM:SS'
+function lastmod(...values) {
+    const dates = values
+        .filter(Boolean)
+        .map(value => (value instanceof Date ? value : new Date(typeof value === 'string' ? value.replace(' ', 'T') : value)))
+        .filter(date => !isNaN(date));
+    if (dates.length === 0) return null;
+    return new Date(Math.max(...dates)).toISOString().slice(0, 10);
+}
+
+// Generated /sitemap.xml and /robots.txt for store products, published vintage
+// items, seller portfolios and categories. Entries are cached for maxAge and
+// dropped by invalidate() when the catalog changes. server.js attaches its
+// product repository, so the sitemap reads the same store the API writes.
+class SitemapService {
+    constructor(options = {}) {
+        this.models = options.models || require('../../database/models');
+        this.products = options.products || null;
+        this.baseUrl = (options.baseUrl || process.env.SITE_URL || `http://localhost:${process.env.PORT || 3001}`).replace(/\/+$/, '');
+        this.maxUrls = options.maxUrls || MAX_URLS_PER_SITEMAP;
+        this.maxAge = options.maxAge || 15 * 60 * 1000;
+        this.cached = null;
+        this.builtAt = 0;
+    }
+
+    attach({ products }) {
+        this.products = products;
+        this.invalidate();
+    }
+
+    invalidate() {
+        this.builtAt = 0;
+    }
+
+    async loadProducts() {
+        if (!this.products) throw new Error('no product repository attached');
+        return this.products.getAll();
+    }
+
+    url(pathname) {
+        return `${this.baseUrl}${pathname}`;
+    }
+
+    async collect() {
+        // One source failing (e.g. no vintage database) shouldn't empty the sitemap
+        const [products, items, sellers] = await Promise.all([
+            this.loadProducts().catch(error => {
+                console.error('❌ Sitemap: failed to load products:', error.message);
+                return [];
+            }),
+            this.models.VintageItem.getSitemapEntries().catch(error => {
+                console.error('❌ Sitemap: failed to load vintage items:', error.message);
+                return [];
+            }),
+            this.models.VintageSeller.getSitemapEntries().catch(error => {
+                console.error('❌ Sitemap: failed to load sellers:', error.message);
+                return [];
+            })
+        ]);
+
+        const entries = STATIC_PAGES.map(page => ({ loc: this.url(page.path), changefreq: page.changefreq, priority: page.priority }));
+        const categories = new Map();
+        const touchCategory = (category, modified) => {
+            if (!category) return;
+            categories.set(category, lastmod(categories.get(category), modified));
+        };
+
+        for (const product of products.filter(product => !product.isSold)) {
+            const modified = lastmod(product.dateModified, product.dateAdded);
+            entries.push({ loc: this.url(`/product.html?id=${encodeURIComponent(product.id)}`), lastmod: modified, changefreq: 'weekly', priority: '0.8' });
+            touchCategory(product.category, modified);
+        }
+
+        for (const item of items) {
+            const modified = lastmod(item.updated_at, item.created_at);
+            entries.push({ loc: this.url(`/api/vintage/item/${item.id}`), lastmod: modified, changefreq: 'weekly', priority: '0.8' });
+            touchCategory(item.category, modified);
+        }
+
+        // Portfolios are looked up by store name case-insensitively, so one URL per name
+        const storeNames = new Set();
+        for (const seller of sellers) {
+            const key = seller.store_name.toLowerCase();
+            if (storeNames.has(key)) continue;
+            storeNames.add(key);
+            entries.push({
+                loc: this.url(`/api/vintage/portfolio/username/${encodeURIComponent(seller.store_name)}`),
+                lastmod: lastmod(seller.updated_at, seller.items_updated_at),
+                changefreq: 'weekly',
+                priority: '0.6'
+            });
+        }
+
+        for (const [category, modified] of [...categories].sort(([a], [b]) => a.localeCompare(b))) {
+            entries.push({ loc: this.url(`/api/search?category=${encodeURIComponent(category)}`), lastmod: modified, changefreq: 'daily', priority: '0.6' });
+        }
+
+        return entries;
+    }
+
+    async entries() {
+        if (!this.cached || Date.now() - this.builtAt >= this.maxAge) {
+            this.cached = await this.collect();
+            this.builtAt = Date.now();
+        }
+        return this.cached;
+    }
+
+    async pageCount() {
+        return Math.max(1, Math.ceil((await this.entries()).length / this.maxUrls));
+    }
+
+    // The whole urlset, or an index of /sitemap-N.xml files once it outgrows one file
+    async sitemap() {
+        const pages = await this.pageCount();
+        if (pages === 1) return this.renderUrlset(await this.entries());
+
+        const today = lastmod(new Date());
+        const sitemaps = Array.from({ length: pages }, (_, i) =>
+            `  <sitemap>\n    <loc>${escapeXml(this.url(`/sitemap-${i + 1}.xml`))}</loc>\n    <lastmod>${today}</lastmod>\n  </sitemap>`);
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+            ...sitemaps,
+            '</sitemapindex>',
+            ''
+        ].join('\n');
+    }
+
+    // 1-based page of the split sitemap; null when there is no such page
+    async sitemapPage(page) {
+        const entries = await this.entries();
+        const start = (page - 1) * this.maxUrls;
+        if (!Number.isInteger(page) || page < 1 || start >= entries.length) return null;
+        return this.renderUrlset(entries.slice(start, start + this.maxUrls));
+    }
+
+    renderUrlset(entries) {
+        const urls = entries.map(entry => [
+            '  <url>',
+            `    <loc>${escapeXml(entry.loc)}</loc>`,
+            entry.lastmod ? `    <lastmod>${entry.lastmod}</lastmod>` : null,
+            `    <changefreq>${entry.changefreq}</changefreq>`,
+            `    <priority>${entry.priority}</priority>`,
+            '  </url>'
+        ].filter(Boolean).join('\n'));
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+            ...urls,
+            '</urlset>',
+            ''
+        ].join('\n');
+    }
+
+    robots() {
+        return [
+            'User-agent: *',
+            'Allow: /',
+            ...DISALLOWED_PATHS.map(disallowed => `Disallow: ${disallowed}`),
+            '',
+            'Crawl-delay: 1',
+            '',
+            `Sitemap: ${this.url('/sitemap.xml')}`,
+            ''
+        ].join('\n');
+    }
+}
+
+// Shared sitemap for the app
+const sitemap = new SitemapService();
+
+module.exports = {
+    SitemapService,
+    MAX_URLS_PER_SITEMAP,
+    productJsonLd,
+    vintageItemJsonLd,
+    jsonLdScript,
+    injectJsonLd,
+    sitemap
+};
@@ -0,0 +1,141 @@
+// schema.org Product/Offer JSON-LD for store products and vintage items
+
+const SCHEMA = 'https://schema.org';
+
+// schema.org availability for each vintage_items status (drafts are never public)
+const VINTAGE_AVAILABILITY = {
+    published: 'InStock',
+    reserved: 'OutOfStock',
+    sold: 'SoldOut',
+    archived: 'Discontinued'
+};
+
+function absoluteUrl(baseUrl, url) {
+    if (!url) return null;
+    if (/^https?:\/\//.test(url)) return url;
+    return `${baseUrl}${url.startsWith('/') ? '' : '/'}${url}`;
+}
+
+// images may be an array or the JSON text stored in vintage_items
+function imageList(baseUrl, ...sources) {
+    const urls = [];
+    for (const source of sources) {
+        let list = source;
+        if (typeof list === 'string') {
+            try {
+                list = list.trim().startsWith('[') ? JSON.parse(list) : [list];
+            } catch (error) {
+                list = [];
+            }
+        }
+        for (const url of Array.isArray(list) ? list : []) {
+            const absolute = absoluteUrl(baseUrl, url);
+            if (absolute && !urls.includes(absolute)) urls.push(absolute);
+        }
+    }
+    return urls;
+}
+
+// 'New' and 'New with tags' are new; 'Like New', 'Vintage', 'Good' etc. are used
+function itemCondition(condition) {
+    if (!condition) return undefined;
+    const text = String(condition).toLowerCase();
+    if (/refurbish/.test(text)) return `${SCHEMA}/RefurbishedCondition`;
+    if (/^new\b/.test(text)) return `${SCHEMA}/NewCondition`;
+    return `${SCHEMA}/UsedCondition`;
+}
+
+function offer({ price, availability, url, condition, seller }) {
+    return {
+        '@type': 'Offer',
+        url,
+        price: (parseFloat(price) || 0).toFixed(2),
+        priceCurrency: 'USD',
+        availability: `${SCHEMA}/${availability}`,
+        itemCondition: condition,
+        seller
+    };
+}
+
+// Drops undefined/null/empty values so the markup only claims what we know
+function compact(value) {
+    if (Array.isArray(value)) return value.map(compact);
+    if (!value || typeof value !== 'object') return value;
+    return Object.fromEntries(Object.entries(value)
+        .filter(([, field]) => field !== undefined && field !== null && field !== '' && !(Array.isArray(field) && field.length === 0))
+        .map(([key, field]) => [key, compact(field)]));
+}
+
+function productJsonLd(product, { baseUrl, url = `/product.html?id=${product.id}` } = {}) {
+    const pageUrl = absoluteUrl(baseUrl, url);
+    const condition = itemCondition(product.condition);
+
+    return compact({
+        '@context': SCHEMA,
+        '@type': 'Product',
+        name: product.name,
+        description: product.description,
+        image: imageList(baseUrl, product.image ? [product.image] : [], product.images),
+        sku: String(product.id),
+        category: product.category,
+        brand: product.brand ? { '@type': 'Brand', name: product.brand } : undefined,
+        itemCondition: condition,
+        url: pageUrl,
+        offers: offer({
+            price: product.price,
+            availability: product.isSold ? 'SoldOut' : 'InStock',
+            url: pageUrl,
+            condition,
+            seller: { '@type': 'Organization', name: 'Vintage Crib' }
+        })
+    });
+}
+
+// seller is the vintage_sellers row (or anything with store_name)
+function vintageItemJsonLd(item, { baseUrl, seller = null, url = `/api/vintage/item/${item.id}` } = {}) {
+    const pageUrl = absoluteUrl(baseUrl, url);
+    const condition = itemCondition(item.condition);
+    const storeName = (seller && seller.store_name) || item.store_name;
+
+    return compact({
+        '@context': SCHEMA,
+        '@type': 'Product',
+        name: item.title,
+        description: item.description,
+        image: imageList(baseUrl, item.images),
+        sku: `vintage_${item.id}`,
+        category: item.category,
+        brand: item.brand ? { '@type': 'Brand', name: item.brand } : undefined,
+        size: item.size,
+        itemCondition: condition,
+        url: pageUrl,
+        offers: offer({
+            price: item.price,
+            availability: VINTAGE_AVAILABILITY[item.status] || 'OutOfStock',
+            url: pageUrl,
+            condition,
+            seller: storeName ? { '@type': 'Organization', name: storeName } : undefined
+        })
+    });
+}
+
+// <script> tag for an HTML page; '<' is escaped so a "</script>" in a
+// product description can't end the tag early
+function jsonLdScript(data) {
+    const json = JSON.stringify(data, null, 2).replace(/</g, '\\u003c');
+    return `<script type="application/ld+json">\n${json}\n</script>`;
+}
+
+// Adds the JSON-LD to the end of <head> (or the top of the page without one)
+function injectJsonLd(html, data) {
+    const script = jsonLdScript(data);
+    const head = html.search(/<\/head>/i);
+    return head === -1 ? `${script}\n${html}` : `${html.slice(0, head)}    ${script}\n${html.slice(head)}`;
+}
+
+module.exports = {
+    productJsonLd,
+    vintageItemJsonLd,
+    jsonLdScript,
+    injectJsonLd
+};
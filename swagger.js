@@ -1,5 +1,72 @@
+const path = require('path');
 const swaggerJSDoc = require('swagger-jsdoc');
 const swaggerUi = require('swagger-ui-express');
+const securityManager = require('./auth/security');
+
+// Joi's describe() output -> OpenAPI schema, for the rules our validation schemas use
+function joiToSchema(description) {
+    const rules = {};
+    for (const rule of description.rules || []) {
+        rules[rule.name] = rule.args || true;
+    }
+    const limit = name => rules[name] && rules[name].limit;
+    const schema = {};
+
+    switch (description.type) {
+        case 'object':
+            schema.type = 'object';
+            schema.properties = {};
+            for (const [key, child] of Object.entries(description.keys || {})) {
+                schema.properties[key] = joiToSchema(child);
+                if (child.flags && child.flags.presence === 'required') {
+                    (schema.required = schema.required || []).push(key);
+                }
+            }
+            break;
+        case 'alternatives':
+            schema.oneOf = description.matches.map(match => joiToSchema(match.schema));
+            break;
+        case 'array':
+            schema.type = 'array';
+            schema.items = description.items && description.items.length ? joiToSchema(description.items[0]) : {};
+            if (limit('min') !== undefined) schema.minItems = limit('min');
+            if (limit('max') !== undefined) schema.maxItems = limit('max');
+            break;
+        case 'number':
+            schema.type = rules.integer ? 'integer' : 'number';
+            if (limit('min') !== undefined) schema.minimum = limit('min');
+            if (limit('max') !== undefined) schema.maximum = limit('max');
+            if (rules.sign && rules.sign.sign === 'positive') {
+                schema.minimum = 0;
+                schema.exclusiveMinimum = true;
+            }
+            break;
+        case 'string':
+            schema.type = 'string';
+            if (limit('min') !== undefined) schema.minLength = limit('min');
+            if (limit('max') !== undefined) schema.maxLength = limit('max');
+            if (rules.email) schema.format = 'email';
+            if (rules.uri) schema.format = 'uri';
+            if (rules.alphanum) schema.pattern = '^[a-zA-Z0-9]+$';
+            break;
+        default:
+            schema.type = description.type;
+    }
+
+    if (description.flags && description.flags.only && description.allow) {
+        schema.enum = description.allow;
+    }
+    return schema;
+}
+
+// login -> LoginRequest, productUpdate -> ProductUpdateRequest, ...
+function validationSchemas() {
+    const schemas = {};
+    for (const [name, joiSchema] of Object.entries(securityManager.getValidationSchemas())) {
+        schemas[`${name[0].toUpperCase()}${name.slice(1)}Request`] = joiToSchema(joiSchema.describe());
+    }
+    return schemas;
+}
 
 const swaggerDefinition = {
     openapi: '3.0.0',
@@ -33,6 +100,77 @@ const swaggerDefinition = {
                 type: 'http',
                 scheme: 'bearer',
                 bearerFormat: 'JWT'
+            },
+            sessionCookie: {
+                type: 'apiKey',
+                in: 'cookie',
+                name: 'connect.sid'
+            },
+            // Premium sellers' API keys (also accepted as "Authorization: Bearer vc_...")
+            apiKey: {
+                type: 'apiKey',
+                in: 'header',
+                name: 'X-Api-Key'
+            }
+        },
+        parameters: {
+            id: {
+                name: 'id',
+                in: 'path',
+                required: true,
+                schema: { type: 'integer' }
+            },
+            itemId: {
+                name: 'itemId',
+                in: 'path',
+                required: true,
+                schema: { type: 'string' }
+            },
+            userId: {
+                name: 'userId',
+                in: 'path',
+                required: true,
+                schema: { type: 'integer' }
+            },
+            limit: {
+                name: 'limit',
+                in: 'query',
+                schema: { type: 'integer' }
+            },
+            offset: {
+                name: 'offset',
+                in: 'query',
+                schema: { type: 'integer' }
+            }
+        },
+        responses: {
+            Success: {
+                description: 'Done',
+                content: { 'application/json': { schema: { $ref: '#/components/schemas/Success' } } }
+            },
+            BadRequest: {
+                description: 'Invalid request',
+                content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+            },
+            ValidationError: {
+                description: 'The body failed validation',
+                content: { 'application/json': { schema: { $ref: '#/components/schemas/ValidationError' } } }
+            },
+            Unauthorized: {
+                description: 'Not logged in, or the token or session expired',
+                content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+            },
+            Forbidden: {
+                description: 'Logged in without the required role, or the token is invalid',
+                content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+            },
+            NotFound: {
+                description: 'Not found',
+                content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+            },
+            Accepted: {
+                description: 'Queued as a background job; poll statusUrl for progress',
+                content: { 'application/json': { schema: { $ref: '#/components/schemas/JobAccepted' } } }
             }
         },
         schemas: {
@@ -129,16 +267,25 @@ const swaggerDefinition = {
                 type: 'object',
                 properties: {
                     id: {
-                        type: 'string',
+                        type: 'integer',
                         description: 'User ID'
                     },
                     username: {
                         type: 'string',
                         description: 'Username'
                     },
+                    email: {
+                        type: 'string',
+                        nullable: true
+                    },
                     role: {
                         type: 'string',
+                        enum: ['admin', 'seller', 'buyer'],
                         description: 'User role'
+                    },
+                    authMethod: {
+                        type: 'string',
+                        enum: ['session', 'token', 'api_key']
                     }
                 }
             },
@@ -151,7 +298,26 @@ const swaggerDefinition = {
                     },
                     token: {
                         type: 'string',
-                        description: 'JWT access token'
+                        description: 'JWT access token (same as accessToken)'
+                    },
+                    tokenType: {
+                        type: 'string',
+                        example: 'Bearer'
+                    },
+                    accessToken: {
+                        type: 'string'
+                    },
+                    expiresIn: {
+                        type: 'string',
+                        description: 'Access token lifetime'
+                    },
+                    refreshToken: {
+                        type: 'string',
+                        description: 'Swap at POST /api/auth/refresh for a new pair'
+                    },
+                    refreshTokenExpiresAt: {
+                        type: 'string',
+                        format: 'date-time'
                     },
                     user: {
                         $ref: '#/components/schemas/User'
@@ -162,6 +328,118 @@ const swaggerDefinition = {
                     }
                 }
             },
+            // vintage_sellers row
+            VintageSeller: {
+                type: 'object',
+                properties: {
+                    id: { type: 'integer' },
+                    user_id: { type: 'integer' },
+                    store_name: { type: 'string' },
+                    bio: { type: 'string', nullable: true },
+                    instagram_handle: { type: 'string', nullable: true },
+                    ebay_store_url: { type: 'string', nullable: true },
+                    profile_image: { type: 'string', nullable: true },
+                    subscription_tier: { type: 'string' },
+                    is_verified: { type: 'boolean' },
+                    total_sales: { type: 'integer' },
+                    rating: { type: 'number' },
+                    created_at: { type: 'string', format: 'date-time' },
+                    updated_at: { type: 'string', format: 'date-time' }
+                }
+            },
+            // vintage_items row
+            VintageItem: {
+                type: 'object',
+                properties: {
+                    id: { type: 'integer' },
+                    seller_id: { type: 'integer' },
+                    title: { type: 'string' },
+                    description: { type: 'string', nullable: true },
+                    price: { type: 'number' },
+                    original_price: { type: 'number', nullable: true },
+                    category: { type: 'string', nullable: true },
+                    brand: { type: 'string', nullable: true },
+                    size: { type: 'string', nullable: true },
+                    condition: { type: 'string', nullable: true, example: 'good' },
+                    tags: { type: 'array', items: { type: 'string' } },
+                    images: { type: 'array', items: { type: 'string' } },
+                    status: {
+                        type: 'string',
+                        enum: ['draft', 'published', 'reserved', 'sold', 'archived']
+                    },
+                    published_to: { type: 'array', items: { type: 'string' } },
+                    views: { type: 'integer' },
+                    likes: { type: 'integer' },
+                    is_featured: { type: 'boolean' },
+                    sold_at: { type: 'string', format: 'date-time', nullable: true },
+                    created_at: { type: 'string', format: 'date-time' },
+                    updated_at: { type: 'string', format: 'date-time' }
+                }
+            },
+            VintageItemInput: {
+                type: 'object',
+                properties: {
+                    title: { type: 'string' },
+                    description: { type: 'string' },
+                    price: { type: 'number' },
+                    original_price: { type: 'number' },
+                    category: { type: 'string' },
+                    brand: { type: 'string' },
+                    size: { type: 'string' },
+                    condition: { type: 'string' },
+                    tags: { type: 'array', items: { type: 'string' } },
+                    images: { type: 'array', items: { type: 'string' } },
+                    status: { type: 'string' }
+                }
+            },
+            // cross_posts row: one listing of an item on another marketplace
+            CrossPost: {
+                type: 'object',
+                properties: {
+                    id: { type: 'integer' },
+                    item_id: { type: 'integer' },
+                    platform: { type: 'string', example: 'ebay' },
+                    external_id: { type: 'string', nullable: true },
+                    external_url: { type: 'string', nullable: true },
+                    status: {
+                        type: 'string',
+                        enum: ['pending', 'success', 'failed', 'removal_pending', 'removed']
+                    },
+                    error_message: { type: 'string', nullable: true },
+                    posted_at: { type: 'string', format: 'date-time' },
+                    updated_at: { type: 'string', format: 'date-time' }
+                }
+            },
+            // delist_tasks row: a listing to take down by hand
+            DelistTask: {
+                type: 'object',
+                properties: {
+                    id: { type: 'integer' },
+                    item_id: { type: 'integer' },
+                    cross_post_id: { type: 'integer', nullable: true },
+                    platform: { type: 'string' },
+                    status: { type: 'string', enum: ['queued', 'completed'] },
+                    reason: { type: 'string', nullable: true },
+                    open_url: { type: 'string', nullable: true },
+                    instructions: { type: 'array', items: { type: 'string' } },
+                    created_at: { type: 'string', format: 'date-time' },
+                    completed_at: { type: 'string', format: 'date-time', nullable: true }
+                }
+            },
+            // What a user's tier lets them do (config/entitlements.json, or the terms they were grandfathered into)
+            Entitlements: {
+                type: 'object',
+                properties: {
+                    tier: { type: 'string', example: 'pro' },
+                    name: { type: 'string', example: 'Pro' },
+                    version: { type: 'integer' },
+                    price: { type: 'number' },
+                    maxItems: { type: 'integer', description: '-1 for unlimited' },
+                    platforms: { type: 'array', items: { type: 'string' } },
+                    features: { type: 'array', items: { type: 'string' } },
+                    grandfathered: { type: 'boolean' }
+                }
+            },
             Error: {
                 type: 'object',
                 properties: {
@@ -178,9 +456,81 @@ const swaggerDefinition = {
                         description: 'Detailed error information'
                     }
                 }
-            }
+            },
+            ValidationError: {
+                type: 'object',
+                properties: {
+                    error: {
+                        type: 'string',
+                        example: 'Invalid input'
+                    },
+                    details: {
+                        type: 'array',
+                        items: { type: 'string' },
+                        description: 'One message per failed Joi rule'
+                    }
+                }
+            },
+            Success: {
+                type: 'object',
+                properties: {
+                    success: {
+                        type: 'boolean',
+                        example: true
+                    },
+                    message: {
+                        type: 'string'
+                    }
+                }
+            },
+            Job: {
+                type: 'object',
+                properties: {
+                    id: { type: 'string' },
+                    type: { type: 'string' },
+                    status: {
+                        type: 'string',
+                        enum: ['queued', 'running', 'completed', 'failed']
+                    },
+                    payload: { type: 'object' },
+                    progress: {
+                        type: 'object',
+                        properties: {
+                            current: { type: 'integer' },
+                            total: { type: 'integer', nullable: true },
+                            percent: { type: 'number' },
+                            message: { type: 'string' }
+                        }
+                    },
+                    result: { type: 'object', nullable: true },
+                    error: { type: 'string', nullable: true },
+                    attempts: { type: 'integer' },
+                    maxAttempts: { type: 'integer' },
+                    nextRunAt: { type: 'string', format: 'date-time', nullable: true },
+                    createdAt: { type: 'string', format: 'date-time' },
+                    startedAt: { type: 'string', format: 'date-time', nullable: true },
+                    finishedAt: { type: 'string', format: 'date-time', nullable: true },
+                    updatedAt: { type: 'string', format: 'date-time' }
+                }
+            },
+            JobAccepted: {
+                type: 'object',
+                properties: {
+                    success: { type: 'boolean' },
+                    message: { type: 'string' },
+                    jobId: { type: 'string' },
+                    status: { type: 'string', example: 'queued' },
+                    statusUrl: { type: 'string', example: '/api/jobs/job_1700000000000_abc123' }
+                }
+            },
+            ...validationSchemas()
         }
     },
+    // Session cookie or bearer token unless an operation says otherwise
+    security: [
+        { bearerAuth: [] },
+        { sessionCookie: [] }
+    ],
     tags: [
         {
             name: 'Authentication',
@@ -201,17 +551,37 @@ const swaggerDefinition = {
         {
             name: 'Health',
             description: 'Health check and monitoring endpoints'
-        }
+        },
+        { name: 'Search', description: 'Catalog search' },
+        { name: 'Settings', description: 'Storefront display settings' },
+        { name: 'Sync', description: 'eBay sync runs, settings and delist tasks' },
+        { name: 'Jobs', description: 'Background jobs and live events' },
+        { name: 'Images', description: 'Image uploads and variants' },
+        { name: 'Vintage', description: 'Seller dashboard, items, cross-posting and API keys' },
+        { name: 'Marketplace', description: 'Public portfolios and vintage items, cross-posting to other marketplaces' },
+        { name: 'Orders', description: 'Checkout and order lifecycle' },
+        { name: 'Saved searches', description: 'Shopper saved searches and alert links' },
+        { name: 'Notifications', description: 'In-app notifications' },
+        { name: 'Wishlist', description: 'Shopper wishlists and shared wishlist links' },
+        { name: 'Billing', description: 'Subscription billing, invoices and payment methods' },
+        { name: 'Subscriptions', description: 'Subscription tiers, limits and the subscription inbox' },
+        { name: 'Webhooks', description: 'Outbound webhook endpoints and deliveries' },
+        { name: 'Analytics', description: 'Seller, item and A/B test analytics' },
+        { name: 'Database', description: 'Multi-seller marketplace tables (admin only)' },
+        { name: 'Docs', description: 'This document' }
     ]
 };
 
+// Every router mounted in server.js; tests/openapi.test.js fails when one of
+// their routes has no @openapi annotation
 const options = {
     swaggerDefinition,
     apis: [
-        './server.js',
-        './auth.js',
-        './models/*.js'
-    ]
+        path.join(__dirname, 'server.js'),
+        path.join(__dirname, 'routes', '*.js'),
+        path.join(__dirname, 'database', 'api.js')
+    ],
+    failOnErrors: true
 };
 
 const specs = swaggerJSDoc(options);
@@ -231,6 +601,7 @@ const swaggerUIOptions = {
 };
 
 module.exports = {
+    joiToSchema,
     specs,
     swaggerUi,
     swaggerUIOptions
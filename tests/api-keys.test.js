@@ -0,0 +1,149 @@
+const request = require('supertest');
+const express = require('express');
+const { ApiKeyService } = require('../auth/api-keys');
+const { requireRole } = require('../auth/identity');
+const { createTable, now } = require('./fake-models');
+
+const PREMIUM_SELLER = 1;
+const PRO_SELLER = 2;
+const ADMIN = 3;
+
+// In-memory stand-ins for the api_keys / subscription_usage / users models
+function createFakeModels() {
+    const keys = createTable([], () => ({ created_at: now(), revoked_at: null }));
+    const usage = {};
+    const users = createTable([
+        { id: PREMIUM_SELLER, username: 'retrofinds', email: 'retro@example.com', role: 'seller' },
+        { id: PRO_SELLER, username: 'thriftking', email: 'thrift@example.com', role: 'seller' },
+        { id: ADMIN, username: 'admin', email: 'admin@example.com', role: 'admin' }
+    ]);
+
+    return {
+        keys: keys.rows,
+        usage,
+        ApiKey: {
+            create: data => keys.create({ ...data, scopes: JSON.stringify(data.scopes) }),
+            findByHash: hash => keys.findBy('key_hash', hash),
+            findById: keys.findById,
+            getByUser: async userId => keys.rows.filter(k => k.user_id === userId && !k.revoked_at),
+            rename: async (id, name) => {
+                await keys.update(id, { name });
+            },
+            revoke: async id => {
+                const key = keys.rows.find(k => k.id === id && !k.revoked_at);
+                if (key) key.revoked_at = now();
+                return !!key;
+            },
+            touch: async id => {
+                await keys.update(id, { last_used_at: now() });
+            }
+        },
+        SubscriptionUsage: {
+            increment: async (userId, feature) => {
+                const id = `${userId}:${feature}`;
+                usage[id] = (usage[id] || 0) + 1;
+            }
+        },
+        User: {
+            findById: users.findById
+        }
+    };
+}
+
+describe('API keys', () => {
+    let models;
+    let tiers;
+    let service;
+    let app;
+
+    beforeEach(() => {
+        models = createFakeModels();
+        tiers = { [PREMIUM_SELLER]: 'premium', [PRO_SELLER]: 'pro', [ADMIN]: 'premium' };
+        service = new ApiKeyService({
+            models,
+            subscriptions: { checkSubscriptionLimit: async userId => ({ allowed: tiers[userId] === 'premium' }) }
+        });
+
+        app = express();
+        app.use(express.json());
+        app.get('/items', service.accept('items:read'), requireRole('seller'), (req, res) => res.json({ user: req.user }));
+        app.post('/items', service.accept('items:write'), requireRole('seller'), (req, res) => res.status(201).json({ success: true }));
+        app.all('/analytics', service.accept('analytics:read', { methods: ['GET'] }), requireRole('seller'), (req, res) => res.json({ success: true }));
+        app.get('/analytics/admin', service.accept('analytics:read'), requireRole('admin'), (req, res) => res.json({ success: true }));
+    });
+
+    it('should only hand out keys on the Premium tier and store them hashed', async () => {
+        const { key, apiKey } = await service.create(PREMIUM_SELLER, { name: 'Bulk lister', scopes: ['items:read'] });
+
+        expect(key).toMatch(/^vck_[0-9a-f]{48}$/);
+        expect(apiKey).toMatchObject({ name: 'Bulk lister', prefix: key.slice(0, 12), scopes: ['items:read'], rateLimitPerMinute: 60 });
+        expect(JSON.stringify(models.keys)).not.toContain(key);
+
+        await expect(service.create(PRO_SELLER, { name: 'Nope', scopes: ['items:read'] }))
+            .rejects.toMatchObject({ name: 'ApiKeyError', status: 403 });
+        await expect(service.create(PREMIUM_SELLER, { name: 'Bad', scopes: ['admin'] }))
+            .rejects.toThrow('Unknown scope(s): admin');
+    });
+
+    it('should act as the key owner within its scopes and record usage', async () => {
+        const { key } = await service.create(PREMIUM_SELLER, { name: 'Reader', scopes: ['items:read', 'analytics:read'] });
+
+        const response = await request(app).get('/items').set('X-API-Key', key);
+        expect(response.status).toBe(200);
+        expect(response.body.user).toMatchObject({ id: PREMIUM_SELLER, role: 'seller', authMethod: 'api_key', apiKeyId: 1 });
+        expect(response.headers['x-ratelimit-remaining']).toBe('59');
+
+        await request(app).get('/items').set('Authorization', `Bearer ${key}`).expect(200);
+        await request(app).post('/items').set('X-API-Key', key).expect(403);
+        await request(app).get('/analytics').set('X-API-Key', key).expect(200);
+        await request(app).post('/analytics').set('X-API-Key', key).expect(403);
+
+        expect(models.usage).toEqual({ '1:api:items:read': 2, '1:api:analytics:read': 1 });
+        expect(models.keys[0].last_used_at).toBeTruthy();
+    });
+
+    it('should reject unknown keys and leave requests without a key to the usual auth', async () => {
+        await request(app).get('/items').set('X-API-Key', 'vck_not-a-real-key').expect(401);
+        await request(app).get('/items').expect(401);
+    });
+
+    it('should enforce the per-key rate limit', async () => {
+        const { key } = await service.create(PREMIUM_SELLER, { name: 'Slow', scopes: ['items:read'], rateLimitPerMinute: 2 });
+
+        await request(app).get('/items').set('X-API-Key', key).expect(200);
+        await request(app).get('/items').set('X-API-Key', key).expect(200);
+
+        const limited = await request(app).get('/items').set('X-API-Key', key);
+        expect(limited.status).toBe(429);
+        expect(limited.headers['retry-after']).toBeDefined();
+    });
+
+    it('should stop accepting rotated and revoked keys', async () => {
+        const original = await service.create(PREMIUM_SELLER, { name: 'Sync script', scopes: ['items:read'] });
+        const rotated = await service.rotate(PREMIUM_SELLER, original.apiKey.id);
+
+        expect(rotated.apiKey).toMatchObject({ name: 'Sync script', scopes: ['items:read'] });
+        await request(app).get('/items').set('X-API-Key', original.key).expect(401);
+        await request(app).get('/items').set('X-API-Key', rotated.key).expect(200);
+
+        await expect(service.revoke(PRO_SELLER, rotated.apiKey.id)).rejects.toMatchObject({ status: 404 });
+        await service.revoke(PREMIUM_SELLER, rotated.apiKey.id);
+        await request(app).get('/items').set('X-API-Key', rotated.key).expect(401);
+        expect(await service.list(PREMIUM_SELLER)).toEqual([]);
+    });
+
+    it('should not carry admin rights on a key an admin created', async () => {
+        const { key } = await service.create(ADMIN, { name: 'Reports', scopes: ['analytics:read'] });
+
+        const response = await request(app).get('/analytics/admin').set('X-API-Key', key);
+        expect(response.status).toBe(403);
+        await request(app).get('/analytics').set('X-API-Key', key).expect(200);
+    });
+
+    it('should switch keys off when the seller drops below Premium', async () => {
+        const { key } = await service.create(PREMIUM_SELLER, { name: 'Reader', scopes: ['items:read'] });
+        tiers[PREMIUM_SELLER] = 'pro';
+
+        await request(app).get('/items').set('X-API-Key', key).expect(403);
+    });
+});
@@ -1,103 +1,235 @@
 const request = require('supertest');
 const express = require('express');
-const { authenticateAdmin, verifyToken } = require('../auth');
+const session = require('express-session');
+const securityManager = require('../auth/security');
+const { identity, requireAuth, requireRole } = require('../auth/identity');
+const secureAuthRoutes = require('../routes/secure-auth');
+const { createTable } = require('./fake-models');
+
+// In-memory stand-ins for the users / refresh_tokens models
+function createFakeModels() {
+    const users = createTable([
+        { id: 1, username: 'vintagefan', email: 'fan@example.com', password_hash: null, role: 'user' }
+    ]);
+    const tokens = createTable([], { revoked_at: null });
+
+    return {
+        users: users.rows,
+        tokens: tokens.rows,
+        User: {
+            findById: users.findById,
+            findByUsername: username => users.findBy('username', username),
+            findByLogin: async login => users.rows.find(u => u.username === login || u.email === login),
+            create: users.create,
+            setRole: async (id, role) => {
+                await users.update(id, { role });
+            },
+            setPasswordHash: async (id, hash) => {
+                await users.update(id, { password_hash: hash });
+            }
+        },
+        RefreshToken: {
+            create: async data => {
+                await tokens.create(data);
+            },
+            findByHash: hash => tokens.findBy('token_hash', hash),
+            revoke: async id => {
+                const token = tokens.rows.find(t => t.id === id && !t.revoked_at);
+                if (token) token.revoked_at = new Date();
+                return !!token;
+            },
+            revokeAllForUser: async userId => {
+                tokens.rows.filter(t => t.user_id === userId).forEach(t => {
+                    t.revoked_at = t.revoked_at || new Date();
+                });
+            }
+        }
+    };
+}
 
 // Create test app
 const app = express();
 app.use(express.json());
-app.post('/api/admin/login', authenticateAdmin);
-app.get('/api/admin/verify', verifyToken, (req, res) => {
-    res.json({ success: true, user: req.user });
-});
+app.use(session(securityManager.getSessionConfig()));
+app.use(identity.authenticate);
+app.use('/api', secureAuthRoutes);
+app.get('/api/buyer-area', requireAuth, (req, res) => res.json({ success: true, user: req.user }));
+app.get('/api/seller-area', requireRole('seller'), (req, res) => res.json({ success: true }));
+app.get('/api/admin-area', requireRole('admin'), (req, res) => res.json({ success: true }));
 
 describe('Authentication', () => {
-    describe('POST /api/admin/login', () => {
-        beforeEach(() => {
-            process.env.ADMIN_USERNAME = 'testadmin';
-            process.env.ADMIN_PASSWORD = 'testpass123';
-            process.env.JWT_SECRET = 'test-secret-key';
-        });
+    let models;
+
+    beforeEach(() => {
+        process.env.ADMIN_USERNAME = 'testadmin';
+        process.env.ADMIN_PASSWORD = 'testpass123';
+        process.env.JWT_SECRET = 'test-secret-key';
+        delete process.env.ADMIN_PASSWORD_HASH;
+
+        models = createFakeModels();
+        identity.models = models;
+    });
 
-        it('should login with valid credentials', async () => {
+    describe('POST /api/auth/login', () => {
+        it('should log in the .env admin and store it in the users table', async () => {
             const response = await request(app)
-                .post('/api/admin/login')
-                .send({
-                    username: 'testadmin',
-                    password: 'testpass123'
-                });
+                .post('/api/auth/login')
+                .send({ username: 'testadmin', password: 'testpass123' });
 
             expect(response.status).toBe(200);
             expect(response.body.success).toBe(true);
-            expect(response.body.token).toBeDefined();
-            expect(response.body.user.username).toBe('testadmin');
+            expect(response.body.accessToken).toBeDefined();
+            expect(response.body.refreshToken).toBeDefined();
+            expect(response.body.user).toMatchObject({ id: 2, username: 'testadmin', role: 'admin' });
+            expect(response.headers['set-cookie']).toBeDefined();
+            expect(models.users[1].role).toBe('admin');
         });
 
         it('should reject invalid credentials', async () => {
             const response = await request(app)
-                .post('/api/admin/login')
-                .send({
-                    username: 'wronguser',
-                    password: 'wrongpass'
-                });
+                .post('/api/auth/login')
+                .send({ username: 'wronguser', password: 'wrongpass' });
 
             expect(response.status).toBe(401);
             expect(response.body.success).toBe(false);
-            expect(response.body.message).toBe('Invalid credentials');
+            expect(response.body.error).toBe('Invalid credentials');
         });
 
         it('should reject missing credentials', async () => {
             const response = await request(app)
-                .post('/api/admin/login')
+                .post('/api/auth/login')
                 .send({});
 
             expect(response.status).toBe(400);
-            expect(response.body.success).toBe(false);
         });
     });
 
-    describe('JWT Token Verification', () => {
-        let validToken;
+    describe('.env admin account', () => {
+        it('should not let anyone register the admin username or email', async () => {
+            const byName = await request(app)
+                .post('/api/auth/register')
+                .send({ username: 'TestAdmin', email: 'someone@example.com', password: 'attacker99' });
+            expect(byName.status).toBe(409);
+
+            const byEmail = await request(app)
+                .post('/api/auth/register')
+                .send({ username: 'someone', email: 'testadmin@vintagecrib.com', password: 'attacker99' });
+            expect(byEmail.status).toBe(409);
+            expect(models.users).toHaveLength(1);
+        });
 
-        beforeEach(async () => {
-            process.env.ADMIN_USERNAME = 'testadmin';
-            process.env.ADMIN_PASSWORD = 'testpass123';
-            process.env.JWT_SECRET = 'test-secret-key';
+        it('should refuse to promote an existing non-admin row with the admin username', async () => {
+            // e.g. registered before ADMIN_USERNAME was changed to it
+            const attacker = await models.User.create({ username: 'testadmin', email: 'x@example.com', password_hash: null, role: 'buyer' });
+            jest.spyOn(console, 'error').mockImplementation(() => {});
 
-            const loginResponse = await request(app)
-                .post('/api/admin/login')
-                .send({
-                    username: 'testadmin',
-                    password: 'testpass123'
-                });
+            const login = await request(app)
+                .post('/api/auth/login')
+                .send({ username: 'testadmin', password: 'testpass123' });
+            console.error.mockRestore();
 
-            validToken = loginResponse.body.token;
+            expect(login.status).toBe(401);
+            expect(attacker.role).toBe('buyer');
+            expect(attacker.password_hash).toBeNull();
         });
+    });
 
-        it('should verify valid token', async () => {
+    describe('Bearer tokens', () => {
+        let tokens;
+
+        beforeEach(async () => {
+            const loginResponse = await request(app)
+                .post('/api/auth/login')
+                .send({ username: 'testadmin', password: 'testpass123' });
+            tokens = loginResponse.body;
+        });
+
+        it('should verify a valid access token', async () => {
             const response = await request(app)
-                .get('/api/admin/verify')
-                .set('Authorization', `Bearer ${validToken}`);
+                .get('/api/auth/me')
+                .set('Authorization', `Bearer ${tokens.accessToken}`);
 
             expect(response.status).toBe(200);
-            expect(response.body.success).toBe(true);
-            expect(response.body.user.username).toBe('testadmin');
+            expect(response.body.user).toMatchObject({ username: 'testadmin', role: 'admin', authMethod: 'token' });
         });
 
-        it('should reject invalid token', async () => {
-            const response = await request(app)
-                .get('/api/admin/verify')
+        it('should reject invalid and missing tokens', async () => {
+            const invalid = await request(app)
+                .get('/api/auth/me')
                 .set('Authorization', 'Bearer invalid-token');
+            expect(invalid.status).toBe(403);
+            expect(invalid.body.success).toBe(false);
 
-            expect(response.status).toBe(403);
-            expect(response.body.success).toBe(false);
+            const missing = await request(app).get('/api/auth/me');
+            expect(missing.status).toBe(401);
+            expect(missing.body.success).toBe(false);
         });
 
-        it('should reject missing token', async () => {
-            const response = await request(app)
-                .get('/api/admin/verify');
-
+        it('should not accept tokens from the query string', async () => {
+            const response = await request(app).get(`/api/auth/me?token=${tokens.accessToken}`);
             expect(response.status).toBe(401);
-            expect(response.body.success).toBe(false);
+        });
+
+        it('should rotate refresh tokens and revoke everything when one is reused', async () => {
+            const refreshed = await request(app)
+                .post('/api/auth/refresh')
+                .send({ refreshToken: tokens.refreshToken });
+
+            expect(refreshed.status).toBe(200);
+            expect(refreshed.body.refreshToken).not.toBe(tokens.refreshToken);
+
+            const reused = await request(app)
+                .post('/api/auth/refresh')
+                .send({ refreshToken: tokens.refreshToken });
+            expect(reused.status).toBe(401);
+
+            const afterReuse = await request(app)
+                .post('/api/auth/refresh')
+                .send({ refreshToken: refreshed.body.refreshToken });
+            expect(afterReuse.status).toBe(401);
+        });
+    });
+
+    describe('Browser sessions', () => {
+        it('should keep the user logged in with the session cookie until logout', async () => {
+            const agent = request.agent(app);
+            await agent.post('/api/auth/register')
+                .send({ username: 'newbuyer', email: 'buyer@example.com', password: 'buyerpass1' })
+                .expect(201);
+
+            const status = await agent.get('/api/auth/status');
+            expect(status.body.authenticated).toBe(true);
+            expect(status.body.user).toMatchObject({ username: 'newbuyer', role: 'buyer', authMethod: 'session' });
+
+            await agent.post('/api/auth/logout').expect(200);
+            const afterLogout = await agent.get('/api/buyer-area');
+            expect(afterLogout.status).toBe(401);
+        });
+
+        it('should pick up role changes on the next request', async () => {
+            const agent = request.agent(app);
+            await agent.post('/api/auth/register')
+                .send({ username: 'upgrader', email: 'up@example.com', password: 'buyerpass1' })
+                .expect(201);
+
+            await agent.get('/api/seller-area').expect(403);
+            await models.User.setRole(2, 'seller');
+            await agent.get('/api/seller-area').expect(200);
         });
     });
-});
\ No newline at end of file
+
+    describe('Role checks', () => {
+        it('should rank admin above seller above buyer', async () => {
+            const asRole = role => identity.issueAccessToken({ id: 9, username: 'someone', role });
+
+            await request(app).get('/api/seller-area').set('Authorization', `Bearer ${asRole('buyer')}`).expect(403);
+            await request(app).get('/api/seller-area').set('Authorization', `Bearer ${asRole('seller')}`).expect(200);
+            await request(app).get('/api/seller-area').set('Authorization', `Bearer ${asRole('admin')}`).expect(200);
+            await request(app).get('/api/admin-area').set('Authorization', `Bearer ${asRole('seller')}`).expect(403);
+
+            // Legacy 'user' rows are buyers
+            const legacy = await request(app).get('/api/buyer-area').set('Authorization', `Bearer ${asRole('user')}`);
+            expect(legacy.body.user.role).toBe('buyer');
+        });
+    });
+});
@@ -0,0 +1,301 @@
+const config = require('../config/entitlements.json');
+const { TierCatalog, Entitlements } = require('../services/Entitlements');
+const { BillingService } = require('../services/BillingService');
+const { createPaymentProviders } = require('../services/payments');
+const { NotifierRegistry, Notifier } = require('../services/notifications');
+const { createTable, now } = require('./fake-models');
+
+// In-memory subscription_billing, invoices, invoice_line_items, users and sellers
+function createFakeModels() {
+    const accounts = {};
+    const invoices = createTable([], id => ({
+        number: `VC-${String(id).padStart(6, '0')}`,
+        status: 'open',
+        currency: 'usd',
+        attempt_count: 0,
+        created_at: now()
+    }));
+    const lines = [];
+    const users = createTable([
+        { id: 1, username: 'ana', email: 'ana@example.com' },
+        { id: 2, username: '<b>bo</b>', email: null }
+    ]);
+    const sellers = createTable([{ id: 7, user_id: 1, subscription_tier: 'free' }, { id: 8, user_id: 2, subscription_tier: 'free' }]);
+
+    return {
+        accounts,
+        invoices: invoices.rows,
+        sellers: sellers.rows,
+        BillingAccount: {
+            findByUser: async userId => accounts[userId],
+            open: async row => {
+                accounts[row.user_id] = {
+                    credit_balance: 0,
+                    ...accounts[row.user_id],
+                    ...row,
+                    status: 'active',
+                    cancel_at_period_end: false
+                };
+                return accounts[row.user_id];
+            },
+            update: async (userId, updates) => Object.assign(accounts[userId], updates),
+            getDueForRenewal: async at => Object.values(accounts)
+                .filter(account => account.status === 'active' && account.period_end <= at)
+        },
+        Invoice: {
+            create: invoices.create,
+            findById: invoices.findById,
+            getByUser: async userId => (await invoices.filterBy('user_id', userId)).reverse(),
+            findOpenByUser: async userId => invoices.rows.filter(invoice => invoice.user_id === userId && invoice.status === 'open').pop(),
+            getDueForRetry: async at => invoices.rows
+                .filter(invoice => invoice.status === 'open' && invoice.next_attempt_at && invoice.next_attempt_at <= at),
+            getRecent: async status => invoices.rows.filter(invoice => !status || invoice.status === status),
+            update: invoices.update
+        },
+        InvoiceLineItem: {
+            create: async (invoiceId, line) => lines.push({ invoice_id: invoiceId, ...line }),
+            getByInvoice: async invoiceId => lines.filter(line => line.invoice_id === invoiceId)
+        },
+        User: {
+            findById: users.findById
+        },
+        VintageSeller: {
+            findByUserId: userId => sellers.findBy('user_id', userId),
+            setSubscriptionTier: async (sellerId, tier) => {
+                await sellers.update(sellerId, { subscription_tier: tier });
+            }
+        }
+    };
+}
+
+// Records what billing asks VintageSubscriptionService to do to user_subscriptions
+function createFakeSubscriptions() {
+    const calls = [];
+    return {
+        calls,
+        setTier: async (userId, tier, { expiresAt, changeType }) =>
+            calls.push(['setTier', userId, tier, changeType, new Date(expiresAt).toISOString()]),
+        extendSubscription: async (userId, expiresAt) =>
+            calls.push(['extend', userId, new Date(expiresAt).toISOString()]),
+        downgradeToFree: async (userId, changeType) => calls.push(['downgradeToFree', userId, changeType]),
+        trackRevenue: async (amount, userId, tier, paymentMethod, transactionId) =>
+            calls.push(['revenue', userId, tier, amount, paymentMethod, transactionId])
+    };
+}
+
+class RecordingNotifier extends Notifier {
+    constructor() {
+        super({ id: 'in_app', name: 'In-app' });
+        this.sent = [];
+    }
+
+    canReach(recipient) {
+        return !!recipient.userId;
+    }
+
+    async send(recipient, message) {
+        this.sent.push({ userId: recipient.userId, ...message });
+    }
+}
+
+const at = iso => new Date(iso);
+
+describe('Subscription billing', () => {
+    let models;
+    let subscriptions;
+    let inApp;
+    let billing;
+
+    beforeEach(() => {
+        models = createFakeModels();
+        subscriptions = createFakeSubscriptions();
+        inApp = new RecordingNotifier();
+        const notifiers = new NotifierRegistry();
+        notifiers.register(inApp);
+        billing = new BillingService({
+            models,
+            subscriptions,
+            notifiers,
+            entitlements: new Entitlements({ catalog: new TierCatalog(config, { platforms: ['vintage_crib', 'ebay', 'poshmark', 'depop'] }), models: {} }),
+            payments: createPaymentProviders({ defaultProvider: 'fake' })
+        });
+    });
+
+    it('should not sell or renew paid plans through the fake provider outside test and development', async () => {
+        jest.spyOn(billing.entitlements, 'forUser').mockResolvedValue({ tier: 'starter' });
+        await billing.subscribe(1, 'starter', { paymentMethod: 'tok_visa', now: at('2026-10-01T00:00:00Z') });
+        expect((await billing.getSummary(1)).provider).toEqual({ id: 'fake', name: 'Test payments', testMode: true });
+
+        billing.payments = createPaymentProviders({ allowTestProviders: false });
+        await expect(billing.subscribe(2, 'premium', { paymentMethod: 'anything', now: at('2026-10-01T00:00:00Z') }))
+            .rejects.toMatchObject({ name: 'BillingError', status: 503 });
+        expect(models.invoices.filter(invoice => invoice.user_id === 2)).toEqual([]);
+        expect((await billing.getSummary(1)).provider).toBeNull();
+
+        // The renewal was opened against 'fake', which no longer exists: dunning, not a free month
+        expect(await billing.runCycle(at('2026-11-01T01:00:00Z'))).toMatchObject({ renewed: 0, failed: 1 });
+        expect((await billing.listInvoices(1))[0]).toMatchObject({ reason: 'subscription_cycle', status: 'open' });
+    });
+
+    it('should charge new subscriptions and prorate plan changes', async () => {
+        await expect(billing.subscribe(1, 'starter', { paymentMethod: 'tok_declined', now: at('2026-10-01T00:00:00Z') }))
+            .rejects.toMatchObject({ name: 'BillingError', status: 402, message: 'Your card was declined' });
+        expect(models.invoices[0].status).toBe('void');
+        expect(models.accounts[1]).toBeUndefined();
+        await expect(billing.subscribe(1, 'free', { paymentMethod: 'tok_visa' })).rejects.toMatchObject({ status: 400 });
+
+        const started = await billing.subscribe(1, 'starter', { paymentMethod: 'tok_visa', now: at('2026-10-01T00:00:00Z') });
+        expect(started.billing).toMatchObject({
+            tier: 'starter',
+            cycle: 'monthly',
+            price: 4.99,
+            status: 'active',
+            currentPeriodStart: '2026-10-01T00:00:00.000Z',
+            currentPeriodEnd: '2026-11-01T00:00:00.000Z'
+        });
+        expect(started.invoice).toMatchObject({ number: 'VC-000002', reason: 'subscription_create', status: 'paid', total: 4.99 });
+        expect(subscriptions.calls).toEqual([
+            ['revenue', 1, 'starter', 4.99, 'fake', expect.stringMatching(/^fake_ch_/)],
+            ['setTier', 1, 'starter', 'user_upgrade', '2026-11-02T00:00:00.000Z']
+        ]);
+        expect(models.sellers[0].subscription_tier).toBe('starter');
+
+        // Halfway through the period: credit half of Starter, charge half of Pro
+        const preview = await billing.preview(1, 'pro', { now: at('2026-10-16T12:00:00Z') });
+        expect(preview).toMatchObject({
+            lines: [
+                { description: 'Unused time on Starter (Monthly) after 2026-10-16', amount: -2.5, proration: true },
+                { description: 'Remaining time on Pro (Monthly) after 2026-10-16', amount: 5, proration: true }
+            ],
+            total: 2.5,
+            periodEnd: '2026-11-01T00:00:00.000Z'
+        });
+        const upgraded = await billing.subscribe(1, 'pro', { now: at('2026-10-16T12:00:00Z') });
+        expect(upgraded.invoice).toMatchObject({ reason: 'subscription_update', total: 2.5, status: 'paid' });
+        expect(upgraded.billing.currentPeriodEnd).toBe('2026-11-01T00:00:00.000Z');
+        await expect(billing.subscribe(1, 'pro')).rejects.toThrow('You are already on the Pro plan');
+
+        // Downgrading leaves an account credit instead of a refund...
+        const downgraded = await billing.subscribe(1, 'starter', { now: at('2026-10-24T00:00:00Z') });
+        expect(downgraded.invoice).toMatchObject({ subtotal: -1.29, total: 0, status: 'paid' });
+        expect(downgraded.billing.creditBalance).toBe(1.29);
+        expect(subscriptions.calls.pop()).toEqual(['setTier', 1, 'starter', 'user_downgrade', '2026-11-02T00:00:00.000Z']);
+
+        // ...which pays for part of the next renewal
+        expect(await billing.runCycle(at('2026-11-01T01:00:00Z'))).toMatchObject({ renewed: 1 });
+        const [renewal] = await billing.listInvoices(1);
+        expect(renewal).toMatchObject({ reason: 'subscription_cycle', subtotal: 4.99, creditApplied: 1.29, total: 3.7, status: 'paid' });
+        expect(models.accounts[1]).toMatchObject({ period_end: '2026-12-01T00:00:00.000Z', credit_balance: 0 });
+        expect(subscriptions.calls.pop()).toEqual(['extend', 1, '2026-12-02T00:00:00.000Z']);
+
+        // Annual billing costs ten months
+        expect((await billing.preview(2, 'starter', { cycle: 'annual', now: at('2026-01-31T00:00:00Z') })))
+            .toMatchObject({ total: 49.9, periodEnd: '2027-01-31T00:00:00.000Z' });
+        await expect(billing.preview(2, 'starter', { cycle: 'weekly' })).rejects.toThrow('Unknown billing cycle: weekly');
+    });
+
+    it('should retry failed renewals and downgrade to free when they keep failing', async () => {
+        await billing.subscribe(1, 'pro', { paymentMethod: 'tok_visa', now: at('2026-10-01T00:00:00Z') });
+        await billing.updatePaymentMethod(1, 'tok_insufficient_funds');
+        subscriptions.calls.length = 0;
+
+        expect(await billing.runCycle(at('2026-11-01T01:00:00Z'))).toMatchObject({ failed: 1 });
+        const invoice = models.invoices[1];
+        expect(invoice).toMatchObject({
+            status: 'open',
+            attempt_count: 1,
+            last_error: 'Your card has insufficient funds',
+            next_attempt_at: '2026-11-02T01:00:00.000Z'
+        });
+        expect(models.accounts[1].status).toBe('past_due');
+        // The paid tier is kept while we retry
+        expect(subscriptions.calls).toEqual([['extend', 1, '2026-11-03T01:00:00.000Z']]);
+        expect(inApp.sent[0]).toMatchObject({ userId: 1, type: 'billing_payment_failed', data: { invoiceId: invoice.id } });
+        await expect(billing.subscribe(1, 'premium')).rejects.toMatchObject({ status: 402 });
+
+        // Nothing is due again until the next retry
+        expect(await billing.runCycle(at('2026-11-01T05:00:00Z'))).toMatchObject({ renewed: 0, failed: 0 });
+
+        expect(await billing.runCycle(at('2026-11-02T02:00:00Z'))).toMatchObject({ failed: 1 });
+        expect(invoice.next_attempt_at).toBe('2026-11-04T02:00:00.000Z');
+        expect(await billing.runCycle(at('2026-11-04T03:00:00Z'))).toMatchObject({ failed: 1 });
+        expect(invoice.next_attempt_at).toBe('2026-11-08T03:00:00.000Z');
+
+        expect(await billing.runCycle(at('2026-11-08T04:00:00Z'))).toMatchObject({ downgraded: 1 });
+        expect(invoice).toMatchObject({ status: 'uncollectible', attempt_count: 4, next_attempt_at: null });
+        expect(models.accounts[1].status).toBe('cancelled');
+        expect(subscriptions.calls.pop()).toEqual(['downgradeToFree', 1, 'payment_failed']);
+        expect(models.sellers[0].subscription_tier).toBe('free');
+        expect(inApp.sent.map(message => message.type)).toEqual([
+            'billing_payment_failed', 'billing_payment_failed', 'billing_payment_failed', 'billing_downgraded'
+        ]);
+    });
+
+    it('should recover a failed renewal with a new payment method and end cancelled plans', async () => {
+        await billing.subscribe(1, 'starter', { paymentMethod: 'tok_declined_later', now: at('2026-10-01T00:00:00Z') });
+        await billing.updatePaymentMethod(1, 'tok_declined');
+        await billing.runCycle(at('2026-11-01T01:00:00Z'));
+
+        const recovered = await billing.updatePaymentMethod(1, 'tok_mastercard', at('2026-11-01T09:00:00Z'));
+        expect(recovered.billing).toMatchObject({ status: 'active', paymentMethod: 'tok_mastercard' });
+        expect(recovered.invoice).toMatchObject({ status: 'paid', attemptCount: 2, nextAttemptAt: null });
+        expect(await billing.runCycle(at('2026-11-02T02:00:00Z'))).toMatchObject({ failed: 0, recovered: 0 });
+
+        // Cancelling keeps the plan until the period is over
+        expect(await billing.cancel(1)).toMatchObject({ cancelAtPeriodEnd: true, status: 'active' });
+        expect(await billing.resume(1)).toMatchObject({ cancelAtPeriodEnd: false });
+        await billing.cancel(1);
+        expect(await billing.runCycle(at('2026-11-20T00:00:00Z'))).toMatchObject({ renewed: 0, cancelled: 0 });
+        expect(await billing.runCycle(at('2026-12-01T01:00:00Z'))).toMatchObject({ renewed: 0, cancelled: 1 });
+        expect(subscriptions.calls.pop()).toEqual(['downgradeToFree', 1, 'user_cancel']);
+        await expect(billing.cancel(1)).rejects.toMatchObject({ status: 404 });
+
+        // Subscribing again starts a fresh period
+        const again = await billing.subscribe(1, 'starter', { now: at('2026-12-05T00:00:00Z') });
+        expect(again.invoice.reason).toBe('subscription_create');
+        expect(again.billing).toMatchObject({ status: 'active', currentPeriodEnd: '2027-01-05T00:00:00.000Z' });
+    });
+
+    it('should close the billing account and store tier when a lapsed plan expires', async () => {
+        await billing.subscribe(1, 'pro', { paymentMethod: 'tok_visa', now: at('2026-10-01T00:00:00Z') });
+        await billing.updatePaymentMethod(1, 'tok_declined');
+        await billing.runCycle(at('2026-11-01T01:00:00Z'));
+        subscriptions.calls.length = 0;
+
+        await billing.expireSubscription(1);
+        expect(models.accounts[1]).toMatchObject({ status: 'cancelled', cancel_at_period_end: false });
+        expect(models.invoices[1]).toMatchObject({ status: 'void', next_attempt_at: null });
+        expect(subscriptions.calls).toEqual([['downgradeToFree', 1, 'auto_downgrade_expired']]);
+        expect(models.sellers[0].subscription_tier).toBe('free');
+        expect(await billing.runCycle(at('2026-11-02T02:00:00Z'))).toMatchObject({ failed: 0, downgraded: 0 });
+
+        // Tiers granted outside billing have no account to close
+        await billing.expireSubscription(2);
+        expect(models.accounts[2]).toBeUndefined();
+        expect(subscriptions.calls.pop()).toEqual(['downgradeToFree', 2, 'auto_downgrade_expired']);
+    });
+
+    it('should render invoices as PDF and HTML for their owner only', async () => {
+        await billing.subscribe(2, 'pro', { paymentMethod: 'tok_visa', now: at('2026-10-01T00:00:00Z') });
+        const [invoice] = await billing.listInvoices(2);
+        await expect(billing.getInvoice(1, invoice.id)).rejects.toMatchObject({ status: 404 });
+        await expect(billing.renderInvoice(2, invoice.id, 'docx')).rejects.toThrow('format must be pdf or html');
+
+        const pdf = await billing.renderInvoice(2, invoice.id);
+        expect(pdf).toMatchObject({ contentType: 'application/pdf', filename: 'VC-000001.pdf' });
+        const text = pdf.body.toString('latin1');
+        expect(text.startsWith('%PDF-1.4')).toBe(true);
+        expect(text).toContain('(Invoice VC-000001)');
+        expect(text).toContain('(Pro \\(Monthly\\) 2026-10-01 - 2026-11-01)');
+        expect(text).toContain('($9.99)');
+        // startxref points at the cross-reference table
+        const xref = parseInt(text.match(/startxref\n(\d+)/)[1]);
+        expect(text.slice(xref, xref + 4)).toBe('xref');
+
+        const html = await billing.renderInvoice(2, invoice.id, 'html');
+        expect(html.contentType).toBe('text/html; charset=utf-8');
+        expect(html.body).toContain('Invoice VC-000001 &middot; Paid');
+        expect(html.body).toContain('Billed to &lt;b&gt;bo&lt;/b&gt;');
+        expect(html.body).toContain('Pro (Monthly) 2026-10-01 – 2026-11-01');
+    });
+});
@@ -0,0 +1,97 @@
+const request = require('supertest');
+const express = require('express');
+const { CacheManager } = require('../cache');
+
+describe('Response cache', () => {
+    let cache;
+    let now;
+
+    beforeEach(() => {
+        cache = new CacheManager({ redisUrl: '' });
+        now = 1_700_000_000_000;
+        jest.spyOn(Date, 'now').mockImplementation(() => now);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('should load once, serve hits and reload after a tag is invalidated', async () => {
+        const loader = jest.fn(async () => ({ items: [loader.mock.calls.length] }));
+        const options = { ttl: 60, tags: ['vintage_items'], name: 'vintage_public' };
+
+        expect(await cache.remember('vintage:public', options, loader)).toEqual({ items: [1] });
+        expect(await cache.remember('vintage:public', options, loader)).toEqual({ items: [1] });
+        expect(loader).toHaveBeenCalledTimes(1);
+
+        // Concurrent misses share one load
+        await cache.invalidate('vintage_items');
+        const results = await Promise.all([1, 2, 3].map(() => cache.remember('vintage:public', options, loader)));
+        expect(results).toEqual([{ items: [2] }, { items: [2] }, { items: [2] }]);
+        expect(loader).toHaveBeenCalledTimes(2);
+
+        // Other tags leave the entry alone
+        await cache.invalidate('products');
+        await cache.remember('vintage:public', options, loader);
+        expect(loader).toHaveBeenCalledTimes(2);
+
+        const stats = await cache.getStats();
+        expect(stats).toMatchObject({ type: 'memory', hits: 2, misses: 4, invalidations: 2 });
+        expect(stats.byName.vintage_public).toEqual({ hits: 2, misses: 4, stale: 0 });
+    });
+
+    it('should serve stale entries while refreshing them in the background', async () => {
+        let version = 1;
+        let release;
+        const loader = jest.fn(() => version === 1
+            ? { version: 1 }
+            : new Promise(resolve => { release = () => resolve({ version }); }));
+        const options = { ttl: 60, staleTtl: 600, tags: ['products'] };
+
+        await cache.lookup('products:list', options, loader);
+        version = 2;
+        now += 61 * 1000;
+
+        const stale = await cache.lookup('products:list', options, loader);
+        expect(stale.status).toBe('STALE');
+        expect(JSON.parse(stale.body)).toEqual({ version: 1 });
+
+        // Only one refresh runs however many stale reads come in
+        expect((await cache.lookup('products:list', options, loader)).status).toBe('STALE');
+        expect(loader).toHaveBeenCalledTimes(2);
+
+        release();
+        await cache.refreshing.get('products:list');
+        const fresh = await cache.lookup('products:list', options, loader);
+        expect(fresh.status).toBe('HIT');
+        expect(JSON.parse(fresh.body)).toEqual({ version: 2 });
+
+        // Past the stale window it is a plain miss
+        now += (60 + 600 + 1) * 1000;
+        version = 1;
+        expect((await cache.lookup('products:list', options, loader)).status).toBe('MISS');
+    });
+
+    it('should send ETags and answer If-None-Match with 304', async () => {
+        let products = [{ id: 1, name: 'Denim Jacket' }];
+        const app = express();
+        app.get('/api/products', async (req, res) => {
+            await cache.respond(req, res, 'products:list', { ttl: 60, tags: ['products'] }, async () => products);
+        });
+
+        const first = await request(app).get('/api/products').expect(200);
+        expect(first.body).toEqual(products);
+        expect(first.headers).toMatchObject({ 'x-cache': 'MISS', 'cache-control': 'no-cache' });
+        expect(first.headers.etag).toMatch(/^"[\w-]+"$/);
+
+        const revalidated = await request(app).get('/api/products').set('If-None-Match', first.headers.etag).expect(304);
+        expect(revalidated.headers['x-cache']).toBe('HIT');
+
+        // A write changes the body, so the old ETag no longer matches
+        products = [...products, { id: 2, name: 'Wool Blazer' }];
+        await cache.invalidate('products');
+        const changed = await request(app).get('/api/products').set('If-None-Match', first.headers.etag).expect(200);
+        expect(changed.body).toHaveLength(2);
+        expect(changed.headers.etag).not.toBe(first.headers.etag);
+    });
+});
@@ -0,0 +1,173 @@
+const sharp = require('sharp');
+const { DuplicateDetector, differenceHash, hammingDistance, titleSimilarity } = require('../services/DuplicateDetector');
+
+// Blocky greyscale "photo" that is the same for the same seed
+function pattern(seed, width = 320, height = 240) {
+    let state = seed;
+    const random = () => {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        return state / 2147483648;
+    };
+
+    const blocks = Array.from({ length: 64 }, () => Math.floor(random() * 256));
+    const pixels = Buffer.alloc(width * height * 3);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const value = blocks[Math.floor(y * 8 / height) * 8 + Math.floor(x * 8 / width)];
+            pixels.fill(value, (y * width + x) * 3, (y * width + x) * 3 + 3);
+        }
+    }
+    return sharp(pixels, { raw: { width, height, channels: 3 } });
+}
+
+// In-memory product repository, vintage items, hash cache and image reader
+function createFakes(products, items, images) {
+    const hashes = new Map();
+    const reads = [];
+
+    return {
+        products,
+        items,
+        reads,
+        hashes,
+        repository: {
+            getAll: async () => products.map(product => ({ ...product })),
+            findById: async id => products.find(product => product.id === parseFloat(id)) || null,
+            update: async (id, changes) => {
+                const product = products.find(p => p.id === id);
+                Object.assign(product, typeof changes === 'function' ? changes({ ...product }) : changes);
+                return product;
+            },
+            delete: async id => {
+                const index = products.findIndex(product => product.id === id);
+                return index === -1 ? null : products.splice(index, 1)[0];
+            }
+        },
+        models: {
+            VintageItem: {
+                getUnsold: async () => items.filter(item => item.status !== 'archived'),
+                findById: async id => items.find(item => item.id === id),
+                update: async (id, updates) => Object.assign(items.find(item => item.id === id), updates)
+            },
+            ImageHash: {
+                findByUrl: async url => hashes.has(url) ? { image_url: url, hash: hashes.get(url) } : undefined,
+                save: async (url, hash) => hashes.set(url, hash)
+            }
+        },
+        images: {
+            readImage: async url => {
+                reads.push(url);
+                if (!images[url]) throw new Error('Request failed with status code 404');
+                return images[url];
+            }
+        }
+    };
+}
+
+describe('Duplicate listing detection', () => {
+    let images;
+
+    beforeAll(async () => {
+        images = {
+            'https://i.ebayimg.com/images/g/levis/s-l1600.jpg': await pattern(7).jpeg({ quality: 90 }).toBuffer(),
+            // Same photo, re-encoded smaller when the listing was relisted
+            'https://i.ebayimg.com/images/g/levis2/s-l400.jpg': await pattern(7).resize(160).jpeg({ quality: 40 }).toBuffer(),
+            '/uploads/mirror/ab/levis.jpg': await pattern(7).png().toBuffer(),
+            'https://i.ebayimg.com/images/g/shirt/s-l1600.jpg': await pattern(99).jpeg().toBuffer()
+        };
+    });
+
+    function createDetector(fakes) {
+        return new DuplicateDetector({ products: fakes.repository, models: fakes.models, images: fakes.images });
+    }
+
+    it('should give re-encoded copies of a photo nearly the same perceptual hash', async () => {
+        const original = await differenceHash(images['https://i.ebayimg.com/images/g/levis/s-l1600.jpg']);
+        const relisted = await differenceHash(images['https://i.ebayimg.com/images/g/levis2/s-l400.jpg']);
+        const other = await differenceHash(images['https://i.ebayimg.com/images/g/shirt/s-l1600.jpg']);
+
+        expect(original).toMatch(/^[0-9a-f]{16}$/);
+        expect(hammingDistance(original, relisted)).toBeLessThanOrEqual(4);
+        expect(hammingDistance(original, other)).toBeGreaterThan(15);
+
+        // Filler words and punctuation don't count towards title similarity
+        expect(titleSimilarity('VINTAGE Levi\'s 501 Jeans 32x30 Made in USA', 'Levis 501 jeans 32x30 USA NWT')).toBeGreaterThan(0.6);
+        expect(titleSimilarity('Vintage Pendleton Wool Shirt', 'Vintage Levi\'s 501 Jeans')).toBe(0);
+    });
+
+    it('should match relisted products and mirrored vintage items but not lookalike prices', async () => {
+        const fakes = createFakes([
+            { id: 1, name: 'Vintage Levi\'s 501 Jeans 32x30 Made in USA', price: 65, image: 'https://i.ebayimg.com/images/g/levis/s-l1600.jpg', sourceUrl: 'https://www.ebay.com/itm/123456789012' },
+            { id: 2, name: 'Pendleton Wool Board Shirt', price: 65, image: 'https://i.ebayimg.com/images/g/shirt/s-l1600.jpg' },
+            { id: 3, name: 'Levis 501 Jeans 32x30', price: 65, image: 'https://i.ebayimg.com/images/g/levis/s-l1600.jpg', isSold: true },
+            { id: 4, name: 'Denim trousers (ended)', price: 20, image: null, sourceUrl: 'https://www.ebay.com/itm/levi-501/123456789012?hash=abc' }
+        ], [
+            { id: 10, title: 'Levi\'s 501 Jeans - 32x30, USA made', price: 70, images: JSON.stringify(['/uploads/mirror/ab/levis.jpg']), status: 'draft' }
+        ], images);
+        const detector = createDetector(fakes);
+
+        const relisted = { id: 5, name: 'Levis 501 Jeans 32 x 30 USA', price: 60, image: 'https://i.ebayimg.com/images/g/levis2/s-l400.jpg' };
+        fakes.products.push(relisted);
+
+        const matches = await detector.checkProduct(relisted);
+        expect(matches.map(match => match.listing.ref)).toEqual(['product:1', 'vintage_item:10']);
+        expect(matches[0].score).toBeGreaterThanOrEqual(0.7);
+        expect(matches[0].reasons[0]).toMatch(/^Similar primary image/);
+
+        // Same eBay item ID under a different URL shape
+        const sameListing = await detector.checkProduct(fakes.products[3]);
+        expect(sameListing).toEqual([expect.objectContaining({ score: 1, reasons: ['Same eBay listing'], listing: expect.objectContaining({ ref: 'product:1' }) })]);
+
+        // The unrelated shirt at the same price is never fetched, and hashes are cached
+        expect(fakes.reads).not.toContain('https://i.ebayimg.com/images/g/shirt/s-l1600.jpg');
+        const cached = createDetector({ ...fakes, images: { readImage: async () => { throw new Error('should use the cache'); } } });
+        expect((await cached.checkProduct(relisted)).map(match => match.listing.ref)).toEqual(['product:1', 'vintage_item:10']);
+    });
+
+    it('should refuse to scan until a product repository is attached', async () => {
+        const fakes = createFakes([], [], images);
+        const detector = new DuplicateDetector({ models: fakes.models, images: fakes.images });
+
+        await expect(detector.scan()).rejects.toThrow('no product repository attached');
+        detector.attach({ products: fakes.repository });
+        await expect(detector.scan()).resolves.toBeDefined();
+    });
+
+    it('should report duplicate pairs and merge them', async () => {
+        const fakes = createFakes([
+            { id: 1, name: 'Vintage Levi\'s 501 Jeans 32x30 Made in USA', price: 65, image: 'https://i.ebayimg.com/images/g/levis/s-l1600.jpg', images: ['https://i.ebayimg.com/images/g/levis/s-l1600.jpg', 'https://i.ebayimg.com/images/g/levis/back.jpg'] },
+            { id: 2, name: 'Pendleton Wool Board Shirt', price: 40, image: 'https://i.ebayimg.com/images/g/shirt/s-l1600.jpg' }
+        ], [
+            { id: 10, title: 'Levi\'s 501 Jeans - 32x30, USA made', price: 70, images: JSON.stringify(['/uploads/mirror/ab/levis.jpg']), status: 'published' }
+        ], images);
+        const onChange = jest.fn();
+        const detector = createDetector(fakes);
+        detector.onChange = onChange;
+
+        const report = await detector.scan();
+        expect(report.listings).toBe(3);
+        expect(report.pairs).toEqual([
+            expect.objectContaining({ a: expect.objectContaining({ ref: 'product:1' }), b: expect.objectContaining({ ref: 'vintage_item:10' }) })
+        ]);
+
+        await expect(detector.merge('product:1', 'product:1')).rejects.toThrow('Cannot merge a listing into itself');
+        await expect(detector.merge('listing:1', 'product:2')).rejects.toMatchObject({ name: 'DuplicateError', status: 400 });
+        await expect(detector.merge('vintage_item:10', 'product:99')).rejects.toMatchObject({ status: 404 });
+
+        // Keep the seller's vintage item, retire the store copy
+        const result = await detector.merge('vintage_item:10', 'product:1');
+        expect(result).toEqual({ kept: 'vintage_item:10', removed: 'product:1', imagesAdded: 2 });
+        expect(JSON.parse(fakes.items[0].images)).toEqual([
+            '/uploads/mirror/ab/levis.jpg', 'https://i.ebayimg.com/images/g/levis/s-l1600.jpg', 'https://i.ebayimg.com/images/g/levis/back.jpg'
+        ]);
+        expect(fakes.products.map(product => product.id)).toEqual([2]);
+        expect(detector.lastReport.pairs).toEqual([]);
+        expect(onChange).toHaveBeenCalled();
+
+        // A duplicate vintage item is archived rather than deleted
+        fakes.items.push({ id: 11, title: 'Pendleton Board Shirt', price: 40, images: '[]', status: 'draft' });
+        await detector.merge('product:2', 'vintage_item:11');
+        expect(fakes.items[1].status).toBe('archived');
+        expect(fakes.products[0].mergedFrom).toEqual(['vintage_item:11']);
+    });
+});
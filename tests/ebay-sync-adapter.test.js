@@ -0,0 +1,171 @@
+const http = require('http');
+const axios = require('axios');
+const EBay = require('ebay-api');
+const { ScrapeSyncAdapter, ApiSyncAdapter } = require('../services/EbaySyncAdapter');
+
+// Local stand-in for api.ebay.com and www.ebay.com listing pages
+const browseItems = {
+    '111': { legacyItemId: '111', title: 'Vintage Levis 501', price: { value: '45.00', currency: 'USD' },
+        estimatedAvailabilities: [{ estimatedAvailabilityStatus: 'IN_STOCK', estimatedAvailableQuantity: 2 }] },
+    '222': { legacyItemId: '222', title: 'Y2K Baggy Shorts', price: { value: '18.50', currency: 'USD' },
+        estimatedAvailabilities: [{ estimatedAvailabilityStatus: 'OUT_OF_STOCK', estimatedAvailableQuantity: 0 }] }
+};
+
+const tradingResponse = `<?xml version="1.0" encoding="UTF-8"?>
+<GetItemResponse xmlns="urn:ebay:apis:eBLBaseComponents">
+  <Ack>Success</Ack>
+  <Item>
+    <ItemID>333</ItemID>
+    <Title>Ralph Lauren Polo</Title>
+    <Quantity>1</Quantity>
+    <SellingStatus>
+      <CurrentPrice currencyID="USD">30.0</CurrentPrice>
+      <QuantitySold>1</QuantitySold>
+      <ListingStatus>Completed</ListingStatus>
+    </SellingStatus>
+  </Item>
+</GetItemResponse>`;
+
+const listingPages = {
+    '/itm/111': '<html><head><meta property="og:price:amount" content="45.00"></head><body>Add to cart</body></html>',
+    '/itm/222': '<html><body>This listing has ended.</body></html>'
+};
+
+// Sends ebay-api requests to the mock server instead of the real hosts
+class MockEbayRequest {
+    constructor(baseUrl) {
+        this.baseUrl = baseUrl;
+        this.instance = axios.create();
+    }
+
+    rewrite(url) {
+        return url.replace(/^https:\/\/[a-z.]*ebay\.com/, this.baseUrl);
+    }
+
+    get(url, config) { return this.instance.get(this.rewrite(url), config); }
+    delete(url, config) { return this.instance.delete(this.rewrite(url), config); }
+    post(url, data, config) { return this.instance.post(this.rewrite(url), data, config); }
+    put(url, data, config) { return this.instance.put(this.rewrite(url), data, config); }
+    postForm(url, data, config) {
+        return this.instance.post(this.rewrite(url), new URLSearchParams(data).toString(), config);
+    }
+}
+
+describe('eBay sync adapters', () => {
+    let server;
+    let baseUrl;
+    let requests;
+
+    beforeAll(done => {
+        server = http.createServer((req, res) => {
+            requests.push(req.url);
+
+            if (req.url.startsWith('/identity/v1/oauth2/token')) {
+                res.setHeader('Content-Type', 'application/json');
+                return res.end(JSON.stringify({ access_token: 'app-token', expires_in: 7200, token_type: 'Application Access Token' }));
+            }
+
+            if (req.url.startsWith('/buy/browse/v1/item/')) {
+                const ids = new URL(req.url, baseUrl).searchParams.get('item_ids').split(',');
+                const items = ids.map(id => browseItems[id.split('|')[1]]).filter(Boolean);
+                res.setHeader('Content-Type', 'application/json');
+                return res.end(JSON.stringify({ items }));
+            }
+
+            if (req.url.startsWith('/ws/api.dll')) {
+                res.setHeader('Content-Type', 'text/xml');
+                return res.end(tradingResponse);
+            }
+
+            if (listingPages[req.url]) {
+                return res.end(listingPages[req.url]);
+            }
+
+            res.statusCode = 500;
+            res.end('Server error');
+        });
+
+        server.listen(0, '127.0.0.1', () => {
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+            done();
+        });
+    });
+
+    beforeEach(() => {
+        requests = [];
+    });
+
+    afterAll(done => {
+        server.close(done);
+    });
+
+    const createClient = (config = {}) => new EBay({
+        appId: 'test-app',
+        certId: 'test-cert',
+        sandbox: false,
+        siteId: EBay.SiteId.EBAY_US,
+        authToken: 'test-user-token',
+        ...config
+    }, new MockEbayRequest(baseUrl));
+
+    describe('ApiSyncAdapter', () => {
+        it('should batch Browse lookups and report price, quantity and availability', async () => {
+            const adapter = new ApiSyncAdapter({ client: createClient(), batchSize: 2 });
+
+            const results = await adapter.fetchItems([
+                { ebayItemId: '111' },
+                { ebayItemId: '222' }
+            ]);
+
+            expect(requests.filter(url => url.startsWith('/buy/browse'))).toHaveLength(1);
+            expect(results.get('111')).toMatchObject({ available: true, price: 45, quantity: 2, title: 'Vintage Levis 501' });
+            expect(results.get('222')).toMatchObject({ available: false, price: 18.5, quantity: 0 });
+        });
+
+        it('should fall back to Trading GetItem for listings Browse leaves out', async () => {
+            const adapter = new ApiSyncAdapter({ client: createClient(), batchSize: 2 });
+
+            const results = await adapter.fetchItems([
+                { ebayItemId: '111' },
+                { ebayItemId: '222' },
+                { ebayItemId: '333' }
+            ]);
+
+            expect(requests.filter(url => url.startsWith('/buy/browse'))).toHaveLength(2);
+            expect(requests.filter(url => url.startsWith('/ws/api.dll'))).toHaveLength(1);
+            expect(results.get('333')).toMatchObject({ available: false, price: 30, quantity: 0, error: null });
+        });
+
+        it('should report an error instead of guessing when no Trading token is set', async () => {
+            const adapter = new ApiSyncAdapter({ client: createClient({ authToken: null }) });
+
+            const results = await adapter.fetchItems([{ ebayItemId: '333' }]);
+
+            expect(results.get('333').available).toBeNull();
+            expect(results.get('333').error).toMatch(/Trading API token/);
+        });
+    });
+
+    describe('ScrapeSyncAdapter', () => {
+        const scrapeAdapter = () => new ScrapeSyncAdapter({ request: url => axios.get(url) });
+
+        it('should read availability and price from listing pages', async () => {
+            const results = await scrapeAdapter().fetchItems([
+                { ebayItemId: '111', url: `${baseUrl}/itm/111` },
+                { ebayItemId: '222', url: `${baseUrl}/itm/222` }
+            ]);
+
+            expect(results.get('111')).toMatchObject({ available: true, price: 45, quantity: null });
+            expect(results.get('222')).toMatchObject({ available: false, price: null });
+        });
+
+        it('should keep failed requests as errors rather than sold', async () => {
+            const results = await scrapeAdapter().fetchItems([
+                { ebayItemId: '999', url: `${baseUrl}/itm/999` }
+            ]);
+
+            expect(results.get('999').available).toBeNull();
+            expect(results.get('999').error).toBeTruthy();
+        });
+    });
+});
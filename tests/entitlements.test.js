@@ -0,0 +1,165 @@
+const request = require('supertest');
+const express = require('express');
+const config = require('../config/entitlements.json');
+const { TierCatalog, Entitlements } = require('../services/Entitlements');
+const VintageSubscriptionService = require('../services/VintageSubscriptionService');
+
+const PLATFORMS = ['vintage_crib', 'ebay', 'poshmark', 'depop', 'mercari'];
+
+function catalogWith(changes = {}) {
+    const tiers = JSON.parse(JSON.stringify(config.tiers));
+    Object.entries(changes).forEach(([id, tier]) => {
+        tiers[id] = { ...tiers[id], ...tier };
+    });
+    return new TierCatalog({ ...config, tiers }, { platforms: PLATFORMS });
+}
+
+// In-memory user_subscriptions / subscription_entitlements and item counts
+function createFakeModels() {
+    const subscriptions = {};
+    const snapshots = {};
+    const itemCounts = {};
+
+    return {
+        subscriptions,
+        snapshots,
+        itemCounts,
+        UserSubscription: {
+            findByUser: async userId => subscriptions[userId]
+        },
+        SubscriptionEntitlement: {
+            findByUser: async userId => snapshots[userId],
+            save: async (userId, { tier, version, terms }) => {
+                snapshots[userId] = { user_id: userId, tier, version, terms: JSON.stringify(terms) };
+            }
+        },
+        VintageItem: {
+            countListedByUser: async userId => itemCounts[userId] || 0
+        }
+    };
+}
+
+describe('Entitlements', () => {
+    let models;
+
+    beforeEach(() => {
+        models = createFakeModels();
+    });
+
+    it('should load the tier catalog and reject broken configs', () => {
+        const catalog = catalogWith();
+
+        expect(catalog.list().map(tier => tier.id)).toEqual(['free', 'starter', 'pro', 'premium']);
+        expect(catalog.tier('enterprise').id).toBe('premium');
+        expect(catalog.tier('premium').platforms).toEqual(PLATFORMS);
+        expect(catalog.tier('gold')).toBeNull();
+        expect(catalog.lowestTierWhere(tier => tier.features.includes('bulk_tools'))).toBe('pro');
+
+        expect(() => catalogWith({ starter: { platforms: ['myspace'] } })).toThrow('tier starter lists unknown platform myspace');
+        expect(() => catalogWith({ pro: { version: 0, features: ['teleport'] } }))
+            .toThrow(/pro needs a positive integer version.*unknown feature teleport/);
+    });
+
+    it('should give both subscription APIs the same answers', async () => {
+        const entitlements = new Entitlements({ catalog: catalogWith(), models });
+        const subscriptions = new VintageSubscriptionService({ entitlements });
+        models.subscriptions[1] = { user_id: 1, tier: 'starter', status: 'active' };
+
+        expect(await subscriptions.checkSubscriptionLimit(1, 'create_item', 14)).toEqual({ allowed: true, limit: 15, current: 14 });
+        expect(await subscriptions.checkSubscriptionLimit(1, 'create_item', 15)).toMatchObject({ allowed: false });
+        expect(await subscriptions.checkSubscriptionLimit(1, 'cross_post')).toEqual({ allowed: true, platforms: ['vintage_crib', 'ebay'] });
+        expect(await subscriptions.checkSubscriptionLimit(1, 'api_access')).toEqual({ allowed: false });
+        expect(subscriptions.getTierDetails('gold')).toBeNull();
+
+        // Lapsed subscriptions fall back to the default tier
+        models.subscriptions[2] = { user_id: 2, tier: 'pro', status: 'active', expires_at: '2020-01-01 00:00:00' };
+        expect((await entitlements.forUser(2)).tier).toBe('free');
+    });
+
+    it('should grandfather users when their tier gets less generous', async () => {
+        models.subscriptions[1] = { user_id: 1, tier: 'starter', status: 'active' };
+        models.subscriptions[2] = { user_id: 2, tier: 'starter', status: 'active' };
+
+        const before = new Entitlements({ catalog: catalogWith(), models });
+        expect(await before.forUser(1)).toMatchObject({ tier: 'starter', version: 1, maxItems: 15, grandfathered: false });
+        expect(models.snapshots[1]).toMatchObject({ tier: 'starter', version: 1 });
+
+        // Starter v2 costs more, allows fewer items and drops eBay but adds Depop
+        const after = new Entitlements({
+            catalog: catalogWith({ starter: { version: 2, price: 7.99, maxItems: 10, platforms: ['vintage_crib', 'depop'] } }),
+            models
+        });
+
+        expect(await after.forUser(1)).toEqual({
+            tier: 'starter',
+            name: 'Starter',
+            version: 2,
+            price: 4.99,
+            maxItems: 15,
+            platforms: ['vintage_crib', 'depop', 'ebay'],
+            features: ['basic_listing', 'portfolio', 'cross_post_manual', 'analytics_basic'],
+            grandfathered: true
+        });
+
+        // Someone new to the tier gets the new terms
+        expect(await after.forUser(2)).toMatchObject({ price: 7.99, maxItems: 10, grandfathered: false });
+
+        // Changing tier re-grants the current terms
+        await after.grant(1, 'starter');
+        expect(await after.forUser(1)).toMatchObject({ maxItems: 10, platforms: ['vintage_crib', 'depop'], grandfathered: false });
+
+        // A retired tier keeps working for the people on it
+        models.subscriptions[3] = { user_id: 3, tier: 'pro', status: 'active' };
+        await before.forUser(3);
+        const { pro, ...withoutPro } = config.tiers;
+        const retired = new Entitlements({
+            catalog: new TierCatalog({ ...config, tierOrder: ['free', 'starter', 'premium'], tiers: withoutPro }, { platforms: PLATFORMS }),
+            models
+        });
+        expect(await retired.forUser(3)).toMatchObject({ tier: 'pro', maxItems: 50, grandfathered: true });
+    });
+
+    it('should enforce features, platforms and item limits in one middleware', async () => {
+        const entitlements = new Entitlements({ catalog: catalogWith(), models });
+        models.subscriptions[1] = { user_id: 1, tier: 'starter', status: 'active' };
+        models.itemCounts[1] = 15;
+
+        const app = express();
+        app.use(express.json());
+        app.use((req, res, next) => {
+            const [id, role] = (req.get('X-Test-User') || '').split(':');
+            req.user = id ? { id: parseInt(id), role } : null;
+            next();
+        });
+        const ok = (req, res) => res.json({ tier: req.entitlements.tier });
+        app.post('/items', entitlements.middleware({ items: true }), ok);
+        app.post('/publish', entitlements.middleware({ platforms: req => req.body.platforms }), ok);
+        app.get('/bulk', entitlements.middleware('bulk_tools'), ok);
+
+        const full = await request(app).post('/items').set('X-Test-User', '1:seller');
+        expect(full.status).toBe(403);
+        expect(full.body).toMatchObject({
+            success: false,
+            error: 'Item limit reached for your subscription tier',
+            limit: 15,
+            current: 15,
+            tier: 'starter',
+            requiredTier: 'pro'
+        });
+        expect(full.body.upgradeRecommendations.map(tier => tier.tierName)).toEqual(['pro', 'premium']);
+
+        const denied = await request(app).post('/publish').set('X-Test-User', '1:seller').send({ platforms: ['ebay', 'poshmark'] });
+        expect(denied.status).toBe(403);
+        expect(denied.body).toMatchObject({ deniedPlatforms: ['poshmark'], requiredTier: 'pro' });
+
+        const allowed = await request(app).post('/publish').set('X-Test-User', '1:seller').send({ platforms: ['vintage_crib', 'ebay'] });
+        expect(allowed.body).toEqual({ tier: 'starter' });
+
+        expect((await request(app).get('/bulk').set('X-Test-User', '1:seller')).body.error)
+            .toBe('Bulk editing and management requires the Pro tier');
+
+        // Admins get the top tier, anonymous callers nothing
+        expect((await request(app).get('/bulk').set('X-Test-User', '9:admin')).body).toEqual({ tier: 'premium' });
+        expect((await request(app).get('/bulk')).status).toBe(401);
+    });
+});
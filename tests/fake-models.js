@@ -0,0 +1,35 @@
+// In-memory tables for the fake models the service tests inject through
+// `options.models`. Each table keeps its rows in a plain array the test can
+// seed and inspect; model-specific queries are written in the test on top.
+
+const sameId = id => row => row.id === Number(id);
+
+// Defaults are an object or a function of the new row's id, and are
+// overridden by the created fields. Like INSERT ... RETURNING *, create()
+// hands back a copy rather than the stored row.
+function createTable(rows = [], defaults = {}) {
+    let nextId = rows.reduce((max, row) => Math.max(max, Number(row.id) || 0), 0) + 1;
+
+    return {
+        rows,
+        create: async data => {
+            const id = nextId++;
+            const row = { id, ...(typeof defaults === 'function' ? defaults(id) : defaults), ...data };
+            rows.push(row);
+            return { ...row };
+        },
+        findById: async id => rows.find(sameId(id)),
+        findBy: async (field, value) => rows.find(row => row[field] === value),
+        filterBy: async (field, value) => rows.filter(row => row[field] === value),
+        update: async (id, updates) => Object.assign(rows.find(sameId(id)), updates),
+        delete: async id => {
+            const index = rows.findIndex(sameId(id));
+            if (index !== -1) rows.splice(index, 1);
+            return index !== -1;
+        }
+    };
+}
+
+const now = () => new Date().toISOString();
+
+module.exports = { createTable, now };
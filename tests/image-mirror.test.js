@@ -0,0 +1,170 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const sharp = require('sharp');
+const { ImageMirrorService } = require('../services/ImageMirrorService');
+
+// In-memory stand-in for the product repository
+function createFakeRepository(products) {
+    const writes = [];
+
+    return {
+        products,
+        writes,
+        getAll: async () => products.map(product => ({ ...product })),
+        update: async (id, changes, options) => {
+            const product = products.find(p => p.id === id);
+            const patch = typeof changes === 'function' ? changes({ ...product }) : changes;
+            Object.assign(product, patch);
+            Object.keys(product).forEach(key => product[key] === undefined && delete product[key]);
+            writes.push({ id, source: options.source });
+            return product;
+        }
+    };
+}
+
+// Serves canned image bytes by URL; anything else is a 404 like an ended listing
+function createFakeHttp(files) {
+    const requested = [];
+
+    return {
+        requested,
+        get: async url => {
+            requested.push(url);
+            if (!files[url]) {
+                const error = new Error('Request failed with status code 404');
+                error.response = { status: 404 };
+                throw error;
+            }
+            return { data: files[url] };
+        }
+    };
+}
+
+const jacket = () => sharp({ create: { width: 800, height: 600, channels: 3, background: '#345' } }).jpeg().toBuffer();
+const boots = () => sharp({ create: { width: 500, height: 500, channels: 3, background: '#a52' } }).png().toBuffer();
+const placeholder = () => sharp({ create: { width: 64, height: 64, channels: 3, background: '#ddd' } }).gif().toBuffer();
+
+describe('Image mirroring', () => {
+    let tmpDir;
+
+    beforeEach(async () => {
+        tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'vc-mirror-'));
+    });
+
+    afterEach(async () => {
+        await fs.rm(tmpDir, { recursive: true, force: true });
+    });
+
+    function createService(repository, http) {
+        return new ImageMirrorService({
+            repository,
+            http,
+            projectRoot: tmpDir,
+            rootDir: path.join(tmpDir, 'uploads', 'mirror')
+        });
+    }
+
+    it('should store each picture once and point products at the local copies', async () => {
+        const jacketBytes = await jacket();
+        const http = createFakeHttp({
+            'https://i.ebayimg.com/images/g/aaa/s-l400.jpg': jacketBytes,
+            'https://i.ebayimg.com/images/g/aaa/s-l400.webp': jacketBytes, // same picture, another URL
+            'https://i.ebayimg.com/images/g/bbb/s-l400.png': await boots()
+        });
+        const repository = createFakeRepository([
+            {
+                id: 1,
+                name: 'Denim Jacket',
+                image: 'https://i.ebayimg.com/images/g/aaa/s-l400.jpg',
+                images: ['https://i.ebayimg.com/images/g/aaa/s-l400.jpg', 'https://i.ebayimg.com/images/g/bbb/s-l400.png', 'https://i.ebayimg.com/images/g/gone/s-l400.jpg']
+            },
+            { id: 2, name: 'Jacket (relisted)', image: 'https://i.ebayimg.com/images/g/aaa/s-l400.webp', images: ['https://i.ebayimg.com/images/g/aaa/s-l400.webp'] },
+            { id: 3, name: 'Uploaded', image: '/uploads/images/abc/w640.jpg', images: ['/uploads/images/abc/w640.jpg'] }
+        ]);
+        const onChange = jest.fn();
+        const service = createService(repository, http);
+        service.onChange = onChange;
+
+        const summary = await service.mirrorAll();
+        expect(summary).toMatchObject({ products: 2, mirrored: 3, deduplicated: 1, failed: 1 });
+        expect(summary.failures).toEqual([
+            { productId: 1, url: 'https://i.ebayimg.com/images/g/gone/s-l400.jpg', error: 'Request failed with status code 404' }
+        ]);
+
+        const [first, second, uploaded] = repository.products;
+        expect(first.images[0]).toMatch(/^\/uploads\/mirror\/[0-9a-f]{2}\/[0-9a-f]{64}\.jpg$/);
+        expect(first.image).toBe(first.images[0]);
+        expect(first.images[2]).toBe('https://i.ebayimg.com/images/g/gone/s-l400.jpg');
+        expect(second.image).toBe(first.image);
+        expect(first.imageSources).toEqual({
+            [first.images[0]]: 'https://i.ebayimg.com/images/g/aaa/s-l400.jpg',
+            [first.images[1]]: 'https://i.ebayimg.com/images/g/bbb/s-l400.png'
+        });
+        expect(second.imageSources).toEqual({ [second.image]: 'https://i.ebayimg.com/images/g/aaa/s-l400.webp' });
+        expect(uploaded.images).toEqual(['/uploads/images/abc/w640.jpg']);
+        expect(onChange).toHaveBeenCalledTimes(1);
+
+        // Optimized through ImageProcessor into JPEG files on disk
+        const stored = await sharp(path.join(tmpDir, first.images[1])).metadata();
+        expect(stored).toMatchObject({ format: 'jpeg', width: 500, height: 500 });
+
+        // A second pass only retries what is still remote
+        http.requested.length = 0;
+        await service.mirrorAll();
+        expect(http.requested).toEqual(['https://i.ebayimg.com/images/g/gone/s-l400.jpg']);
+    });
+
+    it('should not store responses that are not images', async () => {
+        const http = createFakeHttp({ 'https://i.ebayimg.com/images/g/err/s-l400.jpg': Buffer.from('<html>Listing ended</html>') });
+        const repository = createFakeRepository([
+            { id: 1, name: 'Lamp', image: 'https://i.ebayimg.com/images/g/err/s-l400.jpg', images: ['https://i.ebayimg.com/images/g/err/s-l400.jpg'] }
+        ]);
+
+        const summary = await createService(repository, http).mirrorAll();
+        expect(summary).toMatchObject({ mirrored: 0, failed: 1 });
+        expect(repository.products[0].images).toEqual(['https://i.ebayimg.com/images/g/err/s-l400.jpg']);
+        expect(repository.writes).toEqual([]);
+
+        const leftovers = await fs.readdir(path.join(tmpDir, 'uploads', 'mirror'), { recursive: true });
+        expect(leftovers.filter(file => file.includes('.'))).toEqual([]);
+    });
+
+    it('should flag products whose primary image is missing or tiny', async () => {
+        const http = createFakeHttp({
+            'https://i.ebayimg.com/images/g/ok/s-l400.jpg': await jacket(),
+            'https://i.ebayimg.com/images/g/tiny/s-l400.gif': await placeholder()
+        });
+        const repository = createFakeRepository([
+            { id: 1, name: 'Jacket', image: 'https://i.ebayimg.com/images/g/ok/s-l400.jpg' },
+            { id: 2, name: 'Placeholder', image: 'https://i.ebayimg.com/images/g/tiny/s-l400.gif' },
+            { id: 3, name: 'Ended', image: 'https://i.ebayimg.com/images/g/gone/s-l400.jpg' },
+            { id: 4, name: 'Deleted mirror', image: '/uploads/mirror/ab/missing.jpg' },
+            { id: 5, name: 'No image' },
+            { id: 6, name: 'Sold', isSold: true }
+        ]);
+        const service = createService(repository, http);
+
+        const result = await service.verifyAll();
+        expect(result.checked).toBe(5);
+        expect(result.flagged.map(product => [product.productId, product.status])).toEqual([
+            [2, 'tiny'], [3, 'missing'], [4, 'missing'], [5, 'missing']
+        ]);
+        expect(result.flagged[0].reason).toMatch(/^Image is only 64x64/);
+        expect(result.flagged[1].reason).toBe('Image could not be loaded (HTTP 404)');
+
+        expect(repository.products[0].imageCheck).toBeUndefined();
+        expect(repository.products[2].imageCheck).toMatchObject({ status: 'missing', checkedAt: expect.any(String) });
+        expect((await service.getFlaggedProducts()).map(product => product.productId)).toEqual([2, 3, 4, 5]);
+
+        // Unchanged results aren't written again; a fixed image clears the flag
+        repository.writes.length = 0;
+        await service.verifyAll();
+        expect(repository.writes).toEqual([]);
+
+        repository.products[2].image = 'https://i.ebayimg.com/images/g/ok/s-l400.jpg';
+        await service.verifyAll();
+        expect(repository.writes).toEqual([{ id: 3, source: 'image-verify' }]);
+        expect(repository.products[2].imageCheck).toBeUndefined();
+    });
+});
@@ -0,0 +1,139 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const sharp = require('sharp');
+const { ImageService, ImageError } = require('../services/ImageService');
+const { createTable, now } = require('./fake-models');
+
+// In-memory stand-in for the images table
+function createFakeModels() {
+    const images = createTable([], () => ({ created_at: now() }));
+
+    return {
+        rows: images.rows,
+        Image: {
+            create: data => images.create({ ...data, owner_id: String(data.owner_id), variants: JSON.stringify(data.variants) }),
+            findById: images.findById,
+            getByOwner: async (ownerType, ownerId) => images.rows.filter(r => r.owner_type === ownerType && (ownerId === null || r.owner_id === String(ownerId))),
+            delete: images.delete
+        },
+        VintageItem: {},
+        VintageSeller: {}
+    };
+}
+
+async function writeUpload(dir, name, width, height) {
+    const filePath = path.join(dir, name);
+    await sharp({ create: { width, height, channels: 3, background: '#8b5a2b' } }).jpeg().toFile(filePath);
+    const stats = await fs.stat(filePath);
+    return { path: filePath, originalname: name, mimetype: 'image/jpeg', size: stats.size };
+}
+
+describe('Image uploads', () => {
+    let tmpDir;
+    let models;
+    let products;
+    let service;
+
+    const admin = { id: 1, role: 'admin' };
+    const buyer = { id: 5, role: 'buyer' };
+
+    beforeEach(async () => {
+        tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'vc-images-'));
+        models = createFakeModels();
+        products = { 12: { id: 12, name: 'Levi\'s 501', images: [] } };
+
+        service = new ImageService({
+            models,
+            rootDir: path.join(tmpDir, 'images'),
+            search: { invalidate: () => {} }
+        });
+        service.registerOwner('product', {
+            find: async id => products[id],
+            canEdit: user => user.role === 'admin',
+            attach: async (product, url) => {
+                product.images = [...product.images, url];
+                product.image = product.image || url;
+            },
+            detach: async (product, url) => {
+                product.images = product.images.filter(image => image !== url);
+            }
+        });
+    });
+
+    afterEach(async () => {
+        await fs.rm(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should keep the original and generate AVIF/WebP widths, a JPEG fallback and a thumbnail', async () => {
+        const file = await writeUpload(tmpDir, 'upload_1.jpg', 700, 500);
+        const [image] = await service.processUploads([file], { ownerType: 'product', ownerId: '12', user: admin, alt: 'Front view' });
+
+        const base = `/uploads/images/${models.rows[0].storage_key}`;
+        expect(image).toMatchObject({
+            ownerType: 'product',
+            ownerId: '12',
+            alt: 'Front view',
+            width: 700,
+            height: 500,
+            src: `${base}/w700.jpg`,
+            srcset: `${base}/w320.webp 320w, ${base}/w640.webp 640w, ${base}/w700.webp 700w`,
+            thumbnail: `${base}/thumb.jpg`,
+            original: `${base}/original.jpg`
+        });
+        expect(image.sources).toEqual([
+            { type: 'image/avif', srcset: `${base}/w320.avif 320w, ${base}/w640.avif 640w, ${base}/w700.avif 700w` },
+            { type: 'image/webp', srcset: image.srcset }
+        ]);
+
+        const stored = await fs.readdir(path.join(tmpDir, 'images', models.rows[0].storage_key));
+        expect(stored.sort()).toEqual([
+            'original.jpg', 'thumb.jpg', 'w320.avif', 'w320.webp', 'w640.avif', 'w640.webp', 'w700.avif', 'w700.jpg', 'w700.webp'
+        ]);
+        expect((await sharp(path.join(tmpDir, 'images', models.rows[0].storage_key, 'w320.avif')).metadata()).width).toBe(320);
+
+        // Attached to the product and the incoming upload cleaned up
+        expect(products[12]).toMatchObject({ image: image.src, images: [image.src] });
+        await expect(fs.access(file.path)).rejects.toThrow();
+    });
+
+    it('should not upscale small images', async () => {
+        const file = await writeUpload(tmpDir, 'upload_2.jpg', 200, 200);
+        const [image] = await service.processUploads([file], { ownerType: 'product', ownerId: '12', user: admin });
+
+        expect(image.sources.map(source => source.srcset.split(', ').length)).toEqual([1, 1]);
+        expect(image.src).toMatch(/\/w200\.jpg$/);
+    });
+
+    it('should reject files that are not images and leave nothing behind', async () => {
+        const filePath = path.join(tmpDir, 'upload_3.jpg');
+        await fs.writeFile(filePath, 'not really a jpeg');
+
+        await expect(service.processUploads([{ path: filePath, originalname: 'fake.jpg', mimetype: 'image/jpeg', size: 17 }], {
+            ownerType: 'product', ownerId: '12', user: admin
+        })).rejects.toMatchObject({ name: 'ImageError', status: 400 });
+
+        expect(models.rows).toHaveLength(0);
+        expect(products[12].images).toEqual([]);
+        await expect(fs.readdir(path.join(tmpDir, 'images'))).rejects.toThrow();
+    });
+
+    it('should check the owner before accepting uploads', async () => {
+        await expect(service.authorize(admin, 'poster', '12')).rejects.toThrow('Unknown image owner type: poster');
+        await expect(service.authorize(admin, 'product', '99')).rejects.toMatchObject({ status: 404 });
+        await expect(service.authorize(buyer, 'product', '12')).rejects.toBeInstanceOf(ImageError);
+        await expect(service.authorize(buyer, 'product', '12')).rejects.toMatchObject({ status: 403 });
+    });
+
+    it('should remove an image, its files and its URL on the product', async () => {
+        const file = await writeUpload(tmpDir, 'upload_4.jpg', 400, 300);
+        const [image] = await service.processUploads([file], { ownerType: 'product', ownerId: '12', user: admin });
+
+        expect(await service.list('product', '12')).toHaveLength(1);
+        await service.remove(image.id, admin);
+
+        expect(await service.list('product')).toEqual([]);
+        expect(products[12].images).toEqual([]);
+        expect(await fs.readdir(path.join(tmpDir, 'images'))).toEqual([]);
+    });
+});
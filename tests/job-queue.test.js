@@ -0,0 +1,174 @@
+const sqlite3 = require('sqlite3');
+const { JobQueue } = require('../services/JobQueue');
+const { runWithContext, getRequestId, requestContext } = require('../logger');
+
+function waitFor(queue, event, jobId) {
+    return new Promise(resolve => {
+        const listener = job => {
+            if (job.id === jobId) {
+                queue.off(event, listener);
+                resolve(job);
+            }
+        };
+        queue.on(event, listener);
+    });
+}
+
+describe('Job queue', () => {
+    let queue;
+
+    beforeEach(async () => {
+        queue = new JobQueue({ db: new sqlite3.Database(':memory:'), concurrency: 2, pollInterval: 20 });
+        await queue.start();
+    });
+
+    afterEach(() => {
+        queue.stop();
+    });
+
+    it('should run a job and keep its progress and result', async () => {
+        queue.register('count', async ({ upTo }, job) => {
+            for (let i = 1; i <= upTo; i++) {
+                await job.progress(i, upTo, `Counted ${i}`);
+            }
+            return { counted: upTo };
+        });
+
+        const queued = await queue.enqueue('count', { upTo: 4 });
+        expect(queued.status).toBe('queued');
+
+        await waitFor(queue, 'completed', queued.id);
+        const job = await queue.get(queued.id);
+
+        expect(job).toMatchObject({
+            status: 'completed',
+            attempts: 1,
+            result: { counted: 4 },
+            progress: { current: 4, total: 4, percent: 100, message: 'Counted 4' }
+        });
+    });
+
+    it('should retry failed jobs with backoff', async () => {
+        let calls = 0;
+        queue.register('flaky', async () => {
+            calls++;
+            if (calls < 3) throw new Error(`Attempt ${calls} failed`);
+            return { ok: true };
+        }, { maxAttempts: 3, backoffMs: 10 });
+
+        const retries = [];
+        queue.on('retrying', job => retries.push(job.retryInMs));
+
+        const queued = await queue.enqueue('flaky');
+        await waitFor(queue, 'completed', queued.id);
+
+        expect(retries).toEqual([10, 20]);
+        expect(await queue.get(queued.id)).toMatchObject({ status: 'completed', attempts: 3 });
+    });
+
+    it('should stop after maxAttempts or a non-retryable error', async () => {
+        queue.register('broken', async ({ retryable }) => {
+            const error = new Error('Store not found');
+            error.retryable = retryable;
+            throw error;
+        }, { maxAttempts: 2, backoffMs: 10 });
+
+        const exhausted = await queue.enqueue('broken', { retryable: true });
+        const fatal = await queue.enqueue('broken', { retryable: false });
+
+        await Promise.all([waitFor(queue, 'failed', exhausted.id), waitFor(queue, 'failed', fatal.id)]);
+
+        expect(await queue.get(exhausted.id)).toMatchObject({ status: 'failed', attempts: 2, error: 'Store not found' });
+        expect(await queue.get(fatal.id)).toMatchObject({ status: 'failed', attempts: 1 });
+    });
+
+    it('should respect per-type concurrency limits', async () => {
+        let active = 0;
+        let maxActive = 0;
+        queue.register('import', async () => {
+            active++;
+            maxActive = Math.max(maxActive, active);
+            await new Promise(resolve => setTimeout(resolve, 30));
+            active--;
+        }, { concurrency: 1 });
+
+        const jobs = await Promise.all([1, 2, 3].map(() => queue.enqueue('import')));
+        await Promise.all(jobs.map(job => waitFor(queue, 'completed', job.id)));
+
+        expect(maxActive).toBe(1);
+    });
+
+    it('should re-queue jobs left running by a previous process', async () => {
+        queue.stop();
+        queue.register('resume', async () => ({ resumed: true }));
+
+        await queue.run(
+            `INSERT INTO jobs (id, type, status, payload, attempts, max_attempts, run_at, created_at)
+             VALUES ('job_old', 'resume', 'running', '{}', 1, 3, 0, ?)`,
+            [new Date().toISOString()]
+        );
+
+        const completed = waitFor(queue, 'completed', 'job_old');
+        await queue.start();
+        await completed;
+
+        expect(await queue.get('job_old')).toMatchObject({ status: 'completed', attempts: 2, result: { resumed: true } });
+    });
+
+    it('should reject unknown job types', async () => {
+        await expect(queue.enqueue('nope')).rejects.toThrow('No handler registered for job type: nope');
+    });
+
+    it('should run handlers under the ID of the request that queued them', async () => {
+        const seen = [];
+        queue.register('log', async () => {
+            await new Promise(resolve => setTimeout(resolve, 5));
+            seen.push({ requestId: getRequestId(), jobId: requestContext.getStore().jobId });
+        });
+
+        const fromRequest = await runWithContext({ requestId: 'req-42' }, () => queue.enqueue('log'));
+        await waitFor(queue, 'completed', fromRequest.id);
+        const scheduled = await queue.enqueue('log');
+        await waitFor(queue, 'completed', scheduled.id);
+
+        expect(seen).toEqual([
+            { requestId: 'req-42', jobId: fromRequest.id },
+            { requestId: null, jobId: scheduled.id }
+        ]);
+    });
+
+    it('should log and free the slot when the queue cannot record a job', async () => {
+        const errors = jest.spyOn(console, 'error').mockImplementation(() => {});
+        queue.register('doomed', async () => 'done');
+        const get = queue.get.bind(queue);
+        let calls = 0;
+        // enqueue() reads the job back first; execute() is the second read
+        queue.get = async id => {
+            if (++calls === 2) throw new Error('SQLITE_BUSY: database is locked');
+            return get(id);
+        };
+
+        const job = await queue.enqueue('doomed');
+        await new Promise(resolve => setTimeout(resolve, 60));
+
+        expect(errors).toHaveBeenCalledWith(`❌ Job queue error running doomed (${job.id}):`, 'SQLITE_BUSY: database is locked');
+        expect(queue.running.size).toBe(0);
+        errors.mockRestore();
+    });
+
+    it('should queue scheduled jobs at once and then only when they are due again', async () => {
+        queue.register('sweep', async () => 'swept');
+
+        const first = await queue.enqueueIfDue('sweep', 60 * 60 * 1000);
+        expect(first.type).toBe('sweep');
+        await waitFor(queue, 'completed', first.id);
+
+        // A restart within the hour doesn't repeat it
+        expect(await queue.enqueueIfDue('sweep', 60 * 60 * 1000)).toBeNull();
+        expect(await queue.enqueueIfDue('sweep', 0)).toMatchObject({ type: 'sweep' });
+
+        queue.schedule('sweep', 60 * 60 * 1000);
+        await new Promise(resolve => setTimeout(resolve, 20));
+        expect(await queue.list({ type: 'sweep' })).toHaveLength(2);
+    });
+});
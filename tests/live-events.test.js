@@ -0,0 +1,117 @@
+const http = require('http');
+const EventEmitter = require('events');
+const express = require('express');
+const { LiveEvents } = require('../services/LiveEvents');
+
+// Open an SSE connection and collect what the server writes
+function connect(port, path, headers = {}) {
+    return new Promise((resolve, reject) => {
+        const req = http.get({ port, path, headers }, res => {
+            const stream = { res, req, body: '' };
+            res.setEncoding('utf8');
+            res.on('data', chunk => { stream.body += chunk; });
+            resolve(stream);
+        });
+        req.on('error', reject);
+    });
+}
+
+function waitForBody(stream, text) {
+    return new Promise((resolve, reject) => {
+        const started = Date.now();
+        const check = () => {
+            if (stream.body.includes(text)) return resolve(stream.body);
+            if (Date.now() - started > 2000) return reject(new Error(`Timed out waiting for ${text}`));
+            setTimeout(check, 10);
+        };
+        check();
+    });
+}
+
+describe('Live events stream', () => {
+    let events;
+    let server;
+    let port;
+    const streams = [];
+
+    beforeEach(done => {
+        events = new LiveEvents();
+        const app = express();
+        app.get('/events', (req, res) => events.subscribe(req, res));
+        server = app.listen(0, () => {
+            port = server.address().port;
+            done();
+        });
+    });
+
+    afterEach(done => {
+        streams.splice(0).forEach(stream => stream.req.destroy());
+        server.close(done);
+    });
+
+    async function open(path, headers) {
+        const stream = await connect(port, path, headers);
+        streams.push(stream);
+        await waitForBody(stream, 'retry: 5000');
+        return stream;
+    }
+
+    it('should stream published events to connected clients', async () => {
+        const stream = await open('/events');
+
+        expect(stream.res.headers['content-type']).toBe('text/event-stream');
+
+        events.publish('import.item', { index: 1, total: 300, status: 'imported', name: 'Levi\'s 501' });
+        const body = await waitForBody(stream, 'event: import.item');
+
+        const data = JSON.parse(body.split('event: import.item\ndata: ')[1].split('\n')[0]);
+        expect(data).toMatchObject({ index: 1, total: 300, status: 'imported', name: 'Levi\'s 501' });
+        expect(body).toContain('id: 1\n');
+    });
+
+    it('should only send the requested event types', async () => {
+        const stream = await open('/events?types=sync');
+
+        events.publish('crosspost.result', { platform: 'depop' });
+        events.publish('sync.completed', { itemsChecked: 20 });
+        await waitForBody(stream, 'event: sync.completed');
+
+        expect(stream.body).not.toContain('crosspost.result');
+    });
+
+    it('should replay missed events after Last-Event-ID', async () => {
+        events.publish('sync.item', { index: 1 });
+        events.publish('sync.item', { index: 2 });
+        events.publish('sold', { name: 'Ralph Lauren Polo' });
+
+        const stream = await open('/events', { 'Last-Event-ID': '1' });
+        await waitForBody(stream, 'event: sold');
+
+        expect(stream.body).not.toContain('id: 1\n');
+        expect(stream.body).toContain('id: 2\n');
+    });
+
+    it('should drop clients when they disconnect', async () => {
+        const stream = await open('/events');
+        expect(events.clients.size).toBe(1);
+
+        stream.req.destroy();
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        expect(events.clients.size).toBe(0);
+    });
+
+    it('should forward job queue activity as job events', () => {
+        const queue = new EventEmitter();
+        const published = [];
+        events.on('event', event => published.push(event));
+        events.bridgeJobQueue(queue);
+
+        queue.emit('progress', { id: 'job_1', type: 'ebay-auto-import-store', progress: { current: 150, total: 300, percent: 50 } });
+        queue.emit('completed', { id: 'job_1', type: 'ebay-auto-import-store', status: 'completed', result: { importedCount: 300 } });
+
+        expect(published.map(event => event.type)).toEqual(['job.progress', 'job.completed']);
+        expect(published[0].data).toMatchObject({ jobId: 'job_1', status: 'running', progress: { percent: 50 } });
+        expect(published[1].data.result).toEqual({ importedCount: 300 });
+    });
+});
@@ -0,0 +1,104 @@
+const CrossPostingEngine = require('../services/CrossPostingEngine');
+const {
+    MarketplaceRegistry,
+    ManualMarketplaceAdapter,
+    createMarketplaceRegistry,
+    marketplaces
+} = require('../services/marketplaces');
+
+const testItem = {
+    id: 7,
+    title: 'Vintage Denim Jacket',
+    description: 'Faded 90s denim jacket',
+    price: 45,
+    category: 'clothing',
+    condition: 'like_new',
+    size: 'M',
+    brand: 'Levi\'s'
+};
+
+const seller = { store_name: 'Vintage Crib Official', bio: 'Curated vintage collection' };
+
+describe('Marketplace registry', () => {
+    it('should register the built-in marketplaces in order', () => {
+        expect(marketplaces.ids()).toEqual(['vintage_crib', 'ebay', 'poshmark', 'depop', 'mercari']);
+        expect(marketplaces.get('Poshmark').manual).toBe(true);
+        expect(() => marketplaces.get('myspace')).toThrow('Unsupported platform: myspace');
+    });
+
+    it('should derive platforms per subscription tier', () => {
+        const order = ['free', 'starter', 'pro', 'premium'];
+
+        expect(marketplaces.platformsForTier('free', order)).toEqual(['vintage_crib']);
+        expect(marketplaces.platformsForTier('pro', order)).toEqual(['vintage_crib', 'ebay', 'poshmark', 'depop']);
+    });
+
+    it('should reject duplicate or non-adapter registrations', () => {
+        const registry = createMarketplaceRegistry();
+
+        expect(() => registry.register(marketplaces.get('depop'))).toThrow('already registered');
+        expect(() => new MarketplaceRegistry().register({ id: 'etsy' })).toThrow('must extend MarketplaceAdapter');
+    });
+});
+
+describe('Marketplace adapters', () => {
+    it('should map categories and conditions per platform', () => {
+        expect(marketplaces.get('poshmark').mapCondition('like_new')).toBe('NWOT (New Without Tags)');
+        expect(marketplaces.get('mercari').mapCategory('dresses')).toBe('Women/Dresses');
+        expect(marketplaces.get('ebay').mapCategory('jewelry')).toBe('4402');
+    });
+
+    it('should hand out manual removal steps for manual platforms', async () => {
+        const result = await marketplaces.get('depop').delist({ external_url: 'https://depop.com/p/1' }, testItem);
+
+        expect(result).toMatchObject({ status: 'manual_removal_required', openUrl: 'https://depop.com/p/1' });
+        expect(result.instructions[0]).toContain('Vintage Denim Jacket');
+    });
+
+    it('should fail validation without a title or price', () => {
+        expect(marketplaces.get('ebay').validate({ title: '', price: 0 })).toHaveLength(2);
+        expect(marketplaces.get('ebay').validate(testItem)).toEqual([]);
+    });
+});
+
+describe('CrossPostingEngine with adapters', () => {
+    it('should publish manual platforms as ready for manual post', async () => {
+        const engine = new CrossPostingEngine();
+        const result = await engine.publishToPlatform(testItem, seller, 'mercari');
+
+        expect(result).toMatchObject({
+            success: true,
+            platform: 'mercari',
+            status: 'ready_for_manual_post',
+            openUrl: 'https://www.mercari.com/sell/'
+        });
+        expect(result.data.title).toBe('[Levi\'s] Vintage Denim Jacket (Size M)');
+    });
+
+    it('should return validation errors instead of publishing', async () => {
+        const engine = new CrossPostingEngine();
+        const result = await engine.publishToPlatform({ ...testItem, price: null }, seller, 'poshmark');
+
+        expect(result).toMatchObject({ success: false, status: 'failed', error: 'Price must be greater than 0' });
+    });
+
+    it('should pick up a newly registered marketplace', async () => {
+        class EtsyAdapter extends ManualMarketplaceAdapter {
+            constructor() {
+                super({ id: 'etsy', name: 'Etsy', createListingUrl: 'https://www.etsy.com/your/shops/me/tools/listings/create' });
+            }
+
+            format(item) {
+                return { title: item.title, description: item.description, price: item.price };
+            }
+        }
+
+        const engine = new CrossPostingEngine();
+        engine.marketplaces.register(new EtsyAdapter());
+
+        const clipboard = engine.prepareClipboardData(testItem, 'etsy');
+
+        expect(clipboard.clipboardData).toBe('Vintage Denim Jacket\n\nFaded 90s denim jacket');
+        expect((await engine.publishToPlatform(testItem, seller, 'etsy')).status).toBe('ready_for_manual_post');
+    });
+});
@@ -0,0 +1,83 @@
+const request = require('supertest');
+const express = require('express');
+const { SystemMonitor, Counter, Histogram } = require('../monitoring');
+const { requestLogger, getRequestId } = require('../logger');
+
+describe('Monitoring', () => {
+    it('should render counters and histograms in Prometheus text format', () => {
+        const blocked = new Counter('ebay_blocked_requests_total', 'Blocked requests', ['source']);
+        blocked.inc({ source: 'sync' });
+        blocked.inc({ source: 'sync' }, 2);
+        blocked.inc({ source: 'say "hi"\n' });
+
+        const latency = new Histogram('latency_seconds', 'Latency', ['route'], [0.1, 1]);
+        latency.observe({ route: '/api/products' }, 0.05);
+        latency.observe({ route: '/api/products' }, 0.5);
+        latency.observe({ route: '/api/products' }, 3);
+
+        expect(blocked.render()).toBe([
+            '# HELP ebay_blocked_requests_total Blocked requests',
+            '# TYPE ebay_blocked_requests_total counter',
+            'ebay_blocked_requests_total{source="sync"} 3',
+            'ebay_blocked_requests_total{source="say \\"hi\\"\\n"} 1'
+        ].join('\n'));
+
+        // Buckets are cumulative and end with +Inf
+        expect(latency.render().split('\n').slice(2)).toEqual([
+            'latency_seconds_bucket{route="/api/products",le="0.1"} 1',
+            'latency_seconds_bucket{route="/api/products",le="1"} 2',
+            'latency_seconds_bucket{route="/api/products",le="+Inf"} 3',
+            'latency_seconds_sum{route="/api/products"} 3.55',
+            'latency_seconds_count{route="/api/products"} 3'
+        ]);
+    });
+
+    it('should label requests by route pattern and carry the request ID into handlers', async () => {
+        const monitor = new SystemMonitor();
+        const app = express();
+        app.use(requestLogger);
+        app.use(monitor.middleware());
+        app.use(express.json());
+
+        const router = express.Router();
+        router.post('/products/:id', async (req, res) => {
+            await new Promise(resolve => setTimeout(resolve, 1));
+            res.json({ requestId: getRequestId() });
+        });
+        app.use('/api', router);
+
+        const echoed = await request(app).post('/api/products/17').set('X-Request-Id', 'abc-123').send({ price: 5 }).expect(200);
+        expect(echoed.headers['x-request-id']).toBe('abc-123');
+        expect(echoed.body.requestId).toBe('abc-123');
+
+        // Unusable incoming IDs are replaced
+        const generated = await request(app).post('/api/products/18').set('X-Request-Id', 'bad id <script>').expect(200);
+        expect(generated.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+        expect(generated.body.requestId).toBe(generated.headers['x-request-id']);
+
+        await request(app).get('/nowhere').expect(404);
+
+        const metrics = await monitor.renderMetrics();
+        expect(metrics).toContain('http_request_duration_seconds_count{method="POST",route="/api/products/:id",status_code="200"} 2');
+        expect(metrics).toContain('http_request_duration_seconds_count{method="GET",route="unmatched",status_code="404"} 1');
+        expect(metrics).toMatch(/^process_resident_memory_bytes \d+$/m);
+    });
+
+    it('should report the worst component status and treat failing checks as down', async () => {
+        const monitor = new SystemMonitor();
+        monitor.addHealthCheck('database', async () => ({ status: 'ok', engine: 'sqlite' }));
+        monitor.addHealthCheck('cache', async () => ({ status: 'degraded', issues: ['Redis unreachable'] }));
+
+        const degraded = await monitor.getComponentHealth();
+        expect(degraded.status).toBe('degraded');
+        expect(degraded.components.database).toMatchObject({ status: 'ok', engine: 'sqlite', latencyMs: expect.any(Number) });
+        expect(degraded.components.system.status).toBe('ok');
+
+        monitor.addHealthCheck('uploadsDisk', async () => {
+            throw new Error('ENOENT: no such file or directory');
+        });
+        const down = await monitor.getComponentHealth();
+        expect(down.status).toBe('down');
+        expect(down.components.uploadsDisk).toMatchObject({ status: 'down', error: 'ENOENT: no such file or directory' });
+    });
+});
@@ -0,0 +1,134 @@
+const fs = require('fs');
+const path = require('path');
+const { specs, joiToSchema } = require('../swagger');
+const securityManager = require('../auth/security');
+
+const ROOT = path.join(__dirname, '..');
+const METHODS = 'get|post|put|patch|delete';
+
+// Not part of the API: the favicon, crawler files, the server-rendered
+// product page and the SPA fallback
+const NOT_API = ['/favicon.ico', '/robots.txt', '/sitemap.xml', '/sitemap-{page}.xml', '/product.html', '*'];
+
+// Express ':id' / ':state(read|unread)' -> OpenAPI '{id}' / '{state}'
+const toOpenApiPath = route => route.replace(/:(\w+)(\([^)]*\))?/g, '{$1}');
+
+function routesIn(source, receiver, prefix = '') {
+    const pattern = new RegExp(`^\\s*${receiver}\\.(${METHODS})\\(\\s*'([^']+)'`, 'gm');
+    return [...source.matchAll(pattern)].map(([, method, route]) => `${method} ${toOpenApiPath(prefix + route)}`);
+}
+
+// Reads the routes straight out of server.js and the routers it mounts, so the
+// test doesn't have to boot the server (and its database, eBay and job queue)
+function mountedRoutes() {
+    const server = fs.readFileSync(path.join(ROOT, 'server.js'), 'utf8');
+    const routes = routesIn(server, 'app').filter(route => !NOT_API.includes(route.split(' ')[1]));
+
+    const routers = {};
+    for (const [, name, file] of server.matchAll(/const (\w+) = require\('\.\/((?:routes|database)\/[\w-]+)'\);/g)) {
+        routers[name] = path.join(ROOT, `${file}.js`);
+    }
+
+    for (const [, prefix, name] of server.matchAll(/app\.use\('([^']+)',[^\n]*?\b(\w+)\);/g)) {
+        if (!routers[name]) continue;
+        const source = fs.readFileSync(routers[name], 'utf8');
+        routes.push(...routesIn(source, 'router', prefix));
+    }
+
+    return [...new Set(routes)];
+}
+
+function documentedRoutes() {
+    const routes = [];
+    for (const [route, operations] of Object.entries(specs.paths)) {
+        for (const method of Object.keys(operations)) {
+            if (METHODS.split('|').includes(method)) routes.push(`${method} ${route}`);
+        }
+    }
+    return routes;
+}
+
+describe('OpenAPI document', () => {
+    it('should document every mounted route', () => {
+        const documented = new Set(documentedRoutes());
+        const missing = mountedRoutes().filter(route => !documented.has(route));
+        expect(missing).toEqual([]);
+    });
+
+    it('should not document routes that are not mounted', () => {
+        const mounted = new Set(mountedRoutes());
+        expect(documentedRoutes().filter(route => !mounted.has(route))).toEqual([]);
+    });
+
+    it('should give every operation a summary, a tag, responses and its path parameters', () => {
+        const problems = [];
+        const resolve = parameter => (parameter.$ref
+            ? specs.components.parameters[parameter.$ref.split('/').pop()]
+            : parameter);
+
+        for (const [route, operations] of Object.entries(specs.paths)) {
+            for (const [method, operation] of Object.entries(operations)) {
+                const name = `${method} ${route}`;
+                if (!operation.summary) problems.push(`${name}: no summary`);
+                if (!operation.tags || operation.tags.length === 0) problems.push(`${name}: no tags`);
+                if (!operation.responses || Object.keys(operation.responses).length === 0) problems.push(`${name}: no responses`);
+
+                const declared = (operation.parameters || []).map(resolve)
+                    .filter(parameter => parameter && parameter.in === 'path')
+                    .map(parameter => parameter.name);
+                for (const [, param] of route.matchAll(/\{(\w+)\}/g)) {
+                    if (!declared.includes(param)) problems.push(`${name}: path parameter ${param} not declared`);
+                }
+            }
+        }
+
+        expect(problems).toEqual([]);
+    });
+
+    it('should resolve every $ref', () => {
+        const broken = [];
+        const walk = node => {
+            if (Array.isArray(node)) return node.forEach(walk);
+            if (!node || typeof node !== 'object') return;
+            if (typeof node.$ref === 'string') {
+                const target = node.$ref.replace(/^#\//, '').split('/').reduce((value, key) => value && value[key], specs);
+                if (!target) broken.push(node.$ref);
+            }
+            Object.values(node).forEach(walk);
+        };
+        walk(specs);
+
+        expect([...new Set(broken)]).toEqual([]);
+    });
+
+    it('should derive request bodies from the Joi validation schemas', () => {
+        for (const name of Object.keys(securityManager.getValidationSchemas())) {
+            expect(specs.components.schemas[`${name[0].toUpperCase()}${name.slice(1)}Request`]).toBeDefined();
+        }
+
+        expect(specs.components.schemas.RegisterRequest).toEqual({
+            type: 'object',
+            properties: {
+                username: { type: 'string', minLength: 3, maxLength: 30, pattern: '^[a-zA-Z0-9]+$' },
+                email: { type: 'string', format: 'email' },
+                password: { type: 'string', minLength: 8, maxLength: 100 }
+            },
+            required: ['username', 'email', 'password']
+        });
+        expect(specs.components.schemas.ProductUpdateRequest.properties.category.enum)
+            .toEqual(['electronics', 'clothing', 'collectibles', 'home', 'other']);
+        expect(specs.components.schemas.ProductUpdateRequest.properties.version).toEqual({ type: 'integer', minimum: 1 });
+
+        const loginBody = specs.paths['/api/auth/login'].post.requestBody.content['application/json'].schema;
+        expect(loginBody).toEqual({ $ref: '#/components/schemas/LoginRequest' });
+    });
+
+    it('should convert Joi alternatives, arrays and integer rules', () => {
+        const bulkImport = joiToSchema(securityManager.getValidationSchemas().bulkImport.describe());
+        expect(bulkImport.properties.urls).toEqual({ type: 'array', items: { type: 'string', format: 'uri' }, minItems: 1, maxItems: 50 });
+        expect(bulkImport.properties.maxItems).toEqual({ type: 'integer', minimum: 1, maximum: 1000 });
+
+        const login = joiToSchema(securityManager.getValidationSchemas().login.describe());
+        expect(login.properties.username.oneOf).toHaveLength(2);
+    });
+});
@@ -0,0 +1,264 @@
+const { OrderService, OrderError } = require('../services/OrderService');
+const { createPaymentProviders } = require('../services/payments');
+const { createTable, now } = require('./fake-models');
+
+const BUYER = 10;
+const SELLER_USER = 20;
+
+// In-memory stand-ins for the orders / payments / vintage item models
+function createFakeModels() {
+    const items = createTable([
+        { id: 7, seller_id: 2, title: 'Vintage Denim Jacket', price: '65.00', status: 'published', published_to: '["vintage_crib","ebay"]' },
+        { id: 8, seller_id: 2, title: 'Draft Hoodie', price: '40.00', status: 'draft' }
+    ]);
+    const orders = createTable([], () => ({ status: 'pending', created_at: now() }));
+    const orderEvents = [];
+    const payments = createTable();
+
+    return {
+        items: items.rows,
+        orders: orders.rows,
+        orderEvents,
+        payments: payments.rows,
+        VintageItem: {
+            findById: async id => {
+                const item = await items.findById(id);
+                return item ? { ...item } : undefined;
+            },
+            changeStatus: async (id, fromStatus, toStatus) => {
+                const item = items.rows.find(i => i.id === id && i.status === fromStatus);
+                if (item) item.status = toStatus;
+                return !!item;
+            },
+            update: items.update
+        },
+        VintageSeller: {
+            findById: async id => ({ id, user_id: SELLER_USER, store_name: 'Retro Finds' }),
+            findByUserId: async userId => (userId === SELLER_USER ? { id: 2, user_id: SELLER_USER } : undefined)
+        },
+        Order: {
+            create: orders.create,
+            findById: async id => {
+                const order = await orders.findById(id);
+                return order ? { ...order, seller_user_id: SELLER_USER } : undefined;
+            },
+            findPendingByItem: async itemId => {
+                const order = orders.rows.find(o => o.item_id === itemId && o.status === 'pending');
+                return order ? { ...order } : undefined;
+            },
+            getPending: async () => (await orders.filterBy('status', 'pending')).map(o => ({ ...o })),
+            getByUser: async (userId, type) => orders.filterBy(`${type}_id`, userId),
+            updateStatus: async (id, fromStatus, toStatus, fields = {}) => {
+                const order = orders.rows.find(o => o.id === id && o.status === fromStatus);
+                if (order) Object.assign(order, fields, { status: toStatus });
+                return !!order;
+            },
+            addEvent: async (orderId, fromStatus, toStatus, message) => {
+                orderEvents.push({ orderId, fromStatus, toStatus, message });
+            },
+            getEvents: async orderId => orderEvents.filter(e => e.orderId === orderId)
+        },
+        Payment: {
+            create: payments.create,
+            findLatestByOrder: async orderId => (await payments.filterBy('order_id', orderId)).pop(),
+            updateStatus: async (id, status, errorMessage = null) => {
+                await payments.update(id, { status, error_message: errorMessage });
+            }
+        }
+    };
+}
+
+describe('Order lifecycle', () => {
+    let models;
+    let service;
+    let tracked;
+    let published;
+    let propagated;
+
+    beforeEach(() => {
+        models = createFakeModels();
+        tracked = [];
+        published = [];
+        propagated = [];
+
+        service = new OrderService({
+            models,
+            payments: createPaymentProviders({ defaultProvider: 'fake' }),
+            salePropagation: {
+                propagateSale: async (item, { soldOn }) => {
+                    propagated.push({ itemId: item.id, soldOn });
+                    return { itemId: item.id, soldOn, results: [{ platform: 'ebay', status: 'removed' }] };
+                }
+            },
+            analytics: { trackEvent: async event => tracked.push(event) },
+            events: { publish: (type, data) => published.push({ type, data }) },
+            search: { invalidate: () => {} }
+        });
+    });
+
+    it('should reserve the item and open a pending order with a payment', async () => {
+        const result = await service.checkout(BUYER, 7, { shippingAddress: '1 Main St' });
+
+        expect(result.order).toMatchObject({ status: 'pending', buyer_id: BUYER, seller_id: 2, item_id: 7, total_amount: '65.00' });
+        expect(result.payment).toMatchObject({ provider: 'fake', status: 'requires_confirmation' });
+        expect(result.expiresAt.getTime()).toBeGreaterThan(Date.now());
+        expect(models.items[0].status).toBe('reserved');
+
+        await expect(service.checkout(11, 7, { shippingAddress: '2 Side St' }))
+            .rejects.toMatchObject({ name: 'OrderError', status: 409 });
+    });
+
+    it('should refuse unavailable items, own items and missing addresses', async () => {
+        await expect(service.checkout(BUYER, 8, { shippingAddress: '1 Main St' })).rejects.toMatchObject({ status: 409 });
+        await expect(service.checkout(BUYER, 99, { shippingAddress: '1 Main St' })).rejects.toMatchObject({ status: 404 });
+        await expect(service.checkout(SELLER_USER, 7, { shippingAddress: '1 Main St' })).rejects.toBeInstanceOf(OrderError);
+        await expect(service.checkout(BUYER, 7, {})).rejects.toThrow('Shipping address is required');
+        expect(models.items[0].status).toBe('published');
+    });
+
+    it('should keep checkout off without a real provider outside test and development', async () => {
+        const production = createPaymentProviders({ allowTestProviders: false });
+        expect(production.isAvailable()).toBe(false);
+        expect(production.has('fake')).toBe(false);
+        // Asking for the fake provider by name doesn't bring it back
+        expect(createPaymentProviders({ allowTestProviders: false, defaultProvider: 'fake' }).isAvailable()).toBe(false);
+
+        service.payments = production;
+        await expect(service.checkout(BUYER, 7, { shippingAddress: '1 Main St' }))
+            .rejects.toMatchObject({ name: 'OrderError', status: 503 });
+        expect(models.items[0].status).toBe('published');
+        expect(models.orders).toHaveLength(0);
+    });
+
+    it('should mark the item sold and record the sale once payment succeeds', async () => {
+        const { order } = await service.checkout(BUYER, 7, { shippingAddress: '1 Main St' });
+        const result = await service.confirmPayment(order.id, BUYER, { token: 'tok_visa' });
+
+        expect(result.order.status).toBe('paid');
+        expect(result.payment.status).toBe('succeeded');
+        expect(models.items[0].status).toBe('sold');
+        expect(models.items[0].sold_at).toBeTruthy();
+        expect(propagated).toEqual([{ itemId: 7, soldOn: 'vintage_crib' }]);
+        expect(tracked).toEqual([{
+            sellerId: SELLER_USER,
+            itemId: 7,
+            eventType: 'sale',
+            platform: 'vintage_crib',
+            metadata: { sale_price: 65, order_id: order.id }
+        }]);
+        expect(published.map(e => e.type)).toEqual(['order.status', 'order.status', 'sold']);
+    });
+
+    it('should keep the order pending when the payment is declined', async () => {
+        const { order } = await service.checkout(BUYER, 7, { shippingAddress: '1 Main St' });
+
+        await expect(service.confirmPayment(order.id, BUYER, { token: 'tok_declined' }))
+            .rejects.toMatchObject({ status: 402, message: 'Your card was declined' });
+        expect(models.orders[0].status).toBe('pending');
+        expect(models.payments[0]).toMatchObject({ status: 'failed', error_message: 'Your card was declined' });
+        expect(models.items[0].status).toBe('reserved');
+
+        await expect(service.confirmPayment(order.id, 11, { token: 'tok_visa' })).rejects.toMatchObject({ status: 403 });
+    });
+
+    it('should ship with a tracking number and then deliver', async () => {
+        const { order } = await service.checkout(BUYER, 7, { shippingAddress: '1 Main St' });
+
+        await expect(service.ship(order.id, SELLER_USER, { trackingNumber: '1Z999' })).rejects.toMatchObject({ status: 409 });
+        await service.confirmPayment(order.id, BUYER, { token: 'tok_visa' });
+
+        await expect(service.ship(order.id, BUYER, { trackingNumber: '1Z999' })).rejects.toMatchObject({ status: 403 });
+        await expect(service.ship(order.id, SELLER_USER, {})).rejects.toThrow('Tracking number is required');
+
+        const shipped = await service.ship(order.id, SELLER_USER, { trackingNumber: '1Z999', carrier: 'UPS' });
+        expect(shipped).toMatchObject({ status: 'shipped', tracking_number: '1Z999' });
+
+        const delivered = await service.deliver(order.id, BUYER);
+        expect(delivered.status).toBe('delivered');
+        await expect(service.cancel(order.id, SELLER_USER)).rejects.toMatchObject({ status: 409 });
+
+        const details = await service.getOrder(order.id, BUYER);
+        expect(details.events.map(e => e.toStatus)).toEqual(['pending', 'paid', 'shipped', 'delivered']);
+        expect(details.events[2].message).toBe('Shipped with UPS, tracking 1Z999');
+    });
+
+    it('should release the item when a pending order is cancelled', async () => {
+        const { order } = await service.checkout(BUYER, 7, { shippingAddress: '1 Main St' });
+        const cancelled = await service.cancel(order.id, BUYER);
+
+        expect(cancelled.status).toBe('cancelled');
+        expect(models.items[0].status).toBe('published');
+    });
+
+    it('should refund paid orders cancelled by the seller', async () => {
+        const { order } = await service.checkout(BUYER, 7, { shippingAddress: '1 Main St' });
+        await service.confirmPayment(order.id, BUYER, { token: 'tok_visa' });
+
+        await expect(service.cancel(order.id, BUYER)).rejects.toMatchObject({ status: 403 });
+        await service.cancel(order.id, SELLER_USER, { reason: 'Damaged in storage' });
+
+        expect(models.payments[0].status).toBe('refunded');
+        expect(models.orders[0].status).toBe('cancelled');
+        expect(models.items[0].status).toBe('published');
+    });
+
+    it('should refund the charge when the order is cancelled while paying', async () => {
+        const { order } = await service.checkout(BUYER, 7, { shippingAddress: '1 Main St' });
+        const provider = service.payments.get('fake');
+        const confirm = provider.confirmPayment.bind(provider);
+        // The seller cancels while the provider is still charging the card
+        provider.confirmPayment = async (...args) => {
+            await service.cancel(order.id, SELLER_USER, { reason: 'Sold in person' });
+            return confirm(...args);
+        };
+
+        await expect(service.confirmPayment(order.id, BUYER, { token: 'tok_visa' }))
+            .rejects.toMatchObject({ status: 409, message: expect.stringContaining('refunded') });
+        expect(models.payments[0]).toMatchObject({ status: 'refunded' });
+        expect(provider.payments.get(models.payments[0].provider_payment_id).status).toBe('refunded');
+        expect(models.orders[0].status).toBe('cancelled');
+        expect(models.items[0].status).toBe('published');
+        expect(propagated).toEqual([]);
+    });
+
+    it('should cancel before refunding and flag refunds the provider refuses', async () => {
+        const { order } = await service.checkout(BUYER, 7, { shippingAddress: '1 Main St' });
+        await service.confirmPayment(order.id, BUYER, { token: 'tok_visa' });
+        service.payments.get('fake').refund = async () => {
+            throw new Error('Provider unavailable');
+        };
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        await expect(service.cancel(order.id, SELLER_USER)).rejects.toMatchObject({ status: 502 });
+        console.error.mockRestore();
+        expect(models.orders[0].status).toBe('cancelled');
+        expect(models.payments[0]).toMatchObject({ status: 'refund_failed', error_message: 'Provider unavailable' });
+
+        // A lost race to ship leaves the payment alone
+        const second = await service.checkout(BUYER, 7, { shippingAddress: '1 Main St' });
+        await service.confirmPayment(second.order.id, BUYER, { token: 'tok_visa' });
+        const stale = await models.Order.findById(second.order.id);
+        await service.ship(second.order.id, SELLER_USER, { trackingNumber: '1Z999' });
+        await expect(service.cancelOrder(stale, 'Too late')).rejects.toMatchObject({ status: 409 });
+        expect(models.payments[1].status).toBe('succeeded');
+    });
+
+    it('should put items from expired reservations back on sale', async () => {
+        const { order } = await service.checkout(BUYER, 7, { shippingAddress: '1 Main St' });
+        models.orders[0].created_at = new Date(Date.now() - 20 * 60 * 1000).toISOString().replace('T', ' ').slice(0, 19);
+
+        await expect(service.confirmPayment(order.id, BUYER, { token: 'tok_visa' })).rejects.toMatchObject({ status: 409 });
+        expect(models.orders[0].status).toBe('cancelled');
+        expect(models.items[0].status).toBe('published');
+
+        // A stale reservation doesn't block the next buyer
+        await service.checkout(11, 7, { shippingAddress: '2 Side St' });
+        models.orders[1].created_at = new Date(Date.now() - 20 * 60 * 1000).toISOString();
+        const next = await service.checkout(12, 7, { shippingAddress: '3 Back St' });
+        expect(next.order.buyer_id).toBe(12);
+
+        models.orders[2].created_at = new Date(Date.now() - 20 * 60 * 1000).toISOString();
+        expect(await service.releaseExpiredReservations()).toBe(1);
+        expect(models.items[0].status).toBe('published');
+    });
+});
@@ -0,0 +1,124 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const {
+    JsonProductStore,
+    SqliteProductStore,
+    VersionConflictError
+} = require('../database/product-repository');
+
+// Same behaviour is expected from both backends
+const backends = {
+    json: () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vintage-products-'));
+        return new JsonProductStore(path.join(dir, 'products.json'));
+    },
+    sqlite: () => new SqliteProductStore({ db: new sqlite3.Database(':memory:') })
+};
+
+Object.entries(backends).forEach(([name, createStore]) => {
+    describe(`Product repository (${name})`, () => {
+        let store;
+
+        beforeEach(() => {
+            store = createStore();
+        });
+
+        it('should create records at version 1', async () => {
+            const product = await store.create({ id: 1, name: 'Vintage Tee', price: 20 });
+
+            expect(product.version).toBe(1);
+            expect(await store.findById('1')).toMatchObject({ name: 'Vintage Tee', version: 1 });
+        });
+
+        it('should bump the version on update and keep other fields', async () => {
+            await store.create({ id: 1, name: 'Vintage Tee', price: 20 });
+
+            const updated = await store.update(1, { price: 25 }, { expectedVersion: 1 });
+
+            expect(updated).toMatchObject({ id: 1, name: 'Vintage Tee', price: 25, version: 2 });
+        });
+
+        it('should reject updates with a stale version', async () => {
+            await store.create({ id: 1, name: 'Vintage Tee', price: 20 });
+            await store.update(1, { price: 25 }, { expectedVersion: 1 });
+
+            await expect(store.update(1, { price: 30 }, { expectedVersion: 1 }))
+                .rejects.toBeInstanceOf(VersionConflictError);
+            expect((await store.findById(1)).price).toBe(25);
+        });
+
+        it('should not lose concurrent updates to different fields', async () => {
+            await store.create({ id: 1, name: 'Vintage Tee', price: 20 });
+
+            await Promise.all([
+                store.update(1, { isSold: true }),
+                store.update(1, { category: 'clothing' }),
+                store.update(1, current => ({ price: current.price + 5 }))
+            ]);
+
+            expect(await store.findById(1)).toMatchObject({
+                isSold: true,
+                category: 'clothing',
+                price: 25,
+                version: 4
+            });
+        });
+
+        it('should remove fields set to undefined', async () => {
+            await store.create({ id: 1, name: 'Vintage Tee', isSold: true, soldDate: '2025-01-01' });
+
+            const updated = await store.update(1, { isSold: undefined, soldDate: undefined });
+
+            expect(updated.isSold).toBeUndefined();
+            expect(updated.soldDate).toBeUndefined();
+        });
+
+        it('should delete single records and return null for missing ones', async () => {
+            await store.create({ id: 1, name: 'Keep' });
+            await store.create({ id: 2, name: 'Remove' });
+
+            expect((await store.delete(2)).name).toBe('Remove');
+            expect(await store.delete(2)).toBeNull();
+            expect(await store.update(2, { name: 'Ghost' })).toBeNull();
+            expect((await store.getAll()).map(p => p.name)).toEqual(['Keep']);
+        });
+
+        it('should record price changes with their source', async () => {
+            await store.create({ id: 1, name: 'Vintage Tee', price: 20 }, { source: 'import' });
+            await store.update(1, { name: 'Vintage Band Tee' }, { source: 'admin' });
+            await store.update(1, { price: 18 }, { source: 'sync' });
+
+            const history = await store.getPriceHistory(1);
+
+            expect(history.map(({ oldPrice, newPrice, source }) => ({ oldPrice, newPrice, source }))).toEqual([
+                { oldPrice: null, newPrice: 20, source: 'import' },
+                { oldPrice: 20, newPrice: 18, source: 'sync' }
+            ]);
+            expect(history[1].version).toBe(3);
+            expect(await store.getPriceHistory(2)).toEqual([]);
+        });
+
+        it('should clear all records', async () => {
+            await store.create({ id: 1, name: 'One' });
+            await store.create({ id: 2, name: 'Two' });
+
+            await store.clear();
+
+            expect(await store.getAll()).toEqual([]);
+        });
+    });
+});
+
+describe('JSON product store', () => {
+    it('should leave no temp files behind', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vintage-products-'));
+        const store = new JsonProductStore(path.join(dir, 'products.json'));
+
+        await Promise.all([1, 2, 3].map(id => store.create({ id, name: `Item ${id}` })));
+
+        expect(fs.readdirSync(dir)).toEqual(['products.json']);
+        expect(JSON.parse(fs.readFileSync(path.join(dir, 'products.json'), 'utf8'))).toHaveLength(3);
+    });
+});
@@ -0,0 +1,120 @@
+const SalePropagationService = require('../services/SalePropagationService');
+const { MarketplaceAdapter, createMarketplaceRegistry } = require('../services/marketplaces');
+const { createTable } = require('./fake-models');
+
+// In-memory stand-ins for the cross_posts / delist_tasks models
+function createFakeModels(crossPosts) {
+    const events = [];
+    const tasks = createTable([], { status: 'queued' });
+
+    return {
+        events,
+        tasks: tasks.rows,
+        crossPosts,
+        CrossPost: {
+            findByItem: async itemId => crossPosts.filter(post => post.item_id === itemId),
+            findById: async id => crossPosts.find(post => post.id === id),
+            findByExternalId: async (platform, externalId) =>
+                crossPosts.find(post => post.platform === platform && post.external_id === String(externalId)),
+            transition: async (crossPost, status, action, message) => {
+                events.push({ crossPostId: crossPost.id, platform: crossPost.platform, from: crossPost.status, to: status, action, message });
+                const row = crossPosts.find(post => post.id === crossPost.id);
+                if (row) row.status = status;
+                return { ...crossPost, status };
+            }
+        },
+        DelistTask: {
+            create: tasks.create,
+            findById: tasks.findById,
+            complete: id => tasks.update(id, { status: 'completed' })
+        },
+        VintageItem: {
+            findById: async id => ({ id, title: 'Vintage Denim Jacket', status: 'published', published_to: '["vintage_crib","ebay","poshmark","depop"]' }),
+            update: async () => {}
+        }
+    };
+}
+
+describe('Sale propagation', () => {
+    const item = { id: 7, title: 'Vintage Denim Jacket', published_to: '["vintage_crib","ebay","poshmark","depop"]' };
+    let models;
+    let service;
+
+    beforeEach(() => {
+        models = createFakeModels([
+            { id: 1, item_id: 7, platform: 'ebay', external_id: '336117180112', status: 'success' },
+            { id: 2, item_id: 7, platform: 'poshmark', external_url: 'https://poshmark.com/listing/1', status: 'success' },
+            { id: 3, item_id: 7, platform: 'depop', status: 'success' }
+        ]);
+        service = new SalePropagationService({ marketplaces: createMarketplaceRegistry(), models });
+    });
+
+    it('should delist everywhere except where the item sold', async () => {
+        const result = await service.propagateSale(item, { soldOn: 'ebay' });
+
+        expect(result.results.map(r => [r.platform, r.status])).toEqual([
+            ['poshmark', 'removal_pending'],
+            ['depop', 'removal_pending'],
+            ['vintage_crib', 'removed']
+        ]);
+        expect(models.crossPosts.find(post => post.platform === 'ebay').status).toBe('success');
+    });
+
+    it('should queue remove-listing tasks for manual platforms', async () => {
+        await service.propagateSale(item, { soldOn: 'ebay' });
+
+        expect(models.tasks).toHaveLength(2);
+        expect(models.tasks[0]).toMatchObject({
+            item_id: 7,
+            cross_post_id: 2,
+            platform: 'poshmark',
+            reason: 'Sold on ebay',
+            open_url: 'https://poshmark.com/listing/1'
+        });
+        expect(models.tasks[0].instructions.length).toBeGreaterThan(0);
+    });
+
+    it('should move cross posts to removed once the task is completed, with an audit trail', async () => {
+        await service.propagateSale(item, { soldOn: 'ebay' });
+        await service.completeTask(1);
+
+        expect(models.crossPosts.find(post => post.id === 2).status).toBe('removed');
+        expect(models.events.filter(e => e.crossPostId === 2).map(e => [e.from, e.to, e.action])).toEqual([
+            ['success', 'removal_pending', 'delist_queued'],
+            ['removal_pending', 'removed', 'delist_confirmed']
+        ]);
+    });
+
+    it('should record failures without stopping the other platforms', async () => {
+        class BrokenAdapter extends MarketplaceAdapter {
+            constructor() {
+                super({ id: 'grailed', name: 'Grailed' });
+            }
+
+            async delist() {
+                throw new Error('Grailed is down');
+            }
+        }
+        service.marketplaces.register(new BrokenAdapter());
+        models.crossPosts.push({ id: 4, item_id: 7, platform: 'grailed', status: 'success' });
+
+        const result = await service.propagateSale(item, { soldOn: 'ebay' });
+
+        expect(result.results.find(r => r.platform === 'grailed')).toMatchObject({ status: 'failed', error: 'Grailed is down' });
+        expect(result.results.filter(r => r.status === 'removal_pending')).toHaveLength(2);
+        expect(models.events.find(e => e.platform === 'grailed')).toMatchObject({ to: 'success', action: 'delist_failed' });
+    });
+
+    it('should find the vintage item of a store product through its eBay listing', async () => {
+        const result = await service.propagateProductSale({ id: 1, name: 'Jacket' }, { ebayItemId: '336117180112', soldOn: 'ebay' });
+
+        expect(result.itemId).toBe(7);
+        expect(await service.propagateProductSale({ id: 2, name: 'Unlinked' }, { ebayItemId: '1' })).toBeNull();
+    });
+
+    it('should detect new sales only', () => {
+        expect(service.isNewSale({ status: 'published' }, { status: 'sold' })).toBe(true);
+        expect(service.isNewSale({ status: 'published' }, { sold_at: '2025-01-01' })).toBe(true);
+        expect(service.isNewSale({ status: 'sold' }, { status: 'sold' })).toBe(false);
+    });
+});
@@ -0,0 +1,312 @@
+const net = require('net');
+const { SavedSearchService } = require('../services/SavedSearchService');
+const { NotifierRegistry, Notifier, SmtpEmailNotifier } = require('../services/notifications');
+const { createTable, now } = require('./fake-models');
+
+// In-memory stand-ins for the saved-search tables
+function createFakeModels() {
+    const subscribers = createTable([], { user_id: null, email: null, frequency: 'daily', confirmed_at: null, last_digest_at: null, unsubscribed_at: null });
+    const searches = createTable([], () => ({ active: 1, created_at: now() }));
+    const matches = createTable([], { notified_at: null });
+    const tables = { subscribers: subscribers.rows, searches: searches.rows, matches: matches.rows, snapshots: new Map() };
+
+    return {
+        tables,
+        AlertSubscriber: {
+            create: subscribers.create,
+            findById: subscribers.findById,
+            findByToken: token => subscribers.findBy('token', token),
+            findByUser: userId => subscribers.findBy('user_id', userId),
+            findGuestByEmail: async email => tables.subscribers.find(row => !row.user_id && row.email.toLowerCase() === email.toLowerCase()),
+            update: subscribers.update,
+            getWithPendingMatches: async () => tables.subscribers.filter(sub => sub.confirmed_at && !sub.unsubscribed_at
+                && tables.matches.some(match => !match.notified_at
+                    && tables.searches.find(search => search.id === match.saved_search_id).subscriber_id === sub.id))
+        },
+        SavedSearch: {
+            create: ({ filters, alert_types, ...fields }) => searches.create({ filters: JSON.stringify(filters), alert_types: JSON.stringify(alert_types), ...fields }),
+            findById: searches.findById,
+            findByToken: token => searches.findBy('token', token),
+            getBySubscriber: subscriberId => searches.filterBy('subscriber_id', subscriberId),
+            getActive: async () => tables.searches.filter(row => {
+                const sub = tables.subscribers.find(s => s.id === row.subscriber_id);
+                return row.active && sub.confirmed_at && !sub.unsubscribed_at;
+            }),
+            update: searches.update,
+            delete: searches.delete
+        },
+        SavedSearchMatch: {
+            record: async fields => {
+                const duplicate = tables.matches.find(row => row.saved_search_id === fields.saved_search_id
+                    && row.listing_id === fields.listing_id && row.reason === fields.reason && row.price === fields.price);
+                if (duplicate) return undefined;
+                return matches.create(fields);
+            },
+            getPendingForSubscriber: async subscriberId => tables.matches
+                .filter(match => !match.notified_at)
+                .map(match => ({ match, search: tables.searches.find(search => search.id === match.saved_search_id) }))
+                .filter(({ search }) => search.subscriber_id === subscriberId)
+                .map(({ match, search }) => ({ ...match, search_name: search.name, search_filters: search.filters, search_token: search.token })),
+            markNotified: async ids => tables.matches
+                .filter(match => ids.includes(match.id))
+                .forEach(match => { match.notified_at = now(); })
+        },
+        ListingSnapshot: {
+            getAll: async () => Array.from(tables.snapshots.values()),
+            save: async snapshot => tables.snapshots.set(snapshot.listing_id, { ...snapshot })
+        }
+    };
+}
+
+// Notifier that keeps what it was asked to send
+class RecordingNotifier extends Notifier {
+    constructor(id, canReach) {
+        super({ id, name: id });
+        this.reach = canReach;
+        this.sent = [];
+    }
+
+    canReach(recipient) {
+        return this.reach(recipient);
+    }
+
+    async send(recipient, message) {
+        this.sent.push({ recipient, message });
+        return { id: this.sent.length };
+    }
+}
+
+function listing(id, fields = {}) {
+    return {
+        id: `product_${id}`,
+        type: 'store',
+        title: 'Wool Blazer',
+        description: '',
+        brand: '',
+        tags: [],
+        category: 'Outerwear',
+        condition: 'Good',
+        platforms: ['vintage_crib'],
+        price: 80,
+        image: null,
+        url: `/product.html?id=${id}`,
+        isSold: false,
+        ...fields
+    };
+}
+
+describe('Saved search alerts', () => {
+    let models;
+    let email;
+    let inApp;
+    let listings;
+    let now;
+    let service;
+
+    beforeEach(() => {
+        models = createFakeModels();
+        email = new RecordingNotifier('email', recipient => !!recipient.email);
+        inApp = new RecordingNotifier('in_app', recipient => !!recipient.userId);
+        const notifiers = new NotifierRegistry();
+        notifiers.register(email);
+        notifiers.register(inApp);
+
+        listings = [
+            listing(1, { title: 'Vintage Levi\'s 501 Jeans', category: 'Denim', price: 65 }),
+            listing(2, { title: 'Pendleton Wool Shirt', category: 'Shirts', price: 45 })
+        ];
+        now = new Date('2026-10-18T09:00:00Z');
+        service = new SavedSearchService({
+            models,
+            notifiers,
+            loadListings: async () => listings.map(doc => ({ ...doc })),
+            baseUrl: 'https://shop.example.com/',
+            now: () => now
+        });
+    });
+
+    it('should validate filters and make email-only subscribers confirm first', async () => {
+        await expect(service.subscribe({ email: 'ana@example.com', filters: {} }))
+            .rejects.toMatchObject({ name: 'SavedSearchError', message: 'A saved search needs search text or at least one filter' });
+        await expect(service.subscribe({ email: 'ana@example.com', filters: { minPrice: 50, maxPrice: 20 } }))
+            .rejects.toMatchObject({ status: 400 });
+        await expect(service.subscribe({ email: 'not-an-email', filters: { search: 'levis' } }))
+            .rejects.toThrow('Log in or give a valid email address to save a search');
+
+        const guest = await service.subscribe({ email: 'ana@example.com', filters: { search: 'levis', maxPrice: '100' }, alertTypes: ['price_drop'] });
+        expect(guest).toMatchObject({
+            confirmationRequired: true,
+            subscriber: { email: 'ana@example.com', frequency: 'daily', confirmed: false },
+            search: { filters: { search: 'levis', maxPrice: 100 }, alertTypes: ['price_drop'], active: true }
+        });
+
+        const token = models.tables.subscribers[0].token;
+        expect(email.sent).toHaveLength(1);
+        expect(email.sent[0].message.text).toContain(`https://shop.example.com/api/saved-searches/confirm?token=${token}`);
+
+        // Unconfirmed searches are not matched
+        expect(await models.SavedSearch.getActive()).toEqual([]);
+        expect(await service.confirm(token)).toMatchObject({ confirmed: true });
+        expect(await models.SavedSearch.getActive()).toHaveLength(1);
+
+        // Logged-in users don't need to confirm, and manage searches without a token
+        const member = await service.subscribe({ user: { id: 7, email: 'bo@example.com' }, filters: { category: 'Denim' }, frequency: 'instant' });
+        expect(member).toMatchObject({ confirmationRequired: false, subscriber: { frequency: 'instant', confirmed: true } });
+        await expect(service.list({ token: null })).rejects.toMatchObject({ status: 401 });
+        expect((await service.list({ user: { id: 7 } })).searches).toHaveLength(1);
+        await expect(service.remove({ user: { id: 7 } }, guest.search.id)).rejects.toMatchObject({ status: 404 });
+    });
+
+    it('should alert on new listings, price drops and restocks that match', async () => {
+        await service.subscribe({ user: { id: 7, email: 'bo@example.com' }, filters: { search: 'levis jean', maxPrice: 70 }, frequency: 'instant' });
+
+        // The first run only takes snapshots
+        expect(await service.run()).toMatchObject({ seeded: true, changes: 0, digests: 0 });
+
+        listings[0].price = 55; // price drop on a match
+        listings[1].price = 30; // price drop that doesn't match
+        listings.push(listing(3, { title: 'Levis 505 jeans', category: 'Denim', price: 40 }));
+        listings.push(listing(4, { title: 'Levis trucker jacket', price: 60 }));
+
+        const result = await service.run();
+        expect(result).toMatchObject({ changes: 4, matches: 2, digests: 1 });
+
+        // Users get the digest by email and in the app
+        expect(inApp.sent).toHaveLength(1);
+        const { recipient, message } = email.sent[0];
+        expect(recipient).toEqual({ userId: 7, email: 'bo@example.com' });
+        expect(message.subject).toBe('2 new matches for your saved searches');
+        expect(message.text).toContain('Price drop: $65.00 → $55.00');
+        expect(message.text).toContain('New listing: $40.00');
+        expect(message.text).toContain('https://shop.example.com/product.html?id=3');
+        expect(message.headers['List-Unsubscribe']).toBe(`<https://shop.example.com/api/saved-searches/unsubscribe?token=${models.tables.subscribers[0].token}>`);
+        expect(message.headers['List-Unsubscribe-Post']).toBe('List-Unsubscribe=One-Click');
+
+        // Sold, then back on sale
+        listings[2].isSold = true;
+        expect(await service.run()).toMatchObject({ changes: 0, matches: 0, digests: 0 });
+        listings[2].isSold = false;
+        expect(await service.run()).toMatchObject({ changes: 1, matches: 1, digests: 1 });
+        expect(email.sent[1].message.subject).toBe('Back in stock: Levis 505 jeans');
+
+        // A listing that vanishes from the catalog and comes back is restocked too
+        const removed = listings.splice(0, 1)[0];
+        await service.run();
+        listings.push(removed);
+        expect(await service.run()).toMatchObject({ matches: 1 });
+    });
+
+    it('should batch matches into daily digests and honour unsubscribe links', async () => {
+        await service.subscribe({ email: 'ana@example.com', filters: { category: 'Denim' } });
+        await service.subscribe({ email: 'ana@example.com', filters: { search: 'wool' }, name: 'Wool' });
+        const subscriber = models.tables.subscribers[0];
+        await service.confirm(subscriber.token);
+        await service.run();
+        email.sent = [];
+
+        listings.push(listing(3, { title: 'Levis 505 jeans', category: 'Denim', price: 40 }));
+        expect(await service.run()).toMatchObject({ matches: 1, digests: 1 });
+        expect(inApp.sent).toEqual([]);
+
+        // Within the day new matches wait for the next digest
+        now = new Date('2026-10-18T15:00:00Z');
+        listings.push(listing(4, { title: 'Wool overcoat', price: 120 }));
+        listings[0].price = 50;
+        expect(await service.run()).toMatchObject({ matches: 2, digests: 0 });
+
+        now = new Date('2026-10-19T09:30:00Z');
+        expect(await service.run()).toMatchObject({ matches: 0, digests: 1 });
+        const digest = email.sent[1].message;
+        expect(digest.text).toContain('Wool\n----');
+        expect(digest.text).toContain('Denim\n-----');
+        expect(digest.html).toContain('<a href="https://shop.example.com/product.html?id=4">Wool overcoat</a>');
+
+        // One search off, then everything
+        const woolSearch = models.tables.searches.find(search => search.name === 'Wool');
+        expect(await service.unsubscribe(woolSearch.token)).toMatchObject({ scope: 'search', search: { active: false } });
+        expect(await service.unsubscribe(subscriber.token)).toEqual({ scope: 'all' });
+        await expect(service.unsubscribe('nope')).rejects.toMatchObject({ status: 404 });
+
+        now = new Date('2026-10-21T09:30:00Z');
+        listings.push(listing(5, { title: 'Levis 501', category: 'Denim', price: 30 }));
+        expect(await service.run()).toMatchObject({ matches: 0, digests: 0 });
+
+        // Saving a search again turns alerts back on after a new confirmation
+        const again = await service.subscribe({ email: 'ANA@example.com', filters: { category: 'Denim' }, frequency: 'weekly' });
+        expect(again).toMatchObject({ confirmationRequired: true, subscriber: { frequency: 'weekly', unsubscribed: false } });
+        expect(models.tables.subscribers).toHaveLength(1);
+        await expect(service.setFrequency({ token: subscriber.token }, 'hourly')).rejects.toThrow('frequency must be one of');
+    });
+
+    it('should send email over SMTP with AUTH PLAIN and encoded headers', async () => {
+        const commands = [];
+        let data = '';
+        const server = net.createServer(socket => {
+            let buffer = '';
+            let inData = false;
+            socket.write('220 mail.test ESMTP\r\n');
+            socket.on('data', chunk => {
+                buffer += chunk;
+                let index;
+                while ((index = buffer.indexOf('\r\n')) !== -1) {
+                    const line = buffer.slice(0, index);
+                    buffer = buffer.slice(index + 2);
+
+                    if (inData) {
+                        if (line === '.') {
+                            inData = false;
+                            socket.write('250 2.0.0 queued\r\n');
+                        } else {
+                            data += line + '\r\n';
+                        }
+                        continue;
+                    }
+
+                    commands.push(line);
+                    if (line.startsWith('EHLO')) socket.write('250-mail.test\r\n250-AUTH PLAIN LOGIN\r\n250 8BITMIME\r\n');
+                    else if (line.startsWith('AUTH PLAIN')) socket.write('235 2.7.0 ok\r\n');
+                    else if (line === 'DATA') {
+                        inData = true;
+                        socket.write('354 go ahead\r\n');
+                    } else if (line === 'QUIT') socket.end('221 bye\r\n');
+                    else socket.write('250 ok\r\n');
+                }
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+        try {
+            const smtp = new SmtpEmailNotifier({
+                host: '127.0.0.1',
+                port: server.address().port,
+                secure: false,
+                user: 'alerts',
+                pass: 'secret',
+                from: 'Vintage Crib <alerts@shop.example.com>'
+            });
+
+            const result = await smtp.send({ email: 'ana@example.com' }, {
+                subject: 'Price drop: Blouse à fleurs',
+                text: 'Line one\n.starts with a dot',
+                html: '<p>Hi</p>',
+                headers: { 'List-Unsubscribe': '<https://shop.example.com/u>' }
+            });
+
+            expect(result.id).toMatch(/^<[\w-]+@shop\.example\.com>$/);
+            expect(commands).toEqual([
+                expect.stringMatching(/^EHLO /),
+                `AUTH PLAIN ${Buffer.from('\0alerts\0secret').toString('base64')}`,
+                'MAIL FROM:<alerts@shop.example.com>',
+                'RCPT TO:<ana@example.com>',
+                'DATA',
+                'QUIT'
+            ]);
+            expect(data).toContain(`Subject: =?UTF-8?B?${Buffer.from('Price drop: Blouse à fleurs').toString('base64')}?=`);
+            expect(data).toContain('List-Unsubscribe: <https://shop.example.com/u>');
+            expect(data).toContain('Content-Type: multipart/alternative');
+            expect(data).toContain(Buffer.from('Line one\n.starts with a dot').toString('base64'));
+        } finally {
+            server.close();
+        }
+    });
+});
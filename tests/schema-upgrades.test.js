@@ -0,0 +1,72 @@
+const sqlite3 = require('sqlite3');
+const { upgradeSchema } = require('../database/schema-upgrades');
+
+// subscription_notifications as init-subscription-tables.js created it before renewal reminders
+const OLD_NOTIFICATIONS_TABLE = `
+    CREATE TABLE users (id INTEGER PRIMARY KEY AUTOINCREMENT, username TEXT);
+    CREATE TABLE subscription_notifications (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        notification_type VARCHAR(50) NOT NULL,
+        message TEXT NOT NULL,
+        is_read BOOLEAN DEFAULT FALSE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+        CONSTRAINT valid_notification_type CHECK (notification_type IN (
+            'limit_warning', 'limit_reached', 'subscription_expired',
+            'upgrade_recommendation', 'feature_unlocked'
+        ))
+    );
+    CREATE INDEX idx_subscription_notifications_user ON subscription_notifications(user_id, is_read);
+    INSERT INTO users (username) VALUES ('ana');
+    INSERT INTO subscription_notifications (user_id, notification_type, message, is_read)
+    VALUES (1, 'limit_warning', 'You have used 9 of 10 listings', 1);
+`;
+
+const run = (db, sql, params = []) => new Promise((resolve, reject) => {
+    db.run(sql, params, err => (err ? reject(err) : resolve()));
+});
+const all = (db, sql) => new Promise((resolve, reject) => {
+    db.all(sql, (err, rows) => (err ? reject(err) : resolve(rows)));
+});
+
+describe('SQLite schema upgrades', () => {
+    let db;
+
+    beforeEach(async () => {
+        db = new sqlite3.Database(':memory:');
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(done => {
+        console.log.mockRestore();
+        db.close(done);
+    });
+
+    it('should let an old subscription_notifications table store renewal reminders', async () => {
+        await new Promise((resolve, reject) => db.exec(OLD_NOTIFICATIONS_TABLE, err => (err ? reject(err) : resolve())));
+        const insertReminder = () => run(db,
+            'INSERT INTO subscription_notifications (user_id, notification_type, message) VALUES (1, ?, ?)',
+            ['renewal_reminder', 'Your Pro plan renews in 7 days']);
+        await expect(insertReminder()).rejects.toThrow(/CHECK constraint failed/);
+
+        expect(await upgradeSchema(db)).toEqual(['subscription_notifications: allow renewal_reminder']);
+        await insertReminder();
+
+        const rows = await all(db, 'SELECT user_id, notification_type, message, is_read FROM subscription_notifications ORDER BY id');
+        expect(rows).toEqual([
+            { user_id: 1, notification_type: 'limit_warning', message: 'You have used 9 of 10 listings', is_read: 1 },
+            { user_id: 1, notification_type: 'renewal_reminder', message: 'Your Pro plan renews in 7 days', is_read: 0 }
+        ]);
+        const indexes = await all(db, "SELECT name FROM sqlite_master WHERE type = 'index' AND tbl_name = 'subscription_notifications'");
+        expect(indexes.map(index => index.name)).toContain('idx_subscription_notifications_user');
+
+        // Nothing left to do the second time
+        expect(await upgradeSchema(db)).toEqual([]);
+    });
+
+    it('should leave databases without the old table alone', async () => {
+        expect(await upgradeSchema(db)).toEqual([]);
+        expect(await all(db, "SELECT name FROM sqlite_master WHERE name = 'subscription_notifications'")).toEqual([]);
+    });
+});
@@ -0,0 +1,138 @@
+const { SearchService, MemorySearchIndex, Fts5SearchIndex } = require('../services/search');
+const { stem, editDistance } = require('../services/search/analyzer');
+
+const products = [
+    {
+        id: 1,
+        name: 'Vintage Levi\'s Denim Jacket',
+        description: 'Faded 90s trucker jacket with copper buttons',
+        category: 'clothing',
+        platform: 'ebay',
+        price: 65,
+        dateAdded: '2025-08-01T00:00:00.000Z'
+    },
+    {
+        id: 2,
+        name: 'Champion Reverse Weave Hoodie',
+        description: 'Grey hoodie, pairs well with a denim jacket',
+        category: 'clothing',
+        platform: 'ebay',
+        price: 40,
+        dateAdded: '2025-08-02T00:00:00.000Z'
+    },
+    {
+        id: 3,
+        name: 'Nautica Cargo Shorts',
+        description: 'Baggy cargo shorts <b>rare</b>',
+        category: 'clothing',
+        platform: 'ebay',
+        price: 18,
+        isSold: true
+    }
+];
+
+const vintageItems = [
+    {
+        id: 7,
+        seller_id: 2,
+        title: 'Snoopy Baseball Jersey',
+        description: 'Double sided Peanuts jersey',
+        brand: 'Peanuts',
+        tags: '["jerseys","cartoon"]',
+        category: 'collectibles',
+        condition: 'like_new',
+        price: '120.00',
+        published_to: '["vintage_crib","depop"]',
+        images: '["https://example.com/snoopy.jpg"]',
+        status: 'published',
+        store_name: 'Retro Finds'
+    }
+];
+
+const backends = [
+    ['fts5', () => new Fts5SearchIndex()],
+    ['memory', () => new MemorySearchIndex()]
+];
+
+describe.each(backends)('Catalog search (%s)', (backend, createIndex) => {
+    let search;
+
+    beforeEach(async () => {
+        const index = createIndex();
+        await index.init();
+        search = new SearchService({
+            index,
+            products: { getAll: async () => products },
+            loadVintageItems: async () => vintageItems
+        });
+    });
+
+    it('should rank title matches above description matches', async () => {
+        const result = await search.search('denim jacket ');
+
+        expect(result.backend).toBe(backend);
+        expect(result.results.map(r => r.id)).toEqual(['product_1', 'product_2']);
+        expect(result.results[0].score).toBeGreaterThan(result.results[1].score);
+    });
+
+    it('should match word forms and tolerate typos', async () => {
+        expect((await search.search('jackets ')).total).toBe(2);
+        expect((await search.search('champoin ')).results[0].id).toBe('product_2');
+        expect((await search.search('jersys ')).results[0].id).toBe('vintage_7');
+    });
+
+    it('should match the word being typed as a prefix', async () => {
+        const result = await search.search('hood');
+        expect(result.results.map(r => r.id)).toEqual(['product_2']);
+    });
+
+    it('should search brand and tags', async () => {
+        expect((await search.search('peanuts ')).results[0].id).toBe('vintage_7');
+        expect((await search.search('cartoon ')).results[0].id).toBe('vintage_7');
+    });
+
+    it('should highlight matches and escape the rest', async () => {
+        const jacket = (await search.search('trucker ')).results[0];
+        expect(jacket.highlights.description).toContain('<mark>trucker</mark>');
+
+        const shorts = (await search.search('cargo ', { filters: { includeSold: true } })).results[0];
+        expect(shorts.highlights.title).toBe('Nautica <mark>Cargo</mark> Shorts');
+        expect(shorts.highlights.description).toContain('&lt;b&gt;rare&lt;/b&gt;');
+    });
+
+    it('should count facets and apply filters', async () => {
+        const result = await search.search('', { filters: { priceBucket: '100_250' } });
+
+        expect(result.results.map(r => r.id)).toEqual(['vintage_7']);
+        expect(result.facets).toEqual({
+            category: { clothing: 2, collectibles: 1 },
+            condition: { like_new: 1 },
+            priceBucket: { '25_50': 1, '50_100': 1, '100_250': 1 },
+            platform: { ebay: 2, vintage_crib: 1, depop: 1 }
+        });
+        expect((await search.search('', { filters: { platform: 'depop' } })).total).toBe(1);
+        expect((await search.search('cargo ')).total).toBe(0);
+    });
+
+    it('should pick up catalog changes after invalidate()', async () => {
+        expect((await search.search('flannel ')).total).toBe(0);
+
+        products.push({ id: 4, name: 'Flannel Shirt', description: '', category: 'clothing', price: 22 });
+        search.invalidate();
+
+        expect((await search.search('flannel ')).total).toBe(1);
+        products.pop();
+    });
+});
+
+describe('Search analyzer', () => {
+    it('should stem common English suffixes', () => {
+        expect(['jackets', 'dresses', 'faded', 'running', 'jerseys'].map(stem))
+            .toEqual(['jacket', 'dress', 'fade', 'run', 'jersey']);
+    });
+
+    it('should measure edit distance', () => {
+        expect(editDistance('vintge', 'vintage')).toBe(1);
+        expect(editDistance('denim', 'flannel', 2)).toBe(3);
+    });
+});
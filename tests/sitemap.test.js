@@ -0,0 +1,201 @@
+const { SitemapService, productJsonLd, vintageItemJsonLd, injectJsonLd } = require('../services/seo');
+
+const BASE_URL = 'https://shop.example.com';
+
+// In-memory products.json and the sitemap queries of vintage_items / vintage_sellers
+function createCatalog() {
+    return {
+        products: [
+            { id: 1, name: 'Brass Lamp', price: 45, category: 'home', isSold: false, dateAdded: '2026-09-01T10:00:00.000Z', dateModified: '2026-10-02T10:00:00.000Z' },
+            { id: 2, name: 'Sold Radio', price: 80, category: 'electronics', isSold: true, dateAdded: '2026-08-01T10:00:00.000Z' },
+            { id: 3, name: 'Film Camera', price: 120, category: 'electronics', isSold: false, dateAdded: '2026-09-15T10:00:00.000Z' }
+        ],
+        items: [
+            { id: 7, category: 'clothing', updated_at: '2026-10-05 08:30:00', created_at: '2026-09-20 08:30:00' },
+            { id: 8, category: 'home', updated_at: '2026-10-09 12:00:00', created_at: '2026-10-01 12:00:00' }
+        ],
+        sellers: [
+            { store_name: 'Rosie & Co', updated_at: '2026-08-01 00:00:00', items_updated_at: '2026-10-09 12:00:00' },
+            { store_name: 'Empty Attic', updated_at: '2026-07-04 00:00:00', items_updated_at: null },
+            // Same portfolio URL as the first store
+            { store_name: 'rosie & co', updated_at: '2026-09-01 00:00:00', items_updated_at: null }
+        ]
+    };
+}
+
+function createService(catalog, options = {}) {
+    return new SitemapService({
+        baseUrl: `${BASE_URL}/`,
+        products: { getAll: async () => catalog.products },
+        models: {
+            VintageItem: { getSitemapEntries: async () => catalog.items },
+            VintageSeller: { getSitemapEntries: async () => catalog.sellers }
+        },
+        ...options
+    });
+}
+
+const locs = xml => [...xml.matchAll(/<loc>([^<]+)<\/loc>/g)].map(([, loc]) => loc);
+
+describe('SitemapService', () => {
+    let catalog;
+
+    beforeEach(() => {
+        catalog = createCatalog();
+    });
+
+    it('should list active products, published items, portfolios and categories', async () => {
+        const xml = await createService(catalog).sitemap();
+
+        expect(xml).toMatch(/^<\?xml version="1.0" encoding="UTF-8"\?>\n<urlset /);
+        expect(locs(xml)).toEqual([
+            `${BASE_URL}/`,
+            `${BASE_URL}/store-advanced.html`,
+            `${BASE_URL}/categories.html`,
+            `${BASE_URL}/product.html?id=1`,
+            `${BASE_URL}/product.html?id=3`,
+            `${BASE_URL}/api/vintage/item/7`,
+            `${BASE_URL}/api/vintage/item/8`,
+            `${BASE_URL}/api/vintage/portfolio/username/Rosie%20%26%20Co`,
+            `${BASE_URL}/api/vintage/portfolio/username/Empty%20Attic`,
+            `${BASE_URL}/api/search?category=clothing`,
+            `${BASE_URL}/api/search?category=electronics`,
+            `${BASE_URL}/api/search?category=home`
+        ]);
+    });
+
+    it('should date entries by their last change', async () => {
+        const xml = await createService(catalog).sitemap();
+        const lastmodOf = loc => {
+            const match = xml.match(new RegExp(`<loc>${loc.replace(/[?]/g, '\\$&')}</loc>\\n    <lastmod>([^<]+)</lastmod>`));
+            return match && match[1];
+        };
+
+        expect(lastmodOf(`${BASE_URL}/product.html?id=1`)).toBe('2026-10-02');
+        expect(lastmodOf(`${BASE_URL}/api/vintage/item/7`)).toBe('2026-10-05');
+        expect(lastmodOf(`${BASE_URL}/api/vintage/portfolio/username/Rosie%20%26%20Co`)).toBe('2026-10-09');
+        // The newest listing in the category; the sold radio doesn't count
+        expect(lastmodOf(`${BASE_URL}/api/search?category=home`)).toBe('2026-10-09');
+        expect(lastmodOf(`${BASE_URL}/api/search?category=electronics`)).toBe('2026-09-15');
+        // Static pages have no date to give
+        expect(lastmodOf(`${BASE_URL}/`)).toBeNull();
+    });
+
+    it('should escape XML in URLs', async () => {
+        catalog.items = [{ id: 9, category: 'toys & games', updated_at: '2026-10-01 00:00:00' }];
+        const xml = await createService(catalog).sitemap();
+
+        expect(xml).toContain(`<loc>${BASE_URL}/api/search?category=toys%20%26%20games</loc>`);
+        expect(xml).not.toMatch(/&(?!amp;|lt;|gt;|quot;|apos;)/);
+    });
+
+    it('should split into a sitemap index past maxUrls', async () => {
+        const service = createService(catalog, { maxUrls: 5 });
+
+        const index = await service.sitemap();
+        expect(index).toContain('<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">');
+        expect(locs(index)).toEqual([1, 2, 3].map(page => `${BASE_URL}/sitemap-${page}.xml`));
+
+        const pages = await Promise.all([1, 2, 3].map(page => service.sitemapPage(page)));
+        expect(pages.map(page => locs(page).length)).toEqual([5, 5, 2]);
+        expect(pages.flatMap(locs)).toEqual(locs(await createService(catalog).sitemap()));
+        expect(await service.sitemapPage(4)).toBeNull();
+        expect(await service.sitemapPage(0)).toBeNull();
+    });
+
+    it('should keep the entries until invalidated', async () => {
+        const service = createService(catalog);
+        await service.sitemap();
+
+        catalog.products[0].isSold = true;
+        expect(locs(await service.sitemap())).toContain(`${BASE_URL}/product.html?id=1`);
+
+        service.invalidate();
+        expect(locs(await service.sitemap())).not.toContain(`${BASE_URL}/product.html?id=1`);
+    });
+
+    it('should still list products when the vintage tables fail', async () => {
+        const service = createService(catalog, {
+            models: {
+                VintageItem: { getSitemapEntries: async () => { throw new Error('no such table: vintage_items'); } },
+                VintageSeller: { getSitemapEntries: async () => { throw new Error('no such table: vintage_sellers'); } }
+            }
+        });
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        const urls = locs(await service.sitemap());
+        expect(urls).toContain(`${BASE_URL}/product.html?id=3`);
+        expect(urls.some(url => url.includes('/api/vintage/'))).toBe(false);
+        console.error.mockRestore();
+    });
+
+    it('should point robots.txt at the sitemap', () => {
+        const robots = createService(catalog).robots();
+
+        expect(robots).toContain('User-agent: *\nAllow: /\n');
+        expect(robots).toContain('Disallow: /api/admin\n');
+        expect(robots).not.toContain('Disallow: /uploads');
+        expect(robots.trim().split('\n').pop()).toBe(`Sitemap: ${BASE_URL}/sitemap.xml`);
+    });
+});
+
+describe('Product structured data', () => {
+    it('should describe a store product with its offer', () => {
+        const product = { id: 3, name: 'Film Camera', description: 'Works', price: 120, category: 'electronics', image: '/uploads/images/3/a.jpg', images: ['/uploads/images/3/a.jpg', 'https://i.ebayimg.com/b.jpg'], isSold: false };
+
+        expect(productJsonLd(product, { baseUrl: BASE_URL })).toEqual({
+            '@context': 'https://schema.org',
+            '@type': 'Product',
+            name: 'Film Camera',
+            description: 'Works',
+            image: [`${BASE_URL}/uploads/images/3/a.jpg`, 'https://i.ebayimg.com/b.jpg'],
+            sku: '3',
+            category: 'electronics',
+            url: `${BASE_URL}/product.html?id=3`,
+            offers: {
+                '@type': 'Offer',
+                url: `${BASE_URL}/product.html?id=3`,
+                price: '120.00',
+                priceCurrency: 'USD',
+                availability: 'https://schema.org/InStock',
+                seller: { '@type': 'Organization', name: 'Vintage Crib' }
+            }
+        });
+        expect(productJsonLd({ ...product, isSold: true }, { baseUrl: BASE_URL }).offers.availability).toBe('https://schema.org/SoldOut');
+    });
+
+    it('should derive vintage item availability and condition from the listing', () => {
+        const item = { id: 7, title: 'Denim Jacket', price: '35.5', condition: 'Like New', brand: 'Levi\'s', images: '["/uploads/images/7/a.jpg"]', status: 'published' };
+        const jsonLd = vintageItemJsonLd(item, { baseUrl: BASE_URL, seller: { store_name: 'Rosie & Co' } });
+
+        expect(jsonLd).toMatchObject({
+            name: 'Denim Jacket',
+            sku: 'vintage_7',
+            brand: { '@type': 'Brand', name: 'Levi\'s' },
+            image: [`${BASE_URL}/uploads/images/7/a.jpg`],
+            itemCondition: 'https://schema.org/UsedCondition',
+            offers: {
+                price: '35.50',
+                availability: 'https://schema.org/InStock',
+                itemCondition: 'https://schema.org/UsedCondition',
+                seller: { '@type': 'Organization', name: 'Rosie & Co' }
+            }
+        });
+
+        const availability = status => vintageItemJsonLd({ ...item, status }, { baseUrl: BASE_URL }).offers.availability;
+        expect(availability('reserved')).toBe('https://schema.org/OutOfStock');
+        expect(availability('sold')).toBe('https://schema.org/SoldOut');
+        expect(availability('archived')).toBe('https://schema.org/Discontinued');
+        expect(vintageItemJsonLd({ ...item, condition: 'New with tags' }, { baseUrl: BASE_URL }).itemCondition)
+            .toBe('https://schema.org/NewCondition');
+    });
+
+    it('should inject the JSON-LD into <head> without letting it close the script', () => {
+        const html = '<html><head><title>Product</title></head><body></body></html>';
+        const page = injectJsonLd(html, productJsonLd({ id: 1, name: 'Lamp', description: '</script><script>alert(1)</script>', price: 5 }, { baseUrl: BASE_URL }));
+
+        const [, json] = page.match(/<head><title>Product<\/title>\s*<script type="application\/ld\+json">\n([\s\S]*?)\n<\/script>\n<\/head>/);
+        expect(json).not.toContain('</script>');
+        expect(JSON.parse(json).description).toBe('</script><script>alert(1)</script>');
+    });
+});
@@ -0,0 +1,187 @@
+const config = require('../config/entitlements.json');
+const { TierCatalog, Entitlements } = require('../services/Entitlements');
+const { SubscriptionScheduler } = require('../services/SubscriptionScheduler');
+const { NotifierRegistry, Notifier } = require('../services/notifications');
+const { createTable } = require('./fake-models');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// In-memory user_subscriptions (+ billing), subscription_notifications and sellers
+function createFakeModels(clock) {
+    const subscriptions = [];
+    const notifications = createTable([], () => ({ is_read: false, created_at: clock.now.toISOString() }));
+    const users = createTable([
+        { id: 1, email: 'ana@example.com' },
+        { id: 2, email: 'bo@example.com' },
+        { id: 3, email: null }
+    ]);
+
+    return {
+        subscriptions,
+        notifications: notifications.rows,
+        UserSubscription: {
+            getLapsed: async now => subscriptions.filter(sub =>
+                sub.status === 'active' && sub.expires_at && sub.expires_at < now && !['active', 'past_due'].includes(sub.billing_status)),
+            getExpiring: async (from, to) => subscriptions.filter(sub =>
+                sub.status === 'active' && sub.expires_at >= from && sub.expires_at < to)
+        },
+        SubscriptionNotification: {
+            create: notifications.create,
+            findLatest: async (userId, type) => notifications.rows
+                .filter(n => n.user_id === userId && n.notification_type === type)
+                .pop(),
+            getByUser: async (userId, { unreadOnly }) => notifications.rows
+                .filter(n => n.user_id === userId && (!unreadOnly || !n.is_read))
+                .reverse(),
+            countUnread: async userId => notifications.rows.filter(n => n.user_id === userId && !n.is_read).length
+        },
+        VintageSeller: {
+            getUserIds: async () => [1, 2, 3]
+        },
+        User: {
+            findById: users.findById
+        }
+    };
+}
+
+class RecordingNotifier extends Notifier {
+    constructor(id, canReach) {
+        super({ id, name: id });
+        this.reach = canReach;
+        this.sent = [];
+    }
+
+    canReach(recipient) {
+        return this.reach(recipient);
+    }
+
+    async send(recipient, message) {
+        this.sent.push({ recipient, message });
+    }
+}
+
+describe('SubscriptionScheduler', () => {
+    let clock;
+    let models;
+    let email;
+    let inApp;
+    let usage;
+    let downgraded;
+    let scheduler;
+
+    // Runs the sweep once a day, starting at start
+    async function runDaily(start, days) {
+        const results = [];
+        for (let i = 0; i < days; i++) {
+            clock.now = new Date(start.getTime() + i * DAY_MS);
+            results.push(await scheduler.run(clock.now));
+        }
+        return results;
+    }
+
+    beforeEach(() => {
+        clock = { now: new Date('2026-10-01T06:00:00Z') };
+        models = createFakeModels(clock);
+        email = new RecordingNotifier('email', recipient => !!recipient.email);
+        inApp = new RecordingNotifier('in_app', recipient => !!recipient.userId);
+        const notifiers = new NotifierRegistry();
+        notifiers.register(email);
+        notifiers.register(inApp);
+
+        usage = {};
+        downgraded = [];
+        scheduler = new SubscriptionScheduler({
+            models,
+            notifiers,
+            entitlements: new Entitlements({ catalog: new TierCatalog(config, { platforms: ['vintage_crib', 'ebay', 'poshmark', 'depop'] }), models: {} }),
+            subscriptions: {
+                checkAndNotifyLimits: async userId => usage[userId] || null
+            },
+            billing: {
+                expireSubscription: async userId => {
+                    downgraded.push(userId);
+                    models.subscriptions.find(sub => sub.user_id === userId).expires_at = null;
+                }
+            }
+        });
+    });
+
+    it('should expire lapsed subscriptions that billing does not manage', async () => {
+        models.subscriptions.push(
+            { user_id: 1, tier: 'pro', status: 'active', expires_at: '2026-09-30T00:00:00.000Z' },
+            { user_id: 2, tier: 'pro', status: 'active', expires_at: '2026-09-30T00:00:00.000Z', billing_status: 'active' },
+            { user_id: 3, tier: 'starter', status: 'active', expires_at: '2026-12-01T00:00:00.000Z' }
+        );
+
+        expect(await scheduler.run(clock.now)).toEqual({ expired: 1, reminders: 0, limitWarnings: 0 });
+        expect(downgraded).toEqual([1]);
+        expect(models.notifications[0]).toMatchObject({
+            user_id: 1,
+            notification_type: 'subscription_expired',
+            message: 'Your Pro plan expired on 2026-09-30, so your store is now on the Free Tier. Subscribe again to get your features back.'
+        });
+        expect(email.sent.map(sent => sent.message.subject)).toEqual(['Your Pro plan has expired']);
+        // The subscription inbox is the in-app copy
+        expect(inApp.sent).toEqual([]);
+
+        expect(await scheduler.run(clock.now)).toMatchObject({ expired: 0 });
+    });
+
+    it('should remind owners 7, 3 and 1 days before a plan renews or ends', async () => {
+        models.subscriptions.push(
+            // Billed plan: expires a grace day after the period ends on the 15th
+            { user_id: 1, tier: 'pro', status: 'active', expires_at: '2026-10-16T00:00:00.000Z', billing_status: 'active', period_end: '2026-10-15T00:00:00.000Z', billing_price: 9.99 },
+            // Admin-granted plan without billing
+            { user_id: 2, tier: 'starter', status: 'active', expires_at: '2026-10-12T00:00:00.000Z' },
+            // Failing renewals get dunning emails instead
+            { user_id: 3, tier: 'pro', status: 'active', expires_at: '2026-10-09T00:00:00.000Z', billing_status: 'past_due', period_end: '2026-10-08T00:00:00.000Z' }
+        );
+
+        const results = await runDaily(new Date('2026-10-01T06:00:00Z'), 15);
+        expect(results.reduce((sum, result) => sum + result.reminders, 0)).toBe(6);
+
+        const reminders = models.notifications
+            .filter(n => n.notification_type === 'renewal_reminder')
+            .map(n => [n.user_id, n.created_at.slice(0, 10), n.message]);
+        expect(reminders).toEqual([
+            [2, '2026-10-05', 'Your Starter plan expires on 2026-10-12 (in 7 days). Subscribe from the billing page to keep your Starter features.'],
+            [1, '2026-10-08', 'Your Pro plan renews on 2026-10-15 (in 7 days). We\'ll charge $9.99 to your saved payment method.'],
+            [2, '2026-10-09', 'Your Starter plan expires on 2026-10-12 (in 3 days). Subscribe from the billing page to keep your Starter features.'],
+            [2, '2026-10-11', 'Your Starter plan expires on 2026-10-12 (in 1 day). Subscribe from the billing page to keep your Starter features.'],
+            [1, '2026-10-12', 'Your Pro plan renews on 2026-10-15 (in 3 days). We\'ll charge $9.99 to your saved payment method.'],
+            [1, '2026-10-14', 'Your Pro plan renews on 2026-10-15 (in 1 day). We\'ll charge $9.99 to your saved payment method.']
+        ]);
+        expect(email.sent[1].message.subject).toBe('Your Pro plan renews in 7 days');
+
+        // A cancelled plan is reminded that it ends
+        models.notifications.length = 0;
+        models.subscriptions.push({ user_id: 3, tier: 'premium', status: 'active', expires_at: '2026-11-04T00:00:00.000Z', billing_status: 'active', cancel_at_period_end: 1, period_end: '2026-11-03T00:00:00.000Z' });
+        clock.now = new Date('2026-11-01T06:00:00Z');
+        await scheduler.run(clock.now);
+        expect(models.notifications[0].message)
+            .toBe('Your Premium plan ends on 2026-11-03 (in 2 days) because you cancelled it. Resume it before then to keep your Premium features.');
+    });
+
+    it('should warn sellers near their item limit at most once a week', async () => {
+        usage[1] = { warning: true, message: 'You\'re using 4 of 5 items (80%). Consider upgrading to continue adding items.', currentCount: 4, limit: 5, tier: 'free' };
+        usage[2] = { warning: true, message: 'You\'re using 15 of 15 items (100%).', currentCount: 15, limit: 15, tier: 'starter' };
+
+        const results = await runDaily(new Date('2026-10-01T06:00:00Z'), 8);
+        expect(results.map(result => result.limitWarnings)).toEqual([2, 0, 0, 0, 0, 0, 0, 2]);
+        expect(models.notifications.slice(0, 2)).toMatchObject([
+            { user_id: 1, notification_type: 'limit_warning', message: usage[1].message },
+            { user_id: 2, notification_type: 'limit_reached', message: 'You\'ve listed 15 of the 15 items your Starter plan allows. Upgrade to keep adding items.' }
+        ]);
+        // Limit warnings stay in the inbox
+        expect(email.sent).toEqual([]);
+
+        // Reaching the limit is news even right after the 80% warning
+        usage[1] = { ...usage[1], currentCount: 5 };
+        clock.now = new Date('2026-10-09T06:00:00Z');
+        expect(await scheduler.run(clock.now)).toMatchObject({ limitWarnings: 1 });
+
+        const inbox = await scheduler.listNotifications(1);
+        expect(inbox.unread).toBe(3);
+        expect(inbox.notifications[0]).toMatchObject({ type: 'limit_reached', read: false, createdAt: '2026-10-09T06:00:00.000Z' });
+    });
+});
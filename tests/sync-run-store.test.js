@@ -0,0 +1,105 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SyncRunStore, countItems } = require('../database/sync-run-store');
+
+const ITEMS = [
+    { productId: 1, name: 'Brass Lamp', url: 'https://www.ebay.com/itm/111' },
+    { productId: 2, name: 'Film Camera', url: 'https://www.ebay.com/itm/222' },
+    { productId: 3, name: 'Denim Jacket', url: 'https://www.ebay.com/itm/333' }
+];
+
+describe('SyncRunStore', () => {
+    let filePath;
+    let store;
+
+    beforeEach(() => {
+        filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'vintage-sync-runs-')), 'sync-runs.json');
+        store = new SyncRunStore(filePath);
+    });
+
+    it('should create running runs with every item pending, newest first', async () => {
+        const first = await store.create({ type: 'intelligent_automatic', items: ITEMS });
+        const second = await store.create({ type: 'intelligent_automatic', items: ITEMS.slice(0, 1) });
+
+        expect(first).toMatchObject({ status: 'running', phase: 'check', cursor: 0, summary: null });
+        expect(first.items.map(item => item.status)).toEqual(['pending', 'pending', 'pending']);
+        // Same millisecond or not, ids don't collide
+        expect(second.id).not.toBe(first.id);
+
+        const listed = await store.list();
+        expect(listed.map(run => run.id)).toEqual([second.id, first.id]);
+        expect(listed[1].items).toBeUndefined();
+        expect(listed[1].itemCounts).toMatchObject({ total: 3, pending: 3, failed: 0 });
+    });
+
+    it('should checkpoint concurrent item results without losing any', async () => {
+        const run = await store.create({ type: 'intelligent_automatic', items: ITEMS });
+
+        await Promise.all([
+            store.checkpointItem(run.id, 0, { status: 'checked' }, { itemsChecked: 1 }),
+            store.checkpointItem(run.id, 1, { status: 'failed', error: 'Blocked' }, { itemsChecked: 2 })
+        ]);
+
+        const saved = await store.get(run.id);
+        expect(saved.cursor).toBe(2);
+        expect(saved.summary).toEqual({ itemsChecked: 2 });
+        expect(saved.items.map(item => item.status)).toEqual(['checked', 'failed', 'pending']);
+        expect(saved.items[1].finishedAt).toBeTruthy();
+        expect(countItems(saved.items)).toMatchObject({ checked: 1, failed: 1, pending: 1 });
+    });
+
+    it('should find interrupted runs and resume them from their cursor', async () => {
+        const done = await store.create({ type: 'intelligent_automatic', items: ITEMS });
+        await store.update(done.id, { status: 'completed' });
+        const interrupted = await store.create({ type: 'intelligent_automatic', items: ITEMS });
+        await store.checkpointItem(interrupted.id, 0, { status: 'checked' }, { itemsChecked: 1 });
+
+        // A fresh store is what a restarted server sees
+        const reopened = new SyncRunStore(filePath);
+        expect((await reopened.findInterrupted()).map(run => run.id)).toEqual([interrupted.id]);
+
+        const resumed = await reopened.resume(interrupted.id);
+        expect(resumed).toMatchObject({ status: 'running', cursor: 1, phase: 'check', summary: { itemsChecked: 1 } });
+        expect(resumed.resumedAt).toHaveLength(1);
+        expect(resumed.items[1].status).toBe('pending');
+    });
+
+    it('should retry only the failed items of a run', async () => {
+        const run = await store.create({ type: 'intelligent_automatic', items: ITEMS });
+        await store.checkpointItem(run.id, 0, { status: 'failed', error: 'Timeout' }, {});
+        await store.checkpointItem(run.id, 1, { status: 'checked' }, {});
+        await store.checkpointItem(run.id, 2, { status: 'failed', error: 'Blocked' }, {});
+
+        const retry = await store.createRetry(await store.get(run.id));
+        expect(retry).toMatchObject({ type: 'retry_failed', parentRunId: run.id, phases: ['check'], status: 'running' });
+        expect(retry.items).toEqual([
+            { ...ITEMS[0], status: 'pending' },
+            { ...ITEMS[2], status: 'pending' }
+        ]);
+
+        const clean = await store.create({ type: 'intelligent_automatic', items: ITEMS.slice(0, 1) });
+        await store.checkpointItem(clean.id, 0, { status: 'checked' }, {});
+        expect(await store.createRetry(await store.get(clean.id))).toBeNull();
+    });
+
+    it('should cancel a run that could not start but leave started runs to resume', async () => {
+        const run = await store.create({ type: 'intelligent_automatic', items: ITEMS });
+        const retry = await store.createRetry({ id: run.id, items: [{ ...ITEMS[0], status: 'failed' }] });
+
+        const cancelled = await store.cancelUnstarted(retry.id, 'Another sync was already running');
+        expect(cancelled).toMatchObject({ status: 'cancelled', error: 'Another sync was already running' });
+        expect(cancelled.endTime).toBeTruthy();
+
+        await store.checkpointItem(run.id, 0, { status: 'checked' }, { itemsChecked: 1 });
+        expect(await store.cancelUnstarted(run.id, 'Another sync was already running')).toMatchObject({ status: 'running' });
+        expect((await store.findInterrupted()).map(r => r.id)).toEqual([run.id]);
+    });
+
+    it('should keep only the most recent runs', async () => {
+        for (let i = 0; i < 52; i++) {
+            await store.create({ type: 'intelligent_automatic', items: [] });
+        }
+        expect(JSON.parse(fs.readFileSync(filePath, 'utf8'))).toHaveLength(50);
+    });
+});
@@ -0,0 +1,205 @@
+const http = require('http');
+const { WebhookService, verifySignature, SIGNATURE_HEADER } = require('../services/WebhookService');
+const { createTable } = require('./fake-models');
+
+const SELLER = 20;
+const OTHER_SELLER = 21;
+const ADMIN = 1;
+
+// In-memory stand-ins for the webhook / item / seller models
+function createFakeModels() {
+    const endpoints = createTable([], { active: 1 });
+    const deliveries = createTable([], { status: 'pending', attempts: 0 });
+    const roles = { [SELLER]: 'seller', [OTHER_SELLER]: 'seller', [ADMIN]: 'admin' };
+
+    return {
+        endpoints: endpoints.rows,
+        deliveries: deliveries.rows,
+        WebhookEndpoint: {
+            create: data => endpoints.create({ ...data, event_types: JSON.stringify(data.event_types) }),
+            findById: endpoints.findById,
+            getByUser: userId => endpoints.filterBy('user_id', userId),
+            getActive: async () => endpoints.rows.filter(e => e.active).map(e => ({ ...e, owner_role: roles[e.user_id] })),
+            update: endpoints.update,
+            delete: endpoints.delete
+        },
+        WebhookDelivery: {
+            create: deliveries.create,
+            findById: deliveries.findById,
+            recordAttempt: async (id, attempt) => {
+                const delivery = await deliveries.findById(id);
+                Object.assign(delivery, attempt, { attempts: delivery.attempts + 1 });
+            }
+        },
+        VintageItem: {
+            findById: async id => ({ id, seller_id: 2, title: 'Vintage Denim Jacket' })
+        },
+        VintageSeller: {
+            findById: async id => ({ id, user_id: SELLER })
+        }
+    };
+}
+
+// Local receiver that records requests and answers with the next queued status
+function startReceiver() {
+    const received = [];
+    const statuses = [];
+
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            received.push({ headers: req.headers, body });
+            res.writeHead(statuses.shift() || 200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ received: true }));
+        });
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            resolve({ server, received, statuses, url: `http://127.0.0.1:${server.address().port}/hooks` });
+        });
+    });
+}
+
+describe('Webhooks', () => {
+    let models;
+    let queued;
+    let service;
+    let receiver;
+
+    beforeEach(async () => {
+        models = createFakeModels();
+        queued = [];
+        service = new WebhookService({
+            models,
+            queue: { enqueue: async (type, payload) => queued.push({ type, payload }) },
+            // The receiver below listens on 127.0.0.1
+            allowPrivateTargets: true
+        });
+        receiver = await startReceiver();
+    });
+
+    afterEach(done => {
+        receiver.server.close(done);
+    });
+
+    it('should queue events for the owning seller and for admins only', async () => {
+        await service.createEndpoint(SELLER, { url: receiver.url, events: ['item.sold'] });
+        await service.createEndpoint(OTHER_SELLER, { url: receiver.url, events: ['item.sold'] });
+        await service.createEndpoint(ADMIN, { url: receiver.url, events: ['item.sold', 'crosspost.failed'] });
+
+        const sold = await service.handleEvent({ type: 'sold', data: { source: 'vintage', itemId: 7, price: '65.00' } });
+        expect(sold.map(d => d.endpoint_id)).toEqual([1, 3]);
+        expect(queued).toEqual([
+            { type: 'webhook-delivery', payload: { deliveryId: 1 } },
+            { type: 'webhook-delivery', payload: { deliveryId: 2 } }
+        ]);
+
+        // eBay store sales have no seller
+        const storeSale = await service.handleEvent({ type: 'sold', data: { source: 'store', productId: 'p1' } });
+        expect(storeSale.map(d => d.endpoint_id)).toEqual([3]);
+
+        expect(await service.handleEvent({ type: 'crosspost.result', data: { itemId: 7, success: true } })).toEqual([]);
+        const failed = await service.handleEvent({ type: 'crosspost.result', data: { itemId: 7, success: false, error: 'Bad token' } });
+        expect(failed.map(d => d.event_type)).toEqual(['crosspost.failed']);
+    });
+
+    it('should deliver HMAC-signed JSON and log the response', async () => {
+        const { secret } = await service.createEndpoint(SELLER, { url: receiver.url, events: ['item.published'] });
+        const [delivery] = await service.dispatch('item.published', { itemId: 7, platforms: ['ebay'] }, SELLER);
+
+        const result = await service.deliver(delivery.id);
+        expect(result.responseStatus).toBe(200);
+
+        const request = receiver.received[0];
+        expect(request.headers['x-vintagecrib-event']).toBe('item.published');
+        expect(verifySignature(secret, request.headers[SIGNATURE_HEADER.toLowerCase()], request.body)).toBe(true);
+        expect(verifySignature('whsec_wrong', request.headers[SIGNATURE_HEADER.toLowerCase()], request.body)).toBe(false);
+        expect(JSON.parse(request.body)).toMatchObject({ type: 'item.published', data: { itemId: 7, platforms: ['ebay'] } });
+
+        expect(models.deliveries[0]).toMatchObject({ status: 'succeeded', response_status: 200, attempts: 1, error: null });
+    });
+
+    it('should keep failed deliveries for retry and mark them failed on the last attempt', async () => {
+        await service.createEndpoint(SELLER, { url: receiver.url, events: ['subscription.changed'] });
+        const [delivery] = await service.handleEvent({ type: 'subscription.changed', data: { userId: SELLER, tier: 'premium' } });
+        receiver.statuses.push(500, 503);
+
+        await expect(service.deliver(delivery.id, { finalAttempt: false })).rejects.toThrow('Endpoint responded with 500');
+        expect(models.deliveries[0]).toMatchObject({ status: 'retrying', response_status: 500 });
+
+        await expect(service.deliver(delivery.id, { finalAttempt: true })).rejects.toThrow('Endpoint responded with 503');
+        expect(models.deliveries[0]).toMatchObject({ status: 'failed', response_status: 503, attempts: 2 });
+    });
+
+    it('should replay a delivery with the same event id', async () => {
+        await service.createEndpoint(SELLER, { url: receiver.url, events: ['item.sold'] });
+        const [original] = await service.dispatch('item.sold', { itemId: 7 }, SELLER);
+
+        const replay = await service.replay(original.id);
+        expect(replay).toMatchObject({ replay_of: original.id, event_id: original.event_id, payload: original.payload });
+        expect(queued).toHaveLength(2);
+
+        await service.deliver(replay.id);
+        expect(receiver.received[0].headers['x-vintagecrib-delivery']).toBe(String(replay.id));
+        await expect(service.replay(99)).rejects.toMatchObject({ name: 'WebhookError', status: 404 });
+    });
+
+    it('should validate endpoints and limit management to owners and admins', async () => {
+        await expect(service.createEndpoint(SELLER, { url: 'ftp://example.com', events: ['item.sold'] }))
+            .rejects.toThrow('Endpoint URL must use http or https');
+        await expect(service.createEndpoint(SELLER, { url: receiver.url, events: ['item.deleted'] }))
+            .rejects.toThrow('Unknown event type(s): item.deleted');
+
+        const { endpoint } = await service.createEndpoint(SELLER, { url: receiver.url, events: ['item.sold'] });
+        await expect(service.updateEndpoint({ id: OTHER_SELLER, role: 'seller' }, endpoint.id, { active: false }))
+            .rejects.toMatchObject({ status: 404 });
+
+        const disabled = await service.updateEndpoint({ id: ADMIN, role: 'admin' }, endpoint.id, { active: false });
+        expect(disabled.active).toBe(false);
+        expect(await service.dispatch('item.sold', { itemId: 7 }, SELLER)).toEqual([]);
+    });
+
+    it('should refuse endpoints that resolve to internal addresses', async () => {
+        const dnsRecords = {
+            'hooks.example.com': ['93.184.216.34'],
+            'sneaky.example.com': ['93.184.216.34', '10.0.0.5'],
+            'rebind.example.com': ['93.184.216.34']
+        };
+        const strict = new WebhookService({
+            models,
+            queue: { enqueue: async () => {} },
+            lookup: async host => {
+                if (!dnsRecords[host]) throw new Error('ENOTFOUND');
+                return dnsRecords[host].map(address => ({ address, family: 4 }));
+            },
+            http: { post: async () => ({ status: 200, data: 'internal secrets' }) },
+            allowPrivateTargets: false
+        });
+
+        for (const url of [
+            receiver.url,
+            'http://localhost:8080/hooks',
+            'http://169.254.169.254/latest/meta-data/',
+            'http://192.168.1.10/hooks',
+            'http://[::1]:3000/hooks',
+            'http://[::ffff:127.0.0.1]/hooks',
+            'https://sneaky.example.com/hooks'
+        ]) {
+            await expect(strict.createEndpoint(SELLER, { url, events: ['item.sold'] })).rejects.toMatchObject({ name: 'WebhookError' });
+        }
+        expect(models.endpoints).toHaveLength(0);
+
+        // Checked again at delivery time, after DNS has had a chance to change
+        await strict.createEndpoint(SELLER, { url: 'https://rebind.example.com/hooks', events: ['item.sold'] });
+        const [delivery] = await strict.dispatch('item.sold', { itemId: 7 }, SELLER);
+        dnsRecords['rebind.example.com'] = ['127.0.0.1'];
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        expect(await strict.deliver(delivery.id)).toEqual({ skipped: 'Endpoint URL must point to a public address' });
+        console.warn.mockRestore();
+        expect(models.deliveries[0]).toMatchObject({ status: 'failed', error: 'Endpoint URL must point to a public address' });
+        expect(models.deliveries[0].response_body).toBeUndefined();
+    });
+});
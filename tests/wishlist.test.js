@@ -0,0 +1,181 @@
+const { WishlistService } = require('../services/WishlistService');
+const { LiveEvents } = require('../services/LiveEvents');
+const { NotifierRegistry, Notifier } = require('../services/notifications');
+const { createTable } = require('./fake-models');
+
+// In-memory user_favorites, wishlist_shares, seller_analytics and vintage items
+function createFakeModels() {
+    const users = [
+        { id: 1, username: 'ana', email: 'ana@example.com' },
+        { id: 2, username: 'bo', email: null },
+        { id: 3, username: 'cy', email: 'cy@example.com' }
+    ];
+    const items = createTable([
+        { id: 10, seller_id: 5, title: 'Pendleton Wool Shirt', price: 45, status: 'published', images: '["/uploads/shirt.jpg"]', likes: 0, store_name: 'Crib Finds' },
+        { id: 11, seller_id: 5, title: 'Levi\'s 501', price: 60, status: 'draft', images: '[]', likes: 0 }
+    ]);
+    const favorites = [];
+    const shares = [];
+    const likes = [];
+
+    return {
+        items: items.rows,
+        favorites,
+        likes,
+        VintageItem: {
+            findById: items.findById
+        },
+        Favorite: {
+            add: async (userId, itemId) => {
+                if (favorites.some(f => f.user_id === userId && f.item_id === itemId)) return undefined;
+                const row = { user_id: userId, item_id: itemId, created_at: `2026-10-${10 + favorites.length}` };
+                favorites.push(row);
+                items.rows.find(item => item.id === itemId).likes++;
+                return row;
+            },
+            remove: async (userId, itemId) => {
+                const index = favorites.findIndex(f => f.user_id === userId && f.item_id === itemId);
+                if (index === -1) return false;
+                favorites.splice(index, 1);
+                items.rows.find(item => item.id === itemId).likes--;
+                return true;
+            },
+            getByUser: async userId => favorites
+                .filter(f => f.user_id === userId)
+                .reverse()
+                .map(f => ({ ...items.rows.find(item => item.id === f.item_id), favorited_at: f.created_at })),
+            getUsersForItem: async itemId => favorites
+                .filter(f => f.item_id === itemId)
+                .map(f => users.find(user => user.id === f.user_id))
+        },
+        WishlistShare: {
+            create: async (userId, token) => {
+                const row = { user_id: userId, token };
+                shares.push(row);
+                return row;
+            },
+            findByUser: async userId => shares.find(share => share.user_id === userId),
+            findByToken: async token => {
+                const share = shares.find(s => s.token === token);
+                return share && { ...share, username: users.find(user => user.id === share.user_id).username };
+            },
+            deleteByUser: async userId => {
+                const index = shares.findIndex(share => share.user_id === userId);
+                if (index !== -1) shares.splice(index, 1);
+                return index !== -1;
+            }
+        },
+        SellerAnalytics: {
+            increment: async (sellerId, field) => likes.push({ sellerId, field })
+        }
+    };
+}
+
+class RecordingNotifier extends Notifier {
+    constructor(id, canReach) {
+        super({ id, name: id });
+        this.reach = canReach;
+        this.sent = [];
+    }
+
+    canReach(recipient) {
+        return this.reach(recipient);
+    }
+
+    async send(recipient, message) {
+        this.sent.push({ recipient, message });
+        return { id: this.sent.length };
+    }
+}
+
+describe('Wishlists', () => {
+    let models;
+    let email;
+    let inApp;
+    let service;
+
+    beforeEach(() => {
+        models = createFakeModels();
+        email = new RecordingNotifier('email', recipient => !!recipient.email);
+        inApp = new RecordingNotifier('in_app', recipient => !!recipient.userId);
+        const notifiers = new NotifierRegistry();
+        notifiers.register(email);
+        notifiers.register(inApp);
+        service = new WishlistService({ models, notifiers, baseUrl: 'https://shop.example.com' });
+    });
+
+    it('should add, list and remove items and count likes for the seller', async () => {
+        expect(await service.add(1, 10)).toEqual({ added: true });
+        expect(await service.add(1, 10)).toEqual({ added: false });
+        await expect(service.add(1, 11)).rejects.toMatchObject({ name: 'WishlistError', status: 400 });
+        await expect(service.add(1, 99)).rejects.toMatchObject({ status: 404 });
+
+        // Only the first add is a like
+        expect(models.items[0].likes).toBe(1);
+        expect(models.likes).toEqual([{ sellerId: 5, field: 'likes' }]);
+
+        expect(await service.list(1)).toEqual([expect.objectContaining({
+            itemId: 10,
+            title: 'Pendleton Wool Shirt',
+            price: 45,
+            image: '/uploads/shirt.jpg',
+            available: true,
+            seller: 'Crib Finds'
+        })]);
+
+        await service.remove(1, 10);
+        expect(models.items[0].likes).toBe(0);
+        await expect(service.remove(1, 10)).rejects.toThrow('Item is not on your wishlist');
+
+        // The old like button toggles
+        expect(await service.toggle(2, 10)).toEqual({ liked: true });
+        expect(await service.toggle(2, 10)).toEqual({ liked: false });
+    });
+
+    it('should share a wishlist through a revocable public link', async () => {
+        await service.add(1, 10);
+
+        const share = await service.share(1);
+        expect(share.url).toBe(`https://shop.example.com/api/wishlists/${share.token}`);
+        expect(await service.share(1)).toEqual(share);
+
+        const shared = await service.getShared(share.token);
+        expect(shared.owner).toBe('ana');
+        expect(shared.items.map(item => item.itemId)).toEqual([10]);
+        expect(JSON.stringify(shared)).not.toContain('ana@example.com');
+
+        expect(await service.unshare(1)).toBe(true);
+        await expect(service.getShared(share.token)).rejects.toMatchObject({ status: 404 });
+        expect((await service.share(1)).token).not.toBe(share.token);
+    });
+
+    it('should tell wishlisters about price drops and checkouts by other shoppers', async () => {
+        const events = new LiveEvents();
+        service.attach(events);
+        await service.add(1, 10);
+        await service.add(2, 10);
+        await service.add(3, 10);
+
+        // Price rises are not news
+        expect(await service.handleEvent({ type: 'item.price_changed', data: { itemId: 10, from: 45, to: 50 } })).toBe(0);
+        expect(await service.handleEvent({ type: 'item.price_changed', data: { itemId: 10, from: 50, to: 35 } })).toBe(3);
+
+        expect(inApp.sent.map(sent => sent.recipient.userId)).toEqual([1, 2, 3]);
+        expect(email.sent.map(sent => sent.recipient.email)).toEqual(['ana@example.com', 'cy@example.com']);
+        expect(email.sent[0].message).toMatchObject({
+            type: 'wishlist_price_drop',
+            subject: 'Price drop: Pendleton Wool Shirt',
+            summary: 'Now $35.00 (was $50.00)'
+        });
+
+        // The buyer who reserved it isn't told about their own checkout
+        inApp.sent = [];
+        events.publish('order.status', { orderId: 1, itemId: 10, buyerId: 3, from: null, to: 'pending' });
+        await new Promise(resolve => setImmediate(resolve));
+        expect(inApp.sent.map(sent => sent.recipient.userId)).toEqual([1, 2]);
+        expect(inApp.sent[0].message.subject).toBe('Someone is checking out Pendleton Wool Shirt');
+
+        // Later order steps are ignored
+        expect(await service.handleEvent({ type: 'order.status', data: { itemId: 10, to: 'paid' } })).toBe(0);
+    });
+});